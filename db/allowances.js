@@ -0,0 +1,80 @@
+// Mileage and per-diem allowances.
+//
+// Field travel is claimed as kilometres driven or days in the field rather than from a receipt.
+// allowance_rates holds the rates, in the base currency: a rate per km for each vehicle type
+// (kind 'mileage') and a daily rate for each location (kind 'per_diem'). An expense of one of
+// these types records its distance_km or days and the rate it was claimed at; its amount is
+// always computed from them, never taken from the submitter, and it needs no receipt.
+
+const EXPENSE_TYPES = ['standard', 'mileage', 'per_diem'];
+const ALLOWANCE_KINDS = ['mileage', 'per_diem'];
+const RATE_NAME_MAX_LENGTH = 60;
+
+// Column holding the quantity claimed, and its limits: distances to the hundredth of a
+// kilometre, per diems in half days
+const QUANTITIES = {
+    mileage: { column: 'distance_km', label: 'Distance', step: 0.01, max: 10000 },
+    per_diem: { column: 'days', label: 'Days', step: 0.5, max: 366 }
+};
+
+const isAllowanceType = (type) => ALLOWANCE_KINDS.includes(type);
+
+const normalizeRateName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Validates an allowance rate payload, returning the row to store or an { error } message.
+// The kind is fixed once created, like a category's slug.
+const rateFields = (body, { partial = false } = {}) => {
+    const row = {};
+    if (!partial) {
+        if (!ALLOWANCE_KINDS.includes(body.kind)) return { error: `Kind must be one of: ${ALLOWANCE_KINDS.join(', ')}` };
+        row.kind = body.kind;
+    }
+    if (body.name !== undefined || !partial) {
+        const name = String(body.name || '').trim().replace(/\s+/g, ' ');
+        if (!name) return { error: 'Name is required' };
+        if (name.length > RATE_NAME_MAX_LENGTH) return { error: `Name must be at most ${RATE_NAME_MAX_LENGTH} characters` };
+        row.name = name;
+        row.normalized_name = normalizeRateName(name);
+    }
+    if (body.rate !== undefined || !partial) {
+        const rate = Number(body.rate);
+        if (body.rate === '' || body.rate === null || !Number.isFinite(rate) || rate <= 0) {
+            return { error: 'Rate must be a number greater than zero' };
+        }
+        row.rate = Math.round(rate * 10000) / 10000;
+    }
+    if (body.is_active !== undefined) {
+        row.is_active = body.is_active === true || body.is_active === 'true';
+    }
+    return { row };
+};
+
+// The distance or number of days claimed, or NaN when it is not a positive multiple of the
+// type's step within its maximum
+const parseQuantity = (type, value) => {
+    const { step, max } = QUANTITIES[type];
+    const quantity = Number(value);
+    if (value === '' || value === null || value === undefined || !Number.isFinite(quantity)) return NaN;
+    const steps = Math.round(quantity / step);
+    if (quantity <= 0 || quantity > max || Math.abs(steps * step - quantity) > 1e-9) return NaN;
+    return steps * step;
+};
+
+const allowanceAmount = (quantity, rate) => Math.round(quantity * parseFloat(rate) * 100) / 100;
+
+// Description used when the submitter leaves it blank, e.g. "Mileage: 120 km (Car)"
+const allowanceDescription = (type, quantity, rateName) => (type === 'mileage'
+    ? `Mileage: ${quantity} km (${rateName})`
+    : `Per diem: ${quantity} ${quantity === 1 ? 'day' : 'days'} (${rateName})`);
+
+module.exports = {
+    EXPENSE_TYPES,
+    ALLOWANCE_KINDS,
+    QUANTITIES,
+    isAllowanceType,
+    normalizeRateName,
+    rateFields,
+    parseQuantity,
+    allowanceAmount,
+    allowanceDescription
+};
@@ -0,0 +1,85 @@
+// Currencies and exchange rates.
+//
+// The organization keeps its books in a base currency (BASE_CURRENCY) and every team keeps its
+// balances in one currency (teams.currency, the base currency when null). exchange_rates holds
+// how many units of the base currency one unit of another currency is worth from its
+// effective_date on. An expense paid in another currency keeps its original amount and is
+// converted into the team's currency with the rates in effect on its expense_date; that
+// converted amount is what is deducted from the team balance.
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const RATE_DECIMALS = 8;
+
+const normalizeCurrency = (value) => String(value || '').trim().toUpperCase();
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const roundRate = (value) => parseFloat(value.toFixed(RATE_DECIMALS));
+
+const isValidDate = (value) => {
+    if (!DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// Validates one rate ({ currency, rate, effective_date }), returning the row to store or an
+// { error } message. effective_date defaults to defaultDate.
+const rateFields = (body, baseCurrency, defaultDate) => {
+    const code = normalizeCurrency(body.currency);
+    if (!CURRENCY_PATTERN.test(code)) return { error: 'Currency must be a 3-letter ISO code such as EUR' };
+    if (code === baseCurrency) return { error: `${baseCurrency} is the base currency; its rate is always 1` };
+    const rate = Number(body.rate);
+    if (body.rate === '' || body.rate === null || !Number.isFinite(rate) || rate <= 0) {
+        return { error: 'Rate must be a number greater than zero' };
+    }
+    const effectiveDate = body.effective_date ? String(body.effective_date).trim() : defaultDate;
+    if (!isValidDate(effectiveDate)) return { error: 'Effective date must be a valid date (YYYY-MM-DD)' };
+    return { row: { currency: code, rate: roundRate(rate), effective_date: effectiveDate } };
+};
+
+// Parses CSV text with one "currency,rate[,effective_date]" line per rate. Blank lines and a
+// header line are skipped. Returns { rows } or the { error } of the first bad line.
+const parseRatesCsv = (text, baseCurrency, defaultDate) => {
+    const rows = [];
+    const lines = String(text || '').split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+        const cells = lines[i].split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, ''));
+        if (!cells.join('')) continue;
+        if (i === 0 && /currency/i.test(cells[0])) continue;
+        const { row, error } = rateFields({ currency: cells[0], rate: cells[1], effective_date: cells[2] }, baseCurrency, defaultDate);
+        if (error) return { error: `Line ${i + 1}: ${error}` };
+        rows.push(row);
+    }
+    if (!rows.length) return { error: 'The file contains no rates' };
+    return { rows };
+};
+
+// Base-currency value of one unit of currency on date (YYYY-MM-DD): the latest rate effective
+// on or before that day, or the earliest known rate for days before it. Null without any rate.
+const rateOn = (rates, currency, date, baseCurrency) => {
+    if (currency === baseCurrency) return 1;
+    const own = rates
+        .filter(r => r.currency === currency)
+        .sort((a, b) => String(a.effective_date).localeCompare(String(b.effective_date)));
+    if (!own.length) return null;
+    const effective = own.filter(r => String(r.effective_date) <= date);
+    return parseFloat((effective.length ? effective[effective.length - 1] : own[0]).rate);
+};
+
+// Rate converting an amount in `from` into `to` on date; null when either has no rate
+const conversionRate = (rates, from, to, date, baseCurrency) => {
+    if (from === to) return 1;
+    const fromRate = rateOn(rates, from, date, baseCurrency);
+    const toRate = rateOn(rates, to, date, baseCurrency);
+    return fromRate && toRate ? roundRate(fromRate / toRate) : null;
+};
+
+module.exports = {
+    CURRENCY_PATTERN,
+    normalizeCurrency,
+    roundMoney,
+    rateFields,
+    parseRatesCsv,
+    rateOn,
+    conversionRate
+};
@@ -0,0 +1,59 @@
+// Duplicate receipt detection.
+//
+// Every attachment stores content_hash (SHA-256 of the bytes as uploaded, before any
+// compression) and, for images, perceptual_hash (see perceptualHash() in storage/images.js).
+// A new attachment is a suspected duplicate of an older attachment on another expense when:
+//   exact     the content hashes are equal (the same file uploaded again)
+//   similar   the 64-bit perceptual hashes differ in at most maxDistance bits (the same
+//             bill photographed again, cropped or re-compressed)
+// Matches are stored in receipt_duplicates for admins and partners to review.
+
+const DEFAULT_MAX_DISTANCE = 10;
+
+// Number of differing bits between two hex hashes of the same length (null otherwise)
+const hashDistance = (a, b) => {
+    if (!a || !b || a.length !== b.length) return null;
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (bits) {
+            distance += bits & 1;
+            bits >>= 1;
+        }
+    }
+    return distance;
+};
+
+// Matches between attachments and older attachments on other expenses (candidates); each is
+// { attachment_id, expense_id, original_attachment_id, original_expense_id, match_type, distance }
+const findReceiptMatches = (attachments, candidates, { maxDistance = DEFAULT_MAX_DISTANCE } = {}) => {
+    const matches = [];
+    attachments.forEach(attachment => {
+        candidates
+            .filter(candidate => candidate.expense_id !== attachment.expense_id && candidate.id < attachment.id)
+            .forEach(candidate => {
+                let match = null;
+                if (attachment.content_hash && attachment.content_hash === candidate.content_hash) {
+                    match = { match_type: 'exact', distance: 0 };
+                } else {
+                    const distance = hashDistance(attachment.perceptual_hash, candidate.perceptual_hash);
+                    if (distance !== null && distance <= maxDistance) match = { match_type: 'similar', distance };
+                }
+                if (!match) return;
+                matches.push({
+                    attachment_id: attachment.id,
+                    expense_id: attachment.expense_id,
+                    original_attachment_id: candidate.id,
+                    original_expense_id: candidate.expense_id,
+                    ...match
+                });
+            });
+    });
+    return matches;
+};
+
+module.exports = {
+    DEFAULT_MAX_DISTANCE,
+    hashDistance,
+    findReceiptMatches
+};
@@ -0,0 +1,49 @@
+// Errors shared by every store backend.
+//
+// Atomic operations (balance changes, approvals) fail with a StoreError whose `code`
+// is one of STORE_ERRORS, returned in the `error` slot of `{ data, error }`. The
+// Postgres functions used by the Supabase backend raise the same codes as the
+// exception HINT, which fromRpcError maps back.
+
+const STORE_ERRORS = {
+    NOT_FOUND: 'Record not found',
+    INSUFFICIENT_FUNDS: 'Insufficient team balance',
+    INVALID_AMOUNT: 'Amount must be greater than zero',
+    INVALID_STATE: 'Invalid request or request already processed',
+    CATEGORY_LIMIT: 'Expense exceeds the category budget',
+    TEAM_CLOSED: 'The team is closing or closed'
+};
+
+class StoreError extends Error {
+    constructor(code, message) {
+        super(message || STORE_ERRORS[code] || code);
+        this.name = 'StoreError';
+        this.code = code;
+    }
+}
+
+const isStoreError = (error, code) => Boolean(error && error.name === 'StoreError' && (!code || error.code === code));
+
+// PostgREST error from a RAISE EXCEPTION ... USING HINT = '<code>' -> StoreError
+const fromRpcError = (error) => {
+    if (error && error.hint && STORE_ERRORS[error.hint]) {
+        return new StoreError(error.hint, error.message);
+    }
+    return error;
+};
+
+// Unique constraint violations surface differently per backend (Postgres/Supabase 23505, SQLite constraint code)
+const isUniqueViolation = (error) => {
+    if (!error) return false;
+    if (error.code === '23505' || error.code === 'SQLITE_CONSTRAINT_UNIQUE') return true;
+    const message = (error.message || '').toLowerCase();
+    return message.includes('duplicate') || message.includes('unique constraint');
+};
+
+module.exports = {
+    STORE_ERRORS,
+    StoreError,
+    isStoreError,
+    fromRpcError,
+    isUniqueViolation
+};
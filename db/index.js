@@ -0,0 +1,106 @@
+// FieldWorkBook data-access layer
+//
+// Routes talk to a store instead of a specific database client. A store exposes
+// one repository per table (teams, users, expenses, amountRequests, ledgerEntries,
+// expenseCategories, teamCategoryBudgets, expensePolicyRules, expenseAttachments,
+// receiptDuplicates, vendors, exchangeRates, allowanceRates, expenseSplits,
+// recurringSchedules, recurringRuns, reimbursements, cashAdvances, budgetAdjustments,
+// teamTransfers)
+// and every repository method resolves to the same `{ data, error }` shape supabase-js
+// uses, so route handlers keep their existing error handling.
+//
+// Repository methods:
+//   list(filters, { columns, orderBy, ascending, limit })  -> { data: rows }
+//   findOne(filters, { columns })                           -> { data: row | null }
+//   findById(id, { columns })                               -> { data: row | null }
+//   create(row)                                             -> { data: insertedRow }
+//   update(filters, patch)                                  -> { data: updatedRows }
+//   remove(filters)                                         -> { data: null }
+//   count(filters)                                          -> { count }
+//
+// Operations that move money (creating, adjusting, transferring or closing out a team's
+// budget, recording an expense, approving a request, settling a reimbursement, issuing or
+// settling a cash advance, posting ledger entries) are atomic: the SQL backend runs them
+// in a transaction, the Supabase backend calls the Postgres functions in
+// db/migrations/postgres. They fail with a StoreError (see db/errors.js) such as
+// INSUFFICIENT_FUNDS or TEAM_CLOSED instead of partially applying. Each one posts to the
+// append-only ledger (see db/ledger.js), which the team balance columns follow.
+//
+// Filters map a column to a value:
+//   { team_id: 3 }                     equality
+//   { id: [1, 2, 3] }                  IN list (an empty list matches nothing)
+//   { status: null }                   IS NULL
+//   { created_at: { gte, lte } }       range / comparison (gt, gte, lt, lte, neq)
+//
+// The backend is picked with DB_CLIENT:
+//   supabase (default)  SUPABASE_URL + SUPABASE_SERVICE_ROLE
+//   postgres            DATABASE_URL
+//   sqlite              SQLITE_PATH (defaults to ./fieldworkbook.db)
+
+const path = require('path');
+const { StoreError, isStoreError, isUniqueViolation } = require('./errors');
+
+const TABLES = {
+    teams: 'teams',
+    users: 'users',
+    expenses: 'expenses',
+    amountRequests: 'amount_requests',
+    ledgerEntries: 'ledger_entries',
+    expenseCategories: 'expense_categories',
+    teamCategoryBudgets: 'team_category_budgets',
+    expensePolicyRules: 'expense_policy_rules',
+    expenseAttachments: 'expense_attachments',
+    receiptDuplicates: 'receipt_duplicates',
+    vendors: 'vendors',
+    exchangeRates: 'exchange_rates',
+    allowanceRates: 'allowance_rates',
+    expenseSplits: 'expense_splits',
+    recurringSchedules: 'recurring_schedules',
+    recurringRuns: 'recurring_runs',
+    reimbursements: 'reimbursements',
+    cashAdvances: 'cash_advances',
+    budgetAdjustments: 'budget_adjustments',
+    teamTransfers: 'team_transfers'
+};
+
+const FILTER_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'neq'];
+
+// True when a filter set contains an empty IN list and therefore cannot match any row
+const matchesNothing = (filters) => Object.values(filters || {}).some(value => Array.isArray(value) && value.length === 0);
+
+const createStore = (env = process.env) => {
+    const client = (env.DB_CLIENT || 'supabase').toLowerCase();
+
+    if (client === 'supabase') {
+        const { createSupabaseStore } = require('./supabase-store');
+        return createSupabaseStore({
+            url: env.SUPABASE_URL,
+            serviceRole: env.SUPABASE_SERVICE_ROLE
+        });
+    }
+
+    if (client === 'postgres' || client === 'postgresql' || client === 'pg') {
+        const { createSqlStore } = require('./sql-store');
+        return createSqlStore({ dialect: 'postgres', connectionString: env.DATABASE_URL });
+    }
+
+    if (client === 'sqlite') {
+        const { createSqlStore } = require('./sql-store');
+        return createSqlStore({
+            dialect: 'sqlite',
+            filename: env.SQLITE_PATH || path.join(__dirname, '..', 'fieldworkbook.db')
+        });
+    }
+
+    throw new Error(`Unsupported DB_CLIENT "${client}". Use supabase, postgres or sqlite.`);
+};
+
+module.exports = {
+    TABLES,
+    FILTER_OPERATORS,
+    StoreError,
+    createStore,
+    isStoreError,
+    isUniqueViolation,
+    matchesNothing
+};
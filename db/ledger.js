@@ -0,0 +1,281 @@
+// Double-entry ledger behind team balances.
+//
+// Every movement of money is one row in ledger_entries that debits one account and
+// credits another by the same positive amount. Accounts are plain strings:
+//   funding                  the organisation's pool that team money comes from
+//   team:<id>:available      money the team can still spend  -> teams.remaining_amount
+//   team:<id>:reserved       held for expenses under review  -> teams.reserved_amount
+//   team:<id>:spent          money the team has spent        -> teams.used_amount
+//   team:<id>:advanced       cash advanced to its members    -> teams.advanced_amount
+//   staff:<id>:payable       owed to a member for expenses they paid personally
+// The team columns are a cache of these balances: posting an entry moves the matching
+// column by the same amount. initial_amount is the money allocated to the team: it moves with
+// entries between the team and the funding pool or another team, but not with spending a
+// member paid personally, which comes from their payable account.
+// An expense paid personally leaves the team's available balance alone: it holds nothing
+// while under review, is spent against its payer's payable account once approved, and that
+// account is paid back from the funding pool when the reimbursement is settled.
+// An expense settled against a member's cash advance is reserved and spent from the team's
+// advanced bucket instead of its available balance; settling the advance returns what the
+// member did not spend to the available balance, or tops up what they spent beyond it.
+// A transfer moves part of one team's available balance straight to another's.
+// A team that is closing or closed receives nothing from outside it; closing it out returns
+// its available balance to the funding pool.
+// Entries are never updated or deleted; a mistake is corrected with a reversal.
+
+const FUNDING_ACCOUNT = 'funding';
+
+// Team bucket -> cached column on the teams row
+const TEAM_BUCKETS = {
+    available: 'remaining_amount',
+    reserved: 'reserved_amount',
+    spent: 'used_amount',
+    advanced: 'advanced_amount'
+};
+
+const ENTRY_TYPES = ['opening', 'top_up', 'reservation', 'release', 'expense', 'reversal', 'transfer', 'reimbursement', 'advance', 'advance_return', 'advance_top_up', 'allocation', 'claw_back', 'close_out'];
+
+// Bucket holding an expense's amount in each review status (rejected expenses hold nothing)
+const EXPENSE_STATUS_BUCKETS = {
+    submitted: 'reserved',
+    needs_info: 'reserved',
+    approved: 'spent'
+};
+
+// Entry type for moving expense money from one team bucket to another
+const EXPENSE_MOVES = {
+    'available>reserved': 'reservation',
+    'reserved>available': 'release',
+    'reserved>spent': 'expense',
+    'available>spent': 'expense',
+    'spent>available': 'reversal'
+};
+
+const teamAccount = (teamId, bucket = 'available') => `team:${teamId}:${bucket}`;
+
+const payableAccount = (userId) => `staff:${userId}:payable`;
+
+const isPayableAccount = (account) => /^staff:\d+:payable$/.test(account || '');
+
+// Bucket an expense's amount is held in (EXPENSE_STATUS_BUCKETS); an expense paid personally
+// holds nothing until it is approved
+const expenseBucket = (expense) => (expense.paid_personally && expense.status !== 'approved'
+    ? undefined
+    : EXPENSE_STATUS_BUCKETS[expense.status]);
+
+// Account behind one of an expense's buckets: money an expense paid personally takes is owed
+// to its payer, and money an expense against a cash advance takes comes out of the advance,
+// rather than the team's available balance
+const expenseAccount = (expense, bucket) => {
+    if (bucket !== 'available') return teamAccount(expense.team_id, bucket);
+    if (expense.paid_personally) return payableAccount(expense.paid_by || expense.user_id);
+    return expense.advance_id ? teamAccount(expense.team_id, 'advanced') : teamAccount(expense.team_id);
+};
+
+// Entry moving an expense's money between two of its team's buckets
+const expenseEntry = (expense, { from, to, amount, memo, createdBy }) => ({
+    entry_type: EXPENSE_MOVES[`${from}>${to}`],
+    debit_account: expenseAccount(expense, to),
+    credit_account: expenseAccount(expense, from),
+    amount,
+    reference_type: 'expense',
+    reference_id: expense.id,
+    memo: memo || expense.description,
+    created_by: createdBy || expense.user_id
+});
+
+// Entry applying a change in an expense's amount to the bucket its status holds it in:
+// a positive change takes money from the available balance, a negative one returns it.
+// Returns null when nothing needs posting (no change, or a rejected expense).
+const expenseAdjustment = (expense, change, options = {}) => {
+    const bucket = expenseBucket(expense);
+    if (!bucket || !change) return null;
+    return change > 0
+        ? expenseEntry(expense, { ...options, from: 'available', to: bucket, amount: change })
+        : expenseEntry(expense, { ...options, from: bucket, to: 'available', amount: -change });
+};
+
+// Entry moving an expense's amount when its review status changes: approval moves it to
+// spent, rejection returns it. Returns null when both statuses hold it in the same place.
+const expenseStatusChange = (expense, status, options = {}) => {
+    const from = expenseBucket(expense) || 'available';
+    const to = expenseBucket({ ...expense, status }) || 'available';
+    if (from === to) return null;
+    return expenseEntry(expense, { ...options, from, to, amount: parseFloat(expense.amount) });
+};
+
+// Entry paying a member back from the funding pool for the expenses a reimbursement settles
+const reimbursementEntry = (reimbursement) => ({
+    entry_type: 'reimbursement',
+    debit_account: payableAccount(reimbursement.user_id),
+    credit_account: FUNDING_ACCOUNT,
+    amount: parseFloat(reimbursement.amount),
+    reference_type: 'reimbursement',
+    reference_id: reimbursement.id,
+    memo: reimbursement.note || 'Reimbursement',
+    created_by: reimbursement.settled_by
+});
+
+// Entry for a direct budget adjustment: an allocation moves funds from the funding pool to the
+// team's available balance, a claw-back moves them back
+const budgetAdjustmentEntry = (adjustment) => {
+    const allocation = adjustment.kind === 'allocation';
+    return {
+        entry_type: adjustment.kind,
+        debit_account: allocation ? teamAccount(adjustment.team_id) : FUNDING_ACCOUNT,
+        credit_account: allocation ? FUNDING_ACCOUNT : teamAccount(adjustment.team_id),
+        amount: parseFloat(adjustment.amount),
+        reference_type: 'budget_adjustment',
+        reference_id: adjustment.id,
+        memo: adjustment.reason,
+        created_by: adjustment.created_by
+    };
+};
+
+// Entry moving a transfer's amount from the giving team's available balance to the receiving
+// team's
+const transferEntry = (transfer) => ({
+    entry_type: 'transfer',
+    debit_account: teamAccount(transfer.to_team_id),
+    credit_account: teamAccount(transfer.from_team_id),
+    amount: parseFloat(transfer.amount),
+    reference_type: 'team_transfer',
+    reference_id: transfer.id,
+    memo: transfer.reason,
+    created_by: transfer.created_by
+});
+
+// Entry returning a team's unspent balance to the funding pool when it is closed out
+const closeOutEntry = (team, amount, { memo, createdBy }) => ({
+    entry_type: 'close_out',
+    debit_account: FUNDING_ACCOUNT,
+    credit_account: teamAccount(team.id),
+    amount,
+    reference_type: 'team',
+    reference_id: team.id,
+    memo: memo || 'Unspent balance returned on close-out',
+    created_by: createdBy
+});
+
+// Entry advancing cash to a member from their team's available balance
+const advanceEntry = (advance, { amount, memo, createdBy }) => ({
+    entry_type: 'advance',
+    debit_account: teamAccount(advance.team_id, 'advanced'),
+    credit_account: teamAccount(advance.team_id),
+    amount,
+    reference_type: 'cash_advance',
+    reference_id: advance.id,
+    memo: memo || 'Cash advance',
+    created_by: createdBy
+});
+
+// Entry closing out an advance: balance is the cash advanced less what was spent against it,
+// returned to the available balance when positive and topped up from it when negative.
+// Returns null when the member spent exactly what they were advanced.
+const advanceSettlementEntry = (advance, balance, { memo, createdBy }) => {
+    if (Math.abs(balance) < 0.005) return null;
+    const returned = balance > 0;
+    return {
+        entry_type: returned ? 'advance_return' : 'advance_top_up',
+        debit_account: teamAccount(advance.team_id, returned ? 'available' : 'advanced'),
+        credit_account: teamAccount(advance.team_id, returned ? 'advanced' : 'available'),
+        amount: Math.round(Math.abs(balance) * 100) / 100,
+        reference_type: 'cash_advance',
+        reference_id: advance.id,
+        memo: memo || `Cash advance #${advance.id} ${returned ? 'returned' : 'topped up'}`,
+        created_by: createdBy
+    };
+};
+
+// 'team:5:spent' -> { teamId: 5, bucket: 'spent', column: 'used_amount' }; other accounts -> null
+const parseTeamAccount = (account) => {
+    const match = /^team:(\d+):([a-z_]+)$/.exec(account || '');
+    if (!match || !TEAM_BUCKETS[match[2]]) return null;
+    return { teamId: Number(match[1]), bucket: match[2], column: TEAM_BUCKETS[match[2]] };
+};
+
+// Signed effect of an entry on one account: debits increase team buckets, credits decrease them
+const signedAmount = (entry, account) => {
+    const amount = parseFloat(entry.amount);
+    if (entry.debit_account === account) return amount;
+    if (entry.credit_account === account) return -amount;
+    return 0;
+};
+
+// Entries (oldest first) that touch an account, each with the account's balance after it
+const withRunningBalance = (account, entries) => {
+    let balance = 0;
+    return entries
+        .filter(entry => entry.debit_account === account || entry.credit_account === account)
+        .map(entry => {
+            const change = signedAmount(entry, account);
+            balance += change;
+            return {
+                ...entry,
+                counter_account: entry.debit_account === account ? entry.credit_account : entry.debit_account,
+                change,
+                running_balance: Math.round(balance * 100) / 100
+            };
+        });
+};
+
+// Team column values implied by a set of entries (all entries touching the team's accounts)
+const teamBalancesFromEntries = (teamId, entries) => {
+    const balances = { initial_amount: 0 };
+    Object.values(TEAM_BUCKETS).forEach(column => { balances[column] = 0; });
+    entries.forEach(entry => {
+        [entry.debit_account, entry.credit_account].forEach(account => {
+            const parsed = parseTeamAccount(account);
+            if (!parsed || parsed.teamId !== Number(teamId)) return;
+            const change = signedAmount(entry, account);
+            balances[parsed.column] += change;
+            const counter = account === entry.debit_account ? entry.credit_account : entry.debit_account;
+            if (!isPayableAccount(counter)) balances.initial_amount += change;
+        });
+    });
+    Object.keys(balances).forEach(column => { balances[column] = Math.round(balances[column] * 100) / 100; });
+    return balances;
+};
+
+// Every entry touching any of a team's accounts, oldest first
+const listTeamEntries = async (repository, teamId) => {
+    const accounts = Object.keys(TEAM_BUCKETS).map(bucket => teamAccount(teamId, bucket));
+    const [debits, credits] = await Promise.all([
+        repository.list({ debit_account: accounts }),
+        repository.list({ credit_account: accounts })
+    ]);
+    const error = debits.error || credits.error;
+    if (error) return { data: null, error };
+    const byId = new Map(debits.data.concat(credits.data).map(entry => [entry.id, entry]));
+    const entries = [...byId.values()].sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id);
+    return { data: entries, error: null };
+};
+
+// Columns where the cached team row disagrees with the ledger
+const balanceMismatches = (team, ledgerBalances) => Object.keys(ledgerBalances)
+    .filter(column => Math.abs(parseFloat(team[column] || 0) - ledgerBalances[column]) >= 0.005)
+    .map(column => ({ column, team: parseFloat(team[column] || 0), ledger: ledgerBalances[column] }));
+
+module.exports = {
+    FUNDING_ACCOUNT,
+    TEAM_BUCKETS,
+    ENTRY_TYPES,
+    EXPENSE_STATUS_BUCKETS,
+    teamAccount,
+    payableAccount,
+    isPayableAccount,
+    expenseEntry,
+    expenseAdjustment,
+    expenseStatusChange,
+    reimbursementEntry,
+    advanceEntry,
+    advanceSettlementEntry,
+    budgetAdjustmentEntry,
+    transferEntry,
+    closeOutEntry,
+    parseTeamAccount,
+    listTeamEntries,
+    withRunningBalance,
+    teamBalancesFromEntries,
+    balanceMismatches
+};
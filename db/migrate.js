@@ -0,0 +1,30 @@
+// Applies db/migrations/<dialect>/*.sql in filename order and records each one in
+// schema_migrations so it only runs once. Supabase projects apply the postgres
+// files by hand in the SQL Editor instead.
+
+const fs = require('fs');
+const path = require('path');
+
+const migrationsDir = (dialect) => path.join(__dirname, 'migrations', dialect);
+
+const listMigrations = (dialect) => fs.readdirSync(migrationsDir(dialect))
+    .filter(file => file.endsWith('.sql'))
+    .sort();
+
+const runMigrations = async (sql, { log = console.log } = {}) => {
+    await sql.exec('CREATE TABLE IF NOT EXISTS schema_migrations (name TEXT PRIMARY KEY, applied_at TEXT NOT NULL)');
+    const applied = new Set((await sql.query('SELECT name FROM schema_migrations')).map(row => row.name));
+    const pending = listMigrations(sql.dialect).filter(name => !applied.has(name));
+
+    for (const name of pending) {
+        const script = fs.readFileSync(path.join(migrationsDir(sql.dialect), name), 'utf8');
+        await sql.transaction(async (tx) => {
+            await tx.exec(script);
+            await tx.query('INSERT INTO schema_migrations (name, applied_at) VALUES (?, ?)', [name, new Date().toISOString()]);
+        });
+        log(`🗄️  Applied migration ${name}`);
+    }
+    return pending;
+};
+
+module.exports = { runMigrations, listMigrations };
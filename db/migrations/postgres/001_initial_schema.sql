@@ -0,0 +1,58 @@
+-- FieldWorkBook base schema (PostgreSQL / Supabase)
+-- Local PostgreSQL: applied automatically on start or with `npm run migrate`.
+-- Supabase: run this in your Supabase SQL Editor. Every statement is idempotent,
+-- so it is safe on a project that already has these tables.
+
+CREATE TABLE IF NOT EXISTS teams (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    name TEXT NOT NULL,
+    location TEXT NOT NULL,
+    initial_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    used_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    remaining_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    description TEXT DEFAULT '',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS users (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE,
+    password TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'field_staff' CHECK (role IN ('admin', 'partner', 'field_staff')),
+    full_name TEXT,
+    email TEXT DEFAULT '',
+    team_id BIGINT REFERENCES teams(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Which partner/admin created the team and assigned its initial amount (see database-update.sql)
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS created_by BIGINT REFERENCES users(id);
+
+CREATE TABLE IF NOT EXISTS expenses (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    team_id BIGINT NOT NULL REFERENCES teams(id),
+    user_id BIGINT NOT NULL REFERENCES users(id),
+    description TEXT NOT NULL,
+    amount NUMERIC(14, 2) NOT NULL,
+    category TEXT DEFAULT 'general',
+    attachment_path TEXT,
+    attachment_name TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS amount_requests (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    team_id BIGINT NOT NULL REFERENCES teams(id),
+    user_id BIGINT NOT NULL REFERENCES users(id),
+    requested_amount NUMERIC(14, 2) NOT NULL,
+    reason TEXT,
+    status TEXT DEFAULT 'pending',
+    processed_by BIGINT REFERENCES users(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    processed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_team_id ON users(team_id);
+CREATE INDEX IF NOT EXISTS idx_expenses_team_id ON expenses(team_id);
+CREATE INDEX IF NOT EXISTS idx_expenses_user_id ON expenses(user_id);
+CREATE INDEX IF NOT EXISTS idx_amount_requests_team_id ON amount_requests(team_id);
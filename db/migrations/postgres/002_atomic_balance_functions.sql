@@ -0,0 +1,101 @@
+-- Atomic balance operations used by the Supabase backend (db/supabase-store.js).
+-- Each function locks the team row, validates, writes the expense/request row and
+-- updates the team totals in one transaction; any failure rolls the whole call back.
+-- Business errors are raised with the StoreError code as HINT (see db/errors.js).
+-- Supabase: run this in your Supabase SQL Editor after 001_initial_schema.sql.
+
+-- Insert a row built from a JSON object, using only the keys present so column
+-- defaults still apply. Returns the inserted row as JSON.
+CREATE OR REPLACE FUNCTION insert_from_jsonb(p_table REGCLASS, p_row JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_columns TEXT;
+    v_result JSONB;
+BEGIN
+    SELECT string_agg(quote_ident(key), ', ') INTO v_columns FROM jsonb_object_keys(p_row) AS key;
+    EXECUTE format(
+        'INSERT INTO %s (%s) SELECT %s FROM jsonb_populate_record(NULL::%s, $1) RETURNING to_jsonb(%s.*)',
+        p_table, v_columns, v_columns, p_table, p_table
+    ) INTO v_result USING p_row;
+    RETURN v_result;
+END;
+$$;
+
+-- Record an expense and deduct it from the team balance
+CREATE OR REPLACE FUNCTION record_expense(p_expense JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_amount NUMERIC := (p_expense->>'amount')::NUMERIC;
+    v_team teams%ROWTYPE;
+    v_expense JSONB;
+BEGIN
+    SELECT * INTO v_team FROM teams WHERE id = (p_expense->>'team_id')::BIGINT FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Team not found' USING HINT = 'NOT_FOUND';
+    END IF;
+    IF v_team.remaining_amount < v_amount THEN
+        RAISE EXCEPTION 'Insufficient team balance' USING HINT = 'INSUFFICIENT_FUNDS';
+    END IF;
+
+    v_expense := insert_from_jsonb('expenses', p_expense);
+
+    UPDATE teams
+    SET used_amount = used_amount + v_amount,
+        remaining_amount = remaining_amount - v_amount
+    WHERE id = v_team.id;
+
+    RETURN v_expense;
+END;
+$$;
+
+-- Approve a pending amount request and add it to the team budget
+CREATE OR REPLACE FUNCTION approve_amount_request(p_request_id BIGINT, p_processed_by BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_request amount_requests%ROWTYPE;
+BEGIN
+    SELECT * INTO v_request FROM amount_requests WHERE id = p_request_id FOR UPDATE;
+    IF NOT FOUND OR (v_request.status IS NOT NULL AND v_request.status <> 'pending') THEN
+        RAISE EXCEPTION 'Invalid request or request already processed' USING HINT = 'INVALID_STATE';
+    END IF;
+
+    PERFORM 1 FROM teams WHERE id = v_request.team_id FOR UPDATE;
+
+    UPDATE amount_requests
+    SET status = 'approved', processed_at = now(), processed_by = p_processed_by
+    WHERE id = p_request_id
+    RETURNING * INTO v_request;
+
+    UPDATE teams
+    SET initial_amount = initial_amount + v_request.requested_amount,
+        remaining_amount = remaining_amount + v_request.requested_amount
+    WHERE id = v_request.team_id;
+
+    RETURN to_jsonb(v_request);
+END;
+$$;
+
+-- Reject a pending amount request (no balance change, but must not race an approval)
+CREATE OR REPLACE FUNCTION reject_amount_request(p_request_id BIGINT, p_processed_by BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_request amount_requests%ROWTYPE;
+BEGIN
+    UPDATE amount_requests
+    SET status = 'rejected', processed_at = now(), processed_by = p_processed_by
+    WHERE id = p_request_id AND (status IS NULL OR status = 'pending')
+    RETURNING * INTO v_request;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invalid request or request already processed' USING HINT = 'INVALID_STATE';
+    END IF;
+    RETURN to_jsonb(v_request);
+END;
+$$;
@@ -0,0 +1,240 @@
+-- Double-entry ledger behind team balances (see db/ledger.js for the account scheme).
+-- Creates the append-only ledger_entries table, backfills it from existing teams,
+-- approved requests and expenses, and routes the balance functions from
+-- 002_atomic_balance_functions.sql through post_ledger_entry().
+-- Supabase: run this in your Supabase SQL Editor after 002_atomic_balance_functions.sql.
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    entry_type TEXT NOT NULL,
+    debit_account TEXT NOT NULL,
+    credit_account TEXT NOT NULL,
+    amount NUMERIC(14, 2) NOT NULL CHECK (amount > 0),
+    reference_type TEXT,
+    reference_id BIGINT,
+    memo TEXT,
+    created_by BIGINT REFERENCES users(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    CHECK (debit_account <> credit_account)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_debit_account ON ledger_entries(debit_account);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_credit_account ON ledger_entries(credit_account);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_reference ON ledger_entries(reference_type, reference_id);
+
+CREATE OR REPLACE FUNCTION ledger_entries_append_only()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RAISE EXCEPTION 'ledger_entries is append-only; post a reversal instead';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS ledger_entries_append_only ON ledger_entries;
+CREATE TRIGGER ledger_entries_append_only
+    BEFORE UPDATE OR DELETE ON ledger_entries
+    FOR EACH ROW EXECUTE FUNCTION ledger_entries_append_only();
+
+-- Backfill history for data created before the ledger existed
+INSERT INTO ledger_entries (entry_type, debit_account, credit_account, amount, reference_type, reference_id, memo, created_by, created_at)
+SELECT 'opening', 'team:' || t.id || ':available', 'funding', t.initial_amount - COALESCE(r.approved, 0),
+       'team', t.id, 'Opening balance (backfilled)', t.created_by, t.created_at
+FROM teams t
+LEFT JOIN (
+    SELECT team_id, SUM(requested_amount) AS approved FROM amount_requests WHERE status = 'approved' GROUP BY team_id
+) r ON r.team_id = t.id
+WHERE t.initial_amount - COALESCE(r.approved, 0) > 0
+  AND NOT EXISTS (SELECT 1 FROM ledger_entries);
+
+INSERT INTO ledger_entries (entry_type, debit_account, credit_account, amount, reference_type, reference_id, memo, created_by, created_at)
+SELECT 'top_up', 'team:' || team_id || ':available', 'funding', requested_amount,
+       'amount_request', id, 'Approved amount request (backfilled)', processed_by, COALESCE(processed_at, created_at)
+FROM amount_requests
+WHERE status = 'approved' AND requested_amount > 0
+  AND NOT EXISTS (SELECT 1 FROM ledger_entries WHERE entry_type <> 'opening');
+
+INSERT INTO ledger_entries (entry_type, debit_account, credit_account, amount, reference_type, reference_id, memo, created_by, created_at)
+SELECT 'expense', 'team:' || team_id || ':spent', 'team:' || team_id || ':available', amount,
+       'expense', id, 'Expense (backfilled)', user_id, created_at
+FROM expenses
+WHERE amount > 0
+  AND NOT EXISTS (SELECT 1 FROM ledger_entries WHERE entry_type = 'expense');
+
+-- Team id and cached teams column for a team account ('team:5:spent' -> 5, used_amount)
+CREATE OR REPLACE FUNCTION ledger_team_id(p_account TEXT)
+RETURNS BIGINT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE WHEN p_account ~ '^team:[0-9]+:[a-z_]+$' THEN split_part(p_account, ':', 2)::BIGINT END;
+$$;
+
+CREATE OR REPLACE FUNCTION ledger_team_column(p_account TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE split_part(p_account, ':', 3)
+        WHEN 'available' THEN 'remaining_amount'
+        WHEN 'spent' THEN 'used_amount'
+    END
+    WHERE p_account ~ '^team:[0-9]+:[a-z_]+$';
+$$;
+
+-- Post one entry and move the cached team columns it touches. Locks the teams involved
+-- (in id order) and refuses to take a team's available balance below zero.
+CREATE OR REPLACE FUNCTION post_ledger_entry(p_entry JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_amount NUMERIC := (p_entry->>'amount')::NUMERIC;
+    v_debit TEXT := p_entry->>'debit_account';
+    v_credit TEXT := p_entry->>'credit_account';
+    v_team_ids BIGINT[];
+    v_locked INT;
+    v_remaining NUMERIC;
+    v_entry JSONB;
+BEGIN
+    IF v_amount IS NULL OR v_amount <= 0 THEN
+        RAISE EXCEPTION 'Amount must be greater than zero' USING HINT = 'INVALID_AMOUNT';
+    END IF;
+
+    v_team_ids := ARRAY(SELECT DISTINCT id FROM unnest(ARRAY[ledger_team_id(v_debit), ledger_team_id(v_credit)]) AS id WHERE id IS NOT NULL);
+    SELECT count(*) INTO v_locked FROM (SELECT id FROM teams WHERE id = ANY(v_team_ids) ORDER BY id FOR UPDATE) locked;
+    IF v_locked <> cardinality(v_team_ids) THEN
+        RAISE EXCEPTION 'Team not found' USING HINT = 'NOT_FOUND';
+    END IF;
+
+    IF ledger_team_column(v_credit) = 'remaining_amount' THEN
+        SELECT remaining_amount INTO v_remaining FROM teams WHERE id = ledger_team_id(v_credit);
+        IF v_remaining < v_amount THEN
+            RAISE EXCEPTION 'Insufficient team balance' USING HINT = 'INSUFFICIENT_FUNDS';
+        END IF;
+    END IF;
+
+    v_entry := insert_from_jsonb('ledger_entries', p_entry);
+
+    IF ledger_team_column(v_debit) IS NOT NULL THEN
+        EXECUTE format('UPDATE teams SET %1$I = %1$I + $1, initial_amount = initial_amount + $1 WHERE id = $2', ledger_team_column(v_debit))
+        USING v_amount, ledger_team_id(v_debit);
+    END IF;
+    IF ledger_team_column(v_credit) IS NOT NULL THEN
+        EXECUTE format('UPDATE teams SET %1$I = %1$I - $1, initial_amount = initial_amount - $1 WHERE id = $2', ledger_team_column(v_credit))
+        USING v_amount, ledger_team_id(v_credit);
+    END IF;
+
+    RETURN v_entry;
+END;
+$$;
+
+-- Create a team and post its opening balance from the funding pool
+CREATE OR REPLACE FUNCTION create_team(p_team JSONB, p_created_by BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_amount NUMERIC := COALESCE((p_team->>'initial_amount')::NUMERIC, 0);
+    v_team JSONB;
+BEGIN
+    IF v_amount < 0 THEN
+        RAISE EXCEPTION 'Amount must be greater than zero' USING HINT = 'INVALID_AMOUNT';
+    END IF;
+
+    v_team := insert_from_jsonb('teams', p_team || '{"initial_amount": 0, "used_amount": 0, "remaining_amount": 0}'::JSONB);
+    IF v_amount > 0 THEN
+        PERFORM post_ledger_entry(jsonb_build_object(
+            'entry_type', 'opening',
+            'debit_account', 'team:' || (v_team->>'id') || ':available',
+            'credit_account', 'funding',
+            'amount', v_amount,
+            'reference_type', 'team',
+            'reference_id', (v_team->>'id')::BIGINT,
+            'memo', 'Opening balance',
+            'created_by', p_created_by
+        ));
+    END IF;
+
+    SELECT to_jsonb(t.*) INTO v_team FROM teams t WHERE id = (v_team->>'id')::BIGINT;
+    RETURN v_team;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION record_expense(p_expense JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_team_id BIGINT := (p_expense->>'team_id')::BIGINT;
+    v_expense JSONB;
+BEGIN
+    -- Report a missing team as NOT_FOUND rather than a foreign key violation
+    PERFORM 1 FROM teams WHERE id = v_team_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Team not found' USING HINT = 'NOT_FOUND';
+    END IF;
+
+    v_expense := insert_from_jsonb('expenses', p_expense);
+    PERFORM post_ledger_entry(jsonb_build_object(
+        'entry_type', 'expense',
+        'debit_account', 'team:' || v_team_id || ':spent',
+        'credit_account', 'team:' || v_team_id || ':available',
+        'amount', (v_expense->>'amount')::NUMERIC,
+        'reference_type', 'expense',
+        'reference_id', (v_expense->>'id')::BIGINT,
+        'memo', v_expense->>'description',
+        'created_by', (v_expense->>'user_id')::BIGINT
+    ));
+
+    RETURN v_expense;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION approve_amount_request(p_request_id BIGINT, p_processed_by BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_request amount_requests%ROWTYPE;
+BEGIN
+    SELECT * INTO v_request FROM amount_requests WHERE id = p_request_id FOR UPDATE;
+    IF NOT FOUND OR (v_request.status IS NOT NULL AND v_request.status <> 'pending') THEN
+        RAISE EXCEPTION 'Invalid request or request already processed' USING HINT = 'INVALID_STATE';
+    END IF;
+
+    UPDATE amount_requests
+    SET status = 'approved', processed_at = now(), processed_by = p_processed_by
+    WHERE id = p_request_id
+    RETURNING * INTO v_request;
+
+    PERFORM post_ledger_entry(jsonb_build_object(
+        'entry_type', 'top_up',
+        'debit_account', 'team:' || v_request.team_id || ':available',
+        'credit_account', 'funding',
+        'amount', v_request.requested_amount,
+        'reference_type', 'amount_request',
+        'reference_id', v_request.id,
+        'memo', v_request.reason,
+        'created_by', p_processed_by
+    ));
+
+    RETURN to_jsonb(v_request);
+END;
+$$;
+
+-- Post an arbitrary entry (reversals, transfers) from the application
+CREATE OR REPLACE FUNCTION post_ledger_entries(p_entries JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_entry JSONB;
+    v_result JSONB := '[]'::JSONB;
+BEGIN
+    FOR v_entry IN SELECT * FROM jsonb_array_elements(p_entries) LOOP
+        v_result := v_result || jsonb_build_array(post_ledger_entry(v_entry));
+    END LOOP;
+    RETURN v_result;
+END;
+$$;
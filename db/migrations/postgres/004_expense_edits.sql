@@ -0,0 +1,105 @@
+-- Editing and deleting expenses. The change in amount (or the whole amount on delete)
+-- is posted to the ledger so the team balance follows.
+-- Supabase: run this in your Supabase SQL Editor after 003_ledger.sql.
+
+-- Ledger rows outlive the users that posted them (deleting a team member must not be
+-- blocked by their history, and the append-only trigger rules out ON DELETE SET NULL),
+-- so created_by is kept as a plain id.
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_created_by_fkey;
+
+-- Update one row by id from a JSON patch, touching only the keys present.
+-- Returns the updated row as JSON (NULL when no row matched).
+CREATE OR REPLACE FUNCTION update_from_jsonb(p_table REGCLASS, p_id BIGINT, p_patch JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_assignments TEXT;
+    v_result JSONB;
+BEGIN
+    SELECT string_agg(format('%1$I = patch.%1$I', key), ', ') INTO v_assignments FROM jsonb_object_keys(p_patch) AS key;
+    IF v_assignments IS NULL THEN
+        EXECUTE format('SELECT to_jsonb(t.*) FROM %s t WHERE id = $1', p_table) INTO v_result USING p_id;
+        RETURN v_result;
+    END IF;
+    EXECUTE format(
+        'UPDATE %s SET %s FROM jsonb_populate_record(NULL::%s, $1) AS patch WHERE %s.id = $2 RETURNING to_jsonb(%s.*)',
+        p_table, v_assignments, p_table, p_table, p_table
+    ) INTO v_result USING p_patch, p_id;
+    RETURN v_result;
+END;
+$$;
+
+-- Ledger entry moving p_change between a team's available and spent balances
+-- (positive records spending, negative reverses it); see expenseEntry() in db/ledger.js
+CREATE OR REPLACE FUNCTION post_expense_change(p_expense JSONB, p_change NUMERIC, p_memo TEXT, p_actor BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_team TEXT := 'team:' || (p_expense->>'team_id');
+BEGIN
+    RETURN post_ledger_entry(jsonb_build_object(
+        'entry_type', CASE WHEN p_change > 0 THEN 'expense' ELSE 'reversal' END,
+        'debit_account', v_team || CASE WHEN p_change > 0 THEN ':spent' ELSE ':available' END,
+        'credit_account', v_team || CASE WHEN p_change > 0 THEN ':available' ELSE ':spent' END,
+        'amount', abs(p_change),
+        'reference_type', 'expense',
+        'reference_id', (p_expense->>'id')::BIGINT,
+        'memo', COALESCE(p_memo, p_expense->>'description'),
+        'created_by', COALESCE(p_actor, (p_expense->>'user_id')::BIGINT)
+    ));
+END;
+$$;
+
+-- Edit an expense and post the difference in amount
+CREATE OR REPLACE FUNCTION update_expense(p_expense_id BIGINT, p_patch JSONB, p_actor BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_before expenses%ROWTYPE;
+    v_after JSONB;
+    v_change NUMERIC;
+BEGIN
+    SELECT * INTO v_before FROM expenses WHERE id = p_expense_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Expense not found' USING HINT = 'NOT_FOUND';
+    END IF;
+
+    v_after := update_from_jsonb('expenses', p_expense_id, p_patch);
+    v_change := (v_after->>'amount')::NUMERIC - v_before.amount;
+    IF v_change <> 0 THEN
+        PERFORM post_expense_change(
+            v_after, v_change,
+            format('Expense #%s amended from %s to %s', v_before.id, v_before.amount, v_after->>'amount'),
+            p_actor
+        );
+    END IF;
+
+    RETURN v_after;
+END;
+$$;
+
+-- Delete an expense and reverse it
+CREATE OR REPLACE FUNCTION delete_expense(p_expense_id BIGINT, p_actor BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_expense expenses%ROWTYPE;
+BEGIN
+    DELETE FROM expenses WHERE id = p_expense_id RETURNING * INTO v_expense;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Expense not found' USING HINT = 'NOT_FOUND';
+    END IF;
+
+    PERFORM post_expense_change(
+        to_jsonb(v_expense), -v_expense.amount,
+        format('Expense #%s deleted: %s', v_expense.id, v_expense.description),
+        p_actor
+    );
+
+    RETURN to_jsonb(v_expense);
+END;
+$$;
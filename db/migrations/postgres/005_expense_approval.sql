@@ -0,0 +1,163 @@
+-- Expense approval workflow: submitted -> approved / rejected / needs_info.
+-- A submitted expense holds its amount in the team's reserved bucket; approval moves it
+-- to spent and rejection releases it back to available (see db/ledger.js).
+-- Supabase: run this in your Supabase SQL Editor after 004_expense_edits.sql.
+
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS reserved_amount NUMERIC(14, 2) NOT NULL DEFAULT 0;
+
+-- Expenses recorded before the workflow existed were deducted immediately, so they are approved
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'expenses' AND column_name = 'status') THEN
+        ALTER TABLE expenses ADD COLUMN status TEXT NOT NULL DEFAULT 'submitted'
+            CHECK (status IN ('submitted', 'approved', 'rejected', 'needs_info'));
+        UPDATE expenses SET status = 'approved';
+    END IF;
+END;
+$$;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS processed_by BIGINT REFERENCES users(id);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS processed_at TIMESTAMPTZ;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS review_note TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_status ON expenses(status);
+
+CREATE OR REPLACE FUNCTION ledger_team_column(p_account TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE split_part(p_account, ':', 3)
+        WHEN 'available' THEN 'remaining_amount'
+        WHEN 'reserved' THEN 'reserved_amount'
+        WHEN 'spent' THEN 'used_amount'
+    END
+    WHERE p_account ~ '^team:[0-9]+:[a-z_]+$';
+$$;
+
+-- Entry moving expense money between two team buckets (see expenseEntry() in db/ledger.js)
+CREATE OR REPLACE FUNCTION post_expense_move(p_expense JSONB, p_from TEXT, p_to TEXT, p_amount NUMERIC, p_memo TEXT, p_actor BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_team TEXT := 'team:' || (p_expense->>'team_id') || ':';
+BEGIN
+    RETURN post_ledger_entry(jsonb_build_object(
+        'entry_type', CASE p_from || '>' || p_to
+            WHEN 'available>reserved' THEN 'reservation'
+            WHEN 'reserved>available' THEN 'release'
+            WHEN 'spent>available' THEN 'reversal'
+            ELSE 'expense'
+        END,
+        'debit_account', v_team || p_to,
+        'credit_account', v_team || p_from,
+        'amount', p_amount,
+        'reference_type', 'expense',
+        'reference_id', (p_expense->>'id')::BIGINT,
+        'memo', COALESCE(p_memo, p_expense->>'description'),
+        'created_by', COALESCE(p_actor, (p_expense->>'user_id')::BIGINT)
+    ));
+END;
+$$;
+
+-- Apply a change in an expense's amount to the bucket its status holds it in
+-- (see expenseAdjustment() in db/ledger.js). Rejected expenses hold nothing.
+CREATE OR REPLACE FUNCTION post_expense_change(p_expense JSONB, p_change NUMERIC, p_memo TEXT, p_actor BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_bucket TEXT := CASE p_expense->>'status'
+        WHEN 'submitted' THEN 'reserved'
+        WHEN 'needs_info' THEN 'reserved'
+        WHEN 'approved' THEN 'spent'
+    END;
+BEGIN
+    IF v_bucket IS NULL OR p_change = 0 THEN
+        RETURN NULL;
+    END IF;
+    IF p_change > 0 THEN
+        RETURN post_expense_move(p_expense, 'available', v_bucket, p_change, p_memo, p_actor);
+    END IF;
+    RETURN post_expense_move(p_expense, v_bucket, 'available', -p_change, p_memo, p_actor);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION record_expense(p_expense JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_team_id BIGINT := (p_expense->>'team_id')::BIGINT;
+    v_expense JSONB;
+BEGIN
+    -- Report a missing team as NOT_FOUND rather than a foreign key violation
+    PERFORM 1 FROM teams WHERE id = v_team_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Team not found' USING HINT = 'NOT_FOUND';
+    END IF;
+
+    v_expense := insert_from_jsonb('expenses', p_expense);
+    PERFORM post_expense_change(v_expense, (v_expense->>'amount')::NUMERIC, NULL, NULL);
+
+    RETURN v_expense;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION update_expense(p_expense_id BIGINT, p_patch JSONB, p_actor BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_before expenses%ROWTYPE;
+    v_after JSONB;
+BEGIN
+    SELECT * INTO v_before FROM expenses WHERE id = p_expense_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Expense not found' USING HINT = 'NOT_FOUND';
+    END IF;
+    IF v_before.status = 'rejected' THEN
+        RAISE EXCEPTION 'Rejected expenses cannot be edited' USING HINT = 'INVALID_STATE';
+    END IF;
+
+    v_after := update_from_jsonb('expenses', p_expense_id, p_patch);
+    PERFORM post_expense_change(
+        v_after, (v_after->>'amount')::NUMERIC - v_before.amount,
+        format('Expense #%s amended from %s to %s', v_before.id, v_before.amount, v_after->>'amount'),
+        p_actor
+    );
+
+    RETURN v_after;
+END;
+$$;
+
+-- Review a submitted expense: approval moves the reservation to spent, rejection
+-- releases it, needs_info keeps it reserved
+CREATE OR REPLACE FUNCTION review_expense(p_expense_id BIGINT, p_status TEXT, p_processed_by BIGINT, p_note TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_expense expenses%ROWTYPE;
+BEGIN
+    SELECT * INTO v_expense FROM expenses WHERE id = p_expense_id FOR UPDATE;
+    IF NOT FOUND OR v_expense.status NOT IN ('submitted', 'needs_info') THEN
+        RAISE EXCEPTION 'Invalid expense or expense already processed' USING HINT = 'INVALID_STATE';
+    END IF;
+
+    UPDATE expenses
+    SET status = p_status, processed_by = p_processed_by, processed_at = now(), review_note = p_note
+    WHERE id = p_expense_id;
+
+    IF p_status IN ('approved', 'rejected') THEN
+        PERFORM post_expense_move(
+            to_jsonb(v_expense), 'reserved', CASE p_status WHEN 'approved' THEN 'spent' ELSE 'available' END,
+            v_expense.amount, format('Expense #%s %s: %s', v_expense.id, p_status, v_expense.description),
+            p_processed_by
+        );
+    END IF;
+
+    SELECT * INTO v_expense FROM expenses WHERE id = p_expense_id;
+    RETURN to_jsonb(v_expense);
+END;
+$$;
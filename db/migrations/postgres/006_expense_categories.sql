@@ -0,0 +1,24 @@
+-- Configurable expense categories. expenses.category keeps storing the category slug.
+-- Supabase: run this in your Supabase SQL Editor after 005_expense_approval.sql.
+
+CREATE TABLE IF NOT EXISTS expense_categories (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    slug TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    icon TEXT NOT NULL DEFAULT 'fa-tag',
+    color TEXT NOT NULL DEFAULT '#6c757d',
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_by BIGINT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- The categories that used to be hardcoded in public/index.html
+INSERT INTO expense_categories (slug, name, icon, color, sort_order) VALUES
+    ('general', 'General', 'fa-receipt', '#6c757d', 10),
+    ('food', 'Food & Dining', 'fa-utensils', '#fd7e14', 20),
+    ('transport', 'Transportation', 'fa-car', '#0d6efd', 30),
+    ('accommodation', 'Accommodation', 'fa-bed', '#6f42c1', 40),
+    ('supplies', 'Supplies', 'fa-box', '#20c997', 50),
+    ('other', 'Other', 'fa-ellipsis-h', '#adb5bd', 90)
+ON CONFLICT (slug) DO NOTHING;
@@ -0,0 +1,102 @@
+-- Per-category budget allocations within a team. An expense may not take its category's
+-- held amount (submitted, needs_info and approved expenses) past the team's allocation;
+-- categories without an allocation are limited only by the team balance.
+-- Supabase: run this in your Supabase SQL Editor after 006_expense_categories.sql.
+
+CREATE TABLE IF NOT EXISTS team_category_budgets (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    team_id BIGINT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    category TEXT NOT NULL,
+    amount NUMERIC(14, 2) NOT NULL CHECK (amount >= 0),
+    created_by BIGINT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ,
+    UNIQUE (team_id, category)
+);
+
+-- Refuse an expense that takes its category past the team's allocation. The expense must
+-- already be written and the team row locked by the caller (see checkCategoryAllowance()
+-- in db/sql-store.js).
+CREATE OR REPLACE FUNCTION check_category_allowance(p_expense JSONB)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_budget team_category_budgets%ROWTYPE;
+    v_total NUMERIC;
+    v_name TEXT;
+BEGIN
+    SELECT * INTO v_budget FROM team_category_budgets
+    WHERE team_id = (p_expense->>'team_id')::BIGINT AND category = p_expense->>'category';
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_total FROM expenses
+    WHERE team_id = v_budget.team_id AND category = v_budget.category
+      AND status IN ('submitted', 'needs_info', 'approved');
+    IF v_total > v_budget.amount THEN
+        SELECT name INTO v_name FROM expense_categories WHERE slug = v_budget.category;
+        RAISE EXCEPTION 'Exceeds the remaining % budget for this team (% left)',
+            COALESCE(v_name, v_budget.category),
+            to_char(GREATEST(v_budget.amount - v_total + (p_expense->>'amount')::NUMERIC, 0), 'FM999999999990.00')
+            USING HINT = 'CATEGORY_LIMIT';
+    END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION record_expense(p_expense JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_team_id BIGINT := (p_expense->>'team_id')::BIGINT;
+    v_expense JSONB;
+BEGIN
+    -- Report a missing team as NOT_FOUND rather than a foreign key violation
+    PERFORM 1 FROM teams WHERE id = v_team_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Team not found' USING HINT = 'NOT_FOUND';
+    END IF;
+
+    v_expense := insert_from_jsonb('expenses', p_expense);
+    PERFORM check_category_allowance(v_expense);
+    PERFORM post_expense_change(v_expense, (v_expense->>'amount')::NUMERIC, NULL, NULL);
+
+    RETURN v_expense;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION update_expense(p_expense_id BIGINT, p_patch JSONB, p_actor BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_before expenses%ROWTYPE;
+    v_after JSONB;
+BEGIN
+    SELECT * INTO v_before FROM expenses WHERE id = p_expense_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Expense not found' USING HINT = 'NOT_FOUND';
+    END IF;
+    IF v_before.status = 'rejected' THEN
+        RAISE EXCEPTION 'Rejected expenses cannot be edited' USING HINT = 'INVALID_STATE';
+    END IF;
+    -- Serialises category allowance checks with other expenses of the team
+    PERFORM 1 FROM teams WHERE id = v_before.team_id FOR UPDATE;
+
+    v_after := update_from_jsonb('expenses', p_expense_id, p_patch);
+    -- Only growing an expense (or moving it to another category) can break an allowance,
+    -- so edits to an expense already over a since-lowered allocation still go through
+    IF v_after->>'category' IS DISTINCT FROM v_before.category OR (v_after->>'amount')::NUMERIC > v_before.amount THEN
+        PERFORM check_category_allowance(v_after);
+    END IF;
+    PERFORM post_expense_change(
+        v_after, (v_after->>'amount')::NUMERIC - v_before.amount,
+        format('Expense #%s amended from %s to %s', v_before.id, v_before.amount, v_after->>'amount'),
+        p_actor
+    );
+
+    RETURN v_after;
+END;
+$$;
@@ -0,0 +1,19 @@
+-- Expense policy rules (see db/policy.js) and the policy outcome stored on each expense.
+-- Supabase: run this in your Supabase SQL Editor after 007_category_budgets.sql.
+
+CREATE TABLE IF NOT EXISTS expense_policy_rules (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    name TEXT NOT NULL,
+    rule_type TEXT NOT NULL CHECK (rule_type IN ('receipt_required', 'max_amount', 'max_per_night', 'partner_approval')),
+    category TEXT,
+    threshold NUMERIC(14, 2) NOT NULL CHECK (threshold >= 0),
+    action TEXT NOT NULL DEFAULT 'flag' CHECK (action IN ('block', 'flag')),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by BIGINT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS nights INTEGER CHECK (nights > 0);
+-- JSON list of { rule_id, message } for the flag rules the expense violated
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS policy_flags TEXT;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS requires_partner_approval BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,60 @@
+-- Several attachments per expense. Moves the single attachment_path/attachment_name
+-- stored on each expense into expense_attachments and drops those columns.
+-- Supabase: run this in your Supabase SQL Editor after 008_expense_policies.sql.
+
+CREATE TABLE IF NOT EXISTS expense_attachments (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    expense_id BIGINT NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+    file_path TEXT NOT NULL UNIQUE,
+    file_name TEXT,
+    mime_type TEXT,
+    size_bytes BIGINT,
+    uploaded_by BIGINT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_expense_attachments_expense_id ON expense_attachments(expense_id);
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'expenses' AND column_name = 'attachment_path') THEN
+        INSERT INTO expense_attachments (expense_id, file_path, file_name, uploaded_by, created_at)
+        SELECT id, attachment_path, attachment_name, user_id, created_at
+        FROM expenses
+        WHERE attachment_path IS NOT NULL
+        ON CONFLICT (file_path) DO NOTHING;
+
+        ALTER TABLE expenses DROP COLUMN attachment_path;
+        ALTER TABLE expenses DROP COLUMN attachment_name;
+    END IF;
+END;
+$$;
+
+-- record_expense() now also takes the expense's attachments, stored in the same transaction
+DROP FUNCTION IF EXISTS record_expense(JSONB);
+
+CREATE OR REPLACE FUNCTION record_expense(p_expense JSONB, p_attachments JSONB DEFAULT '[]'::JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_team_id BIGINT := (p_expense->>'team_id')::BIGINT;
+    v_expense JSONB;
+    v_attachment JSONB;
+BEGIN
+    -- Report a missing team as NOT_FOUND rather than a foreign key violation
+    PERFORM 1 FROM teams WHERE id = v_team_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Team not found' USING HINT = 'NOT_FOUND';
+    END IF;
+
+    v_expense := insert_from_jsonb('expenses', p_expense);
+    FOR v_attachment IN SELECT * FROM jsonb_array_elements(COALESCE(p_attachments, '[]'::JSONB)) LOOP
+        PERFORM insert_from_jsonb('expense_attachments', v_attachment || jsonb_build_object('expense_id', v_expense->'id'));
+    END LOOP;
+    PERFORM check_category_allowance(v_expense);
+    PERFORM post_expense_change(v_expense, (v_expense->>'amount')::NUMERIC, NULL, NULL);
+
+    RETURN v_expense;
+END;
+$$;
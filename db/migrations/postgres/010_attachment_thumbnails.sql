@@ -0,0 +1,5 @@
+-- Thumbnails generated for image attachments: the thumbnail's key in the attachment
+-- storage, null for PDFs, GIFs and files uploaded before thumbnails existed.
+-- Supabase: run this in your Supabase SQL Editor after 009_expense_attachments.sql.
+
+ALTER TABLE expense_attachments ADD COLUMN IF NOT EXISTS thumbnail_path TEXT;
@@ -0,0 +1,24 @@
+-- Duplicate receipt detection. Each attachment records a hash of the uploaded bytes and,
+-- for images, a perceptual hash; an upload matching a receipt already attached to another
+-- expense is recorded in receipt_duplicates for admins to review or dismiss.
+-- Supabase: run this in your Supabase SQL Editor after 010_attachment_thumbnails.sql.
+
+ALTER TABLE expense_attachments ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE expense_attachments ADD COLUMN IF NOT EXISTS perceptual_hash TEXT;
+CREATE INDEX IF NOT EXISTS idx_expense_attachments_content_hash ON expense_attachments(content_hash);
+
+CREATE TABLE IF NOT EXISTS receipt_duplicates (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    attachment_id BIGINT NOT NULL REFERENCES expense_attachments(id) ON DELETE CASCADE,
+    expense_id BIGINT NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+    original_attachment_id BIGINT NOT NULL REFERENCES expense_attachments(id) ON DELETE CASCADE,
+    original_expense_id BIGINT NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+    match_type TEXT NOT NULL CHECK (match_type IN ('exact', 'similar')),
+    distance INTEGER NOT NULL DEFAULT 0,
+    dismissed_by BIGINT,
+    dismissed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (attachment_id, original_attachment_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_receipt_duplicates_expense_id ON receipt_duplicates(expense_id);
@@ -0,0 +1,10 @@
+-- Offline submissions. Expenses and amount requests drafted offline are queued in the
+-- browser and sent when the connection returns; client_ref is the id the browser gave the
+-- draft, so a sync that is retried after a lost response finds the row it already created.
+-- Supabase: run this in your Supabase SQL Editor after 011_receipt_duplicates.sql.
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS client_ref TEXT;
+ALTER TABLE amount_requests ADD COLUMN IF NOT EXISTS client_ref TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_client_ref ON expenses(user_id, client_ref);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_amount_requests_client_ref ON amount_requests(user_id, client_ref);
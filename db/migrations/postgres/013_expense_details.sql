@@ -0,0 +1,13 @@
+-- When and where an expense was made: the date on the receipt (which can be days before it is
+-- entered), the merchant, and GPS coordinates captured by the browser. Existing expenses take
+-- the day they were entered as their date.
+-- Supabase: run this in your Supabase SQL Editor after 012_offline_submissions.sql.
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS expense_date DATE;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS merchant TEXT;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS latitude NUMERIC(9, 6);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS longitude NUMERIC(9, 6);
+
+UPDATE expenses SET expense_date = created_at::DATE WHERE expense_date IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_expense_date ON expenses(expense_date);
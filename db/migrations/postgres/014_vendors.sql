@@ -0,0 +1,34 @@
+-- Vendor registry. Expenses point at the vendor they were paid to so spend can be totalled
+-- per hotel, transport provider, etc. across teams. normalized_name (lower-cased, single
+-- spaced) keeps "Hotel Sunrise" and "hotel  sunrise" as one vendor. Existing merchants are
+-- registered as vendors and linked.
+-- Supabase: run this in your Supabase SQL Editor after 013_expense_details.sql.
+
+CREATE TABLE IF NOT EXISTS vendors (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    name TEXT NOT NULL,
+    normalized_name TEXT NOT NULL UNIQUE,
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by BIGINT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS vendor_id BIGINT REFERENCES vendors(id) ON DELETE SET NULL;
+
+INSERT INTO vendors (name, normalized_name)
+SELECT DISTINCT ON (lower(regexp_replace(trim(merchant), '\s+', ' ', 'g')))
+    regexp_replace(trim(merchant), '\s+', ' ', 'g'),
+    lower(regexp_replace(trim(merchant), '\s+', ' ', 'g'))
+FROM expenses
+WHERE merchant IS NOT NULL AND trim(merchant) <> ''
+ORDER BY lower(regexp_replace(trim(merchant), '\s+', ' ', 'g')), created_at
+ON CONFLICT (normalized_name) DO NOTHING;
+
+UPDATE expenses e SET vendor_id = v.id
+FROM vendors v
+WHERE e.vendor_id IS NULL
+  AND e.merchant IS NOT NULL
+  AND v.normalized_name = lower(regexp_replace(trim(e.merchant), '\s+', ' ', 'g'));
+
+CREATE INDEX IF NOT EXISTS idx_expenses_vendor_id ON expenses(vendor_id);
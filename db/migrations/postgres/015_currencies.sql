@@ -0,0 +1,22 @@
+-- Multi-currency (see db/currency.js). Teams keep their balances in teams.currency (the
+-- BASE_CURRENCY setting when null, which covers every existing team). Expenses record the
+-- currency and amount actually paid plus the rate used to convert it into expenses.amount,
+-- which stays in the team's currency. Existing expenses were entered in their team's currency.
+-- Supabase: run this in your Supabase SQL Editor after 014_vendors.sql.
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    currency TEXT NOT NULL,
+    -- Units of the base currency one unit of currency is worth from effective_date on
+    rate NUMERIC(18, 8) NOT NULL CHECK (rate > 0),
+    effective_date DATE NOT NULL,
+    created_by BIGINT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (currency, effective_date)
+);
+
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS currency TEXT;
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS original_currency TEXT;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS original_amount NUMERIC(14, 2);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18, 8);
@@ -0,0 +1,26 @@
+-- Mileage and per-diem expenses (see db/allowances.js). allowance_rates holds the configured
+-- rates in the base currency: per km for each vehicle type and per day for each location.
+-- Expenses get a type; mileage and per-diem expenses record the distance or days claimed and
+-- the rate used, and their amount is computed from them. Existing expenses are 'standard'.
+-- Supabase: run this in your Supabase SQL Editor after 015_currencies.sql.
+
+CREATE TABLE IF NOT EXISTS allowance_rates (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    kind TEXT NOT NULL CHECK (kind IN ('mileage', 'per_diem')),
+    -- Vehicle type for mileage, location for per diems
+    name TEXT NOT NULL,
+    normalized_name TEXT NOT NULL,
+    rate NUMERIC(12, 4) NOT NULL CHECK (rate > 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by BIGINT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (kind, normalized_name)
+);
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS expense_type TEXT NOT NULL DEFAULT 'standard'
+    CHECK (expense_type IN ('standard', 'mileage', 'per_diem'));
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS distance_km NUMERIC(10, 2) CHECK (distance_km > 0);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS days NUMERIC(5, 1) CHECK (days > 0);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS allowance_rate_id BIGINT REFERENCES allowance_rates(id) ON DELETE SET NULL;
+-- The rate at the time of the claim; later changes to allowance_rates do not alter it
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS allowance_rate NUMERIC(12, 4);
@@ -0,0 +1,56 @@
+-- Split expenses (see db/splits.js). A shared cost is entered once by the member who paid it
+-- and recorded as one expense per share, each charged to its own team and attributed to its
+-- member. expense_splits keeps the total as paid and how it was divided; the shares point to
+-- it with split_id and name the payer in paid_by.
+-- Supabase: run this in your Supabase SQL Editor after 016_allowances.sql.
+
+CREATE TABLE IF NOT EXISTS expense_splits (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    method TEXT NOT NULL CHECK (method IN ('equal', 'percentage', 'fixed')),
+    -- The amount and currency as paid, before it was divided
+    total_amount NUMERIC(12, 2) NOT NULL CHECK (total_amount > 0),
+    currency TEXT NOT NULL,
+    -- The payer
+    user_id BIGINT NOT NULL,
+    client_ref TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_expense_splits_client_ref ON expense_splits(user_id, client_ref);
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS split_id BIGINT REFERENCES expense_splits(id) ON DELETE SET NULL;
+-- The percentage or fixed amount the share was entered as; null in an equal split
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS split_value NUMERIC(12, 2);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS paid_by BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_split_id ON expenses(split_id);
+CREATE INDEX IF NOT EXISTS idx_expenses_paid_by ON expenses(paid_by);
+
+-- Record a split and each of its shares with record_expense(), all or nothing. The teams are
+-- locked in id order first so concurrent splits over the same teams cannot deadlock. The
+-- attachments go with the first share.
+CREATE OR REPLACE FUNCTION record_split_expense(p_split JSONB, p_expenses JSONB, p_attachments JSONB DEFAULT '[]'::JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_split JSONB;
+    v_expenses JSONB := '[]'::JSONB;
+    v_index INT;
+BEGIN
+    PERFORM 1 FROM teams
+    WHERE id IN (SELECT (share->>'team_id')::BIGINT FROM jsonb_array_elements(p_expenses) AS share)
+    ORDER BY id
+    FOR UPDATE;
+
+    v_split := insert_from_jsonb('expense_splits', p_split);
+    FOR v_index IN 0 .. jsonb_array_length(p_expenses) - 1 LOOP
+        v_expenses := v_expenses || jsonb_build_array(record_expense(
+            (p_expenses->v_index) || jsonb_build_object('split_id', v_split->'id'),
+            CASE WHEN v_index = 0 THEN p_attachments ELSE '[]'::JSONB END
+        ));
+    END LOOP;
+
+    RETURN jsonb_build_object('split', v_split, 'expenses', v_expenses);
+END;
+$$;
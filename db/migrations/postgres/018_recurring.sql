@@ -0,0 +1,41 @@
+-- Recurring expenses and scheduled allocations (see db/recurring.js). A schedule repeats an
+-- expense or a top-up of a team's balance every week or month; recurring_runs logs each
+-- occurrence that was generated, skipped or failed, once per schedule and date.
+-- Supabase: run this in your Supabase SQL Editor after 017_expense_splits.sql.
+
+CREATE TABLE IF NOT EXISTS recurring_schedules (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    kind TEXT NOT NULL CHECK (kind IN ('expense', 'top_up')),
+    team_id BIGINT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    -- Member a recurring expense is attributed to (the creator when null)
+    user_id BIGINT REFERENCES users(id) ON DELETE SET NULL,
+    description TEXT NOT NULL,
+    -- In the team's currency
+    amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+    category TEXT,
+    frequency TEXT NOT NULL CHECK (frequency IN ('weekly', 'monthly')),
+    start_date DATE NOT NULL,
+    end_date DATE,
+    -- Next occurrence to run; null once the schedule has ended
+    next_run_on DATE,
+    is_paused BOOLEAN NOT NULL DEFAULT FALSE,
+    created_by BIGINT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_schedules_next_run_on ON recurring_schedules(next_run_on);
+
+CREATE TABLE IF NOT EXISTS recurring_runs (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    schedule_id BIGINT NOT NULL REFERENCES recurring_schedules(id) ON DELETE CASCADE,
+    occurrence_date DATE NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('generated', 'skipped', 'failed')),
+    expense_id BIGINT REFERENCES expenses(id) ON DELETE SET NULL,
+    ledger_entry_id BIGINT REFERENCES ledger_entries(id),
+    amount NUMERIC(12, 2),
+    error TEXT,
+    -- Who skipped the occurrence; null when run by the scheduler
+    created_by BIGINT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (schedule_id, occurrence_date)
+);
@@ -0,0 +1,242 @@
+-- Expenses paid personally and their reimbursement (see db/ledger.js). A member who pays out
+-- of pocket marks the expense paid_personally: it takes nothing from the team's available
+-- balance, and once approved it is spent against staff:<id>:payable, what the team owes its
+-- payer. An admin or partner settles that with a reimbursement, paid from the funding pool.
+-- Supabase: run this in your Supabase SQL Editor after 018_recurring.sql.
+
+CREATE TABLE IF NOT EXISTS reimbursements (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    -- The member paid back
+    user_id BIGINT NOT NULL REFERENCES users(id),
+    -- Sum of the expenses settled, in their teams' currency
+    amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+    currency TEXT NOT NULL,
+    -- How it was paid, e.g. a bank transfer reference
+    note TEXT,
+    settled_by BIGINT REFERENCES users(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reimbursements_user_id ON reimbursements(user_id);
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS paid_personally BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS reimbursement_id BIGINT REFERENCES reimbursements(id);
+
+CREATE INDEX IF NOT EXISTS idx_expenses_reimbursement_id ON expenses(reimbursement_id);
+CREATE INDEX IF NOT EXISTS idx_expenses_paid_personally ON expenses(paid_personally) WHERE paid_personally;
+
+-- Account behind one of an expense's buckets (see expenseAccount() in db/ledger.js)
+CREATE OR REPLACE FUNCTION expense_account(p_expense JSONB, p_bucket TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN p_bucket = 'available' AND COALESCE((p_expense->>'paid_personally')::BOOLEAN, false)
+            THEN 'staff:' || COALESCE(p_expense->>'paid_by', p_expense->>'user_id') || ':payable'
+        ELSE 'team:' || (p_expense->>'team_id') || ':' || p_bucket
+    END;
+$$;
+
+-- Bucket an expense's amount is held in (see expenseBucket() in db/ledger.js)
+CREATE OR REPLACE FUNCTION expense_bucket(p_expense JSONB)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN COALESCE((p_expense->>'paid_personally')::BOOLEAN, false) AND p_expense->>'status' <> 'approved' THEN NULL
+        WHEN p_expense->>'status' IN ('submitted', 'needs_info') THEN 'reserved'
+        WHEN p_expense->>'status' = 'approved' THEN 'spent'
+    END;
+$$;
+
+CREATE OR REPLACE FUNCTION post_expense_move(p_expense JSONB, p_from TEXT, p_to TEXT, p_amount NUMERIC, p_memo TEXT, p_actor BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN post_ledger_entry(jsonb_build_object(
+        'entry_type', CASE p_from || '>' || p_to
+            WHEN 'available>reserved' THEN 'reservation'
+            WHEN 'reserved>available' THEN 'release'
+            WHEN 'spent>available' THEN 'reversal'
+            ELSE 'expense'
+        END,
+        'debit_account', expense_account(p_expense, p_to),
+        'credit_account', expense_account(p_expense, p_from),
+        'amount', p_amount,
+        'reference_type', 'expense',
+        'reference_id', (p_expense->>'id')::BIGINT,
+        'memo', COALESCE(p_memo, p_expense->>'description'),
+        'created_by', COALESCE(p_actor, (p_expense->>'user_id')::BIGINT)
+    ));
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION post_expense_change(p_expense JSONB, p_change NUMERIC, p_memo TEXT, p_actor BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_bucket TEXT := expense_bucket(p_expense);
+BEGIN
+    IF v_bucket IS NULL OR p_change = 0 THEN
+        RETURN NULL;
+    END IF;
+    IF p_change > 0 THEN
+        RETURN post_expense_move(p_expense, 'available', v_bucket, p_change, p_memo, p_actor);
+    END IF;
+    RETURN post_expense_move(p_expense, v_bucket, 'available', -p_change, p_memo, p_actor);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION update_expense(p_expense_id BIGINT, p_patch JSONB, p_actor BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_before expenses%ROWTYPE;
+    v_after JSONB;
+BEGIN
+    SELECT * INTO v_before FROM expenses WHERE id = p_expense_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Expense not found' USING HINT = 'NOT_FOUND';
+    END IF;
+    IF v_before.status = 'rejected' THEN
+        RAISE EXCEPTION 'Rejected expenses cannot be edited' USING HINT = 'INVALID_STATE';
+    END IF;
+    -- Serialises category allowance checks with other expenses of the team
+    PERFORM 1 FROM teams WHERE id = v_before.team_id FOR UPDATE;
+
+    v_after := update_from_jsonb('expenses', p_expense_id, p_patch);
+    IF v_before.reimbursement_id IS NOT NULL AND (v_after->>'amount')::NUMERIC <> v_before.amount THEN
+        RAISE EXCEPTION 'The amount of a reimbursed expense cannot be changed' USING HINT = 'INVALID_STATE';
+    END IF;
+    -- Only growing an expense (or moving it to another category) can break an allowance,
+    -- so edits to an expense already over a since-lowered allocation still go through
+    IF v_after->>'category' IS DISTINCT FROM v_before.category OR (v_after->>'amount')::NUMERIC > v_before.amount THEN
+        PERFORM check_category_allowance(v_after);
+    END IF;
+    PERFORM post_expense_change(
+        v_after, (v_after->>'amount')::NUMERIC - v_before.amount,
+        format('Expense #%s amended from %s to %s', v_before.id, v_before.amount, v_after->>'amount'),
+        p_actor
+    );
+
+    RETURN v_after;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION delete_expense(p_expense_id BIGINT, p_actor BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_expense expenses%ROWTYPE;
+BEGIN
+    SELECT * INTO v_expense FROM expenses WHERE id = p_expense_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Expense not found' USING HINT = 'NOT_FOUND';
+    END IF;
+    IF v_expense.reimbursement_id IS NOT NULL THEN
+        RAISE EXCEPTION 'Reimbursed expenses cannot be deleted' USING HINT = 'INVALID_STATE';
+    END IF;
+
+    DELETE FROM expenses WHERE id = p_expense_id;
+    PERFORM post_expense_change(
+        to_jsonb(v_expense), -v_expense.amount,
+        format('Expense #%s deleted: %s', v_expense.id, v_expense.description),
+        p_actor
+    );
+
+    RETURN to_jsonb(v_expense);
+END;
+$$;
+
+-- Review a submitted expense: approval moves the reservation to spent, rejection releases
+-- it, needs_info keeps it reserved; an expense paid personally is spent against what is owed
+-- to its payer on approval (see expenseStatusChange() in db/ledger.js)
+CREATE OR REPLACE FUNCTION review_expense(p_expense_id BIGINT, p_status TEXT, p_processed_by BIGINT, p_note TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_expense expenses%ROWTYPE;
+    v_from TEXT;
+    v_to TEXT;
+BEGIN
+    SELECT * INTO v_expense FROM expenses WHERE id = p_expense_id FOR UPDATE;
+    IF NOT FOUND OR v_expense.status NOT IN ('submitted', 'needs_info') THEN
+        RAISE EXCEPTION 'Invalid expense or expense already processed' USING HINT = 'INVALID_STATE';
+    END IF;
+
+    UPDATE expenses
+    SET status = p_status, processed_by = p_processed_by, processed_at = now(), review_note = p_note
+    WHERE id = p_expense_id;
+
+    v_from := COALESCE(expense_bucket(to_jsonb(v_expense)), 'available');
+    v_to := COALESCE(expense_bucket(to_jsonb(v_expense) || jsonb_build_object('status', p_status)), 'available');
+    IF v_from <> v_to THEN
+        PERFORM post_expense_move(
+            to_jsonb(v_expense), v_from, v_to,
+            v_expense.amount, format('Expense #%s %s: %s', v_expense.id, p_status, v_expense.description),
+            p_processed_by
+        );
+    END IF;
+
+    SELECT * INTO v_expense FROM expenses WHERE id = p_expense_id;
+    RETURN to_jsonb(v_expense);
+END;
+$$;
+
+-- Settle what is owed to a member for approved expenses they paid personally: record the
+-- reimbursement, mark the expenses settled by it and pay the member's payable account from
+-- the funding pool
+CREATE OR REPLACE FUNCTION settle_reimbursement(p_reimbursement JSONB, p_expense_ids JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_user_id BIGINT := (p_reimbursement->>'user_id')::BIGINT;
+    v_expense expenses%ROWTYPE;
+    v_total NUMERIC := 0;
+    v_count INT := 0;
+    v_reimbursement JSONB;
+BEGIN
+    FOR v_expense IN
+        SELECT * FROM expenses
+        WHERE id IN (SELECT value::BIGINT FROM jsonb_array_elements_text(p_expense_ids))
+        ORDER BY id
+        FOR UPDATE
+    LOOP
+        IF NOT v_expense.paid_personally OR v_expense.status <> 'approved' OR v_expense.reimbursement_id IS NOT NULL THEN
+            RAISE EXCEPTION 'Only approved expenses paid personally and not yet reimbursed can be settled' USING HINT = 'INVALID_STATE';
+        END IF;
+        IF COALESCE(v_expense.paid_by, v_expense.user_id) <> v_user_id THEN
+            RAISE EXCEPTION 'The expenses must all have been paid by the member reimbursed' USING HINT = 'INVALID_STATE';
+        END IF;
+        v_total := v_total + v_expense.amount;
+        v_count := v_count + 1;
+    END LOOP;
+    IF v_count = 0 OR v_count <> jsonb_array_length(p_expense_ids) THEN
+        RAISE EXCEPTION 'Only approved expenses paid personally and not yet reimbursed can be settled' USING HINT = 'INVALID_STATE';
+    END IF;
+
+    v_reimbursement := insert_from_jsonb('reimbursements', p_reimbursement || jsonb_build_object('amount', v_total));
+    UPDATE expenses SET reimbursement_id = (v_reimbursement->>'id')::BIGINT
+    WHERE id IN (SELECT value::BIGINT FROM jsonb_array_elements_text(p_expense_ids));
+    PERFORM post_ledger_entry(jsonb_build_object(
+        'entry_type', 'reimbursement',
+        'debit_account', 'staff:' || v_user_id || ':payable',
+        'credit_account', 'funding',
+        'amount', v_total,
+        'reference_type', 'reimbursement',
+        'reference_id', (v_reimbursement->>'id')::BIGINT,
+        'memo', COALESCE(v_reimbursement->>'note', 'Reimbursement'),
+        'created_by', (v_reimbursement->>'settled_by')::BIGINT
+    ));
+
+    RETURN v_reimbursement;
+END;
+$$;
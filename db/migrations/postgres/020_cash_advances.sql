@@ -0,0 +1,275 @@
+-- Cash advances to members (see db/ledger.js). Cash handed to a member is moved from the
+-- team's available balance to team:<id>:advanced, cached in teams.advanced_amount; expenses
+-- the member settles against the advance (advance_id) are reserved and spent from it rather
+-- than from the available balance. Settling the advance closes it out: what the member did
+-- not spend is returned to the available balance, or what they spent beyond it is topped up.
+-- Supabase: run this in your Supabase SQL Editor after 019_reimbursements.sql.
+
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS advanced_amount NUMERIC(14, 2) NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS cash_advances (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    team_id BIGINT NOT NULL REFERENCES teams(id),
+    -- The member holding the cash
+    user_id BIGINT NOT NULL REFERENCES users(id),
+    -- Total cash advanced, in the team's currency; further cash adds to an open advance
+    amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+    note TEXT,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'settled')),
+    issued_by BIGINT REFERENCES users(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    -- Recorded on settlement: approved expenses against the advance, and the cash returned
+    -- by the member or topped up to them to close it out
+    spent_amount NUMERIC(12, 2),
+    returned_amount NUMERIC(12, 2),
+    top_up_amount NUMERIC(12, 2),
+    settlement_note TEXT,
+    settled_by BIGINT REFERENCES users(id),
+    settled_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_cash_advances_team_id ON cash_advances(team_id);
+-- A member holds at most one open advance
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cash_advances_open_user ON cash_advances(user_id) WHERE status = 'open';
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS advance_id BIGINT REFERENCES cash_advances(id);
+
+CREATE INDEX IF NOT EXISTS idx_expenses_advance_id ON expenses(advance_id);
+
+CREATE OR REPLACE FUNCTION ledger_team_column(p_account TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE split_part(p_account, ':', 3)
+        WHEN 'available' THEN 'remaining_amount'
+        WHEN 'reserved' THEN 'reserved_amount'
+        WHEN 'spent' THEN 'used_amount'
+        WHEN 'advanced' THEN 'advanced_amount'
+    END
+    WHERE p_account ~ '^team:[0-9]+:[a-z_]+$';
+$$;
+
+-- Account behind one of an expense's buckets (see expenseAccount() in db/ledger.js)
+CREATE OR REPLACE FUNCTION expense_account(p_expense JSONB, p_bucket TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN p_bucket = 'available' AND COALESCE((p_expense->>'paid_personally')::BOOLEAN, false)
+            THEN 'staff:' || COALESCE(p_expense->>'paid_by', p_expense->>'user_id') || ':payable'
+        WHEN p_bucket = 'available' AND p_expense->>'advance_id' IS NOT NULL
+            THEN 'team:' || (p_expense->>'team_id') || ':advanced'
+        ELSE 'team:' || (p_expense->>'team_id') || ':' || p_bucket
+    END;
+$$;
+
+-- record_expense() now refuses an expense against an advance that is not its member's open one
+CREATE OR REPLACE FUNCTION record_expense(p_expense JSONB, p_attachments JSONB DEFAULT '[]'::JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_team_id BIGINT := (p_expense->>'team_id')::BIGINT;
+    v_expense JSONB;
+    v_attachment JSONB;
+BEGIN
+    -- Report a missing team as NOT_FOUND rather than a foreign key violation
+    PERFORM 1 FROM teams WHERE id = v_team_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Team not found' USING HINT = 'NOT_FOUND';
+    END IF;
+    IF p_expense->>'advance_id' IS NOT NULL THEN
+        PERFORM 1 FROM cash_advances
+        WHERE id = (p_expense->>'advance_id')::BIGINT AND status = 'open'
+          AND team_id = v_team_id AND user_id = (p_expense->>'user_id')::BIGINT
+        FOR UPDATE;
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'The cash advance has been settled' USING HINT = 'INVALID_STATE';
+        END IF;
+    END IF;
+
+    v_expense := insert_from_jsonb('expenses', p_expense);
+    FOR v_attachment IN SELECT * FROM jsonb_array_elements(COALESCE(p_attachments, '[]'::JSONB)) LOOP
+        PERFORM insert_from_jsonb('expense_attachments', v_attachment || jsonb_build_object('expense_id', v_expense->'id'));
+    END LOOP;
+    PERFORM check_category_allowance(v_expense);
+    PERFORM post_expense_change(v_expense, (v_expense->>'amount')::NUMERIC, NULL, NULL);
+
+    RETURN v_expense;
+END;
+$$;
+
+-- update_expense() and delete_expense() now also refuse to move money against a settled advance
+CREATE OR REPLACE FUNCTION update_expense(p_expense_id BIGINT, p_patch JSONB, p_actor BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_before expenses%ROWTYPE;
+    v_after JSONB;
+BEGIN
+    SELECT * INTO v_before FROM expenses WHERE id = p_expense_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Expense not found' USING HINT = 'NOT_FOUND';
+    END IF;
+    IF v_before.status = 'rejected' THEN
+        RAISE EXCEPTION 'Rejected expenses cannot be edited' USING HINT = 'INVALID_STATE';
+    END IF;
+    -- Serialises category allowance checks with other expenses of the team
+    PERFORM 1 FROM teams WHERE id = v_before.team_id FOR UPDATE;
+
+    v_after := update_from_jsonb('expenses', p_expense_id, p_patch);
+    IF v_before.reimbursement_id IS NOT NULL AND (v_after->>'amount')::NUMERIC <> v_before.amount THEN
+        RAISE EXCEPTION 'The amount of a reimbursed expense cannot be changed' USING HINT = 'INVALID_STATE';
+    END IF;
+    IF (v_after->>'amount')::NUMERIC <> v_before.amount
+        AND EXISTS (SELECT 1 FROM cash_advances WHERE id = v_before.advance_id AND status = 'settled') THEN
+        RAISE EXCEPTION 'The amount of an expense against a settled cash advance cannot be changed' USING HINT = 'INVALID_STATE';
+    END IF;
+    -- Only growing an expense (or moving it to another category) can break an allowance,
+    -- so edits to an expense already over a since-lowered allocation still go through
+    IF v_after->>'category' IS DISTINCT FROM v_before.category OR (v_after->>'amount')::NUMERIC > v_before.amount THEN
+        PERFORM check_category_allowance(v_after);
+    END IF;
+    PERFORM post_expense_change(
+        v_after, (v_after->>'amount')::NUMERIC - v_before.amount,
+        format('Expense #%s amended from %s to %s', v_before.id, v_before.amount, v_after->>'amount'),
+        p_actor
+    );
+
+    RETURN v_after;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION delete_expense(p_expense_id BIGINT, p_actor BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_expense expenses%ROWTYPE;
+BEGIN
+    SELECT * INTO v_expense FROM expenses WHERE id = p_expense_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Expense not found' USING HINT = 'NOT_FOUND';
+    END IF;
+    IF v_expense.reimbursement_id IS NOT NULL THEN
+        RAISE EXCEPTION 'Reimbursed expenses cannot be deleted' USING HINT = 'INVALID_STATE';
+    END IF;
+    IF v_expense.advance_id IS NOT NULL THEN
+        -- Serialises with settling the advance, which locks the team first
+        PERFORM 1 FROM teams WHERE id = v_expense.team_id FOR UPDATE;
+        IF EXISTS (SELECT 1 FROM cash_advances WHERE id = v_expense.advance_id AND status = 'settled') THEN
+            RAISE EXCEPTION 'Expenses against a settled cash advance cannot be deleted' USING HINT = 'INVALID_STATE';
+        END IF;
+    END IF;
+
+    DELETE FROM expenses WHERE id = p_expense_id;
+    PERFORM post_expense_change(
+        to_jsonb(v_expense), -v_expense.amount,
+        format('Expense #%s deleted: %s', v_expense.id, v_expense.description),
+        p_actor
+    );
+
+    RETURN to_jsonb(v_expense);
+END;
+$$;
+
+-- Advance cash to a member from their team's available balance: opens an advance, or adds to
+-- the member's open one (see advanceEntry() in db/ledger.js)
+CREATE OR REPLACE FUNCTION issue_cash_advance(p_advance JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_team_id BIGINT := (p_advance->>'team_id')::BIGINT;
+    v_amount NUMERIC := (p_advance->>'amount')::NUMERIC;
+    v_open cash_advances%ROWTYPE;
+    v_advance JSONB;
+BEGIN
+    PERFORM 1 FROM teams WHERE id = v_team_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Team not found' USING HINT = 'NOT_FOUND';
+    END IF;
+
+    SELECT * INTO v_open FROM cash_advances
+    WHERE user_id = (p_advance->>'user_id')::BIGINT AND status = 'open'
+    FOR UPDATE;
+    IF FOUND THEN
+        IF v_open.team_id <> v_team_id THEN
+            RAISE EXCEPTION 'The member holds an open cash advance from another team' USING HINT = 'INVALID_STATE';
+        END IF;
+        UPDATE cash_advances SET amount = amount + v_amount WHERE id = v_open.id;
+        SELECT to_jsonb(a) INTO v_advance FROM cash_advances a WHERE id = v_open.id;
+    ELSE
+        v_advance := insert_from_jsonb('cash_advances', p_advance);
+    END IF;
+
+    PERFORM post_ledger_entry(jsonb_build_object(
+        'entry_type', 'advance',
+        'debit_account', 'team:' || v_team_id || ':advanced',
+        'credit_account', 'team:' || v_team_id || ':available',
+        'amount', v_amount,
+        'reference_type', 'cash_advance',
+        'reference_id', (v_advance->>'id')::BIGINT,
+        'memo', COALESCE(p_advance->>'note', 'Cash advance'),
+        'created_by', (p_advance->>'issued_by')::BIGINT
+    ));
+
+    RETURN v_advance;
+END;
+$$;
+
+-- Close out an advance once nothing against it is under review: the cash the member did not
+-- spend is returned to the team's available balance, or what they spent beyond the advance
+-- is topped up from it (see advanceSettlementEntry() in db/ledger.js)
+CREATE OR REPLACE FUNCTION settle_cash_advance(p_advance_id BIGINT, p_settled_by BIGINT, p_note TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_team_id BIGINT;
+    v_advance cash_advances%ROWTYPE;
+    v_spent NUMERIC;
+    v_balance NUMERIC;
+BEGIN
+    SELECT team_id INTO v_team_id FROM cash_advances WHERE id = p_advance_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Cash advance not found' USING HINT = 'NOT_FOUND';
+    END IF;
+    -- The team first, as recording an expense does
+    PERFORM 1 FROM teams WHERE id = v_team_id FOR UPDATE;
+    SELECT * INTO v_advance FROM cash_advances WHERE id = p_advance_id FOR UPDATE;
+    IF v_advance.status <> 'open' THEN
+        RAISE EXCEPTION 'This cash advance has already been settled' USING HINT = 'INVALID_STATE';
+    END IF;
+    IF EXISTS (SELECT 1 FROM expenses WHERE advance_id = p_advance_id AND status IN ('submitted', 'needs_info')) THEN
+        RAISE EXCEPTION 'Expenses against this advance are still under review' USING HINT = 'INVALID_STATE';
+    END IF;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_spent FROM expenses WHERE advance_id = p_advance_id AND status = 'approved';
+    v_balance := v_advance.amount - v_spent;
+    IF v_balance <> 0 THEN
+        PERFORM post_ledger_entry(jsonb_build_object(
+            'entry_type', CASE WHEN v_balance > 0 THEN 'advance_return' ELSE 'advance_top_up' END,
+            'debit_account', 'team:' || v_team_id || CASE WHEN v_balance > 0 THEN ':available' ELSE ':advanced' END,
+            'credit_account', 'team:' || v_team_id || CASE WHEN v_balance > 0 THEN ':advanced' ELSE ':available' END,
+            'amount', abs(v_balance),
+            'reference_type', 'cash_advance',
+            'reference_id', p_advance_id,
+            'memo', COALESCE(p_note, format('Cash advance #%s %s', p_advance_id, CASE WHEN v_balance > 0 THEN 'returned' ELSE 'topped up' END)),
+            'created_by', p_settled_by
+        ));
+    END IF;
+
+    UPDATE cash_advances
+    SET status = 'settled', spent_amount = v_spent,
+        returned_amount = GREATEST(v_balance, 0), top_up_amount = GREATEST(-v_balance, 0),
+        settlement_note = p_note, settled_by = p_settled_by, settled_at = now()
+    WHERE id = p_advance_id;
+
+    SELECT * INTO v_advance FROM cash_advances WHERE id = p_advance_id;
+    RETURN to_jsonb(v_advance);
+END;
+$$;
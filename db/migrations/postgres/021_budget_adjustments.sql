@@ -0,0 +1,51 @@
+-- Direct budget adjustments (see db/ledger.js). An admin or partner can allocate funds to a
+-- team from the funding pool, or claw unspent funds back to it, without an amount request.
+-- Each one records who made it and why, for the team's history and the partner report.
+-- Supabase: run this in your Supabase SQL Editor after 020_cash_advances.sql.
+
+CREATE TABLE IF NOT EXISTS budget_adjustments (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    team_id BIGINT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('allocation', 'claw_back')),
+    -- In the team's currency
+    amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+    reason TEXT NOT NULL,
+    created_by BIGINT REFERENCES users(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_adjustments_team_id ON budget_adjustments(team_id);
+CREATE INDEX IF NOT EXISTS idx_budget_adjustments_created_by ON budget_adjustments(created_by);
+
+-- Record an adjustment and move its amount between the funding pool and the team's available
+-- balance; a claw-back cannot take more than is available (see budgetAdjustmentEntry())
+CREATE OR REPLACE FUNCTION adjust_team_budget(p_adjustment JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_team_id BIGINT := (p_adjustment->>'team_id')::BIGINT;
+    v_adjustment JSONB;
+    v_team TEXT;
+BEGIN
+    PERFORM 1 FROM teams WHERE id = v_team_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Team not found' USING HINT = 'NOT_FOUND';
+    END IF;
+
+    v_adjustment := insert_from_jsonb('budget_adjustments', p_adjustment);
+    v_team := 'team:' || v_team_id || ':available';
+    PERFORM post_ledger_entry(jsonb_build_object(
+        'entry_type', v_adjustment->>'kind',
+        'debit_account', CASE WHEN v_adjustment->>'kind' = 'allocation' THEN v_team ELSE 'funding' END,
+        'credit_account', CASE WHEN v_adjustment->>'kind' = 'allocation' THEN 'funding' ELSE v_team END,
+        'amount', (v_adjustment->>'amount')::NUMERIC,
+        'reference_type', 'budget_adjustment',
+        'reference_id', (v_adjustment->>'id')::BIGINT,
+        'memo', v_adjustment->>'reason',
+        'created_by', (v_adjustment->>'created_by')::BIGINT
+    ));
+
+    RETURN v_adjustment;
+END;
+$$;
@@ -0,0 +1,155 @@
+-- Team lifecycle: active -> closing -> closed. A closing team is frozen: it takes no new
+-- expenses, cash advances or funds, while what is under review is approved or rejected and
+-- open advances are settled. Closing it out returns the unspent balance to the funding pool
+-- (a 'close_out' entry, see db/ledger.js) and archives the team; closed teams stay on record
+-- for reports. The freeze is enforced by the triggers below, inside the functions that lock
+-- the team first.
+-- Supabase: run this in your Supabase SQL Editor after 021_budget_adjustments.sql.
+
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active';
+ALTER TABLE teams DROP CONSTRAINT IF EXISTS teams_status_check;
+ALTER TABLE teams ADD CONSTRAINT teams_status_check CHECK (status IN ('active', 'closing', 'closed'));
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS closing_started_at TIMESTAMPTZ;
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS closing_started_by BIGINT REFERENCES users(id);
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ;
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS closed_by BIGINT REFERENCES users(id);
+-- The unspent balance returned to the funding pool on close-out, in the team's currency
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS returned_amount NUMERIC(14, 2);
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS close_out_note TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_teams_status ON teams(status);
+
+CREATE OR REPLACE FUNCTION require_active_team(p_team_id BIGINT, p_what TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_team teams%ROWTYPE;
+BEGIN
+    SELECT * INTO v_team FROM teams WHERE id = p_team_id;
+    IF FOUND AND v_team.status <> 'active' THEN
+        RAISE EXCEPTION '% is % and takes no new %', v_team.name, v_team.status, p_what USING HINT = 'TEAM_CLOSED';
+    END IF;
+END;
+$$;
+
+-- New expenses need an active team; the amounts of a closed team's expenses are final
+CREATE OR REPLACE FUNCTION expenses_team_status()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        PERFORM require_active_team(NEW.team_id, 'expenses');
+        RETURN NEW;
+    END IF;
+    IF TG_OP = 'UPDATE' AND NEW.amount = OLD.amount THEN
+        RETURN NEW;
+    END IF;
+    IF EXISTS (SELECT 1 FROM teams WHERE id = OLD.team_id AND status = 'closed') THEN
+        RAISE EXCEPTION 'The expenses of a closed team cannot be changed' USING HINT = 'TEAM_CLOSED';
+    END IF;
+    IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS expenses_team_status ON expenses;
+CREATE TRIGGER expenses_team_status
+    BEFORE INSERT OR DELETE OR UPDATE OF amount ON expenses
+    FOR EACH ROW EXECUTE FUNCTION expenses_team_status();
+
+-- Cash can only be advanced from an active team
+CREATE OR REPLACE FUNCTION cash_advances_team_status()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' OR NEW.amount > OLD.amount THEN
+        PERFORM require_active_team(NEW.team_id, 'cash advances');
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS cash_advances_team_status ON cash_advances;
+CREATE TRIGGER cash_advances_team_status
+    BEFORE INSERT OR UPDATE OF amount ON cash_advances
+    FOR EACH ROW EXECUTE FUNCTION cash_advances_team_status();
+
+-- Money coming into a team from outside it (the funding pool or another team) needs the
+-- team to be active; moves between its own buckets, such as releasing a rejected expense,
+-- are still posted while it closes
+CREATE OR REPLACE FUNCTION ledger_entries_team_status()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF ledger_team_id(NEW.debit_account) IS NOT NULL
+        AND ledger_team_id(NEW.debit_account) IS DISTINCT FROM ledger_team_id(NEW.credit_account) THEN
+        PERFORM require_active_team(ledger_team_id(NEW.debit_account), 'funds');
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS ledger_entries_team_status ON ledger_entries;
+CREATE TRIGGER ledger_entries_team_status
+    BEFORE INSERT ON ledger_entries
+    FOR EACH ROW EXECUTE FUNCTION ledger_entries_team_status();
+
+-- Close out a closing team once nothing is under review, no cash advance is open and no
+-- amount request is pending: its available balance goes back to the funding pool and the
+-- team is archived as closed (see closeOutEntry())
+CREATE OR REPLACE FUNCTION close_out_team(p_team_id BIGINT, p_closed_by BIGINT, p_note TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_team teams%ROWTYPE;
+    v_result JSONB;
+BEGIN
+    SELECT * INTO v_team FROM teams WHERE id = p_team_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Team not found' USING HINT = 'NOT_FOUND';
+    END IF;
+    IF v_team.status <> 'closing' THEN
+        RAISE EXCEPTION 'Only a team that is closing can be closed out' USING HINT = 'INVALID_STATE';
+    END IF;
+    IF EXISTS (SELECT 1 FROM expenses WHERE team_id = p_team_id AND status IN ('submitted', 'needs_info')) THEN
+        RAISE EXCEPTION 'Expenses of this team are still under review' USING HINT = 'INVALID_STATE';
+    END IF;
+    IF EXISTS (SELECT 1 FROM cash_advances WHERE team_id = p_team_id AND status = 'open') THEN
+        RAISE EXCEPTION 'Cash advances of this team are still open' USING HINT = 'INVALID_STATE';
+    END IF;
+    IF EXISTS (SELECT 1 FROM amount_requests WHERE team_id = p_team_id AND (status = 'pending' OR status IS NULL)) THEN
+        RAISE EXCEPTION 'Amount requests of this team are still pending' USING HINT = 'INVALID_STATE';
+    END IF;
+
+    IF v_team.remaining_amount > 0 THEN
+        PERFORM post_ledger_entry(jsonb_build_object(
+            'entry_type', 'close_out',
+            'debit_account', 'funding',
+            'credit_account', 'team:' || p_team_id || ':available',
+            'amount', v_team.remaining_amount,
+            'reference_type', 'team',
+            'reference_id', p_team_id,
+            'memo', COALESCE(p_note, 'Unspent balance returned on close-out'),
+            'created_by', p_closed_by
+        ));
+    END IF;
+
+    UPDATE teams SET
+        status = 'closed',
+        closed_at = now(),
+        closed_by = p_closed_by,
+        returned_amount = GREATEST(v_team.remaining_amount, 0),
+        close_out_note = p_note
+    WHERE id = p_team_id;
+
+    SELECT to_jsonb(t.*) INTO v_result FROM teams t WHERE id = p_team_id;
+    RETURN v_result;
+END;
+$$;
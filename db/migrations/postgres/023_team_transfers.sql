@@ -0,0 +1,56 @@
+-- Fund transfers between teams (see db/ledger.js). An admin or partner moves part of one
+-- team's available balance to another's in a single 'transfer' entry, recorded with who made
+-- it and why. Both teams keep their balances in the same currency (checked by the API, a team's
+-- currency is fixed); the receiving team must be active, and the giving team cannot transfer
+-- more than it has available.
+-- Supabase: run this in your Supabase SQL Editor after 022_team_lifecycle.sql.
+
+CREATE TABLE IF NOT EXISTS team_transfers (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    from_team_id BIGINT NOT NULL REFERENCES teams(id),
+    to_team_id BIGINT NOT NULL REFERENCES teams(id),
+    -- In the currency both teams keep their balances in
+    amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+    reason TEXT NOT NULL,
+    created_by BIGINT REFERENCES users(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    CHECK (from_team_id <> to_team_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_transfers_from_team_id ON team_transfers(from_team_id);
+CREATE INDEX IF NOT EXISTS idx_team_transfers_to_team_id ON team_transfers(to_team_id);
+CREATE INDEX IF NOT EXISTS idx_team_transfers_created_by ON team_transfers(created_by);
+
+-- Record a transfer and move its amount from the giving team's available balance to the
+-- receiving team's (see transferEntry())
+CREATE OR REPLACE FUNCTION transfer_team_funds(p_transfer JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_from BIGINT := (p_transfer->>'from_team_id')::BIGINT;
+    v_to BIGINT := (p_transfer->>'to_team_id')::BIGINT;
+    v_locked INT;
+    v_transfer JSONB;
+BEGIN
+    -- Both teams in id order, as post_ledger_entry() locks them
+    SELECT count(*) INTO v_locked FROM (SELECT id FROM teams WHERE id IN (v_from, v_to) ORDER BY id FOR UPDATE) locked;
+    IF v_locked <> 2 THEN
+        RAISE EXCEPTION 'Team not found' USING HINT = 'NOT_FOUND';
+    END IF;
+
+    v_transfer := insert_from_jsonb('team_transfers', p_transfer);
+    PERFORM post_ledger_entry(jsonb_build_object(
+        'entry_type', 'transfer',
+        'debit_account', 'team:' || v_to || ':available',
+        'credit_account', 'team:' || v_from || ':available',
+        'amount', (v_transfer->>'amount')::NUMERIC,
+        'reference_type', 'team_transfer',
+        'reference_id', (v_transfer->>'id')::BIGINT,
+        'memo', v_transfer->>'reason',
+        'created_by', (v_transfer->>'created_by')::BIGINT
+    ));
+
+    RETURN v_transfer;
+END;
+$$;
@@ -0,0 +1,61 @@
+-- A team's initial_amount is the money allocated to it: it follows entries between the team
+-- and the funding pool or another team, but no longer spending a member paid personally,
+-- which comes from their payable account rather than the team's funds (see db/ledger.js).
+-- Existing teams are recomputed from the ledger.
+-- Supabase: run this in your Supabase SQL Editor after 023_team_transfers.sql.
+
+-- Post one entry and move the cached team columns it touches. Locks the teams involved
+-- (in id order) and refuses to take a team's available balance below zero.
+CREATE OR REPLACE FUNCTION post_ledger_entry(p_entry JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_amount NUMERIC := (p_entry->>'amount')::NUMERIC;
+    v_debit TEXT := p_entry->>'debit_account';
+    v_credit TEXT := p_entry->>'credit_account';
+    v_team_ids BIGINT[];
+    v_locked INT;
+    v_remaining NUMERIC;
+    v_entry JSONB;
+BEGIN
+    IF v_amount IS NULL OR v_amount <= 0 THEN
+        RAISE EXCEPTION 'Amount must be greater than zero' USING HINT = 'INVALID_AMOUNT';
+    END IF;
+
+    v_team_ids := ARRAY(SELECT DISTINCT id FROM unnest(ARRAY[ledger_team_id(v_debit), ledger_team_id(v_credit)]) AS id WHERE id IS NOT NULL);
+    SELECT count(*) INTO v_locked FROM (SELECT id FROM teams WHERE id = ANY(v_team_ids) ORDER BY id FOR UPDATE) locked;
+    IF v_locked <> cardinality(v_team_ids) THEN
+        RAISE EXCEPTION 'Team not found' USING HINT = 'NOT_FOUND';
+    END IF;
+
+    IF ledger_team_column(v_credit) = 'remaining_amount' THEN
+        SELECT remaining_amount INTO v_remaining FROM teams WHERE id = ledger_team_id(v_credit);
+        IF v_remaining < v_amount THEN
+            RAISE EXCEPTION 'Insufficient team balance' USING HINT = 'INSUFFICIENT_FUNDS';
+        END IF;
+    END IF;
+
+    v_entry := insert_from_jsonb('ledger_entries', p_entry);
+
+    IF ledger_team_column(v_debit) IS NOT NULL THEN
+        EXECUTE format('UPDATE teams SET %1$I = %1$I + $1, initial_amount = initial_amount + $2 WHERE id = $3', ledger_team_column(v_debit))
+        USING v_amount, CASE WHEN v_credit LIKE 'staff:%' THEN 0 ELSE v_amount END, ledger_team_id(v_debit);
+    END IF;
+    IF ledger_team_column(v_credit) IS NOT NULL THEN
+        EXECUTE format('UPDATE teams SET %1$I = %1$I - $1, initial_amount = initial_amount - $2 WHERE id = $3', ledger_team_column(v_credit))
+        USING v_amount, CASE WHEN v_debit LIKE 'staff:%' THEN 0 ELSE v_amount END, ledger_team_id(v_credit);
+    END IF;
+
+    RETURN v_entry;
+END;
+$$;
+
+UPDATE teams t SET initial_amount = COALESCE((
+    SELECT SUM(CASE WHEN ledger_team_id(e.debit_account) = t.id THEN e.amount ELSE -e.amount END)
+    FROM ledger_entries e
+    WHERE ledger_team_id(e.debit_account) IS DISTINCT FROM ledger_team_id(e.credit_account)
+        AND t.id IN (ledger_team_id(e.debit_account), ledger_team_id(e.credit_account))
+        AND e.debit_account NOT LIKE 'staff:%'
+        AND e.credit_account NOT LIKE 'staff:%'
+), 0);
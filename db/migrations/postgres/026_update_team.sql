@@ -0,0 +1,22 @@
+-- Edit a team's details and adjust its budget in one transaction, so a failed adjustment
+-- leaves the details unchanged and the other way round.
+-- Supabase: run this in your Supabase SQL Editor after 025_allocated_initial_amount.sql.
+
+-- Apply p_patch to the team and, when p_adjustment is given, record it as with
+-- adjust_team_budget(). Returns the updated team.
+CREATE OR REPLACE FUNCTION update_team(p_team_id BIGINT, p_patch JSONB, p_adjustment JSONB DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    PERFORM 1 FROM teams WHERE id = p_team_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Team not found' USING HINT = 'NOT_FOUND';
+    END IF;
+
+    IF p_adjustment IS NOT NULL THEN
+        PERFORM adjust_team_budget(p_adjustment || jsonb_build_object('team_id', p_team_id));
+    END IF;
+    RETURN update_from_jsonb('teams', p_team_id, COALESCE(p_patch, '{}'::JSONB));
+END;
+$$;
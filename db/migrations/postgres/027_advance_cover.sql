@@ -0,0 +1,110 @@
+-- Expenses against a cash advance are taken from team:<id>:advanced, which the available
+-- balance check in post_ledger_entry() does not cover; what members spend beyond their advances
+-- is topped up from the available balance on settlement. record_expense() and update_expense()
+-- now refuse an expense the team's open advances and available balance could not cover together,
+-- so every advance can still be settled.
+-- Supabase: run this in your Supabase SQL Editor after 026_update_team.sql.
+
+-- Refuse when what the team's members have spent beyond their open advances (expenses under
+-- review or approved) is more than its available balance (see checkAdvanceCover() in
+-- db/sql-store.js). Expects the expense written and the team locked.
+CREATE OR REPLACE FUNCTION check_advance_cover(p_team_id BIGINT)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_excess NUMERIC;
+BEGIN
+    SELECT COALESCE(SUM(held - amount), 0) INTO v_excess FROM (
+        SELECT a.amount, SUM(e.amount) AS held FROM cash_advances a
+        JOIN expenses e ON e.advance_id = a.id AND e.status IN ('submitted', 'needs_info', 'approved')
+        WHERE a.team_id = p_team_id AND a.status = 'open'
+        GROUP BY a.id, a.amount
+    ) advances WHERE held > amount;
+    IF v_excess > (SELECT remaining_amount FROM teams WHERE id = p_team_id) THEN
+        RAISE EXCEPTION 'Exceeds what is left of the cash advance and the team''s available balance' USING HINT = 'INSUFFICIENT_FUNDS';
+    END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION record_expense(p_expense JSONB, p_attachments JSONB DEFAULT '[]'::JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_team_id BIGINT := (p_expense->>'team_id')::BIGINT;
+    v_expense JSONB;
+    v_attachment JSONB;
+BEGIN
+    -- Report a missing team as NOT_FOUND rather than a foreign key violation
+    PERFORM 1 FROM teams WHERE id = v_team_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Team not found' USING HINT = 'NOT_FOUND';
+    END IF;
+    IF p_expense->>'advance_id' IS NOT NULL THEN
+        PERFORM 1 FROM cash_advances
+        WHERE id = (p_expense->>'advance_id')::BIGINT AND status = 'open'
+          AND team_id = v_team_id AND user_id = (p_expense->>'user_id')::BIGINT
+        FOR UPDATE;
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'The cash advance has been settled' USING HINT = 'INVALID_STATE';
+        END IF;
+    END IF;
+
+    v_expense := insert_from_jsonb('expenses', p_expense);
+    FOR v_attachment IN SELECT * FROM jsonb_array_elements(COALESCE(p_attachments, '[]'::JSONB)) LOOP
+        PERFORM insert_from_jsonb('expense_attachments', v_attachment || jsonb_build_object('expense_id', v_expense->'id'));
+    END LOOP;
+    PERFORM check_category_allowance(v_expense);
+    IF v_expense->>'advance_id' IS NOT NULL THEN
+        PERFORM check_advance_cover(v_team_id);
+    END IF;
+    PERFORM post_expense_change(v_expense, (v_expense->>'amount')::NUMERIC, NULL, NULL);
+
+    RETURN v_expense;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION update_expense(p_expense_id BIGINT, p_patch JSONB, p_actor BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_before expenses%ROWTYPE;
+    v_after JSONB;
+BEGIN
+    SELECT * INTO v_before FROM expenses WHERE id = p_expense_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Expense not found' USING HINT = 'NOT_FOUND';
+    END IF;
+    IF v_before.status = 'rejected' THEN
+        RAISE EXCEPTION 'Rejected expenses cannot be edited' USING HINT = 'INVALID_STATE';
+    END IF;
+    -- Serialises category allowance checks with other expenses of the team
+    PERFORM 1 FROM teams WHERE id = v_before.team_id FOR UPDATE;
+
+    v_after := update_from_jsonb('expenses', p_expense_id, p_patch);
+    IF v_before.reimbursement_id IS NOT NULL AND (v_after->>'amount')::NUMERIC <> v_before.amount THEN
+        RAISE EXCEPTION 'The amount of a reimbursed expense cannot be changed' USING HINT = 'INVALID_STATE';
+    END IF;
+    IF (v_after->>'amount')::NUMERIC <> v_before.amount
+        AND EXISTS (SELECT 1 FROM cash_advances WHERE id = v_before.advance_id AND status = 'settled') THEN
+        RAISE EXCEPTION 'The amount of an expense against a settled cash advance cannot be changed' USING HINT = 'INVALID_STATE';
+    END IF;
+    -- Only growing an expense (or moving it to another category) can break an allowance,
+    -- so edits to an expense already over a since-lowered allocation still go through
+    IF v_after->>'category' IS DISTINCT FROM v_before.category OR (v_after->>'amount')::NUMERIC > v_before.amount THEN
+        PERFORM check_category_allowance(v_after);
+    END IF;
+    IF v_before.advance_id IS NOT NULL AND (v_after->>'amount')::NUMERIC > v_before.amount THEN
+        PERFORM check_advance_cover(v_before.team_id);
+    END IF;
+    PERFORM post_expense_change(
+        v_after, (v_after->>'amount')::NUMERIC - v_before.amount,
+        format('Expense #%s amended from %s to %s', v_before.id, v_before.amount, v_after->>'amount'),
+        p_actor
+    );
+
+    RETURN v_after;
+END;
+$$;
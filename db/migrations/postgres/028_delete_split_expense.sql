@@ -0,0 +1,32 @@
+-- The shares of a split expense add up to the split's total, so a share is no longer deleted on
+-- its own: the whole split is deleted with delete_split_expense().
+-- Supabase: run this in your Supabase SQL Editor after 027_advance_cover.sql.
+
+-- Delete a split and each of its shares with delete_expense(), all or nothing. The teams are
+-- locked in id order first, as record_split_expense() does. Returns the split and its shares.
+CREATE OR REPLACE FUNCTION delete_split_expense(p_split_id BIGINT, p_actor BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_split JSONB;
+    v_expenses JSONB := '[]'::JSONB;
+    v_share_id BIGINT;
+BEGIN
+    PERFORM 1 FROM teams
+    WHERE id IN (SELECT team_id FROM expenses WHERE split_id = p_split_id)
+    ORDER BY id
+    FOR UPDATE;
+    SELECT to_jsonb(s) INTO v_split FROM expense_splits s WHERE id = p_split_id FOR UPDATE;
+    IF v_split IS NULL THEN
+        RAISE EXCEPTION 'Split expense not found' USING HINT = 'NOT_FOUND';
+    END IF;
+
+    FOR v_share_id IN SELECT id FROM expenses WHERE split_id = p_split_id ORDER BY id LOOP
+        v_expenses := v_expenses || jsonb_build_array(delete_expense(v_share_id, p_actor));
+    END LOOP;
+    DELETE FROM expense_splits WHERE id = p_split_id;
+
+    RETURN jsonb_build_object('split', v_split, 'expenses', v_expenses);
+END;
+$$;
@@ -0,0 +1,28 @@
+-- Save a team's category allocations in one transaction, so a failed write leaves all of them
+-- unchanged, and only while the team is active.
+-- Supabase: run this in your Supabase SQL Editor after 028_delete_split_expense.sql.
+
+-- Replace the team's allocations with p_budgets ([{ category, amount }]): allocations are
+-- updated or added, and categories left out lose theirs. Returns the team's allocations.
+CREATE OR REPLACE FUNCTION set_team_category_budgets(p_team_id BIGINT, p_budgets JSONB, p_created_by BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    PERFORM 1 FROM teams WHERE id = p_team_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Team not found' USING HINT = 'NOT_FOUND';
+    END IF;
+    PERFORM require_active_team(p_team_id, 'category budgets');
+
+    INSERT INTO team_category_budgets (team_id, category, amount, created_by)
+    SELECT p_team_id, budget->>'category', (budget->>'amount')::NUMERIC, p_created_by
+    FROM jsonb_array_elements(COALESCE(p_budgets, '[]'::JSONB)) AS budget
+    ON CONFLICT (team_id, category) DO UPDATE SET amount = EXCLUDED.amount, updated_at = now();
+    DELETE FROM team_category_budgets
+    WHERE team_id = p_team_id
+      AND category NOT IN (SELECT budget->>'category' FROM jsonb_array_elements(COALESCE(p_budgets, '[]'::JSONB)) AS budget);
+
+    RETURN COALESCE((SELECT jsonb_agg(to_jsonb(b)) FROM team_category_budgets b WHERE team_id = p_team_id), '[]'::JSONB);
+END;
+$$;
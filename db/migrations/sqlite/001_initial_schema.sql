@@ -0,0 +1,54 @@
+-- FieldWorkBook base schema (SQLite)
+-- Mirrors db/migrations/postgres/001_initial_schema.sql. Timestamps are ISO-8601 text.
+
+CREATE TABLE IF NOT EXISTS teams (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    location TEXT NOT NULL,
+    initial_amount NUMERIC NOT NULL DEFAULT 0,
+    used_amount NUMERIC NOT NULL DEFAULT 0,
+    remaining_amount NUMERIC NOT NULL DEFAULT 0,
+    description TEXT DEFAULT '',
+    created_by INTEGER REFERENCES users(id),
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    password TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'field_staff' CHECK (role IN ('admin', 'partner', 'field_staff')),
+    full_name TEXT,
+    email TEXT DEFAULT '',
+    team_id INTEGER REFERENCES teams(id),
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS expenses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id INTEGER NOT NULL REFERENCES teams(id),
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    description TEXT NOT NULL,
+    amount NUMERIC NOT NULL,
+    category TEXT DEFAULT 'general',
+    attachment_path TEXT,
+    attachment_name TEXT,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS amount_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id INTEGER NOT NULL REFERENCES teams(id),
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    requested_amount NUMERIC NOT NULL,
+    reason TEXT,
+    status TEXT DEFAULT 'pending',
+    processed_by INTEGER REFERENCES users(id),
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    processed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_team_id ON users(team_id);
+CREATE INDEX IF NOT EXISTS idx_expenses_team_id ON expenses(team_id);
+CREATE INDEX IF NOT EXISTS idx_expenses_user_id ON expenses(user_id);
+CREATE INDEX IF NOT EXISTS idx_amount_requests_team_id ON amount_requests(team_id);
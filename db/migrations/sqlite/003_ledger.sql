@@ -0,0 +1,57 @@
+-- Double-entry ledger behind team balances (SQLite)
+-- Mirrors db/migrations/postgres/003_ledger.sql. Posting logic lives in db/sql-store.js.
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entry_type TEXT NOT NULL,
+    debit_account TEXT NOT NULL,
+    credit_account TEXT NOT NULL,
+    amount NUMERIC NOT NULL CHECK (amount > 0),
+    reference_type TEXT,
+    reference_id INTEGER,
+    memo TEXT,
+    created_by INTEGER REFERENCES users(id),
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CHECK (debit_account <> credit_account)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_debit_account ON ledger_entries(debit_account);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_credit_account ON ledger_entries(credit_account);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_reference ON ledger_entries(reference_type, reference_id);
+
+CREATE TRIGGER IF NOT EXISTS ledger_entries_no_update
+BEFORE UPDATE ON ledger_entries
+BEGIN
+    SELECT RAISE(ABORT, 'ledger_entries is append-only; post a reversal instead');
+END;
+
+CREATE TRIGGER IF NOT EXISTS ledger_entries_no_delete
+BEFORE DELETE ON ledger_entries
+BEGIN
+    SELECT RAISE(ABORT, 'ledger_entries is append-only; post a reversal instead');
+END;
+
+-- Backfill history for data created before the ledger existed
+INSERT INTO ledger_entries (entry_type, debit_account, credit_account, amount, reference_type, reference_id, memo, created_by, created_at)
+SELECT 'opening', 'team:' || t.id || ':available', 'funding', t.initial_amount - COALESCE(r.approved, 0),
+       'team', t.id, 'Opening balance (backfilled)', t.created_by, t.created_at
+FROM teams t
+LEFT JOIN (
+    SELECT team_id, SUM(requested_amount) AS approved FROM amount_requests WHERE status = 'approved' GROUP BY team_id
+) r ON r.team_id = t.id
+WHERE t.initial_amount - COALESCE(r.approved, 0) > 0
+  AND NOT EXISTS (SELECT 1 FROM ledger_entries);
+
+INSERT INTO ledger_entries (entry_type, debit_account, credit_account, amount, reference_type, reference_id, memo, created_by, created_at)
+SELECT 'top_up', 'team:' || team_id || ':available', 'funding', requested_amount,
+       'amount_request', id, 'Approved amount request (backfilled)', processed_by, COALESCE(processed_at, created_at)
+FROM amount_requests
+WHERE status = 'approved' AND requested_amount > 0
+  AND NOT EXISTS (SELECT 1 FROM ledger_entries WHERE entry_type <> 'opening');
+
+INSERT INTO ledger_entries (entry_type, debit_account, credit_account, amount, reference_type, reference_id, memo, created_by, created_at)
+SELECT 'expense', 'team:' || team_id || ':spent', 'team:' || team_id || ':available', amount,
+       'expense', id, 'Expense (backfilled)', user_id, created_at
+FROM expenses
+WHERE amount > 0
+  AND NOT EXISTS (SELECT 1 FROM ledger_entries WHERE entry_type = 'expense');
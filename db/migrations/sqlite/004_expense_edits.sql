@@ -0,0 +1,40 @@
+-- Mirrors the schema part of db/migrations/postgres/004_expense_edits.sql: ledger rows
+-- outlive the users that posted them, so created_by drops its foreign key. SQLite cannot
+-- drop a constraint in place, so the table is rebuilt with the same rows and triggers.
+
+CREATE TABLE ledger_entries_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entry_type TEXT NOT NULL,
+    debit_account TEXT NOT NULL,
+    credit_account TEXT NOT NULL,
+    amount NUMERIC NOT NULL CHECK (amount > 0),
+    reference_type TEXT,
+    reference_id INTEGER,
+    memo TEXT,
+    created_by INTEGER,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CHECK (debit_account <> credit_account)
+);
+
+INSERT INTO ledger_entries_new SELECT * FROM ledger_entries;
+
+DROP TRIGGER ledger_entries_no_update;
+DROP TRIGGER ledger_entries_no_delete;
+DROP TABLE ledger_entries;
+ALTER TABLE ledger_entries_new RENAME TO ledger_entries;
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_debit_account ON ledger_entries(debit_account);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_credit_account ON ledger_entries(credit_account);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_reference ON ledger_entries(reference_type, reference_id);
+
+CREATE TRIGGER IF NOT EXISTS ledger_entries_no_update
+BEFORE UPDATE ON ledger_entries
+BEGIN
+    SELECT RAISE(ABORT, 'ledger_entries is append-only; post a reversal instead');
+END;
+
+CREATE TRIGGER IF NOT EXISTS ledger_entries_no_delete
+BEFORE DELETE ON ledger_entries
+BEGIN
+    SELECT RAISE(ABORT, 'ledger_entries is append-only; post a reversal instead');
+END;
@@ -0,0 +1,14 @@
+-- Expense approval workflow (SQLite)
+-- Mirrors the schema part of db/migrations/postgres/005_expense_approval.sql.
+
+ALTER TABLE teams ADD COLUMN reserved_amount NUMERIC NOT NULL DEFAULT 0;
+
+-- Expenses recorded before the workflow existed were deducted immediately, so they are approved
+ALTER TABLE expenses ADD COLUMN status TEXT NOT NULL DEFAULT 'submitted'
+    CHECK (status IN ('submitted', 'approved', 'rejected', 'needs_info'));
+UPDATE expenses SET status = 'approved';
+ALTER TABLE expenses ADD COLUMN processed_by INTEGER REFERENCES users(id);
+ALTER TABLE expenses ADD COLUMN processed_at TEXT;
+ALTER TABLE expenses ADD COLUMN review_note TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_status ON expenses(status);
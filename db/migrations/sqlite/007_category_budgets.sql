@@ -0,0 +1,13 @@
+-- Per-category budget allocations within a team (SQLite)
+-- Mirrors the schema part of db/migrations/postgres/007_category_budgets.sql.
+
+CREATE TABLE IF NOT EXISTS team_category_budgets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    category TEXT NOT NULL,
+    amount NUMERIC NOT NULL CHECK (amount >= 0),
+    created_by INTEGER,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT,
+    UNIQUE (team_id, category)
+);
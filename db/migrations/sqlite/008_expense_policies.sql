@@ -0,0 +1,18 @@
+-- Expense policy rules (SQLite)
+-- Mirrors db/migrations/postgres/008_expense_policies.sql.
+
+CREATE TABLE IF NOT EXISTS expense_policy_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    rule_type TEXT NOT NULL CHECK (rule_type IN ('receipt_required', 'max_amount', 'max_per_night', 'partner_approval')),
+    category TEXT,
+    threshold NUMERIC NOT NULL CHECK (threshold >= 0),
+    action TEXT NOT NULL DEFAULT 'flag' CHECK (action IN ('block', 'flag')),
+    is_active INTEGER NOT NULL DEFAULT 1,
+    created_by INTEGER,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+ALTER TABLE expenses ADD COLUMN nights INTEGER CHECK (nights > 0);
+ALTER TABLE expenses ADD COLUMN policy_flags TEXT;
+ALTER TABLE expenses ADD COLUMN requires_partner_approval INTEGER NOT NULL DEFAULT 0;
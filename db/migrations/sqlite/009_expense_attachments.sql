@@ -0,0 +1,23 @@
+-- Several attachments per expense (SQLite)
+-- Mirrors the schema part of db/migrations/postgres/009_expense_attachments.sql.
+
+CREATE TABLE IF NOT EXISTS expense_attachments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    expense_id INTEGER NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+    file_path TEXT NOT NULL UNIQUE,
+    file_name TEXT,
+    mime_type TEXT,
+    size_bytes INTEGER,
+    uploaded_by INTEGER,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_expense_attachments_expense_id ON expense_attachments(expense_id);
+
+INSERT OR IGNORE INTO expense_attachments (expense_id, file_path, file_name, uploaded_by, created_at)
+SELECT id, attachment_path, attachment_name, user_id, created_at
+FROM expenses
+WHERE attachment_path IS NOT NULL;
+
+ALTER TABLE expenses DROP COLUMN attachment_path;
+ALTER TABLE expenses DROP COLUMN attachment_name;
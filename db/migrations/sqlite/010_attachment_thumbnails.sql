@@ -0,0 +1,4 @@
+-- Attachment thumbnails (SQLite)
+-- Mirrors db/migrations/postgres/010_attachment_thumbnails.sql.
+
+ALTER TABLE expense_attachments ADD COLUMN thumbnail_path TEXT;
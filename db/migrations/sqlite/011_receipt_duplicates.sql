@@ -0,0 +1,22 @@
+-- Duplicate receipt detection (SQLite)
+-- Mirrors db/migrations/postgres/011_receipt_duplicates.sql.
+
+ALTER TABLE expense_attachments ADD COLUMN content_hash TEXT;
+ALTER TABLE expense_attachments ADD COLUMN perceptual_hash TEXT;
+CREATE INDEX IF NOT EXISTS idx_expense_attachments_content_hash ON expense_attachments(content_hash);
+
+CREATE TABLE IF NOT EXISTS receipt_duplicates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    attachment_id INTEGER NOT NULL REFERENCES expense_attachments(id) ON DELETE CASCADE,
+    expense_id INTEGER NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+    original_attachment_id INTEGER NOT NULL REFERENCES expense_attachments(id) ON DELETE CASCADE,
+    original_expense_id INTEGER NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+    match_type TEXT NOT NULL CHECK (match_type IN ('exact', 'similar')),
+    distance INTEGER NOT NULL DEFAULT 0,
+    dismissed_by INTEGER,
+    dismissed_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE (attachment_id, original_attachment_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_receipt_duplicates_expense_id ON receipt_duplicates(expense_id);
@@ -0,0 +1,8 @@
+-- Offline submissions (SQLite)
+-- Mirrors db/migrations/postgres/012_offline_submissions.sql.
+
+ALTER TABLE expenses ADD COLUMN client_ref TEXT;
+ALTER TABLE amount_requests ADD COLUMN client_ref TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_client_ref ON expenses(user_id, client_ref);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_amount_requests_client_ref ON amount_requests(user_id, client_ref);
@@ -0,0 +1,11 @@
+-- Expense date, merchant and location (SQLite)
+-- Mirrors db/migrations/postgres/013_expense_details.sql.
+
+ALTER TABLE expenses ADD COLUMN expense_date TEXT;
+ALTER TABLE expenses ADD COLUMN merchant TEXT;
+ALTER TABLE expenses ADD COLUMN latitude REAL;
+ALTER TABLE expenses ADD COLUMN longitude REAL;
+
+UPDATE expenses SET expense_date = substr(created_at, 1, 10) WHERE expense_date IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_expense_date ON expenses(expense_date);
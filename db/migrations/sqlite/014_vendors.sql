@@ -0,0 +1,28 @@
+-- Vendor registry (SQLite)
+-- Mirrors db/migrations/postgres/014_vendors.sql. SQLite has no regexp_replace, so the
+-- backfill only trims and lower-cases; runs of spaces are rare in entered merchants.
+
+CREATE TABLE IF NOT EXISTS vendors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    normalized_name TEXT NOT NULL UNIQUE,
+    notes TEXT,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    created_by INTEGER,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+ALTER TABLE expenses ADD COLUMN vendor_id INTEGER REFERENCES vendors(id) ON DELETE SET NULL;
+
+INSERT OR IGNORE INTO vendors (name, normalized_name)
+SELECT trim(merchant), lower(trim(merchant))
+FROM expenses
+WHERE merchant IS NOT NULL AND trim(merchant) <> ''
+ORDER BY created_at;
+
+UPDATE expenses SET vendor_id = (
+    SELECT v.id FROM vendors v WHERE v.normalized_name = lower(trim(expenses.merchant))
+)
+WHERE vendor_id IS NULL AND merchant IS NOT NULL AND trim(merchant) <> '';
+
+CREATE INDEX IF NOT EXISTS idx_expenses_vendor_id ON expenses(vendor_id);
@@ -0,0 +1,18 @@
+-- Multi-currency (SQLite)
+-- Mirrors db/migrations/postgres/015_currencies.sql.
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    currency TEXT NOT NULL,
+    rate NUMERIC NOT NULL CHECK (rate > 0),
+    effective_date TEXT NOT NULL,
+    created_by INTEGER,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE (currency, effective_date)
+);
+
+ALTER TABLE teams ADD COLUMN currency TEXT;
+
+ALTER TABLE expenses ADD COLUMN original_currency TEXT;
+ALTER TABLE expenses ADD COLUMN original_amount NUMERIC;
+ALTER TABLE expenses ADD COLUMN exchange_rate NUMERIC;
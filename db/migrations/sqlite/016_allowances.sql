@@ -0,0 +1,21 @@
+-- Mileage and per-diem expenses (SQLite)
+-- Mirrors db/migrations/postgres/016_allowances.sql.
+
+CREATE TABLE IF NOT EXISTS allowance_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL CHECK (kind IN ('mileage', 'per_diem')),
+    name TEXT NOT NULL,
+    normalized_name TEXT NOT NULL,
+    rate NUMERIC NOT NULL CHECK (rate > 0),
+    is_active INTEGER NOT NULL DEFAULT 1,
+    created_by INTEGER,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE (kind, normalized_name)
+);
+
+ALTER TABLE expenses ADD COLUMN expense_type TEXT NOT NULL DEFAULT 'standard'
+    CHECK (expense_type IN ('standard', 'mileage', 'per_diem'));
+ALTER TABLE expenses ADD COLUMN distance_km NUMERIC CHECK (distance_km > 0);
+ALTER TABLE expenses ADD COLUMN days NUMERIC CHECK (days > 0);
+ALTER TABLE expenses ADD COLUMN allowance_rate_id INTEGER REFERENCES allowance_rates(id) ON DELETE SET NULL;
+ALTER TABLE expenses ADD COLUMN allowance_rate NUMERIC;
@@ -0,0 +1,21 @@
+-- Split expenses (SQLite)
+-- Mirrors db/migrations/postgres/017_expense_splits.sql.
+
+CREATE TABLE IF NOT EXISTS expense_splits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    method TEXT NOT NULL CHECK (method IN ('equal', 'percentage', 'fixed')),
+    total_amount NUMERIC NOT NULL CHECK (total_amount > 0),
+    currency TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    client_ref TEXT,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_expense_splits_client_ref ON expense_splits(user_id, client_ref);
+
+ALTER TABLE expenses ADD COLUMN split_id INTEGER REFERENCES expense_splits(id) ON DELETE SET NULL;
+ALTER TABLE expenses ADD COLUMN split_value NUMERIC;
+ALTER TABLE expenses ADD COLUMN paid_by INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_split_id ON expenses(split_id);
+CREATE INDEX IF NOT EXISTS idx_expenses_paid_by ON expenses(paid_by);
@@ -0,0 +1,35 @@
+-- Recurring expenses and scheduled allocations (SQLite)
+-- Mirrors db/migrations/postgres/018_recurring.sql.
+
+CREATE TABLE IF NOT EXISTS recurring_schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL CHECK (kind IN ('expense', 'top_up')),
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    description TEXT NOT NULL,
+    amount NUMERIC NOT NULL CHECK (amount > 0),
+    category TEXT,
+    frequency TEXT NOT NULL CHECK (frequency IN ('weekly', 'monthly')),
+    start_date TEXT NOT NULL,
+    end_date TEXT,
+    next_run_on TEXT,
+    is_paused INTEGER NOT NULL DEFAULT 0,
+    created_by INTEGER,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_schedules_next_run_on ON recurring_schedules(next_run_on);
+
+CREATE TABLE IF NOT EXISTS recurring_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    schedule_id INTEGER NOT NULL REFERENCES recurring_schedules(id) ON DELETE CASCADE,
+    occurrence_date TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('generated', 'skipped', 'failed')),
+    expense_id INTEGER REFERENCES expenses(id) ON DELETE SET NULL,
+    ledger_entry_id INTEGER REFERENCES ledger_entries(id),
+    amount NUMERIC,
+    error TEXT,
+    created_by INTEGER,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE (schedule_id, occurrence_date)
+);
@@ -0,0 +1,20 @@
+-- Reimbursements (SQLite)
+-- Mirrors db/migrations/postgres/019_reimbursements.sql.
+
+CREATE TABLE IF NOT EXISTS reimbursements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    amount NUMERIC NOT NULL CHECK (amount > 0),
+    currency TEXT NOT NULL,
+    note TEXT,
+    settled_by INTEGER REFERENCES users(id),
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_reimbursements_user_id ON reimbursements(user_id);
+
+ALTER TABLE expenses ADD COLUMN paid_personally INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE expenses ADD COLUMN reimbursement_id INTEGER REFERENCES reimbursements(id);
+
+CREATE INDEX IF NOT EXISTS idx_expenses_reimbursement_id ON expenses(reimbursement_id);
+CREATE INDEX IF NOT EXISTS idx_expenses_paid_personally ON expenses(paid_personally);
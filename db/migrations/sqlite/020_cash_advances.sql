@@ -0,0 +1,28 @@
+-- Cash advances (SQLite)
+-- Mirrors db/migrations/postgres/020_cash_advances.sql.
+
+ALTER TABLE teams ADD COLUMN advanced_amount NUMERIC NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS cash_advances (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id INTEGER NOT NULL REFERENCES teams(id),
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    amount NUMERIC NOT NULL CHECK (amount > 0),
+    note TEXT,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'settled')),
+    issued_by INTEGER REFERENCES users(id),
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    spent_amount NUMERIC,
+    returned_amount NUMERIC,
+    top_up_amount NUMERIC,
+    settlement_note TEXT,
+    settled_by INTEGER REFERENCES users(id),
+    settled_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_cash_advances_team_id ON cash_advances(team_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cash_advances_open_user ON cash_advances(user_id) WHERE status = 'open';
+
+ALTER TABLE expenses ADD COLUMN advance_id INTEGER REFERENCES cash_advances(id);
+
+CREATE INDEX IF NOT EXISTS idx_expenses_advance_id ON expenses(advance_id);
@@ -0,0 +1,15 @@
+-- Budget adjustments (SQLite)
+-- Mirrors db/migrations/postgres/021_budget_adjustments.sql.
+
+CREATE TABLE IF NOT EXISTS budget_adjustments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('allocation', 'claw_back')),
+    amount NUMERIC NOT NULL CHECK (amount > 0),
+    reason TEXT NOT NULL,
+    created_by INTEGER REFERENCES users(id),
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_adjustments_team_id ON budget_adjustments(team_id);
+CREATE INDEX IF NOT EXISTS idx_budget_adjustments_created_by ON budget_adjustments(created_by);
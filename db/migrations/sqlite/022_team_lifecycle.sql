@@ -0,0 +1,13 @@
+-- Team lifecycle (SQLite)
+-- Mirrors db/migrations/postgres/022_team_lifecycle.sql; the freeze on closing teams is
+-- enforced by the store (db/sql-store.js).
+
+ALTER TABLE teams ADD COLUMN status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'closing', 'closed'));
+ALTER TABLE teams ADD COLUMN closing_started_at TEXT;
+ALTER TABLE teams ADD COLUMN closing_started_by INTEGER REFERENCES users(id);
+ALTER TABLE teams ADD COLUMN closed_at TEXT;
+ALTER TABLE teams ADD COLUMN closed_by INTEGER REFERENCES users(id);
+ALTER TABLE teams ADD COLUMN returned_amount NUMERIC;
+ALTER TABLE teams ADD COLUMN close_out_note TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_teams_status ON teams(status);
@@ -0,0 +1,17 @@
+-- Fund transfers between teams (SQLite)
+-- Mirrors db/migrations/postgres/023_team_transfers.sql.
+
+CREATE TABLE IF NOT EXISTS team_transfers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_team_id INTEGER NOT NULL REFERENCES teams(id),
+    to_team_id INTEGER NOT NULL REFERENCES teams(id),
+    amount NUMERIC NOT NULL CHECK (amount > 0),
+    reason TEXT NOT NULL,
+    created_by INTEGER REFERENCES users(id),
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CHECK (from_team_id <> to_team_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_transfers_from_team_id ON team_transfers(from_team_id);
+CREATE INDEX IF NOT EXISTS idx_team_transfers_to_team_id ON team_transfers(to_team_id);
+CREATE INDEX IF NOT EXISTS idx_team_transfers_created_by ON team_transfers(created_by);
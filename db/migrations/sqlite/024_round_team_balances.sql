@@ -0,0 +1,11 @@
+-- Round team balances (SQLite)
+-- SQLite keeps NUMERIC columns as floating point, so balances moved by unrounded amounts
+-- could drift off whole cents; the store now rounds every write. No Postgres counterpart:
+-- its NUMERIC(12, 2) columns are exact.
+
+UPDATE teams SET
+    initial_amount = ROUND(initial_amount, 2),
+    used_amount = ROUND(used_amount, 2),
+    remaining_amount = ROUND(remaining_amount, 2),
+    reserved_amount = ROUND(reserved_amount, 2),
+    advanced_amount = ROUND(advanced_amount, 2);
@@ -0,0 +1,11 @@
+-- Allocated initial amount (SQLite)
+-- Mirrors db/migrations/postgres/025_allocated_initial_amount.sql; the store posts entries
+-- (db/sql-store.js), so only existing teams are recomputed from the ledger here.
+
+UPDATE teams SET initial_amount = ROUND(COALESCE((
+    SELECT SUM(CASE WHEN e.debit_account LIKE 'team:' || teams.id || ':%' THEN e.amount ELSE -e.amount END)
+    FROM ledger_entries e
+    WHERE (e.debit_account LIKE 'team:' || teams.id || ':%') <> (e.credit_account LIKE 'team:' || teams.id || ':%')
+        AND e.debit_account NOT LIKE 'staff:%'
+        AND e.credit_account NOT LIKE 'staff:%'
+), 0), 2);
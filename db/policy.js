@@ -0,0 +1,88 @@
+// Expense policy rules.
+//
+// Admins and partners define rules in expense_policy_rules; every new or edited expense
+// is checked against the active ones before it is written. A rule applies to one
+// category (or to all when category is null) and compares the expense with threshold:
+//   receipt_required   amount over threshold needs an attachment (mileage and per-diem
+//                      expenses are computed from their rates and never need one)
+//   max_amount         amount may not exceed threshold
+//   max_per_night      amount / nights may not exceed threshold
+//   partner_approval   amount over threshold can only be approved by a partner
+// A violated rule either blocks the submission (action 'block') or is stored on the
+// expense as a flag for the reviewer ('flag'). partner_approval rules never block.
+
+const { isAllowanceType } = require('./allowances');
+
+const RULE_TYPES = ['receipt_required', 'max_amount', 'max_per_night', 'partner_approval'];
+const RULE_ACTIONS = ['block', 'flag'];
+
+const money = (value) => parseFloat(value).toFixed(2);
+
+// Message for a rule the expense violates, or null when it complies
+const violation = (rule, expense, categoryName) => {
+    const amount = parseFloat(expense.amount);
+    const threshold = parseFloat(rule.threshold);
+    const scope = rule.category ? `${categoryName} expenses` : 'Expenses';
+    switch (rule.rule_type) {
+        case 'receipt_required':
+            return amount > threshold && !expense.has_receipt && !isAllowanceType(expense.expense_type)
+                ? `${scope} over ${money(threshold)} require a receipt`
+                : null;
+        case 'max_amount':
+            return amount > threshold
+                ? `${scope} may not exceed ${money(threshold)}`
+                : null;
+        case 'max_per_night': {
+            const nights = Math.max(parseInt(expense.nights, 10) || 1, 1);
+            return amount / nights > threshold
+                ? `${scope} are limited to ${money(threshold)} per night (${money(amount / nights)} per night claimed)`
+                : null;
+        }
+        case 'partner_approval':
+            return amount > threshold
+                ? `${scope} over ${money(threshold)} need partner approval`
+                : null;
+        default:
+            return null;
+    }
+};
+
+// Check an expense ({ amount, category, nights, has_receipt, expense_type }) against the active rules.
+// Returns { blocked: [messages], flags: [{ rule_id, message }], requiresPartnerApproval }.
+const evaluatePolicies = (rules, expense, categoryNames = new Map()) => {
+    const result = { blocked: [], flags: [], requiresPartnerApproval: false };
+    rules
+        .filter(rule => rule.is_active && (!rule.category || rule.category === expense.category))
+        .forEach(rule => {
+            const message = violation(rule, expense, categoryNames.get(rule.category) || rule.category);
+            if (!message) return;
+            if (rule.rule_type === 'partner_approval') {
+                result.requiresPartnerApproval = true;
+                result.flags.push({ rule_id: rule.id, message });
+            } else if (rule.action === 'block') {
+                result.blocked.push(message);
+            } else {
+                result.flags.push({ rule_id: rule.id, message });
+            }
+        });
+    return result;
+};
+
+// expenses.policy_flags is stored as JSON text; older rows have null
+const parsePolicyFlags = (value) => {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    try {
+        const flags = JSON.parse(value);
+        return Array.isArray(flags) ? flags : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+module.exports = {
+    RULE_TYPES,
+    RULE_ACTIONS,
+    evaluatePolicies,
+    parsePolicyFlags
+};
@@ -0,0 +1,109 @@
+// Recurring expenses and scheduled allocations.
+//
+// A recurring schedule repeats an entry for a team every week or month: an expense (office
+// rent, SIM recharges, stipends) or a top-up of the team balance from the funding pool.
+// next_run_on is the next occurrence to run; the scheduler in server.js runs every occurrence
+// that has come due, logs it in recurring_runs (one row per schedule and date, so an
+// occurrence is never run twice) and moves next_run_on on. A paused schedule runs nothing, and
+// a skipped occurrence is logged without running. Amounts are in the team's currency.
+
+const SCHEDULE_KINDS = ['expense', 'top_up'];
+const FREQUENCIES = ['weekly', 'monthly'];
+const DESCRIPTION_MAX_LENGTH = 200;
+// Occurrences run in one pass, so a schedule left due for years cannot flood the ledger
+const MAX_CATCH_UP = 12;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (value) => {
+    if (!DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// The occurrence after `date`: a week later, or the start date's day of the next month
+// (the last day of shorter months, so a schedule started on the 31st does not drift)
+const nextOccurrence = (schedule, date) => {
+    const current = new Date(`${date}T00:00:00Z`);
+    if (schedule.frequency === 'weekly') {
+        current.setUTCDate(current.getUTCDate() + 7);
+        return current.toISOString().slice(0, 10);
+    }
+    const anchorDay = Number(String(schedule.start_date).slice(8, 10));
+    const year = current.getUTCFullYear();
+    const month = current.getUTCMonth() + 1;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month, Math.min(anchorDay, lastDay))).toISOString().slice(0, 10);
+};
+
+// next_run_on after `date` has run or been skipped; null once past the schedule's end_date
+const followingRun = (schedule, date) => {
+    const next = nextOccurrence(schedule, date);
+    return schedule.end_date && next > String(schedule.end_date).slice(0, 10) ? null : next;
+};
+
+// The occurrences of a schedule due on or before today, oldest first
+const dueOccurrences = (schedule, today) => {
+    const dates = [];
+    let date = schedule.next_run_on ? String(schedule.next_run_on).slice(0, 10) : null;
+    while (date && date <= today && dates.length < MAX_CATCH_UP) {
+        dates.push(date);
+        date = followingRun(schedule, date);
+    }
+    return dates;
+};
+
+// Validates a schedule payload, returning the row to store or an { error } message. The kind,
+// team, frequency and start date are fixed once created; the team and the member an expense
+// is attributed to are checked by the route.
+const scheduleFields = (body, { partial = false } = {}) => {
+    const row = {};
+    if (!partial) {
+        if (!SCHEDULE_KINDS.includes(body.kind)) return { error: `Kind must be one of: ${SCHEDULE_KINDS.join(', ')}` };
+        row.kind = body.kind;
+        if (!FREQUENCIES.includes(body.frequency)) return { error: `Frequency must be one of: ${FREQUENCIES.join(', ')}` };
+        row.frequency = body.frequency;
+        if (!isValidDate(String(body.start_date || ''))) return { error: 'Start date must be a valid date (YYYY-MM-DD)' };
+        row.start_date = body.start_date;
+    }
+    if (body.description !== undefined || !partial) {
+        const description = String(body.description || '').trim();
+        if (!description) return { error: 'Description is required' };
+        if (description.length > DESCRIPTION_MAX_LENGTH) return { error: `Description must be at most ${DESCRIPTION_MAX_LENGTH} characters` };
+        row.description = description;
+    }
+    if (body.amount !== undefined || !partial) {
+        const amount = Number(body.amount);
+        if (body.amount === '' || body.amount === null || !Number.isFinite(amount) || amount <= 0) {
+            return { error: 'Amount must be greater than zero' };
+        }
+        row.amount = Math.round(amount * 100) / 100;
+    }
+    if (body.end_date !== undefined) {
+        if (body.end_date === '' || body.end_date === null) {
+            row.end_date = null;
+        } else if (!isValidDate(String(body.end_date))) {
+            return { error: 'End date must be a valid date (YYYY-MM-DD)' };
+        } else {
+            row.end_date = body.end_date;
+        }
+    }
+    if (row.end_date && row.start_date && row.end_date < row.start_date) {
+        return { error: 'End date cannot be before the start date' };
+    }
+    if (body.is_paused !== undefined) {
+        row.is_paused = body.is_paused === true || body.is_paused === 'true';
+    }
+    return { row };
+};
+
+module.exports = {
+    SCHEDULE_KINDS,
+    FREQUENCIES,
+    MAX_CATCH_UP,
+    isValidDate,
+    nextOccurrence,
+    followingRun,
+    dueOccurrences,
+    scheduleFields
+};
@@ -0,0 +1,51 @@
+// Split expenses.
+//
+// A shared cost - a team dinner, a hired vehicle - is entered once by the member who paid it
+// and divided into shares: equally, by percentage or as fixed amounts. Each share is recorded
+// as an expense of its own, charged to its member's team (or to a team as a whole) and
+// attributed to that member, so team balances and per-member totals see only their part.
+// expense_splits keeps how the cost was divided; the shares point to it with split_id and
+// name the payer in paid_by.
+
+const SPLIT_METHODS = ['equal', 'percentage', 'fixed'];
+const MAX_SHARES = 50;
+
+// Divides total (the amount as paid) among shares by method. values are the percentages or
+// fixed amounts entered for each share and are ignored for an equal split. Shares are rounded
+// to the cent and the rounding difference goes to the first share, so they always add up to
+// total. Returns { amounts } or an { error } message.
+const divideAmount = (total, method, values) => {
+    if (values.length < 2) return { error: 'A split needs at least two shares' };
+    if (values.length > MAX_SHARES) return { error: `A split can have at most ${MAX_SHARES} shares` };
+    const cents = Math.round(total * 100);
+    let shares;
+    if (method === 'equal') {
+        const each = Math.floor(cents / values.length);
+        shares = values.map(() => each);
+    } else {
+        const numbers = values.map(value => (value === '' || value === null || value === undefined ? NaN : Number(value)));
+        if (numbers.some(number => !Number.isFinite(number) || number <= 0)) {
+            return { error: method === 'percentage' ? 'Every share needs a percentage greater than zero' : 'Every share needs an amount greater than zero' };
+        }
+        if (method === 'percentage') {
+            if (Math.abs(numbers.reduce((sum, number) => sum + number, 0) - 100) > 0.001) {
+                return { error: 'Percentages must add up to 100' };
+            }
+            shares = numbers.map(number => Math.round(cents * number / 100));
+        } else {
+            shares = numbers.map(number => Math.round(number * 100));
+            if (shares.reduce((sum, share) => sum + share, 0) !== cents) {
+                return { error: `Shares must add up to the amount paid (${(cents / 100).toFixed(2)})` };
+            }
+        }
+    }
+    shares[0] += cents - shares.reduce((sum, share) => sum + share, 0);
+    if (shares.some(share => share <= 0)) return { error: 'Every share must be at least 0.01' };
+    return { amounts: shares.map(share => share / 100) };
+};
+
+module.exports = {
+    SPLIT_METHODS,
+    MAX_SHARES,
+    divideAmount
+};
@@ -0,0 +1,142 @@
+// Thin wrapper over the PostgreSQL (pg) and SQLite (better-sqlite3) drivers.
+//
+// Both clients expose the same surface:
+//   query(sql, params)   run one statement with `?` placeholders, resolves to the result rows
+//   exec(sql)            run a multi-statement script (migrations)
+//   transaction(fn)      run fn(tx) inside BEGIN/COMMIT, rolling back if it throws;
+//                        tx has the same query/exec/forUpdate surface
+//   forUpdate            row-lock suffix for SELECTs inside a transaction ('' on SQLite,
+//                        where BEGIN IMMEDIATE already holds the write lock)
+//   close()
+
+const requireDriver = (name) => {
+    try {
+        return require(name);
+    } catch (err) {
+        throw new Error(`The "${name}" package is required for this DB_CLIENT. Install it with: npm install ${name}`);
+    }
+};
+
+// Convert `?` placeholders to Postgres positional parameters ($1, $2, ...)
+const toPositional = (sql) => {
+    let index = 0;
+    return sql.replace(/\?/g, () => `$${++index}`);
+};
+
+const createPostgresClient = ({ connectionString }) => {
+    if (!connectionString) {
+        throw new Error('DATABASE_URL is required when DB_CLIENT=postgres');
+    }
+    const pg = requireDriver('pg');
+
+    // Match the JSON types supabase-js returns: numbers for bigint/numeric, ISO strings for timestamps, YYYY-MM-DD for dates
+    pg.types.setTypeParser(20, value => parseInt(value, 10));
+    pg.types.setTypeParser(1700, value => parseFloat(value));
+    pg.types.setTypeParser(1114, value => new Date(value + 'Z').toISOString());
+    pg.types.setTypeParser(1184, value => new Date(value).toISOString());
+    pg.types.setTypeParser(1082, value => value);
+
+    const pool = new pg.Pool({ connectionString });
+
+    const wrap = (runner) => ({
+        dialect: 'postgres',
+        forUpdate: ' FOR UPDATE',
+        async query(sql, params = []) {
+            const result = await runner.query(toPositional(sql), params);
+            return result.rows;
+        },
+        async exec(sql) {
+            await runner.query(sql);
+        }
+    });
+
+    const client = wrap(pool);
+    client.transaction = async (fn) => {
+        const connection = await pool.connect();
+        const tx = wrap(connection);
+        tx.transaction = (inner) => inner(tx);
+        try {
+            await connection.query('BEGIN');
+            const result = await fn(tx);
+            await connection.query('COMMIT');
+            return result;
+        } catch (err) {
+            await connection.query('ROLLBACK').catch(() => {});
+            throw err;
+        } finally {
+            connection.release();
+        }
+    };
+    client.close = () => pool.end();
+    return client;
+};
+
+const createSqliteClient = ({ filename }) => {
+    const Database = requireDriver('better-sqlite3');
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    const toSqliteParam = (value) => {
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (value instanceof Date) return value.toISOString();
+        if (value !== null && typeof value === 'object') return JSON.stringify(value);
+        return value;
+    };
+
+    const run = (sql, params = []) => {
+        const statement = db.prepare(sql);
+        const values = params.map(toSqliteParam);
+        if (statement.reader) return statement.all(values);
+        statement.run(values);
+        return [];
+    };
+
+    // better-sqlite3 is synchronous and shares one connection, so statements from other
+    // requests must not interleave with an open transaction. Everything goes through a queue.
+    let queue = Promise.resolve();
+    const exclusive = (fn) => {
+        const next = queue.then(fn);
+        queue = next.catch(() => {});
+        return next;
+    };
+
+    const tx = {
+        dialect: 'sqlite',
+        forUpdate: '',
+        async query(sql, params) {
+            return run(sql, params);
+        },
+        async exec(sql) {
+            db.exec(sql);
+        }
+    };
+    tx.transaction = (inner) => inner(tx);
+
+    return {
+        dialect: 'sqlite',
+        forUpdate: '',
+        query: (sql, params) => exclusive(() => run(sql, params)),
+        exec: (sql) => exclusive(() => db.exec(sql)),
+        transaction: (fn) => exclusive(async () => {
+            db.exec('BEGIN IMMEDIATE');
+            try {
+                const result = await fn(tx);
+                db.exec('COMMIT');
+                return result;
+            } catch (err) {
+                if (db.inTransaction) db.exec('ROLLBACK');
+                throw err;
+            }
+        }),
+        close: async () => db.close()
+    };
+};
+
+const createSqlClient = ({ dialect, connectionString, filename }) => {
+    if (dialect === 'postgres') return createPostgresClient({ connectionString });
+    if (dialect === 'sqlite') return createSqliteClient({ filename });
+    throw new Error(`Unsupported SQL dialect "${dialect}"`);
+};
+
+module.exports = { createSqlClient };
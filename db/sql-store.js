@@ -0,0 +1,642 @@
+// Plain SQL backend (PostgreSQL or SQLite) for the data-access layer.
+// See db/index.js for the repository contract.
+
+const { TABLES, FILTER_OPERATORS, matchesNothing } = require('./index');
+const { StoreError } = require('./errors');
+const { FUNDING_ACCOUNT, EXPENSE_STATUS_BUCKETS, TEAM_BUCKETS, advanceEntry, advanceSettlementEntry, budgetAdjustmentEntry, closeOutEntry, expenseAdjustment, expenseStatusChange, isPayableAccount, parseTeamAccount, reimbursementEntry, teamAccount, transferEntry } = require('./ledger');
+const { roundMoney } = require('./currency');
+const { createSqlClient } = require('./sql-client');
+const { runMigrations } = require('./migrate');
+
+const OPERATOR_SQL = { gt: '>', gte: '>=', lt: '<', lte: '<=', neq: '<>' };
+
+// Column names come from route code, never from request input; this is a guard, not escaping.
+const identifier = (name) => {
+    if (!/^[a-z_][a-z0-9_]*$/i.test(name)) {
+        throw new Error(`Invalid column name: ${name}`);
+    }
+    return name;
+};
+
+const buildWhere = (filters, params) => {
+    const clauses = [];
+    Object.entries(filters || {}).forEach(([column, value]) => {
+        if (value === undefined) return;
+        const col = identifier(column);
+        if (value === null) {
+            clauses.push(`${col} IS NULL`);
+        } else if (Array.isArray(value)) {
+            clauses.push(`${col} IN (${value.map(() => '?').join(', ')})`);
+            params.push(...value);
+        } else if (typeof value === 'object' && !(value instanceof Date)) {
+            FILTER_OPERATORS.forEach(op => {
+                if (value[op] === undefined) return;
+                clauses.push(`${col} ${OPERATOR_SQL[op]} ?`);
+                params.push(value[op]);
+            });
+        } else {
+            clauses.push(`${col} = ?`);
+            params.push(value);
+        }
+    });
+    return clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '';
+};
+
+const selectColumns = (columns) => (columns && columns.length ? columns.map(identifier).join(', ') : '*');
+
+// Run a repository call and fold thrown driver/store errors into the `{ data, error }` shape
+const attempt = async (fn) => {
+    try {
+        return await fn();
+    } catch (error) {
+        return { data: null, error };
+    }
+};
+
+// Statement builders shared by the repositories and the transactional operations.
+// `runner` is the client or a transaction handle; these throw instead of returning errors.
+const insertRow = async (runner, table, row) => {
+    const columns = Object.keys(row).filter(column => row[column] !== undefined);
+    const params = columns.map(column => row[column]);
+    const rows = await runner.query(
+        `INSERT INTO ${table} (${columns.map(identifier).join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) RETURNING *`,
+        params
+    );
+    return rows[0];
+};
+
+const updateRows = async (runner, table, filters, patch) => {
+    if (matchesNothing(filters)) return [];
+    const columns = Object.keys(patch).filter(column => patch[column] !== undefined);
+    const params = columns.map(column => patch[column]);
+    const assignments = columns.map(column => `${identifier(column)} = ?`).join(', ');
+    return runner.query(`UPDATE ${table} SET ${assignments}${buildWhere(filters, params)} RETURNING *`, params);
+};
+
+// SELECT ... FOR UPDATE of a single row by id (plain SELECT on SQLite, see sql-client.js)
+const lockRow = async (tx, table, id) => {
+    const rows = await tx.query(`SELECT * FROM ${table} WHERE id = ?${tx.forUpdate}`, [id]);
+    return rows[0] || null;
+};
+
+// Refuse new business for a team that is closing or closed (mirrors require_active_team())
+const requireActiveTeam = (team, what) => {
+    if (team.status && team.status !== 'active') {
+        throw new StoreError('TEAM_CLOSED', `${team.name} is ${team.status} and takes no new ${what}`);
+    }
+};
+
+// Insert a ledger entry and move the cached team columns it touches (mirrors post_ledger_entry()).
+// Locks the teams involved in id order and refuses to take an available balance below zero,
+// or to bring money into a team that is not active from outside it. Amounts and balances are
+// rounded to cents: SQLite keeps NUMERIC columns as floating point.
+const postEntry = async (tx, entry) => {
+    const amount = roundMoney(parseFloat(entry.amount));
+    if (!(amount > 0)) throw new StoreError('INVALID_AMOUNT');
+
+    const debit = parseTeamAccount(entry.debit_account);
+    const credit = parseTeamAccount(entry.credit_account);
+    const teamIds = [...new Set([debit, credit].filter(Boolean).map(account => account.teamId))].sort((a, b) => a - b);
+    const teams = {};
+    for (const teamId of teamIds) {
+        teams[teamId] = await lockRow(tx, 'teams', teamId);
+        if (!teams[teamId]) throw new StoreError('NOT_FOUND', 'Team not found');
+    }
+    if (credit && credit.bucket === 'available' && parseFloat(teams[credit.teamId].remaining_amount) < amount - 0.005) {
+        throw new StoreError('INSUFFICIENT_FUNDS');
+    }
+    if (debit && (!credit || credit.teamId !== debit.teamId)) {
+        requireActiveTeam(teams[debit.teamId], 'funds');
+    }
+
+    const posted = await insertRow(tx, 'ledger_entries', { created_at: new Date().toISOString(), ...entry, amount });
+    // Spending a member paid personally does not change what the team was allocated
+    const moves = [[debit, amount, entry.credit_account], [credit, -amount, entry.debit_account]];
+    for (const [account, change, counter] of moves) {
+        if (!account) continue;
+        await tx.query(
+            `UPDATE teams SET ${account.column} = ROUND(${account.column} + ?, 2), initial_amount = ROUND(initial_amount + ?, 2) WHERE id = ?`,
+            [change, isPayableAccount(counter) ? 0 : change, account.teamId]
+        );
+    }
+    return posted;
+};
+
+// Refuse an expense that takes its category past the team's allocation (mirrors
+// check_category_allowance()). Expects the expense written and its team locked.
+const checkCategoryAllowance = async (tx, expense) => {
+    const [budget] = await tx.query(
+        'SELECT amount FROM team_category_budgets WHERE team_id = ? AND category = ?',
+        [expense.team_id, expense.category]
+    );
+    if (!budget) return;
+
+    const statuses = Object.keys(EXPENSE_STATUS_BUCKETS);
+    const [{ total }] = await tx.query(
+        `SELECT COALESCE(SUM(amount), 0) AS total FROM expenses WHERE team_id = ? AND category = ? AND status IN (${statuses.map(() => '?').join(', ')})`,
+        [expense.team_id, expense.category, ...statuses]
+    );
+    const allocated = parseFloat(budget.amount);
+    const held = parseFloat(total);
+    if (held - allocated >= 0.005) {
+        const [category] = await tx.query('SELECT name FROM expense_categories WHERE slug = ?', [expense.category]);
+        const left = Math.max(allocated - held + parseFloat(expense.amount), 0);
+        throw new StoreError('CATEGORY_LIMIT', `Exceeds the remaining ${category ? category.name : expense.category} budget for this team (${left.toFixed(2)} left)`);
+    }
+};
+
+// Refuse an expense against a cash advance that the advance and the team's available balance
+// could not cover together (mirrors check_advance_cover()). What members spend beyond their
+// advances is topped up from the available balance when the advances are settled, so the excess
+// over all of the team's open advances must fit in it. Expects the expense written and its
+// team locked.
+const checkAdvanceCover = async (tx, team) => {
+    const statuses = Object.keys(EXPENSE_STATUS_BUCKETS);
+    const [{ excess }] = await tx.query(
+        `SELECT COALESCE(SUM(held - amount), 0) AS excess FROM (
+            SELECT a.amount, SUM(e.amount) AS held FROM cash_advances a
+            JOIN expenses e ON e.advance_id = a.id AND e.status IN (${statuses.map(() => '?').join(', ')})
+            WHERE a.team_id = ? AND a.status = 'open'
+            GROUP BY a.id, a.amount
+        ) advances WHERE held > amount`,
+        [...statuses, team.id]
+    );
+    if (parseFloat(excess) - parseFloat(team.remaining_amount) >= 0.005) {
+        throw new StoreError('INSUFFICIENT_FUNDS', "Exceeds what is left of the cash advance and the team's available balance");
+    }
+};
+
+// Insert an expense with its attachments and post its reservation; the body of
+// store.expenses.createWithUsage, shared with createSplit
+const recordExpense = async (tx, row, attachments) => {
+    const team = await lockRow(tx, 'teams', row.team_id);
+    if (!team) throw new StoreError('NOT_FOUND', 'Team not found');
+    requireActiveTeam(team, 'expenses');
+    if (row.advance_id) {
+        const advance = await lockRow(tx, 'cash_advances', row.advance_id);
+        if (!advance || advance.status !== 'open' || Number(advance.team_id) !== Number(row.team_id) || Number(advance.user_id) !== Number(row.user_id)) {
+            throw new StoreError('INVALID_STATE', 'The cash advance has been settled');
+        }
+    }
+
+    const expense = await insertRow(tx, 'expenses', row);
+    for (const attachment of attachments) {
+        await insertRow(tx, 'expense_attachments', { ...attachment, expense_id: expense.id });
+    }
+    await checkCategoryAllowance(tx, expense);
+    if (expense.advance_id) await checkAdvanceCover(tx, team);
+    const entry = expenseAdjustment(expense, parseFloat(expense.amount));
+    if (entry) await postEntry(tx, entry);
+    return expense;
+};
+
+const isSettledAdvance = async (tx, advanceId) => {
+    if (!advanceId) return false;
+    const [advance] = await tx.query('SELECT status FROM cash_advances WHERE id = ?', [advanceId]);
+    return Boolean(advance && advance.status === 'settled');
+};
+
+// Delete an expense and post the return of what it holds; the body of
+// store.expenses.removeWithReversal, shared with removeSplit
+const removeExpense = async (tx, id, actorId) => {
+    const expense = await lockRow(tx, 'expenses', id);
+    if (!expense) throw new StoreError('NOT_FOUND', 'Expense not found');
+    if (expense.reimbursement_id) throw new StoreError('INVALID_STATE', 'Reimbursed expenses cannot be deleted');
+    // Serialises with settling the advance and closing out the team, which lock the team first
+    const team = await lockRow(tx, 'teams', expense.team_id);
+    if (team.status === 'closed') {
+        throw new StoreError('TEAM_CLOSED', 'The expenses of a closed team cannot be changed');
+    }
+    if (await isSettledAdvance(tx, expense.advance_id)) {
+        throw new StoreError('INVALID_STATE', 'Expenses against a settled cash advance cannot be deleted');
+    }
+
+    await tx.query('DELETE FROM expenses WHERE id = ?', [id]);
+    const entry = expenseAdjustment(expense, -parseFloat(expense.amount), {
+        memo: `Expense #${expense.id} deleted: ${expense.description}`,
+        createdBy: actorId
+    });
+    if (entry) await postEntry(tx, entry);
+    return expense;
+};
+
+const createTableRepository = (sql, table) => ({
+    list(filters = {}, { columns, orderBy, ascending = true, limit } = {}) {
+        return attempt(async () => {
+            if (matchesNothing(filters)) return { data: [], error: null };
+            const params = [];
+            let text = `SELECT ${selectColumns(columns)} FROM ${table}${buildWhere(filters, params)}`;
+            if (orderBy) text += ` ORDER BY ${identifier(orderBy)} ${ascending ? 'ASC' : 'DESC'}`;
+            if (limit) text += ` LIMIT ${parseInt(limit, 10)}`;
+            return { data: await sql.query(text, params), error: null };
+        });
+    },
+
+    findOne(filters = {}, { columns } = {}) {
+        return attempt(async () => {
+            if (matchesNothing(filters)) return { data: null, error: null };
+            const params = [];
+            const rows = await sql.query(`SELECT ${selectColumns(columns)} FROM ${table}${buildWhere(filters, params)} LIMIT 1`, params);
+            return { data: rows[0] || null, error: null };
+        });
+    },
+
+    findById(id, options = {}) {
+        return this.findOne({ id }, options);
+    },
+
+    create(row) {
+        return attempt(async () => ({ data: await insertRow(sql, table, row), error: null }));
+    },
+
+    update(filters, patch) {
+        return attempt(async () => ({ data: await updateRows(sql, table, filters, patch), error: null }));
+    },
+
+    remove(filters) {
+        return attempt(async () => {
+            if (matchesNothing(filters)) return { data: null, error: null };
+            const params = [];
+            await sql.query(`DELETE FROM ${table}${buildWhere(filters, params)}`, params);
+            return { data: null, error: null };
+        });
+    },
+
+    count(filters = {}) {
+        return attempt(async () => {
+            if (matchesNothing(filters)) return { count: 0, error: null };
+            const params = [];
+            const rows = await sql.query(`SELECT COUNT(*) AS count FROM ${table}${buildWhere(filters, params)}`, params);
+            return { count: Number(rows[0].count), error: null };
+        });
+    }
+});
+
+const createSqlStore = ({ dialect, connectionString, filename }) => {
+    const sql = createSqlClient({ dialect, connectionString, filename });
+
+    const store = {
+        client: dialect,
+        description: dialect === 'sqlite' ? `SQLite (${filename})` : 'PostgreSQL',
+        sql,
+        async init() {
+            await runMigrations(sql);
+        },
+        close() {
+            return sql.close();
+        }
+    };
+    Object.entries(TABLES).forEach(([key, table]) => {
+        store[key] = createTableRepository(sql, table);
+    });
+
+    // Create a team and post its opening balance from the funding pool (mirrors create_team())
+    store.teams.createWithOpening = (row, createdBy) => attempt(() => sql.transaction(async (tx) => {
+        const amount = parseFloat(row.initial_amount || 0);
+        if (amount < 0) throw new StoreError('INVALID_AMOUNT');
+
+        const team = await insertRow(tx, 'teams', { ...row, initial_amount: 0, used_amount: 0, remaining_amount: 0 });
+        if (amount > 0) {
+            await postEntry(tx, {
+                entry_type: 'opening',
+                debit_account: teamAccount(team.id),
+                credit_account: FUNDING_ACCOUNT,
+                amount,
+                reference_type: 'team',
+                reference_id: team.id,
+                memo: 'Opening balance',
+                created_by: createdBy
+            });
+        }
+        return { data: await lockRow(tx, 'teams', team.id), error: null };
+    }));
+
+    // Close out a closing team once nothing is under review, no cash advance is open and no
+    // amount request is pending: its available balance goes back to the funding pool and the
+    // team is archived as closed (mirrors close_out_team())
+    store.teams.closeOut = (id, closedBy, note) => attempt(() => sql.transaction(async (tx) => {
+        const team = await lockRow(tx, 'teams', id);
+        if (!team) throw new StoreError('NOT_FOUND', 'Team not found');
+        if (team.status !== 'closing') throw new StoreError('INVALID_STATE', 'Only a team that is closing can be closed out');
+        const outstanding = [
+            ["SELECT COUNT(*) AS count FROM expenses WHERE team_id = ? AND status IN ('submitted', 'needs_info')", 'Expenses of this team are still under review'],
+            ["SELECT COUNT(*) AS count FROM cash_advances WHERE team_id = ? AND status = 'open'", 'Cash advances of this team are still open'],
+            ["SELECT COUNT(*) AS count FROM amount_requests WHERE team_id = ? AND (status = 'pending' OR status IS NULL)", 'Amount requests of this team are still pending']
+        ];
+        for (const [text, message] of outstanding) {
+            const [{ count }] = await tx.query(text, [id]);
+            if (Number(count) > 0) throw new StoreError('INVALID_STATE', message);
+        }
+
+        const returned = roundMoney(Math.max(parseFloat(team.remaining_amount), 0));
+        if (returned > 0) await postEntry(tx, closeOutEntry(team, returned, { memo: note, createdBy: closedBy }));
+        // An archived team keeps no sub-cent residue in its balance columns
+        const balances = await lockRow(tx, 'teams', id);
+        const settled = {};
+        for (const column of ['initial_amount', ...Object.values(TEAM_BUCKETS)]) {
+            const value = roundMoney(parseFloat(balances[column] || 0));
+            settled[column] = Math.abs(value) < 0.005 ? 0 : value;
+        }
+        const [closed] = await updateRows(tx, 'teams', { id }, {
+            ...settled,
+            status: 'closed',
+            closed_at: new Date().toISOString(),
+            closed_by: closedBy,
+            returned_amount: returned,
+            close_out_note: note || null
+        });
+        return { data: closed, error: null };
+    }));
+
+    // Record a direct allocation to or claw-back from a team and post it between the funding
+    // pool and the team's available balance (mirrors adjust_team_budget())
+    const recordAdjustment = async (tx, row) => {
+        if (!(await lockRow(tx, 'teams', row.team_id))) throw new StoreError('NOT_FOUND', 'Team not found');
+        const adjustment = await insertRow(tx, 'budget_adjustments', row);
+        await postEntry(tx, budgetAdjustmentEntry(adjustment));
+        return adjustment;
+    };
+
+    store.budgetAdjustments.record = (row) => attempt(() => sql.transaction(async (tx) => (
+        { data: await recordAdjustment(tx, row), error: null }
+    )));
+
+    // Edit a team's details and, when adjustment is given, record it as above, all or nothing
+    // (mirrors update_team())
+    store.teams.updateWithAdjustment = (id, patch, adjustment = null) => attempt(() => sql.transaction(async (tx) => {
+        if (!(await lockRow(tx, 'teams', id))) throw new StoreError('NOT_FOUND', 'Team not found');
+        if (adjustment) await recordAdjustment(tx, { ...adjustment, team_id: id });
+        if (Object.keys(patch).length) await updateRows(tx, 'teams', { id }, patch);
+        return { data: await lockRow(tx, 'teams', id), error: null };
+    }));
+
+    // Replace a team's category allocations with budgets ([{ category, amount }]): allocations
+    // are updated or added, and categories left out lose theirs, all or nothing. Only an active
+    // team's allocations change (mirrors set_team_category_budgets()).
+    store.teamCategoryBudgets.replaceForTeam = (teamId, budgets, createdBy) => attempt(() => sql.transaction(async (tx) => {
+        const team = await lockRow(tx, 'teams', teamId);
+        if (!team) throw new StoreError('NOT_FOUND', 'Team not found');
+        requireActiveTeam(team, 'category budgets');
+
+        const existing = await tx.query('SELECT * FROM team_category_budgets WHERE team_id = ?', [teamId]);
+        const existingBySlug = new Map(existing.map(budget => [budget.category, budget]));
+        const now = new Date().toISOString();
+        for (const { category, amount } of budgets) {
+            if (existingBySlug.has(category)) {
+                await updateRows(tx, 'team_category_budgets', { id: existingBySlug.get(category).id }, { amount, updated_at: now });
+            } else {
+                await insertRow(tx, 'team_category_budgets', { team_id: teamId, category, amount, created_by: createdBy, created_at: now });
+            }
+        }
+        const kept = new Set(budgets.map(budget => budget.category));
+        const dropped = existing.filter(budget => !kept.has(budget.category)).map(budget => budget.id);
+        if (dropped.length) {
+            const params = [];
+            await tx.query(`DELETE FROM team_category_budgets${buildWhere({ id: dropped }, params)}`, params);
+        }
+        return { data: await tx.query('SELECT * FROM team_category_budgets WHERE team_id = ?', [teamId]), error: null };
+    }));
+
+    // Record a transfer between two teams and move its amount from the giving team's available
+    // balance to the receiving team's (mirrors transfer_team_funds())
+    store.teamTransfers.record = (row) => attempt(() => sql.transaction(async (tx) => {
+        const teamIds = [Number(row.from_team_id), Number(row.to_team_id)].sort((a, b) => a - b);
+        for (const teamId of teamIds) {
+            if (!(await lockRow(tx, 'teams', teamId))) throw new StoreError('NOT_FOUND', 'Team not found');
+        }
+        const transfer = await insertRow(tx, 'team_transfers', row);
+        await postEntry(tx, transferEntry(transfer));
+        return { data: transfer, error: null };
+    }));
+
+    // Record an expense with its attachments and take its amount from the team's available
+    // balance, into the reserved bucket while it awaits review (mirrors record_expense())
+    store.expenses.createWithUsage = (row, attachments = []) => attempt(() => sql.transaction(async (tx) => (
+        { data: await recordExpense(tx, row, attachments), error: null }
+    )));
+
+    // Record a split and each of its shares as above, all or nothing; the attachments go with
+    // the first share (mirrors record_split_expense())
+    store.expenses.createSplit = (split, rows, attachments = []) => attempt(() => sql.transaction(async (tx) => {
+        // Lock the teams in id order, as postEntry does, so concurrent splits cannot deadlock
+        const teamIds = [...new Set(rows.map(row => Number(row.team_id)))].sort((a, b) => a - b);
+        for (const teamId of teamIds) {
+            if (!(await lockRow(tx, 'teams', teamId))) throw new StoreError('NOT_FOUND', 'Team not found');
+        }
+        const created = await insertRow(tx, 'expense_splits', split);
+        const expenses = [];
+        for (const [index, row] of rows.entries()) {
+            expenses.push(await recordExpense(tx, { ...row, split_id: created.id }, index === 0 ? attachments : []));
+        }
+        return { data: { split: created, expenses }, error: null };
+    }));
+
+    // Edit an expense and post the difference in amount to the ledger (mirrors update_expense())
+    store.expenses.updateWithUsage = (id, patch, actorId) => attempt(() => sql.transaction(async (tx) => {
+        const expense = await lockRow(tx, 'expenses', id);
+        if (!expense) throw new StoreError('NOT_FOUND', 'Expense not found');
+        if (expense.status === 'rejected') throw new StoreError('INVALID_STATE', 'Rejected expenses cannot be edited');
+        // Serialises category allowance checks with other expenses of the team
+        const team = await lockRow(tx, 'teams', expense.team_id);
+
+        const [updated] = await updateRows(tx, 'expenses', { id }, patch);
+        const change = Math.round((parseFloat(updated.amount) - parseFloat(expense.amount)) * 100) / 100;
+        if (change && team.status === 'closed') {
+            throw new StoreError('TEAM_CLOSED', 'The expenses of a closed team cannot be changed');
+        }
+        if (expense.reimbursement_id && change) {
+            throw new StoreError('INVALID_STATE', 'The amount of a reimbursed expense cannot be changed');
+        }
+        if (change && await isSettledAdvance(tx, expense.advance_id)) {
+            throw new StoreError('INVALID_STATE', 'The amount of an expense against a settled cash advance cannot be changed');
+        }
+        // Only growing an expense or moving it to another category can break an allowance
+        if (change > 0 || updated.category !== expense.category) {
+            await checkCategoryAllowance(tx, updated);
+        }
+        if (change > 0 && updated.advance_id) await checkAdvanceCover(tx, team);
+        const entry = expenseAdjustment(updated, change, {
+            memo: `Expense #${expense.id} amended from ${parseFloat(expense.amount).toFixed(2)} to ${parseFloat(updated.amount).toFixed(2)}`,
+            createdBy: actorId
+        });
+        if (entry) await postEntry(tx, entry);
+        return { data: updated, error: null };
+    }));
+
+    // Delete an expense and return whatever it holds to the available balance (mirrors delete_expense())
+    store.expenses.removeWithReversal = (id, actorId) => attempt(() => sql.transaction(async (tx) => (
+        { data: await removeExpense(tx, id, actorId), error: null }
+    )));
+
+    // Delete a split and every one of its shares as above, all or nothing (mirrors
+    // delete_split_expense())
+    store.expenses.removeSplit = (splitId, actorId) => attempt(() => sql.transaction(async (tx) => {
+        const shares = await tx.query('SELECT id, team_id FROM expenses WHERE split_id = ? ORDER BY id', [splitId]);
+        // Lock the teams in id order, as createSplit does
+        const teamIds = [...new Set(shares.map(share => Number(share.team_id)))].sort((a, b) => a - b);
+        for (const teamId of teamIds) await lockRow(tx, 'teams', teamId);
+        const split = await lockRow(tx, 'expense_splits', splitId);
+        if (!split) throw new StoreError('NOT_FOUND', 'Split expense not found');
+
+        const expenses = [];
+        for (const share of shares) expenses.push(await removeExpense(tx, share.id, actorId));
+        await tx.query('DELETE FROM expense_splits WHERE id = ?', [splitId]);
+        return { data: { split, expenses }, error: null };
+    }));
+
+    // Review a submitted expense: approving moves its reservation to spent, rejecting
+    // releases it, needs_info keeps it reserved; an expense paid personally is spent against
+    // what is owed to its payer on approval (mirrors review_expense())
+    store.expenses.review = (id, status, processedBy, note) => attempt(() => sql.transaction(async (tx) => {
+        const expense = await lockRow(tx, 'expenses', id);
+        if (!expense || (expense.status !== 'submitted' && expense.status !== 'needs_info')) {
+            throw new StoreError('INVALID_STATE', 'Invalid expense or expense already processed');
+        }
+
+        const [reviewed] = await updateRows(tx, 'expenses', { id }, {
+            status,
+            processed_by: processedBy,
+            processed_at: new Date().toISOString(),
+            review_note: note || null
+        });
+        const entry = expenseStatusChange(expense, status, {
+            memo: `Expense #${expense.id} ${status}: ${expense.description}`,
+            createdBy: processedBy
+        });
+        if (entry) await postEntry(tx, entry);
+        return { data: reviewed, error: null };
+    }));
+
+    // Approve a pending amount request and add it to the team budget (mirrors approve_amount_request())
+    store.amountRequests.approve = (requestId, processedBy) => attempt(() => sql.transaction(async (tx) => {
+        const request = await lockRow(tx, 'amount_requests', requestId);
+        if (!request || (request.status !== 'pending' && request.status !== null)) {
+            throw new StoreError('INVALID_STATE');
+        }
+
+        const [approved] = await updateRows(tx, 'amount_requests', { id: requestId }, {
+            status: 'approved',
+            processed_at: new Date().toISOString(),
+            processed_by: processedBy
+        });
+        await postEntry(tx, {
+            entry_type: 'top_up',
+            debit_account: teamAccount(request.team_id),
+            credit_account: FUNDING_ACCOUNT,
+            amount: request.requested_amount,
+            reference_type: 'amount_request',
+            reference_id: request.id,
+            memo: request.reason,
+            created_by: processedBy
+        });
+        return { data: approved, error: null };
+    }));
+
+    // Reject a pending amount request (mirrors reject_amount_request())
+    store.amountRequests.reject = (requestId, processedBy) => attempt(() => sql.transaction(async (tx) => {
+        const request = await lockRow(tx, 'amount_requests', requestId);
+        if (!request || (request.status !== 'pending' && request.status !== null)) {
+            throw new StoreError('INVALID_STATE');
+        }
+        const [rejected] = await updateRows(tx, 'amount_requests', { id: requestId }, {
+            status: 'rejected',
+            processed_at: new Date().toISOString(),
+            processed_by: processedBy
+        });
+        return { data: rejected, error: null };
+    }));
+
+    // Settle what is owed to a member for approved expenses they paid personally: record the
+    // reimbursement, mark the expenses settled by it and pay the member's payable account from
+    // the funding pool (mirrors settle_reimbursement())
+    store.reimbursements.settle = (row, expenseIds) => attempt(() => sql.transaction(async (tx) => {
+        if (!expenseIds.length) {
+            throw new StoreError('INVALID_STATE', 'Only approved expenses paid personally and not yet reimbursed can be settled');
+        }
+        let total = 0;
+        for (const id of [...expenseIds].sort((a, b) => a - b)) {
+            const expense = await lockRow(tx, 'expenses', id);
+            if (!expense || !expense.paid_personally || expense.status !== 'approved' || expense.reimbursement_id) {
+                throw new StoreError('INVALID_STATE', 'Only approved expenses paid personally and not yet reimbursed can be settled');
+            }
+            if (Number(expense.paid_by || expense.user_id) !== Number(row.user_id)) {
+                throw new StoreError('INVALID_STATE', 'The expenses must all have been paid by the member reimbursed');
+            }
+            total += parseFloat(expense.amount);
+        }
+
+        const reimbursement = await insertRow(tx, 'reimbursements', { ...row, amount: Math.round(total * 100) / 100 });
+        await updateRows(tx, 'expenses', { id: expenseIds }, { reimbursement_id: reimbursement.id });
+        await postEntry(tx, reimbursementEntry(reimbursement));
+        return { data: reimbursement, error: null };
+    }));
+
+    // Advance cash to a member from their team's available balance: opens an advance, or adds
+    // to the member's open one (mirrors issue_cash_advance())
+    store.cashAdvances.issue = (row) => attempt(() => sql.transaction(async (tx) => {
+        const team = await lockRow(tx, 'teams', row.team_id);
+        if (!team) throw new StoreError('NOT_FOUND', 'Team not found');
+        requireActiveTeam(team, 'cash advances');
+
+        const [open] = await tx.query(`SELECT * FROM cash_advances WHERE user_id = ? AND status = 'open'${tx.forUpdate}`, [row.user_id]);
+        let advance;
+        if (open) {
+            if (Number(open.team_id) !== Number(row.team_id)) {
+                throw new StoreError('INVALID_STATE', 'The member holds an open cash advance from another team');
+            }
+            [advance] = await tx.query('UPDATE cash_advances SET amount = amount + ? WHERE id = ? RETURNING *', [row.amount, open.id]);
+        } else {
+            advance = await insertRow(tx, 'cash_advances', row);
+        }
+        await postEntry(tx, advanceEntry(advance, { amount: row.amount, memo: row.note, createdBy: row.issued_by }));
+        return { data: advance, error: null };
+    }));
+
+    // Close out an advance once nothing against it is under review: the cash the member did not
+    // spend is returned to the team's available balance, or what they spent beyond the advance
+    // is topped up from it (mirrors settle_cash_advance())
+    store.cashAdvances.settle = (id, settledBy, note) => attempt(() => sql.transaction(async (tx) => {
+        const [found] = await tx.query('SELECT team_id FROM cash_advances WHERE id = ?', [id]);
+        if (!found) throw new StoreError('NOT_FOUND', 'Cash advance not found');
+        // The team first, as recording an expense does
+        await lockRow(tx, 'teams', found.team_id);
+        const advance = await lockRow(tx, 'cash_advances', id);
+        if (advance.status !== 'open') throw new StoreError('INVALID_STATE', 'This cash advance has already been settled');
+        const [{ pending }] = await tx.query(
+            "SELECT COUNT(*) AS pending FROM expenses WHERE advance_id = ? AND status IN ('submitted', 'needs_info')",
+            [id]
+        );
+        if (Number(pending) > 0) throw new StoreError('INVALID_STATE', 'Expenses against this advance are still under review');
+
+        const [{ spent }] = await tx.query(
+            "SELECT COALESCE(SUM(amount), 0) AS spent FROM expenses WHERE advance_id = ? AND status = 'approved'",
+            [id]
+        );
+        const spentAmount = Math.round(parseFloat(spent) * 100) / 100;
+        const balance = Math.round((parseFloat(advance.amount) - spentAmount) * 100) / 100;
+        const entry = advanceSettlementEntry(advance, balance, { memo: note, createdBy: settledBy });
+        if (entry) await postEntry(tx, entry);
+
+        const [settled] = await updateRows(tx, 'cash_advances', { id }, {
+            status: 'settled',
+            spent_amount: spentAmount,
+            returned_amount: Math.max(balance, 0),
+            top_up_amount: Math.max(-balance, 0),
+            settlement_note: note || null,
+            settled_by: settledBy,
+            settled_at: new Date().toISOString()
+        });
+        return { data: settled, error: null };
+    }));
+
+    // Post several ledger entries (reversals, transfers) all-or-nothing (mirrors post_ledger_entries())
+    store.ledgerEntries.post = (entries) => attempt(() => sql.transaction(async (tx) => {
+        const posted = [];
+        for (const entry of entries) posted.push(await postEntry(tx, entry));
+        return { data: posted, error: null };
+    }));
+
+    return store;
+};
+
+module.exports = { createSqlStore, attempt, buildWhere, insertRow, updateRows, lockRow, postEntry };
@@ -0,0 +1,167 @@
+// Supabase backend for the data-access layer (see db/index.js for the repository contract)
+
+const { createClient } = require('@supabase/supabase-js');
+const { TABLES, FILTER_OPERATORS, matchesNothing } = require('./index');
+const { fromRpcError } = require('./errors');
+
+const applyFilters = (query, filters) => {
+    Object.entries(filters || {}).forEach(([column, value]) => {
+        if (value === undefined) return;
+        if (value === null) {
+            query = query.is(column, null);
+        } else if (Array.isArray(value)) {
+            query = query.in(column, value);
+        } else if (typeof value === 'object' && !(value instanceof Date)) {
+            FILTER_OPERATORS.forEach(op => {
+                if (value[op] !== undefined) query = query[op](column, value[op]);
+            });
+        } else {
+            query = query.eq(column, value);
+        }
+    });
+    return query;
+};
+
+const selectColumns = (columns) => (columns && columns.length ? columns.join(', ') : '*');
+
+const createTableRepository = (supabase, table) => ({
+    async list(filters = {}, { columns, orderBy, ascending = true, limit } = {}) {
+        if (matchesNothing(filters)) return { data: [], error: null };
+        let query = applyFilters(supabase.from(table).select(selectColumns(columns)), filters);
+        if (orderBy) query = query.order(orderBy, { ascending });
+        if (limit) query = query.limit(limit);
+        const { data, error } = await query;
+        return { data: data || [], error };
+    },
+
+    async findOne(filters = {}, { columns } = {}) {
+        if (matchesNothing(filters)) return { data: null, error: null };
+        const { data, error } = await applyFilters(supabase.from(table).select(selectColumns(columns)), filters).limit(1);
+        return { data: data && data.length ? data[0] : null, error };
+    },
+
+    async findById(id, options = {}) {
+        return this.findOne({ id }, options);
+    },
+
+    async create(row) {
+        return supabase.from(table).insert([row]).select().single();
+    },
+
+    async update(filters, patch) {
+        if (matchesNothing(filters)) return { data: [], error: null };
+        const { data, error } = await applyFilters(supabase.from(table).update(patch), filters).select();
+        return { data: data || [], error };
+    },
+
+    async remove(filters) {
+        if (matchesNothing(filters)) return { data: null, error: null };
+        const { error } = await applyFilters(supabase.from(table).delete(), filters);
+        return { data: null, error };
+    },
+
+    async count(filters = {}) {
+        if (matchesNothing(filters)) return { count: 0, error: null };
+        const { count, error } = await applyFilters(supabase.from(table).select('id', { count: 'exact', head: true }), filters);
+        return { count: count || 0, error };
+    }
+});
+
+const createSupabaseStore = ({ url, serviceRole }) => {
+    if (!url || !serviceRole) {
+        console.warn('Supabase env vars not set. Please configure SUPABASE_URL and SUPABASE_SERVICE_ROLE in .env');
+    }
+    const supabase = createClient(url, serviceRole, {
+        auth: { persistSession: false }
+    });
+
+    const store = {
+        client: 'supabase',
+        description: url ? 'Supabase (configured)' : 'Supabase (NOT CONFIGURED)',
+        supabase,
+        async init() {},
+        async close() {}
+    };
+    Object.entries(TABLES).forEach(([key, table]) => {
+        store[key] = createTableRepository(supabase, table);
+    });
+
+    // Atomic operations run as Postgres functions (db/migrations/postgres)
+    const rpc = async (fn, args) => {
+        const { data, error } = await supabase.rpc(fn, args);
+        return { data: error ? null : data, error: error ? fromRpcError(error) : null };
+    };
+
+    store.teams.createWithOpening = (row, createdBy) => rpc('create_team', {
+        p_team: row,
+        p_created_by: createdBy
+    });
+    store.teams.closeOut = (id, closedBy, note) => rpc('close_out_team', {
+        p_team_id: id,
+        p_closed_by: closedBy,
+        p_note: note
+    });
+    store.teams.updateWithAdjustment = (id, patch, adjustment = null) => rpc('update_team', {
+        p_team_id: id,
+        p_patch: patch,
+        p_adjustment: adjustment
+    });
+    store.budgetAdjustments.record = (row) => rpc('adjust_team_budget', { p_adjustment: row });
+    store.teamTransfers.record = (row) => rpc('transfer_team_funds', { p_transfer: row });
+    store.teamCategoryBudgets.replaceForTeam = (teamId, budgets, createdBy) => rpc('set_team_category_budgets', {
+        p_team_id: teamId,
+        p_budgets: budgets,
+        p_created_by: createdBy
+    });
+    store.expenses.createWithUsage = (row, attachments = []) => rpc('record_expense', {
+        p_expense: row,
+        p_attachments: attachments
+    });
+    store.expenses.createSplit = (split, rows, attachments = []) => rpc('record_split_expense', {
+        p_split: split,
+        p_expenses: rows,
+        p_attachments: attachments
+    });
+    store.expenses.updateWithUsage = (id, patch, actorId) => rpc('update_expense', {
+        p_expense_id: id,
+        p_patch: patch,
+        p_actor: actorId
+    });
+    store.expenses.removeWithReversal = (id, actorId) => rpc('delete_expense', {
+        p_expense_id: id,
+        p_actor: actorId
+    });
+    store.expenses.removeSplit = (splitId, actorId) => rpc('delete_split_expense', {
+        p_split_id: splitId,
+        p_actor: actorId
+    });
+    store.expenses.review = (id, status, processedBy, note) => rpc('review_expense', {
+        p_expense_id: id,
+        p_status: status,
+        p_processed_by: processedBy,
+        p_note: note || null
+    });
+    store.amountRequests.approve = (requestId, processedBy) => rpc('approve_amount_request', {
+        p_request_id: requestId,
+        p_processed_by: processedBy
+    });
+    store.amountRequests.reject = (requestId, processedBy) => rpc('reject_amount_request', {
+        p_request_id: requestId,
+        p_processed_by: processedBy
+    });
+    store.ledgerEntries.post = (entries) => rpc('post_ledger_entries', { p_entries: entries });
+    store.reimbursements.settle = (row, expenseIds) => rpc('settle_reimbursement', {
+        p_reimbursement: row,
+        p_expense_ids: expenseIds
+    });
+    store.cashAdvances.issue = (row) => rpc('issue_cash_advance', { p_advance: row });
+    store.cashAdvances.settle = (id, settledBy, note) => rpc('settle_cash_advance', {
+        p_advance_id: id,
+        p_settled_by: settledBy,
+        p_note: note || null
+    });
+
+    return store;
+};
+
+module.exports = { createSupabaseStore };
@@ -14,6 +14,8 @@ class FieldWorkBookApp {
         this.checkAuthStatus();
         this.bindEvents();
         this.initializeDataTables();
+        this.initOfflineSupport();
+        this.initInstallPrompt();
     }
 
     // Modern UI Effects
@@ -136,6 +138,7 @@ class FieldWorkBookApp {
             
             if (data.authenticated) {
                 this.currentUser = data.user;
+                this.setBaseCurrency(data.base_currency);
                 this.showMainApp();
                 this.loadDashboardData();
             } else {
@@ -167,6 +170,7 @@ class FieldWorkBookApp {
             if (data.success) {
                 console.log('✅ Login successful for:', data.user.full_name);
                 this.currentUser = data.user;
+                this.setBaseCurrency(data.base_currency);
                 this.showMainApp();
                 this.loadDashboardData();
                 this.showToast('Welcome ' + data.user.full_name + '!', 'success');
@@ -186,6 +190,8 @@ class FieldWorkBookApp {
 
     async logout() {
         try {
+            // API responses cached by the service worker (sw.js) belong to this user
+            if (window.caches) await caches.delete('fieldworkbook-api');
             await fetch('/api/logout', { method: 'POST' });
             this.currentUser = null;
             this.showLoginPage();
@@ -238,6 +244,11 @@ class FieldWorkBookApp {
     }
 
     showMainApp() {
+        // Field staff and admins see different category lists, so reload them per login
+        this.categoriesPromise = null;
+        this.currenciesPromise = null;
+        this.allowanceRatesPromise = null;
+        this.splitParticipantsPromise = null;
         console.log('🔄 Switching to main app view...');
         
         // Completely hide login page with animation
@@ -303,6 +314,11 @@ class FieldWorkBookApp {
         
         // Add animation
         document.getElementById('mainContent').classList.add('animate__animated', 'animate__fadeIn');
+
+        // Send anything drafted while offline
+        if (this.currentUser.role === 'field_staff') {
+            this.syncOfflineQueue();
+        }
     }
 
     showSection(section) {
@@ -353,6 +369,7 @@ class FieldWorkBookApp {
 
     // Data Loading Methods
     async loadDashboardData() {
+        await this.ensureCategories();
         if (this.currentUser.role === 'admin' || this.currentUser.role === 'partner') {
             await this.loadAdminDashboard();
         } else {
@@ -370,9 +387,11 @@ class FieldWorkBookApp {
             
             // Update stats cards with animation
             this.animateCounter('totalTeams', stats.totalTeams);
-            this.animateCounter('totalBudget', '$' + parseFloat(stats.totalBudget).toFixed(2));
-            this.animateCounter('totalUsed', '$' + parseFloat(stats.totalUsed).toFixed(2));
+            this.animateCounter('totalBudget', parseFloat(stats.totalBudget), stats.currency);
+            this.animateCounter('totalUsed', parseFloat(stats.totalUsed), stats.currency);
             this.animateCounter('pendingRequests', stats.pendingRequests);
+            const pendingExpensesEl = document.getElementById('pendingExpenses');
+            if (pendingExpensesEl) pendingExpensesEl.textContent = stats.pendingExpenses || 0;
             
             // Load teams overview
             const teamsResponse = await fetch('/api/teams');
@@ -400,6 +419,10 @@ class FieldWorkBookApp {
                 return;
             }
 
+            this.refreshOfflineQueue();
+            this.loadMyReimbursements();
+            this.loadMyCashAdvance();
+
             // Load team info
             const teamResponse = await fetch(`/api/teams/${this.currentUser.team_id}`);
             const team = await teamResponse.json();
@@ -414,13 +437,26 @@ class FieldWorkBookApp {
             const initialAmountNum = parseFloat(team.initial_amount ?? 0) || 0;
             const usedAmountNum = parseFloat(team.used_amount ?? 0) || 0;
             const remainingAmountNum = parseFloat(team.remaining_amount ?? (initialAmountNum - usedAmountNum)) || 0;
+            // Balance offline drafts are checked against when they are sent
+            this.teamRemaining = remainingAmountNum;
+            this.setTeamCurrency(team.currency);
+            // Per diems default to the rate for the team's location
+            this.teamLocation = team.location;
+
+            // A team that is closing or closed takes no new expenses or requests
+            const frozen = Boolean(team.status) && team.status !== 'active';
+            document.getElementById('teamStatusNotice').innerHTML = frozen
+                ? `<div class="alert alert-warning py-2"><i class="fas fa-lock me-2"></i>${team.name} is ${team.status}: new expenses and amount requests are not accepted.</div>`
+                : '';
+            document.getElementById('addExpenseBtn').disabled = frozen;
+            document.getElementById('requestAmountBtn').disabled = frozen;
 
             // Update team information with animation
             document.getElementById('teamName').textContent = team.name;
             document.getElementById('teamLocation').textContent = team.location;
-            this.animateCounter('teamInitialAmount', '$' + initialAmountNum.toFixed(2));
-            this.animateCounter('teamUsedAmount', '$' + usedAmountNum.toFixed(2));
-            this.animateCounter('teamRemainingAmount', '$' + remainingAmountNum.toFixed(2));
+            this.animateCounter('teamInitialAmount', initialAmountNum, team.currency);
+            this.animateCounter('teamUsedAmount', usedAmountNum, team.currency);
+            this.animateCounter('teamRemainingAmount', remainingAmountNum, team.currency);
 
             // Update progress bar
             const usagePercentage = initialAmountNum > 0 ? (usedAmountNum / initialAmountNum) * 100 : 0;
@@ -430,6 +466,22 @@ class FieldWorkBookApp {
                 progressBar.setAttribute('aria-valuenow', usagePercentage);
             }
 
+            // Expenses awaiting approval are held back from the remaining balance
+            const reservedAmountNum = parseFloat(team.reserved_amount ?? 0) || 0;
+            const reservedBar = document.getElementById('budgetReservedBar');
+            if (reservedBar) {
+                reservedBar.style.width = (initialAmountNum > 0 ? (reservedAmountNum / initialAmountNum) * 100 : 0) + '%';
+            }
+            const reservedInfo = document.getElementById('teamReservedAmount');
+            if (reservedInfo) {
+                reservedInfo.textContent = reservedAmountNum > 0 ? `${this.formatMoney(reservedAmountNum, team.currency)} pending approval` : '';
+            }
+
+            const budgetsResponse = await fetch(`/api/teams/${this.currentUser.team_id}/category-budgets`);
+            if (budgetsResponse.ok) {
+                this.renderCategoryBudgetBreakdown(await budgetsResponse.json());
+            }
+
             // Load my expenses
             const expensesResponse = await fetch('/api/expenses');
             const expenses = await expensesResponse.json();
@@ -455,9 +507,33 @@ class FieldWorkBookApp {
             case 'requests':
                 await this.loadAmountRequests();
                 break;
+            case 'reimbursements':
+                await this.loadReimbursementsSection();
+                break;
+            case 'cashAdvances':
+                await this.loadCashAdvances();
+                break;
             case 'partnerReport':
                 await this.loadPartnerReportSection();
                 break;
+            case 'categories':
+                await this.loadCategoriesSection();
+                break;
+            case 'vendors':
+                await this.loadVendorsSection();
+                break;
+            case 'currencies':
+                await this.loadExchangeRatesSection();
+                break;
+            case 'allowanceRates':
+                await this.loadAllowanceRatesSection();
+                break;
+            case 'recurring':
+                await this.loadRecurringSection();
+                break;
+            case 'policies':
+                await this.loadPolicyRules();
+                break;
         }
     }
 
@@ -465,7 +541,9 @@ class FieldWorkBookApp {
     async loadTeams() {
         try {
             console.log('🏢 Loading teams...');
-            const response = await fetch('/api/teams');
+            // Closed teams are archived and only listed when asked for
+            const showArchived = document.getElementById('showArchivedTeams')?.checked;
+            const response = await fetch(showArchived ? '/api/teams?status=active,closing,closed' : '/api/teams');
             const teams = await response.json();
             this.populateTeamsTable(teams);
         } catch (error) {
@@ -506,6 +584,136 @@ class FieldWorkBookApp {
         }
     }
 
+    showEditTeamModal(teamId) {
+        const team = (this.teams || []).find(t => t.id === teamId);
+        if (!team) return;
+        document.getElementById('editTeamForm').reset();
+        document.getElementById('editTeamId').value = team.id;
+        document.getElementById('editTeamName').value = team.name;
+        document.getElementById('editTeamLocation').value = team.location;
+        document.getElementById('editTeamDescription').value = team.description || '';
+        document.getElementById('editTeamInitialAmount').value = team.initial_amount;
+        document.getElementById('editTeamCurrency').textContent = team.currency;
+        new bootstrap.Modal(document.getElementById('editTeamModal')).show();
+    }
+
+    async updateTeam(teamId, teamData) {
+        try {
+            this.showLoading();
+            const response = await fetch(`/api/teams/${teamId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(teamData)
+            });
+
+            const data = await response.json();
+            this.hideLoading();
+
+            if (data.success) {
+                this.showToast('Team updated successfully!', 'success');
+                this.loadTeams();
+                this.loadDashboardData();
+                bootstrap.Modal.getInstance(document.getElementById('editTeamModal')).hide();
+            } else {
+                this.showToast(data.error || 'Failed to update team', 'error');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Update team error:', error);
+            this.showToast('Error updating team', 'error');
+        }
+    }
+
+    showAdjustFundsModal(teamId) {
+        const team = (this.teams || []).find(t => t.id === teamId);
+        if (!team) return;
+        document.getElementById('adjustFundsForm').reset();
+        document.getElementById('adjustFundsTeamId').value = team.id;
+        document.getElementById('adjustFundsTeamName').textContent = team.name;
+        document.getElementById('adjustFundsAvailable').textContent =
+            `In the team's currency. Available: ${this.formatMoney(team.remaining_amount, team.currency)}`;
+        new bootstrap.Modal(document.getElementById('adjustFundsModal')).show();
+    }
+
+    async adjustTeamFunds(teamId, adjustmentData) {
+        try {
+            this.showLoading();
+            const response = await fetch(`/api/teams/${teamId}/adjustments`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(adjustmentData)
+            });
+
+            const data = await response.json();
+            this.hideLoading();
+
+            if (data.success) {
+                this.showToast(adjustmentData.kind === 'claw_back' ? 'Funds clawed back!' : 'Funds allocated!', 'success');
+                this.loadTeams();
+                this.loadDashboardData();
+                bootstrap.Modal.getInstance(document.getElementById('adjustFundsModal')).hide();
+            } else {
+                this.showToast(data.error || 'Failed to adjust funds', 'error');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Adjust funds error:', error);
+            this.showToast('Error adjusting funds', 'error');
+        }
+    }
+
+    showTransferFundsModal(teamId) {
+        const team = (this.teams || []).find(t => t.id === teamId);
+        if (!team) return;
+        const targets = this.teams.filter(t => t.id !== team.id && t.status === 'active' && t.currency === team.currency);
+        if (targets.length === 0) {
+            this.showToast('There is no other active team with the same currency', 'error');
+            return;
+        }
+        document.getElementById('transferFundsForm').reset();
+        document.getElementById('transferFundsFromTeamId').value = team.id;
+        document.getElementById('transferFundsTeamName').textContent = team.name;
+        document.getElementById('transferFundsToTeam').innerHTML = targets
+            .map(t => `<option value="${t.id}">${t.name} (${this.formatMoney(t.remaining_amount, t.currency)} available)</option>`)
+            .join('');
+        document.getElementById('transferFundsAvailable').textContent =
+            `In the team's currency. Available: ${this.formatMoney(team.remaining_amount, team.currency)}`;
+        new bootstrap.Modal(document.getElementById('transferFundsModal')).show();
+    }
+
+    async transferTeamFunds(transferData) {
+        try {
+            this.showLoading();
+            const response = await fetch('/api/team-transfers', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(transferData)
+            });
+
+            const data = await response.json();
+            this.hideLoading();
+
+            if (data.success) {
+                this.showToast('Funds transferred!', 'success');
+                this.loadTeams();
+                this.loadDashboardData();
+                bootstrap.Modal.getInstance(document.getElementById('transferFundsModal')).hide();
+            } else {
+                this.showToast(data.error || 'Failed to transfer funds', 'error');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Transfer funds error:', error);
+            this.showToast('Error transferring funds', 'error');
+        }
+    }
+
     async addUserToTeam(userData) {
         try {
             this.showLoading();
@@ -711,144 +919,2107 @@ class FieldWorkBookApp {
         });
     }
 
-    // Expenses Management
-    async loadExpenses() {
+    // Expense Categories
+    // Categories come from /api/categories; expenses store the category slug
+    ensureCategories() {
+        if (!this.categoriesPromise) {
+            this.categoriesPromise = this.loadCategories();
+        }
+        return this.categoriesPromise;
+    }
+
+    async loadCategories() {
         try {
-            console.log('💰 Loading expenses...');
-            const response = await fetch('/api/expenses');
-            const expenses = await response.json();
-            this.populateExpensesTable(expenses);
+            const response = await fetch('/api/categories');
+            const categories = await response.json();
+            this.categories = Array.isArray(categories) ? categories : [];
         } catch (error) {
-            console.error('Error loading expenses:', error);
-            this.showToast('Error loading expenses', 'error');
+            console.error('Error loading categories:', error);
+            this.categories = [];
         }
+        this.categoriesBySlug = new Map(this.categories.map(category => [category.slug, category]));
+        this.populateCategorySelect(document.getElementById('expenseCategory'));
+        return this.categories;
     }
 
-    async addExpense(formData) {
+    // Fill a category <select> with the active categories, keeping `selected` even if it was deactivated
+    populateCategorySelect(select, selected) {
+        if (!select) return;
+        const categories = (this.categories || []).filter(category => category.is_active || category.slug === selected);
+        select.innerHTML = '';
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.slug;
+            option.textContent = category.is_active ? category.name : `${category.name} (inactive)`;
+            select.appendChild(option);
+        });
+        if (selected && !categories.some(category => category.slug === selected)) {
+            const option = document.createElement('option');
+            option.value = selected;
+            option.textContent = `${selected} (inactive)`;
+            select.appendChild(option);
+        }
+        if (selected) select.value = selected;
+    }
+
+    getCategoryLabel(slug) {
+        const category = this.categoriesBySlug && this.categoriesBySlug.get(slug || 'general');
+        if (!category) {
+            return `<small class="text-muted">${slug || 'general'}</small>`;
+        }
+        return `<small class="text-muted"><i class="fas ${category.icon} me-1" style="color: ${category.color}"></i>${category.name}</small>`;
+    }
+
+    async loadCategoriesSection() {
+        console.log('🏷️ Loading categories...');
+        this.categoriesPromise = this.loadCategories();
+        this.populateCategoriesTable(await this.categoriesPromise);
+    }
+
+    showCategoryModal(categoryId) {
+        const category = categoryId ? this.categories.find(c => c.id === categoryId) : null;
+        document.getElementById('categoryForm').reset();
+        document.getElementById('categoryId').value = category ? category.id : '';
+        document.getElementById('categoryModalTitle').textContent = category ? 'Edit Category' : 'Add Category';
+        document.getElementById('categoryName').value = category ? category.name : '';
+        document.getElementById('categoryIcon').value = category ? category.icon : 'fa-tag';
+        document.getElementById('categoryColor').value = category ? category.color : '#6c757d';
+        document.getElementById('categorySortOrder').value = category ? category.sort_order : 0;
+        document.getElementById('categoryActive').checked = category ? category.is_active : true;
+        new bootstrap.Modal(document.getElementById('categoryModal')).show();
+    }
+
+    async saveCategory(categoryId, categoryData) {
         try {
             this.showLoading();
-            console.log('💰 Adding expense...');
-            
-            const response = await fetch('/api/expenses', {
-                method: 'POST',
-                body: formData
+            const response = await fetch(categoryId ? `/api/categories/${categoryId}` : '/api/categories', {
+                method: categoryId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(categoryData)
             });
 
             const data = await response.json();
             this.hideLoading();
 
             if (data.success) {
-                this.showToast('Expense added successfully!', 'success');
-                this.loadExpenses();
-                this.loadDashboardData(); // Refresh dashboard
-                bootstrap.Modal.getInstance(document.getElementById('addExpenseModal')).hide();
-                document.getElementById('addExpenseForm').reset();
+                this.showToast(categoryId ? 'Category updated successfully!' : 'Category created successfully!', 'success');
+                bootstrap.Modal.getInstance(document.getElementById('categoryModal')).hide();
+                this.loadCategoriesSection();
             } else {
-                this.showToast(data.error || 'Failed to add expense', 'error');
+                this.showToast(data.error || 'Failed to save category', 'error');
             }
         } catch (error) {
             this.hideLoading();
-            console.error('Add expense error:', error);
-            this.showToast('Error adding expense', 'error');
+            console.error('Save category error:', error);
+            this.showToast('Error saving category', 'error');
         }
     }
 
-    // Amount Requests Management
-    async loadAmountRequests() {
+    async setCategoryActive(categoryId, isActive) {
         try {
-            console.log('💸 Loading amount requests...');
-            const response = await fetch('/api/amount-requests');
-            const requests = await response.json();
-            this.populateRequestsTable(requests);
+            const response = await fetch(`/api/categories/${categoryId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ is_active: isActive })
+            });
+            const data = await response.json();
+            if (data.success) {
+                this.showToast(isActive ? 'Category activated' : 'Category deactivated', 'success');
+                this.loadCategoriesSection();
+            } else {
+                this.showToast(data.error || 'Failed to update category', 'error');
+            }
         } catch (error) {
-            console.error('Error loading requests:', error);
-            this.showToast('Error loading requests', 'error');
+            console.error('Update category error:', error);
+            this.showToast('Error updating category', 'error');
         }
     }
 
-    async fixNullRequests() {
+    async deleteCategory(categoryId, categoryName) {
         try {
-            this.showLoading();
-            const response = await fetch('/api/fix-null-requests', {
-                method: 'PUT'
+            const result = await Swal.fire({
+                title: 'Delete Category?',
+                text: `This will permanently delete ${categoryName}. Categories already used by expenses can only be deactivated.`,
+                icon: 'warning',
+                showCancelButton: true,
+                confirmButtonColor: '#dc3545',
+                cancelButtonColor: '#6c757d',
+                confirmButtonText: 'Yes, delete it!',
+                cancelButtonText: 'Cancel',
+                background: 'rgba(255, 255, 255, 0.95)',
+                backdrop: 'rgba(0,0,0,0.4)'
             });
-            
-            const data = await response.json();
-            this.hideLoading();
-            
-            if (data.success) {
-                this.showToast('Fixed null status requests successfully!', 'success');
-                this.loadAmountRequests();
-            } else {
-                this.showToast(data.error || 'Failed to fix requests', 'error');
+
+            if (result.isConfirmed) {
+                this.showLoading();
+                const response = await fetch(`/api/categories/${categoryId}`, {
+                    method: 'DELETE'
+                });
+
+                const data = await response.json();
+                this.hideLoading();
+
+                if (data.success) {
+                    this.showToast('Category deleted successfully!', 'success');
+                    this.loadCategoriesSection();
+                } else {
+                    this.showToast(data.error || 'Failed to delete category', 'error');
+                }
             }
         } catch (error) {
             this.hideLoading();
-            console.error('Fix null requests error:', error);
-            this.showToast('Error fixing requests', 'error');
+            console.error('Delete category error:', error);
+            this.showToast('Error deleting category', 'error');
         }
     }
 
-    async fixNullDates() {
+    populateCategoriesTable(categories) {
+        if ($.fn.DataTable.isDataTable('#categoriesTable')) {
+            $('#categoriesTable').DataTable().destroy();
+        }
+
+        const tbody = document.querySelector('#categoriesTable tbody');
+        tbody.innerHTML = '';
+
+        categories.forEach(category => {
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td>
+                    <div class="d-flex align-items-center">
+                        <div class="me-3">
+                            <div class="avatar-circle" style="background: ${category.color}">
+                                <i class="fas ${category.icon} text-white"></i>
+                            </div>
+                        </div>
+                        <strong>${category.name}</strong>
+                    </div>
+                </td>
+                <td><code>${category.slug}</code></td>
+                <td>${category.sort_order}</td>
+                <td>${category.is_active
+                    ? '<span class="badge bg-success">Active</span>'
+                    : '<span class="badge bg-secondary">Inactive</span>'}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn btn-sm btn-outline-secondary me-1" onclick="app.showCategoryModal(${category.id})" title="Edit">
+                            <i class="fas fa-pen"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-${category.is_active ? 'warning' : 'success'} me-1" onclick="app.setCategoryActive(${category.id}, ${!category.is_active})" title="${category.is_active ? 'Deactivate' : 'Activate'}">
+                            <i class="fas fa-${category.is_active ? 'eye-slash' : 'eye'}"></i>
+                        </button>
+                        <button class="btn btn-sm btn-danger hover-lift" onclick="app.deleteCategory(${category.id}, '${category.name}')" title="Delete">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            `;
+        });
+
+        $('#categoriesTable').DataTable({
+            responsive: true,
+            pageLength: 25,
+            order: [[2, 'asc']],
+            language: {
+                emptyTable: "No categories yet. Click 'Add Category' to create one."
+            }
+        });
+    }
+
+    // Currencies
+    // The base currency comes with the session; expenses can be paid in it or in any currency
+    // with an exchange rate (/api/exchange-rates)
+    setBaseCurrency(code) {
+        this.baseCurrency = code || 'USD';
+        document.querySelectorAll('.base-currency-code').forEach(element => { element.textContent = this.baseCurrency; });
+    }
+
+    setTeamCurrency(code) {
+        this.teamCurrency = code || this.baseCurrency;
+        document.querySelectorAll('.team-currency-code').forEach(element => { element.textContent = this.teamCurrency; });
+    }
+
+    ensureCurrencies() {
+        if (!this.currenciesPromise) {
+            this.currenciesPromise = this.loadCurrencies();
+        }
+        return this.currenciesPromise;
+    }
+
+    async loadCurrencies() {
+        try {
+            const response = await fetch('/api/exchange-rates');
+            const data = await response.json();
+            this.exchangeRates = Array.isArray(data.rates) ? data.rates : [];
+            this.currencies = Array.isArray(data.currencies) ? data.currencies : [this.baseCurrency];
+        } catch (error) {
+            console.error('Error loading exchange rates:', error);
+            this.exchangeRates = this.exchangeRates || [];
+            this.currencies = this.currencies || [this.baseCurrency];
+        }
+        return this.currencies;
+    }
+
+    // Fill a currency <select>, keeping `selected` even if its rates have since been removed
+    populateCurrencySelect(select, selected) {
+        if (!select) return;
+        const codes = [...new Set([...(this.currencies || [this.baseCurrency]), selected].filter(Boolean))];
+        select.innerHTML = codes.map(code => `<option value="${code}">${code}</option>`).join('');
+        select.value = selected || this.baseCurrency;
+    }
+
+    async loadExchangeRatesSection() {
+        console.log('💱 Loading exchange rates...');
+        this.currenciesPromise = this.loadCurrencies();
+        await this.currenciesPromise;
+        this.populateExchangeRatesTable(this.exchangeRates);
+    }
+
+    async saveExchangeRate(rateData) {
         try {
             this.showLoading();
-            const response = await fetch('/api/fix-null-dates', {
-                method: 'PUT'
+            const response = await fetch('/api/exchange-rates', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(rateData)
             });
-            
+
             const data = await response.json();
             this.hideLoading();
-            
+
             if (data.success) {
-                this.showToast('Fixed invalid dates successfully!', 'success');
-                // Refresh current section data
-                this.loadSectionData(this.currentSection);
+                this.showToast(`Rate for ${data.rate.currency} saved`, 'success');
+                document.getElementById('exchangeRateForm').reset();
+                this.loadExchangeRatesSection();
             } else {
-                this.showToast(data.error || 'Failed to fix dates', 'error');
+                this.showToast(data.error || 'Failed to save exchange rate', 'error');
             }
         } catch (error) {
             this.hideLoading();
-            console.error('Fix null dates error:', error);
-            this.showToast('Error fixing dates', 'error');
+            console.error('Save exchange rate error:', error);
+            this.showToast('Error saving exchange rate', 'error');
         }
     }
 
-    async requestAmount(requestData) {
+    // CSV with one "currency,rate,effective_date" line per rate
+    async importExchangeRates(file) {
         try {
             this.showLoading();
-            console.log('💸 Requesting amount:', requestData.requested_amount);
-            
-            const response = await fetch('/api/amount-requests', {
+            const response = await fetch('/api/exchange-rates/import', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify(requestData)
+                body: JSON.stringify({ csv: await file.text() })
             });
 
             const data = await response.json();
             this.hideLoading();
 
             if (data.success) {
-                this.showToast('Amount request submitted successfully!', 'success');
-                this.loadAmountRequests();
-                bootstrap.Modal.getInstance(document.getElementById('requestAmountModal')).hide();
-                document.getElementById('requestAmountForm').reset();
+                this.showToast(`${data.imported} rate(s) added, ${data.replaced} replaced`, 'success');
+                document.getElementById('exchangeRatesFile').value = '';
+                this.loadExchangeRatesSection();
             } else {
-                this.showToast(data.error || 'Failed to submit request', 'error');
+                this.showToast(data.error || 'Failed to import exchange rates', 'error');
             }
         } catch (error) {
             this.hideLoading();
-            console.error('Request amount error:', error);
-            this.showToast('Error submitting request', 'error');
+            console.error('Import exchange rates error:', error);
+            this.showToast('Error importing exchange rates', 'error');
         }
     }
 
-    async approveRequest(requestId) {
+    async deleteExchangeRate(rateId, label) {
         try {
             const result = await Swal.fire({
-                title: 'Approve Request?',
-                text: 'This will add the requested amount to the team budget.',
+                title: 'Delete Exchange Rate?',
+                text: `This will delete the rate ${label}. Expenses already converted keep their amounts.`,
+                icon: 'warning',
+                showCancelButton: true,
+                confirmButtonColor: '#dc3545',
+                cancelButtonColor: '#6c757d',
+                confirmButtonText: 'Yes, delete it!',
+                cancelButtonText: 'Cancel',
+                background: 'rgba(255, 255, 255, 0.95)',
+                backdrop: 'rgba(0,0,0,0.4)'
+            });
+
+            if (result.isConfirmed) {
+                this.showLoading();
+                const response = await fetch(`/api/exchange-rates/${rateId}`, {
+                    method: 'DELETE'
+                });
+
+                const data = await response.json();
+                this.hideLoading();
+
+                if (data.success) {
+                    this.showToast('Exchange rate deleted', 'success');
+                    this.loadExchangeRatesSection();
+                } else {
+                    this.showToast(data.error || 'Failed to delete exchange rate', 'error');
+                }
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Delete exchange rate error:', error);
+            this.showToast('Error deleting exchange rate', 'error');
+        }
+    }
+
+    populateExchangeRatesTable(rates) {
+        if ($.fn.DataTable.isDataTable('#exchangeRatesTable')) {
+            $('#exchangeRatesTable').DataTable().destroy();
+        }
+
+        const tbody = document.querySelector('#exchangeRatesTable tbody');
+        tbody.innerHTML = '';
+
+        rates.forEach(rate => {
+            const label = `1 ${rate.currency} = ${rate.rate} ${this.baseCurrency}`;
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td><strong>${rate.currency}</strong></td>
+                <td data-order="${rate.rate}">${label}</td>
+                <td data-order="${rate.effective_date}">${this.formatDate(rate.effective_date)}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn btn-sm btn-danger hover-lift" onclick="app.deleteExchangeRate(${rate.id}, '${label}')" title="Delete">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            `;
+        });
+
+        $('#exchangeRatesTable').DataTable({
+            responsive: true,
+            pageLength: 25,
+            order: [[0, 'asc'], [2, 'desc']],
+            language: {
+                emptyTable: 'No exchange rates yet. Add one above or import a CSV file.'
+            }
+        });
+    }
+
+    // Split Expenses
+    // A shared cost is entered once by whoever paid it and divided between members or whole
+    // teams (/api/split-participants); the server records one expense per share
+    ensureSplitParticipants() {
+        if (!this.splitParticipantsPromise) {
+            this.splitParticipantsPromise = fetch('/api/split-participants')
+                .then(response => response.json())
+                .then(data => (data && Array.isArray(data.members) ? data : { members: [], teams: [] }))
+                .catch(error => {
+                    console.error('Error loading split participants:', error);
+                    this.splitParticipantsPromise = null;
+                    return { members: [], teams: [] };
+                });
+        }
+        return this.splitParticipantsPromise;
+    }
+
+    // Show the shares of the add expense form when splitting; a new split starts with the
+    // payer's own share and one more
+    async updateExpenseSplitFields() {
+        const enabled = document.getElementById('expenseSplit').checked && document.getElementById('expenseType').value === 'standard';
+        document.getElementById('expenseSplitPanel').style.display = enabled ? '' : 'none';
+        if (!enabled) return;
+        if (!document.getElementById('expenseSplitShares').children.length) {
+            await this.addExpenseShareRow(`user:${this.currentUser.id}`);
+            await this.addExpenseShareRow('');
+        }
+        this.updateExpenseSplitSummary();
+    }
+
+    async addExpenseShareRow(selected) {
+        const participants = await this.ensureSplitParticipants();
+        const row = document.createElement('div');
+        row.className = 'input-group input-group-sm mb-2 expense-share';
+        row.innerHTML = `
+            <select class="form-select expense-share-target" aria-label="Member or team" required>
+                <option value="">Choose a member or team</option>
+                <optgroup label="Members">
+                    ${participants.members.map(member => `<option value="user:${member.id}">${member.full_name} (${member.team_name})</option>`).join('')}
+                </optgroup>
+                <optgroup label="Whole team">
+                    ${participants.teams.map(team => `<option value="team:${team.id}">${team.name}</option>`).join('')}
+                </optgroup>
+            </select>
+            <input type="number" class="form-control expense-share-value" min="0.01" step="0.01" aria-label="Share">
+            <button type="button" class="btn btn-outline-danger" title="Remove share">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+        row.querySelector('.expense-share-target').value = selected;
+        row.querySelector('button').addEventListener('click', () => {
+            row.remove();
+            this.updateExpenseSplitSummary();
+        });
+        row.querySelectorAll('select, input').forEach(field => {
+            field.addEventListener('input', () => this.updateExpenseSplitSummary());
+        });
+        document.getElementById('expenseSplitShares').appendChild(row);
+        this.updateExpenseSplitSummary();
+    }
+
+    // The shares as the server expects them: { user_id } or { team_id }, with the value entered
+    getExpenseShares() {
+        return Array.from(document.querySelectorAll('#expenseSplitShares .expense-share')).map(row => {
+            const [kind, id] = row.querySelector('.expense-share-target').value.split(':');
+            return {
+                [kind === 'team' ? 'team_id' : 'user_id']: parseInt(id, 10) || null,
+                value: row.querySelector('.expense-share-value').value
+            };
+        });
+    }
+
+    // Percentage and fixed splits take a value per share; the summary shows what is left to assign
+    updateExpenseSplitSummary() {
+        const method = document.getElementById('expenseSplitMethod').value;
+        const splitting = document.getElementById('expenseSplit').checked;
+        const rows = document.querySelectorAll('#expenseSplitShares .expense-share');
+        rows.forEach(row => {
+            const target = row.querySelector('.expense-share-target');
+            const input = row.querySelector('.expense-share-value');
+            target.required = splitting;
+            input.style.display = method === 'equal' ? 'none' : '';
+            input.required = splitting && method !== 'equal';
+            input.placeholder = method === 'percentage' ? '%' : 'Amount';
+        });
+        const amount = parseFloat(document.getElementById('expenseAmount').value) || 0;
+        const code = document.getElementById('expenseCurrency').value;
+        const summary = document.getElementById('expenseSplitSummary');
+        if (method === 'equal') {
+            summary.textContent = rows.length ? `${rows.length} shares of about ${this.formatMoney(amount / rows.length, code)}` : '';
+            return;
+        }
+        const assigned = this.getExpenseShares().reduce((sum, share) => sum + (parseFloat(share.value) || 0), 0);
+        const left = Math.round(((method === 'percentage' ? 100 : amount) - assigned) * 100) / 100;
+        summary.textContent = method === 'percentage' ? `${left}% left to assign` : `${this.formatMoney(left, code)} left to assign`;
+    }
+
+    // Mileage & Per Diem Rates
+    // Mileage is claimed per km at the rate of a vehicle type, per diems per day at the rate of
+    // a location (/api/allowance-rates); the server computes the amount from them
+    ensureAllowanceRates() {
+        if (!this.allowanceRatesPromise) {
+            this.allowanceRatesPromise = this.loadAllowanceRates();
+        }
+        return this.allowanceRatesPromise;
+    }
+
+    async loadAllowanceRates() {
+        try {
+            const response = await fetch('/api/allowance-rates');
+            const rates = await response.json();
+            this.allowanceRates = Array.isArray(rates) ? rates : [];
+        } catch (error) {
+            console.error('Error loading allowance rates:', error);
+            this.allowanceRates = this.allowanceRates || [];
+        }
+        return this.allowanceRates;
+    }
+
+    // Fill a vehicle type or location <select> with the active rates of a kind, keeping
+    // `selected` even if it was deactivated
+    populateAllowanceRateSelect(select, kind, selected) {
+        if (!select) return;
+        const rates = (this.allowanceRates || []).filter(rate => rate.kind === kind && (rate.is_active || rate.id === selected));
+        const unit = kind === 'mileage' ? 'km' : 'day';
+        select.innerHTML = `<option value="">${kind === 'mileage' ? 'Choose a vehicle' : 'Choose a location'}</option>`
+            + rates.map(rate => `<option value="${rate.id}">${rate.name} (${rate.rate} ${this.baseCurrency}/${unit})</option>`).join('');
+        if (selected && !rates.some(rate => rate.id === selected)) {
+            select.insertAdjacentHTML('beforeend', `<option value="${selected}">Rate claimed (no longer offered)</option>`);
+        }
+        select.value = selected || '';
+    }
+
+    // The amount the server will compute for a claim, shown while filling in the form
+    getAllowanceEstimate(quantity, rateId) {
+        const rate = (this.allowanceRates || []).find(r => r.id === parseInt(rateId, 10));
+        const value = parseFloat(quantity);
+        return rate && value > 0 ? Math.round(value * rate.rate * 100) / 100 : null;
+    }
+
+    // Show the amount or the distance/days fields of the add expense form for its type
+    updateExpenseTypeFields() {
+        const type = document.getElementById('expenseType').value;
+        const isAllowance = type !== 'standard';
+        document.getElementById('expenseAmountGroup').style.display = isAllowance ? 'none' : '';
+        document.getElementById('expenseAmount').required = !isAllowance;
+        // Only amounts paid can be split
+        document.getElementById('expenseSplitGroup').style.display = isAllowance ? 'none' : '';
+        this.updateExpenseSplitFields();
+        document.getElementById('expenseMileageGroup').style.display = type === 'mileage' ? '' : 'none';
+        document.getElementById('expenseDistance').required = type === 'mileage';
+        document.getElementById('expenseVehicle').required = type === 'mileage';
+        document.getElementById('expensePerDiemGroup').style.display = type === 'per_diem' ? '' : 'none';
+        document.getElementById('expenseDays').required = type === 'per_diem';
+        document.getElementById('expensePerDiemLocation').required = type === 'per_diem';
+        // Left blank, the server describes the claim by its distance or days
+        document.getElementById('expenseDescription').required = !isAllowance;
+        if (!isAllowance) {
+            document.getElementById('expenseAllowanceTotal').textContent = '';
+            return;
+        }
+        this.ensureAllowanceRates().then(() => {
+            const vehicle = document.getElementById('expenseVehicle');
+            const location = document.getElementById('expensePerDiemLocation');
+            if (type === 'mileage') {
+                this.populateAllowanceRateSelect(vehicle, 'mileage', parseInt(vehicle.value, 10) || null);
+            } else {
+                const teamRate = this.allowanceRates.find(rate => rate.kind === 'per_diem' && rate.is_active
+                    && rate.name.toLowerCase() === String(this.teamLocation || '').trim().toLowerCase());
+                this.populateAllowanceRateSelect(location, 'per_diem', parseInt(location.value, 10) || (teamRate ? teamRate.id : null));
+            }
+            this.updateAllowanceTotal();
+        });
+    }
+
+    updateAllowanceTotal() {
+        const type = document.getElementById('expenseType').value;
+        const [quantityId, rateId, unit] = type === 'mileage'
+            ? ['expenseDistance', 'expenseVehicle', 'km']
+            : ['expenseDays', 'expensePerDiemLocation', 'days'];
+        const estimate = this.getAllowanceEstimate(document.getElementById(quantityId).value, document.getElementById(rateId).value);
+        document.getElementById('expenseAllowanceTotal').innerHTML = estimate === null ? '' : `
+            <i class="fas fa-calculator me-1"></i>${parseFloat(document.getElementById(quantityId).value)} ${unit}
+            = <strong>${this.formatMoney(estimate)}</strong>, no receipt needed
+        `;
+    }
+
+    async loadAllowanceRatesSection() {
+        console.log('🚗 Loading mileage and per diem rates...');
+        this.allowanceRatesPromise = this.loadAllowanceRates();
+        this.populateAllowanceRatesTable(await this.allowanceRatesPromise);
+    }
+
+    showAllowanceRateModal(rateId) {
+        const rate = rateId ? this.allowanceRates.find(r => r.id === rateId) : null;
+        document.getElementById('allowanceRateForm').reset();
+        document.getElementById('allowanceRateId').value = rate ? rate.id : '';
+        document.getElementById('allowanceRateModalTitle').textContent = rate ? 'Edit Rate' : 'Add Rate';
+        document.getElementById('allowanceRateKind').value = rate ? rate.kind : 'mileage';
+        // The kind is fixed once created
+        document.getElementById('allowanceRateKind').disabled = Boolean(rate);
+        document.getElementById('allowanceRateName').value = rate ? rate.name : '';
+        document.getElementById('allowanceRateValue').value = rate ? rate.rate : '';
+        document.getElementById('allowanceRateActive').checked = rate ? rate.is_active : true;
+        new bootstrap.Modal(document.getElementById('allowanceRateModal')).show();
+    }
+
+    async saveAllowanceRate(rateId, rateData) {
+        try {
+            this.showLoading();
+            const response = await fetch(rateId ? `/api/allowance-rates/${rateId}` : '/api/allowance-rates', {
+                method: rateId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(rateData)
+            });
+
+            const data = await response.json();
+            this.hideLoading();
+
+            if (data.success) {
+                this.showToast(rateId ? 'Rate updated successfully!' : 'Rate created successfully!', 'success');
+                bootstrap.Modal.getInstance(document.getElementById('allowanceRateModal')).hide();
+                this.loadAllowanceRatesSection();
+            } else {
+                this.showToast(data.error || 'Failed to save rate', 'error');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Save allowance rate error:', error);
+            this.showToast('Error saving rate', 'error');
+        }
+    }
+
+    async setAllowanceRateActive(rateId, isActive) {
+        try {
+            const response = await fetch(`/api/allowance-rates/${rateId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ is_active: isActive })
+            });
+            const data = await response.json();
+            if (data.success) {
+                this.showToast(isActive ? 'Rate activated' : 'Rate deactivated', 'success');
+                this.loadAllowanceRatesSection();
+            } else {
+                this.showToast(data.error || 'Failed to update rate', 'error');
+            }
+        } catch (error) {
+            console.error('Update allowance rate error:', error);
+            this.showToast('Error updating rate', 'error');
+        }
+    }
+
+    async deleteAllowanceRate(rateId, rateName) {
+        try {
+            const result = await Swal.fire({
+                title: 'Delete Rate?',
+                text: `This will permanently delete ${rateName}. Rates already claimed on expenses can only be deactivated.`,
+                icon: 'warning',
+                showCancelButton: true,
+                confirmButtonColor: '#dc3545',
+                cancelButtonColor: '#6c757d',
+                confirmButtonText: 'Yes, delete it!',
+                cancelButtonText: 'Cancel',
+                background: 'rgba(255, 255, 255, 0.95)',
+                backdrop: 'rgba(0,0,0,0.4)'
+            });
+
+            if (result.isConfirmed) {
+                this.showLoading();
+                const response = await fetch(`/api/allowance-rates/${rateId}`, {
+                    method: 'DELETE'
+                });
+
+                const data = await response.json();
+                this.hideLoading();
+
+                if (data.success) {
+                    this.showToast('Rate deleted successfully!', 'success');
+                    this.loadAllowanceRatesSection();
+                } else {
+                    this.showToast(data.error || 'Failed to delete rate', 'error');
+                }
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Delete allowance rate error:', error);
+            this.showToast('Error deleting rate', 'error');
+        }
+    }
+
+    populateAllowanceRatesTable(rates) {
+        if ($.fn.DataTable.isDataTable('#allowanceRatesTable')) {
+            $('#allowanceRatesTable').DataTable().destroy();
+        }
+
+        const tbody = document.querySelector('#allowanceRatesTable tbody');
+        tbody.innerHTML = '';
+
+        rates.forEach(rate => {
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td>${rate.kind === 'mileage'
+                    ? '<span class="badge bg-primary"><i class="fas fa-car me-1"></i>Mileage</span>'
+                    : '<span class="badge bg-info"><i class="fas fa-calendar-day me-1"></i>Per diem</span>'}</td>
+                <td><strong>${rate.name}</strong></td>
+                <td data-order="${rate.rate}">${this.formatMoney(rate.rate)} <small class="text-muted">per ${rate.kind === 'mileage' ? 'km' : 'day'}</small></td>
+                <td>${rate.is_active
+                    ? '<span class="badge bg-success">Active</span>'
+                    : '<span class="badge bg-secondary">Inactive</span>'}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn btn-sm btn-outline-secondary me-1" onclick="app.showAllowanceRateModal(${rate.id})" title="Edit">
+                            <i class="fas fa-pen"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-${rate.is_active ? 'warning' : 'success'} me-1" onclick="app.setAllowanceRateActive(${rate.id}, ${!rate.is_active})" title="${rate.is_active ? 'Deactivate' : 'Activate'}">
+                            <i class="fas fa-${rate.is_active ? 'eye-slash' : 'eye'}"></i>
+                        </button>
+                        <button class="btn btn-sm btn-danger hover-lift" onclick="app.deleteAllowanceRate(${rate.id}, '${rate.name}')" title="Delete">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            `;
+        });
+
+        $('#allowanceRatesTable').DataTable({
+            responsive: true,
+            pageLength: 25,
+            order: [[0, 'asc'], [1, 'asc']],
+            language: {
+                emptyTable: "No rates yet. Click 'Add Rate' to create one."
+            }
+        });
+    }
+
+    // Recurring Schedules
+    async loadRecurringSection() {
+        try {
+            console.log('🔁 Loading recurring schedules...');
+            const [response] = await Promise.all([fetch('/api/recurring-schedules'), this.ensureCategories()]);
+            const schedules = await response.json();
+            this.recurringSchedules = Array.isArray(schedules) ? schedules : [];
+            this.populateRecurringTable(this.recurringSchedules);
+        } catch (error) {
+            console.error('Error loading recurring schedules:', error);
+            this.showToast('Error loading recurring schedules', 'error');
+        }
+    }
+
+    async showRecurringModal(scheduleId) {
+        const schedule = scheduleId ? this.recurringSchedules.find(s => s.id === scheduleId) : null;
+        document.getElementById('recurringForm').reset();
+        document.getElementById('recurringId').value = schedule ? schedule.id : '';
+        document.getElementById('recurringModalTitle').textContent = schedule ? 'Edit Schedule' : 'Add Schedule';
+
+        const teamSelect = document.getElementById('recurringTeam');
+        teamSelect.innerHTML = '';
+        try {
+            const response = await fetch('/api/teams');
+            const teams = await response.json();
+            (Array.isArray(teams) ? teams : []).forEach(team => {
+                const option = document.createElement('option');
+                option.value = team.id;
+                option.textContent = team.name;
+                teamSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading teams:', error);
+        }
+        await this.ensureCategories();
+        this.populateCategorySelect(document.getElementById('recurringCategory'), schedule ? schedule.category : 'general');
+
+        document.getElementById('recurringKind').value = schedule ? schedule.kind : 'expense';
+        if (schedule) teamSelect.value = schedule.team_id;
+        document.getElementById('recurringDescription').value = schedule ? schedule.description : '';
+        document.getElementById('recurringAmount').value = schedule ? schedule.amount : '';
+        document.getElementById('recurringFrequency').value = schedule ? schedule.frequency : 'monthly';
+        document.getElementById('recurringStartDate').value = schedule ? String(schedule.start_date).slice(0, 10) : new Date().toISOString().slice(0, 10);
+        document.getElementById('recurringEndDate').value = schedule && schedule.end_date ? String(schedule.end_date).slice(0, 10) : '';
+        document.getElementById('recurringPaused').checked = schedule ? schedule.is_paused : false;
+        // The kind, team, frequency and start date are fixed once created
+        ['recurringKind', 'recurringTeam', 'recurringFrequency', 'recurringStartDate'].forEach(id => {
+            document.getElementById(id).disabled = Boolean(schedule);
+        });
+        this.updateRecurringKindFields();
+        await this.loadRecurringMembers(schedule ? schedule.user_id : null);
+        new bootstrap.Modal(document.getElementById('recurringModal')).show();
+    }
+
+    updateRecurringKindFields() {
+        const isExpense = document.getElementById('recurringKind').value === 'expense';
+        document.getElementById('recurringExpenseGroup').style.display = isExpense ? '' : 'none';
+        document.getElementById('recurringMember').required = isExpense;
+    }
+
+    // Fill the "Attributed to" select with the field staff of the chosen team
+    async loadRecurringMembers(selected) {
+        const memberSelect = document.getElementById('recurringMember');
+        memberSelect.innerHTML = '<option value="">Select a member</option>';
+        const teamId = document.getElementById('recurringTeam').value;
+        if (!teamId) return;
+        try {
+            const response = await fetch(`/api/teams/${teamId}/members`);
+            const members = await response.json();
+            (Array.isArray(members) ? members : []).forEach(member => {
+                const option = document.createElement('option');
+                option.value = member.id;
+                option.textContent = member.full_name;
+                memberSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading team members:', error);
+        }
+        memberSelect.value = selected || '';
+    }
+
+    async saveRecurringSchedule(scheduleId, scheduleData) {
+        try {
+            this.showLoading();
+            const response = await fetch(scheduleId ? `/api/recurring-schedules/${scheduleId}` : '/api/recurring-schedules', {
+                method: scheduleId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(scheduleData)
+            });
+
+            const data = await response.json();
+            this.hideLoading();
+
+            if (data.success) {
+                this.showToast(scheduleId ? 'Schedule updated successfully!' : 'Schedule created successfully!', 'success');
+                bootstrap.Modal.getInstance(document.getElementById('recurringModal')).hide();
+                this.loadRecurringSection();
+            } else {
+                this.showToast(data.error || 'Failed to save schedule', 'error');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Save recurring schedule error:', error);
+            this.showToast('Error saving schedule', 'error');
+        }
+    }
+
+    async setRecurringPaused(scheduleId, isPaused) {
+        try {
+            const response = await fetch(`/api/recurring-schedules/${scheduleId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ is_paused: isPaused })
+            });
+            const data = await response.json();
+            if (data.success) {
+                this.showToast(isPaused ? 'Schedule paused' : 'Schedule resumed', 'success');
+                this.loadRecurringSection();
+            } else {
+                this.showToast(data.error || 'Failed to update schedule', 'error');
+            }
+        } catch (error) {
+            console.error('Update recurring schedule error:', error);
+            this.showToast('Error updating schedule', 'error');
+        }
+    }
+
+    async skipRecurringOccurrence(scheduleId, nextRunOn) {
+        try {
+            const result = await Swal.fire({
+                title: 'Skip Occurrence?',
+                text: `Nothing will be entered on ${this.formatDate(nextRunOn)}. The schedule carries on with the occurrence after it.`,
+                icon: 'question',
+                showCancelButton: true,
+                confirmButtonColor: '#ffc107',
+                cancelButtonColor: '#6c757d',
+                confirmButtonText: 'Skip it',
+                cancelButtonText: 'Cancel',
+                background: 'rgba(255, 255, 255, 0.95)',
+                backdrop: 'rgba(0,0,0,0.4)'
+            });
+            if (!result.isConfirmed) return;
+
+            const response = await fetch(`/api/recurring-schedules/${scheduleId}/skip`, { method: 'POST' });
+            const data = await response.json();
+            if (data.success) {
+                this.showToast('Occurrence skipped', 'success');
+                this.loadRecurringSection();
+            } else {
+                this.showToast(data.error || 'Failed to skip occurrence', 'error');
+            }
+        } catch (error) {
+            console.error('Skip recurring occurrence error:', error);
+            this.showToast('Error skipping occurrence', 'error');
+        }
+    }
+
+    async showRecurringRuns(scheduleId) {
+        const schedule = this.recurringSchedules.find(s => s.id === scheduleId);
+        try {
+            const response = await fetch(`/api/recurring-schedules/${scheduleId}/runs`);
+            const runs = await response.json();
+            if (!Array.isArray(runs)) {
+                this.showToast(runs.error || 'Failed to load the log', 'error');
+                return;
+            }
+            const badges = { generated: 'bg-success', skipped: 'bg-secondary', failed: 'bg-danger' };
+            const rows = runs.map(run => `
+                <tr>
+                    <td>${this.formatDate(run.occurrence_date)}</td>
+                    <td><span class="badge ${badges[run.status]}">${run.status}</span></td>
+                    <td>${run.status === 'generated'
+                        ? `${this.formatMoney(run.amount, schedule.currency)}${run.expense_id ? ` <small class="text-muted">expense #${run.expense_id}</small>` : ''}`
+                        : (run.error || (run.created_by_name ? `by ${run.created_by_name}` : ''))}</td>
+                </tr>
+            `).join('');
+            Swal.fire({
+                title: schedule.description,
+                html: runs.length ? `
+                    <table class="table table-sm text-start">
+                        <thead><tr><th>Date</th><th>Status</th><th>Details</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                ` : '<p class="text-muted">Nothing has run yet.</p>',
+                width: 640,
+                background: 'rgba(255, 255, 255, 0.95)',
+                backdrop: 'rgba(0,0,0,0.4)'
+            });
+        } catch (error) {
+            console.error('Load recurring runs error:', error);
+            this.showToast('Error loading the log', 'error');
+        }
+    }
+
+    async deleteRecurringSchedule(scheduleId, description) {
+        try {
+            const result = await Swal.fire({
+                title: 'Delete Schedule?',
+                text: `This will stop ${description} and delete its log. Expenses and top-ups it already entered are kept.`,
+                icon: 'warning',
+                showCancelButton: true,
+                confirmButtonColor: '#dc3545',
+                cancelButtonColor: '#6c757d',
+                confirmButtonText: 'Yes, delete it!',
+                cancelButtonText: 'Cancel',
+                background: 'rgba(255, 255, 255, 0.95)',
+                backdrop: 'rgba(0,0,0,0.4)'
+            });
+
+            if (result.isConfirmed) {
+                this.showLoading();
+                const response = await fetch(`/api/recurring-schedules/${scheduleId}`, {
+                    method: 'DELETE'
+                });
+
+                const data = await response.json();
+                this.hideLoading();
+
+                if (data.success) {
+                    this.showToast('Schedule deleted successfully!', 'success');
+                    this.loadRecurringSection();
+                } else {
+                    this.showToast(data.error || 'Failed to delete schedule', 'error');
+                }
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Delete recurring schedule error:', error);
+            this.showToast('Error deleting schedule', 'error');
+        }
+    }
+
+    populateRecurringTable(schedules) {
+        if ($.fn.DataTable.isDataTable('#recurringTable')) {
+            $('#recurringTable').DataTable().destroy();
+        }
+
+        const tbody = document.querySelector('#recurringTable tbody');
+        tbody.innerHTML = '';
+
+        schedules.forEach(schedule => {
+            const nextRunOn = schedule.next_run_on ? String(schedule.next_run_on).slice(0, 10) : null;
+            const status = !nextRunOn
+                ? '<span class="badge bg-secondary">Ended</span>'
+                : (schedule.is_paused ? '<span class="badge bg-warning text-dark">Paused</span>' : '<span class="badge bg-success">Active</span>');
+            const lastFailed = schedule.last_run && schedule.last_run.status === 'failed'
+                ? ' <i class="fas fa-exclamation-triangle text-danger" title="The last occurrence failed, see the log"></i>'
+                : '';
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td>${schedule.kind === 'expense'
+                    ? '<span class="badge bg-primary"><i class="fas fa-receipt me-1"></i>Expense</span>'
+                    : '<span class="badge bg-info"><i class="fas fa-arrow-up me-1"></i>Top-up</span>'}</td>
+                <td>${schedule.team_name}</td>
+                <td><strong>${schedule.description}</strong>${schedule.kind === 'expense' ? `<br>${this.getCategoryLabel(schedule.category)} <small class="text-muted">· ${schedule.user_name}</small>` : ''}</td>
+                <td data-order="${schedule.amount}">${this.formatMoney(schedule.amount, schedule.currency)}</td>
+                <td>${schedule.frequency === 'weekly' ? 'Weekly' : 'Monthly'}${schedule.end_date ? `<br><small class="text-muted">until ${this.formatDate(schedule.end_date)}</small>` : ''}</td>
+                <td data-order="${nextRunOn || ''}">${nextRunOn ? this.formatDate(nextRunOn) : '-'}</td>
+                <td>${status}${lastFailed}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn btn-sm btn-outline-secondary me-1" onclick="app.showRecurringModal(${schedule.id})" title="Edit">
+                            <i class="fas fa-pen"></i>
+                        </button>
+                        ${nextRunOn ? `
+                        <button class="btn btn-sm btn-outline-${schedule.is_paused ? 'success' : 'warning'} me-1" onclick="app.setRecurringPaused(${schedule.id}, ${!schedule.is_paused})" title="${schedule.is_paused ? 'Resume' : 'Pause'}">
+                            <i class="fas fa-${schedule.is_paused ? 'play' : 'pause'}"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-secondary me-1" onclick="app.skipRecurringOccurrence(${schedule.id}, '${nextRunOn}')" title="Skip next">
+                            <i class="fas fa-forward"></i>
+                        </button>` : ''}
+                        <button class="btn btn-sm btn-outline-info me-1" onclick="app.showRecurringRuns(${schedule.id})" title="Log">
+                            <i class="fas fa-list"></i>
+                        </button>
+                        <button class="btn btn-sm btn-danger hover-lift" onclick="app.deleteRecurringSchedule(${schedule.id}, '${schedule.description}')" title="Delete">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            `;
+        });
+
+        $('#recurringTable').DataTable({
+            responsive: true,
+            pageLength: 25,
+            order: [[5, 'asc']],
+            language: {
+                emptyTable: "No recurring schedules yet. Click 'Add Schedule' to create one."
+            }
+        });
+    }
+
+    // Vendors
+    async loadVendorsSection() {
+        try {
+            console.log('🏪 Loading vendor spend...');
+            const params = new URLSearchParams({ include_unused: 'true' });
+            [['from_date', 'vendorFilterFrom'], ['to_date', 'vendorFilterTo'], ['team_id', 'vendorFilterTeam']].forEach(([param, inputId]) => {
+                const value = document.getElementById(inputId).value.trim();
+                if (value) params.set(param, value);
+            });
+            const [response] = await Promise.all([
+                fetch(`/api/vendors/spend?${params}`),
+                this.populateVendorTeamFilter()
+            ]);
+            const vendors = await response.json();
+            if (!response.ok) {
+                this.showToast(vendors.error || 'Error loading vendors', 'error');
+                return;
+            }
+            this.vendors = vendors;
+            this.populateVendorsTable(vendors);
+        } catch (error) {
+            console.error('Error loading vendors:', error);
+            this.showToast('Error loading vendors', 'error');
+        }
+    }
+
+    async populateVendorTeamFilter() {
+        const teamSelect = document.getElementById('vendorFilterTeam');
+        if (teamSelect.options.length > 1) return;
+        // Spend of archived teams stays reportable
+        const response = await fetch('/api/teams?status=active,closing,closed');
+        const teams = await response.json();
+        if (!Array.isArray(teams)) return;
+        teams.forEach(team => {
+            const option = document.createElement('option');
+            option.value = team.id;
+            option.textContent = team.name;
+            teamSelect.appendChild(option);
+        });
+    }
+
+    showVendorModal(vendorId) {
+        const vendor = vendorId ? this.vendors.find(v => v.id === vendorId) : null;
+        document.getElementById('vendorForm').reset();
+        document.getElementById('vendorId').value = vendor ? vendor.id : '';
+        document.getElementById('vendorModalTitle').textContent = vendor ? 'Edit Vendor' : 'Add Vendor';
+        document.getElementById('vendorName').value = vendor ? vendor.name : '';
+        document.getElementById('vendorNotes').value = vendor ? vendor.notes || '' : '';
+        document.getElementById('vendorActive').checked = vendor ? vendor.is_active : true;
+        new bootstrap.Modal(document.getElementById('vendorModal')).show();
+    }
+
+    async saveVendor(vendorId, vendorData) {
+        try {
+            this.showLoading();
+            const response = await fetch(vendorId ? `/api/vendors/${vendorId}` : '/api/vendors', {
+                method: vendorId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(vendorData)
+            });
+
+            const data = await response.json();
+            this.hideLoading();
+
+            if (data.success) {
+                this.showToast(vendorId ? 'Vendor updated successfully!' : 'Vendor created successfully!', 'success');
+                bootstrap.Modal.getInstance(document.getElementById('vendorModal')).hide();
+                this.loadVendorsSection();
+            } else {
+                this.showToast(data.error || 'Failed to save vendor', 'error');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Save vendor error:', error);
+            this.showToast('Error saving vendor', 'error');
+        }
+    }
+
+    async setVendorActive(vendorId, isActive) {
+        try {
+            const response = await fetch(`/api/vendors/${vendorId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ is_active: isActive })
+            });
+            const data = await response.json();
+            if (data.success) {
+                this.showToast(isActive ? 'Vendor activated' : 'Vendor deactivated', 'success');
+                this.loadVendorsSection();
+            } else {
+                this.showToast(data.error || 'Failed to update vendor', 'error');
+            }
+        } catch (error) {
+            console.error('Update vendor error:', error);
+            this.showToast('Error updating vendor', 'error');
+        }
+    }
+
+    // Per-team breakdown of a vendor's spend in the filtered range
+    showVendorTeams(vendorId) {
+        const vendor = this.vendors.find(v => v.id === vendorId);
+        if (!vendor) return;
+        const rows = vendor.teams.map(team => `
+            <tr>
+                <td>${team.team_name}</td>
+                <td class="text-end">${team.expense_count}</td>
+                <td class="text-end">${this.formatMoney(team.approved_amount)}</td>
+                <td class="text-end">${this.formatMoney(team.pending_amount)}</td>
+            </tr>
+        `).join('');
+        Swal.fire({
+            title: vendor.name,
+            html: `
+                <table class="table table-sm text-start mb-0">
+                    <thead><tr><th>Team</th><th class="text-end">Expenses</th><th class="text-end">Approved</th><th class="text-end">Pending</th></tr></thead>
+                    <tbody>${rows || '<tr><td colspan="4" class="text-muted">No expenses in this period</td></tr>'}</tbody>
+                </table>
+                ${vendor.notes ? `<p class="text-muted small text-start mt-3 mb-0"><i class="fas fa-note-sticky me-1"></i>${vendor.notes}</p>` : ''}
+            `,
+            width: 600,
+            confirmButtonText: 'Close',
+            background: 'rgba(255, 255, 255, 0.95)',
+            backdrop: 'rgba(0,0,0,0.4)'
+        });
+    }
+
+    populateVendorsTable(vendors) {
+        if ($.fn.DataTable.isDataTable('#vendorsTable')) {
+            $('#vendorsTable').DataTable().destroy();
+        }
+
+        const tbody = document.querySelector('#vendorsTable tbody');
+        tbody.innerHTML = '';
+
+        vendors.forEach(vendor => {
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td>
+                    <strong>${vendor.name}</strong>
+                    ${vendor.is_active ? '' : '<span class="badge bg-secondary ms-1">Inactive</span>'}
+                    ${vendor.notes ? `<br><small class="text-muted">${vendor.notes}</small>` : ''}
+                </td>
+                <td>${vendor.expense_count}</td>
+                <td>${vendor.teams.length}</td>
+                <td data-order="${vendor.approved_amount}"><span class="badge bg-success">${this.formatMoney(vendor.approved_amount)}</span></td>
+                <td data-order="${vendor.pending_amount}">${vendor.pending_amount > 0 ? `<span class="badge bg-warning">${this.formatMoney(vendor.pending_amount)}</span>` : '-'}</td>
+                <td data-order="${vendor.last_expense_date || ''}">${vendor.last_expense_date ? this.formatDate(vendor.last_expense_date) : '-'}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn btn-sm btn-outline-primary me-1" onclick="app.showVendorTeams(${vendor.id})" title="Spend per team">
+                            <i class="fas fa-users"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-secondary me-1" onclick="app.showVendorModal(${vendor.id})" title="Edit">
+                            <i class="fas fa-pen"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-${vendor.is_active ? 'warning' : 'success'}" onclick="app.setVendorActive(${vendor.id}, ${!vendor.is_active})" title="${vendor.is_active ? 'Deactivate' : 'Activate'}">
+                            <i class="fas fa-${vendor.is_active ? 'eye-slash' : 'eye'}"></i>
+                        </button>
+                    </div>
+                </td>
+            `;
+        });
+
+        $('#vendorsTable').DataTable({
+            responsive: true,
+            pageLength: 25,
+            order: [[3, 'desc']],
+            language: {
+                emptyTable: 'No vendors yet. They are added as expenses name their merchant.'
+            }
+        });
+    }
+
+    // Fill the merchant datalist with vendors matching what has been typed so far
+    suggestVendors(query) {
+        clearTimeout(this.vendorSuggestTimer);
+        this.vendorSuggestTimer = setTimeout(async () => {
+            try {
+                const response = await fetch(`/api/vendors?q=${encodeURIComponent(query.trim())}`);
+                const vendors = await response.json();
+                if (!Array.isArray(vendors)) return;
+                const datalist = document.getElementById('vendorSuggestions');
+                datalist.innerHTML = '';
+                vendors.forEach(vendor => {
+                    const option = document.createElement('option');
+                    option.value = vendor.name;
+                    datalist.appendChild(option);
+                });
+            } catch (error) {
+                // Offline: keep the last suggestions
+                console.warn('Vendor suggestions unavailable:', error);
+            }
+        }, 250);
+    }
+
+    // Expense Policies
+    async loadPolicyRules() {
+        try {
+            console.log('⚖️ Loading policy rules...');
+            await this.ensureCategories();
+            const response = await fetch('/api/policy-rules');
+            const rules = await response.json();
+            this.policyRules = Array.isArray(rules) ? rules : [];
+            this.populatePolicyRulesTable(this.policyRules);
+        } catch (error) {
+            console.error('Error loading policy rules:', error);
+            this.showToast('Error loading policy rules', 'error');
+        }
+    }
+
+    describePolicyRule(rule) {
+        const amount = this.formatMoney(rule.threshold);
+        const conditions = {
+            receipt_required: `Receipt required over ${amount}`,
+            max_amount: `At most ${amount} per expense`,
+            max_per_night: `At most ${amount} per night`,
+            partner_approval: `Partner approval over ${amount}`
+        };
+        return conditions[rule.rule_type] || rule.rule_type;
+    }
+
+    showPolicyRuleModal(ruleId) {
+        const rule = ruleId ? (this.policyRules || []).find(r => r.id === ruleId) : null;
+        document.getElementById('policyRuleForm').reset();
+        const categorySelect = document.getElementById('policyRuleCategory');
+        this.populateCategorySelect(categorySelect, rule ? rule.category : null);
+        categorySelect.insertAdjacentHTML('afterbegin', '<option value="">All categories</option>');
+        categorySelect.value = rule && rule.category ? rule.category : '';
+
+        document.getElementById('policyRuleId').value = rule ? rule.id : '';
+        document.getElementById('policyRuleModalTitle').textContent = rule ? 'Edit Rule' : 'Add Rule';
+        document.getElementById('policyRuleName').value = rule ? rule.name : '';
+        document.getElementById('policyRuleType').value = rule ? rule.rule_type : 'receipt_required';
+        document.getElementById('policyRuleThreshold').value = rule ? rule.threshold.toFixed(2) : '';
+        document.getElementById('policyRuleAction').value = rule ? rule.action : 'flag';
+        document.getElementById('policyRuleActive').checked = rule ? rule.is_active : true;
+        new bootstrap.Modal(document.getElementById('policyRuleModal')).show();
+    }
+
+    async savePolicyRule(ruleId, ruleData) {
+        try {
+            this.showLoading();
+            const response = await fetch(ruleId ? `/api/policy-rules/${ruleId}` : '/api/policy-rules', {
+                method: ruleId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(ruleData)
+            });
+
+            const data = await response.json();
+            this.hideLoading();
+
+            if (data.success) {
+                this.showToast(ruleId ? 'Rule updated successfully!' : 'Rule created successfully!', 'success');
+                bootstrap.Modal.getInstance(document.getElementById('policyRuleModal')).hide();
+                this.loadPolicyRules();
+            } else {
+                this.showToast(data.error || 'Failed to save rule', 'error');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Save policy rule error:', error);
+            this.showToast('Error saving rule', 'error');
+        }
+    }
+
+    async deletePolicyRule(ruleId, ruleName) {
+        try {
+            const result = await Swal.fire({
+                title: 'Delete Rule?',
+                text: `${ruleName} will no longer be checked. Flags already on expenses are kept.`,
+                icon: 'warning',
+                showCancelButton: true,
+                confirmButtonColor: '#dc3545',
+                cancelButtonColor: '#6c757d',
+                confirmButtonText: 'Yes, delete it!',
+                cancelButtonText: 'Cancel',
+                background: 'rgba(255, 255, 255, 0.95)',
+                backdrop: 'rgba(0,0,0,0.4)'
+            });
+
+            if (result.isConfirmed) {
+                const response = await fetch(`/api/policy-rules/${ruleId}`, {
+                    method: 'DELETE'
+                });
+                const data = await response.json();
+
+                if (data.success) {
+                    this.showToast('Rule deleted successfully!', 'success');
+                    this.loadPolicyRules();
+                } else {
+                    this.showToast(data.error || 'Failed to delete rule', 'error');
+                }
+            }
+        } catch (error) {
+            console.error('Delete policy rule error:', error);
+            this.showToast('Error deleting rule', 'error');
+        }
+    }
+
+    populatePolicyRulesTable(rules) {
+        if ($.fn.DataTable.isDataTable('#policyRulesTable')) {
+            $('#policyRulesTable').DataTable().destroy();
+        }
+
+        const tbody = document.querySelector('#policyRulesTable tbody');
+        tbody.innerHTML = '';
+
+        rules.forEach(rule => {
+            const action = rule.rule_type === 'partner_approval'
+                ? '<span class="badge bg-primary">Route to partner</span>'
+                : rule.action === 'block'
+                    ? '<span class="badge bg-danger">Block</span>'
+                    : '<span class="badge bg-warning text-dark">Flag</span>';
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td><strong>${rule.name}</strong></td>
+                <td>${rule.category ? this.getCategoryLabel(rule.category) : '<small class="text-muted">All categories</small>'}</td>
+                <td>${this.describePolicyRule(rule)}</td>
+                <td>${action}</td>
+                <td>${rule.is_active
+                    ? '<span class="badge bg-success">Active</span>'
+                    : '<span class="badge bg-secondary">Inactive</span>'}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn btn-sm btn-outline-secondary me-1" onclick="app.showPolicyRuleModal(${rule.id})" title="Edit">
+                            <i class="fas fa-pen"></i>
+                        </button>
+                        <button class="btn btn-sm btn-danger hover-lift" onclick="app.deletePolicyRule(${rule.id}, '${rule.name}')" title="Delete">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            `;
+        });
+
+        $('#policyRulesTable').DataTable({
+            responsive: true,
+            pageLength: 25,
+            order: [],
+            language: {
+                emptyTable: "No policy rules yet. Click 'Add Rule' to create one."
+            }
+        });
+    }
+
+    // Policy flags raised when the expense was submitted, plus the partner approval marker
+    getPolicyFlagBadges(expense) {
+        const flags = (expense.policy_flags || []).map(flag => `
+            <br><span class="badge bg-warning text-dark text-wrap text-start mt-1"><i class="fas fa-flag me-1"></i>${flag.message}</span>
+        `);
+        if (expense.requires_partner_approval && (expense.status === 'submitted' || expense.status === 'needs_info')) {
+            flags.push('<br><span class="badge bg-primary mt-1"><i class="fas fa-handshake me-1"></i>Partner approval required</span>');
+        }
+        return flags.join('');
+    }
+
+    // Suspected duplicate receipts (only sent to admins and partners); opens the matching originals
+    getDuplicateBadge(expense) {
+        const matches = expense.duplicate_matches || [];
+        if (!matches.length) return '';
+        const exact = matches.some(match => match.match_type === 'exact');
+        return `<br><button type="button" class="badge bg-danger border-0 mt-1" onclick="app.showDuplicateMatches(${expense.id})">
+                <i class="fas fa-clone me-1"></i>${exact ? 'Duplicate receipt' : 'Possible duplicate receipt'}
+            </button>`;
+    }
+
+    showDuplicateMatches(expenseId) {
+        const expense = this.expensesById && this.expensesById.get(expenseId);
+        if (!expense || !(expense.duplicate_matches || []).length) return;
+
+        const previewButton = (attachment, label) => attachment
+            ? `<button class="btn btn-sm btn-outline-primary me-1" onclick="Swal.close(); app.showFilePreview('${attachment.file_path}', '${attachment.file_name}', ${attachment.thumbnail_path ? `'${attachment.thumbnail_path}'` : 'null'})">
+                    <i class="fas fa-eye me-1"></i>${label}
+                </button>`
+            : '';
+        const html = expense.duplicate_matches.map(match => {
+            const original = match.original_expense;
+            return `
+                <div class="border rounded p-3 mb-2 text-start">
+                    <div class="mb-2">
+                        <span class="badge ${match.match_type === 'exact' ? 'bg-danger' : 'bg-warning text-dark'} me-1">${match.match_type === 'exact' ? 'Identical file' : 'Similar image'}</span>
+                        <strong>${match.attachment ? match.attachment.file_name : 'Receipt'}</strong>
+                    </div>
+                    <div class="small mb-2">
+                        ${original
+                            ? `Matches ${match.original_attachment ? `<strong>${match.original_attachment.file_name}</strong>` : 'a receipt'} on expense #${original.id}:
+                               ${original.description} - ${this.formatMoney(original.amount, original.currency)} by ${original.user_name} (${original.team_name}), ${this.formatDate(original.created_at)}
+                               ${this.getStatusBadge(original.status)}`
+                            : 'The original expense is no longer available'}
+                    </div>
+                    ${previewButton(match.attachment, 'This receipt')}
+                    ${previewButton(match.original_attachment, 'Original')}
+                    <button class="btn btn-sm btn-outline-secondary" onclick="app.dismissDuplicateMatch(${match.id})">
+                        <i class="fas fa-check me-1"></i>Not a duplicate
+                    </button>
+                </div>
+            `;
+        }).join('');
+
+        Swal.fire({
+            title: '<span class="text-gradient">Possible Duplicate Receipt</span>',
+            html: `<div style="max-height: 450px; overflow-y: auto;">${html}</div>`,
+            width: 700,
+            showCloseButton: true,
+            showConfirmButton: false,
+            background: 'rgba(255, 255, 255, 0.95)',
+            backdrop: 'rgba(0,0,0,0.4)'
+        });
+    }
+
+    async dismissDuplicateMatch(matchId) {
+        try {
+            const response = await fetch(`/api/receipt-duplicates/${matchId}/dismiss`, {
+                method: 'PUT'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                Swal.close();
+                this.showToast('Duplicate flag dismissed', 'success');
+                this.loadExpenses();
+            } else {
+                this.showToast(data.error || 'Failed to dismiss duplicate flag', 'error');
+            }
+        } catch (error) {
+            console.error('Dismiss duplicate error:', error);
+            this.showToast('Error dismissing duplicate flag', 'error');
+        }
+    }
+
+    // Day the expense was made; older rows without one fall back to when it was entered
+    getExpenseDate(expense) {
+        return expense.expense_date || (expense.created_at || '').slice(0, 10);
+    }
+
+    // Merchant and captured location under an expense's description
+    getExpensePlaceLine(expense) {
+        const parts = [];
+        if (expense.merchant) {
+            parts.push(`<i class="fas fa-store me-1"></i>${expense.merchant}`);
+        }
+        if (expense.latitude !== null && expense.latitude !== undefined && expense.longitude !== null && expense.longitude !== undefined) {
+            const lat = parseFloat(expense.latitude);
+            const lng = parseFloat(expense.longitude);
+            parts.push(`<a href="https://www.openstreetmap.org/?mlat=${lat}&mlon=${lng}#map=17/${lat}/${lng}" target="_blank" rel="noopener" title="${lat.toFixed(5)}, ${lng.toFixed(5)}"><i class="fas fa-map-marker-alt me-1"></i>Map</a>`);
+        }
+        return parts.length ? `<br><small class="text-muted">${parts.join(' &middot; ')}</small>` : '';
+    }
+
+    // Local date as YYYY-MM-DD (the value of a date input)
+    todayDate() {
+        return new Date().toLocaleDateString('en-CA');
+    }
+
+    // Fill the add-expense form's hidden coordinates from the browser's location
+    captureExpenseLocation() {
+        const status = document.getElementById('expenseLocationStatus');
+        const latitude = document.getElementById('expenseLatitude');
+        const longitude = document.getElementById('expenseLongitude');
+        latitude.value = '';
+        longitude.value = '';
+        if (!document.getElementById('expenseUseLocation').checked) {
+            status.textContent = '';
+            return;
+        }
+        if (!navigator.geolocation) {
+            status.textContent = 'Location is not available on this device';
+            document.getElementById('expenseUseLocation').checked = false;
+            return;
+        }
+        status.textContent = 'Finding your location...';
+        navigator.geolocation.getCurrentPosition(position => {
+            latitude.value = position.coords.latitude.toFixed(6);
+            longitude.value = position.coords.longitude.toFixed(6);
+            status.textContent = `Location captured (within ${Math.round(position.coords.accuracy)} m)`;
+        }, error => {
+            console.warn('Geolocation error:', error);
+            status.textContent = 'Could not get your location - the expense will be saved without it';
+            document.getElementById('expenseUseLocation').checked = false;
+        }, { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 });
+    }
+
+    // Expenses Management
+    async loadExpenses() {
+        try {
+            console.log('💰 Loading expenses...');
+            await this.ensureCategories();
+            const params = new URLSearchParams();
+            [['from_date', 'expenseFilterFrom'], ['to_date', 'expenseFilterTo'], ['merchant', 'expenseFilterMerchant']].forEach(([param, inputId]) => {
+                const value = document.getElementById(inputId).value.trim();
+                if (value) params.set(param, value);
+            });
+            const response = await fetch(`/api/expenses${params.toString() ? `?${params}` : ''}`);
+            const expenses = await response.json();
+            if (!response.ok) {
+                this.showToast(expenses.error || 'Error loading expenses', 'error');
+                return;
+            }
+            this.populateExpensesTable(expenses);
+        } catch (error) {
+            console.error('Error loading expenses:', error);
+            this.showToast('Error loading expenses', 'error');
+        }
+    }
+
+    async addExpense(formData) {
+        // Without a connection the expense is kept on this device and sent later
+        if (!navigator.onLine) {
+            return this.queueOfflineExpense(formData);
+        }
+        try {
+            this.showLoading();
+            console.log('💰 Adding expense...');
+            
+            const response = await fetch('/api/expenses', {
+                method: 'POST',
+                body: formData
+            }).catch(() => null);
+            if (!response) {
+                this.hideLoading();
+                return this.queueOfflineExpense(formData);
+            }
+
+            const data = await response.json();
+            this.hideLoading();
+
+            if (data.success) {
+                if (data.policy_flags && data.policy_flags.length) {
+                    this.showToast(`Expense submitted and flagged for review: ${data.policy_flags.map(flag => flag.message).join('; ')}`, 'warning');
+                } else if (data.shares) {
+                    this.showToast(`Expense split into ${data.shares.length} shares and submitted for approval!`, 'success');
+                } else {
+                    this.showToast('Expense submitted for approval!', 'success');
+                }
+                this.loadExpenses();
+                this.loadDashboardData(); // Refresh dashboard
+                bootstrap.Modal.getInstance(document.getElementById('addExpenseModal')).hide();
+                document.getElementById('addExpenseForm').reset();
+            } else if (data.error === 'Insufficient team balance' && !formData.has('paid_personally') && !formData.has('from_advance')) {
+                this.showToast('Insufficient team balance. If you paid this yourself, tick "I paid this myself" to be reimbursed.', 'error');
+            } else {
+                this.showToast(data.error || 'Failed to add expense', 'error');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Add expense error:', error);
+            this.showToast('Error adding expense', 'error');
+        }
+    }
+
+    // Reimbursements
+    async loadReimbursementsSection() {
+        try {
+            console.log('👛 Loading reimbursements...');
+            const [outstandingResponse, historyResponse] = await Promise.all([
+                fetch('/api/reimbursements/outstanding'),
+                fetch('/api/reimbursements')
+            ]);
+            const outstanding = await outstandingResponse.json();
+            const history = await historyResponse.json();
+            this.reimbursementQueue = outstanding.expenses || [];
+            this.populateReimbursementBalancesTable(outstanding.balances || []);
+            this.populateReimbursementQueueTable(this.reimbursementQueue);
+            this.populateReimbursementHistoryTable(Array.isArray(history) ? history : []);
+        } catch (error) {
+            console.error('Error loading reimbursements:', error);
+            this.showToast('Error loading reimbursements', 'error');
+        }
+    }
+
+    // Settle every approved expense a member paid personally in one currency
+    settleMemberReimbursements(userId, currency) {
+        const expenseIds = this.reimbursementQueue
+            .filter(expense => expense.user_id === userId && expense.currency === currency && expense.status === 'approved')
+            .map(expense => expense.id);
+        this.settleReimbursement(expenseIds);
+    }
+
+    async settleReimbursement(expenseIds) {
+        const expenses = this.reimbursementQueue.filter(expense => expenseIds.includes(expense.id));
+        if (!expenses.length) return;
+        const total = expenses.reduce((sum, expense) => sum + expense.amount, 0);
+        try {
+            const result = await Swal.fire({
+                title: 'Mark Reimbursed?',
+                text: `${expenses[0].user_name} has been paid ${this.formatMoney(total, expenses[0].currency)} for ${expenses.length === 1 ? expenses[0].description : `${expenses.length} expenses`}. It is recorded as paid from the funding pool.`,
+                icon: 'question',
+                input: 'text',
+                inputPlaceholder: 'How it was paid, e.g. bank transfer reference (optional)',
+                showCancelButton: true,
+                confirmButtonColor: '#198754',
+                cancelButtonColor: '#6c757d',
+                confirmButtonText: 'Mark reimbursed',
+                cancelButtonText: 'Cancel',
+                background: 'rgba(255, 255, 255, 0.95)',
+                backdrop: 'rgba(0,0,0,0.4)'
+            });
+            if (!result.isConfirmed) return;
+
+            this.showLoading();
+            const response = await fetch('/api/reimbursements', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ expense_ids: expenseIds, note: result.value || '' })
+            });
+            const data = await response.json();
+            this.hideLoading();
+
+            if (data.success) {
+                this.showToast('Reimbursement recorded!', 'success');
+                this.loadReimbursementsSection();
+            } else {
+                this.showToast(data.error || 'Failed to record reimbursement', 'error');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Settle reimbursement error:', error);
+            this.showToast('Error recording reimbursement', 'error');
+        }
+    }
+
+    populateReimbursementBalancesTable(balances) {
+        if ($.fn.DataTable.isDataTable('#reimbursementBalancesTable')) {
+            $('#reimbursementBalancesTable').DataTable().destroy();
+        }
+
+        const tbody = document.querySelector('#reimbursementBalancesTable tbody');
+        tbody.innerHTML = '';
+
+        balances.forEach(balance => {
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td><i class="fas fa-user me-1"></i><strong>${balance.user_name}</strong></td>
+                <td data-order="${balance.owed}"><span class="badge bg-${balance.owed > 0 ? 'warning text-dark' : 'secondary'}">${this.formatMoney(balance.owed, balance.currency)}</span></td>
+                <td data-order="${balance.pending}">${balance.pending > 0 ? this.formatMoney(balance.pending, balance.currency) : '-'}</td>
+                <td>${balance.expense_count}</td>
+                <td>
+                    ${balance.owed > 0 ? `
+                    <button class="btn btn-sm btn-success hover-lift" onclick="app.settleMemberReimbursements(${balance.user_id}, '${balance.currency}')" title="Mark all approved expenses reimbursed">
+                        <i class="fas fa-check-double me-1"></i>Settle All
+                    </button>` : ''}
+                </td>
+            `;
+        });
+
+        $('#reimbursementBalancesTable').DataTable({
+            responsive: true,
+            pageLength: 25,
+            order: [[1, 'desc']],
+            language: {
+                emptyTable: "Nothing is owed to anyone"
+            }
+        });
+    }
+
+    populateReimbursementQueueTable(expenses) {
+        if ($.fn.DataTable.isDataTable('#reimbursementQueueTable')) {
+            $('#reimbursementQueueTable').DataTable().destroy();
+        }
+
+        const tbody = document.querySelector('#reimbursementQueueTable tbody');
+        tbody.innerHTML = '';
+
+        expenses.forEach(expense => {
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td data-order="${expense.expense_date || ''}">${this.formatDate(expense.expense_date)}</td>
+                <td><i class="fas fa-user me-1"></i>${expense.user_name}</td>
+                <td><span class="badge bg-primary">${expense.team_name}</span></td>
+                <td><strong>${expense.description}</strong><br>${this.getCategoryLabel(expense.category)}</td>
+                <td data-order="${expense.amount}"><span class="badge bg-success">${this.formatMoney(expense.amount, expense.currency)}</span></td>
+                <td>${this.getStatusBadge(expense.status)}</td>
+                <td>
+                    ${expense.status === 'approved' ? `
+                    <button class="btn btn-sm btn-outline-success" onclick="app.settleReimbursement([${expense.id}])" title="Mark reimbursed">
+                        <i class="fas fa-check"></i>
+                    </button>` : '<small class="text-muted">Awaiting approval</small>'}
+                </td>
+            `;
+        });
+
+        $('#reimbursementQueueTable').DataTable({
+            responsive: true,
+            pageLength: 25,
+            order: [[0, 'asc']],
+            language: {
+                emptyTable: "No expenses are waiting to be reimbursed"
+            }
+        });
+    }
+
+    populateReimbursementHistoryTable(reimbursements) {
+        if ($.fn.DataTable.isDataTable('#reimbursementHistoryTable')) {
+            $('#reimbursementHistoryTable').DataTable().destroy();
+        }
+
+        const tbody = document.querySelector('#reimbursementHistoryTable tbody');
+        tbody.innerHTML = '';
+
+        reimbursements.forEach(reimbursement => {
+            const descriptions = reimbursement.expenses.map(expense => `${expense.description}: ${this.formatMoney(expense.amount, reimbursement.currency)}`).join('\n');
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td data-order="${reimbursement.created_at}">${this.formatDate(reimbursement.created_at)}</td>
+                <td><i class="fas fa-user me-1"></i>${reimbursement.user_name}</td>
+                <td data-order="${reimbursement.amount}"><span class="badge bg-success">${this.formatMoney(reimbursement.amount, reimbursement.currency)}</span></td>
+                <td><span title="${descriptions}">${reimbursement.expenses.length}</span></td>
+                <td>${reimbursement.note ? `<small>${reimbursement.note}</small>` : '-'}</td>
+                <td><small class="text-muted">${reimbursement.settled_by_name || '-'}</small></td>
+            `;
+        });
+
+        $('#reimbursementHistoryTable').DataTable({
+            responsive: true,
+            pageLength: 25,
+            order: [[0, 'desc']],
+            language: {
+                emptyTable: "No reimbursements settled yet"
+            }
+        });
+    }
+
+    // What the signed-in member is owed for expenses they paid personally, on their dashboard
+    async loadMyReimbursements() {
+        const container = document.getElementById('myReimbursements');
+        if (!container) return;
+        try {
+            const response = await fetch('/api/reimbursements/outstanding');
+            const outstanding = await response.json();
+            const balances = outstanding.balances || [];
+            container.innerHTML = balances.map(balance => `
+                <div class="alert alert-warning py-2 mb-2">
+                    <i class="fas fa-wallet me-1"></i>Owed to you: <strong>${this.formatMoney(balance.owed, balance.currency)}</strong>
+                    ${balance.pending > 0 ? `<br><small>${this.formatMoney(balance.pending, balance.currency)} more awaiting approval</small>` : ''}
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading reimbursements:', error);
+        }
+    }
+
+    // An expense the member paid out of pocket, and whether they have been paid back
+    getReimbursementLine(expense) {
+        if (!expense.paid_personally) return '';
+        return expense.reimbursement_id
+            ? '<br><small class="text-success"><i class="fas fa-wallet me-1"></i>Paid personally, reimbursed</small>'
+            : '<br><small class="text-warning"><i class="fas fa-wallet me-1"></i>Paid personally, to reimburse</small>';
+    }
+
+    // Cash advances
+    async loadCashAdvances() {
+        try {
+            console.log('💵 Loading cash advances...');
+            const response = await fetch('/api/cash-advances');
+            const advances = await response.json();
+            if (!response.ok) {
+                this.showToast(advances.error || 'Error loading cash advances', 'error');
+                return;
+            }
+            this.cashAdvances = advances;
+            this.populateCashAdvancesTable(advances);
+        } catch (error) {
+            console.error('Error loading cash advances:', error);
+            this.showToast('Error loading cash advances', 'error');
+        }
+    }
+
+    async showIssueAdvanceModal() {
+        document.getElementById('issueAdvanceForm').reset();
+        const teamSelect = document.getElementById('advanceTeam');
+        teamSelect.innerHTML = '';
+        try {
+            const response = await fetch('/api/teams');
+            const teams = await response.json();
+            (Array.isArray(teams) ? teams : []).forEach(team => {
+                const option = document.createElement('option');
+                option.value = team.id;
+                option.textContent = `${team.name} (${this.formatMoney(team.remaining_amount, team.currency)} available)`;
+                teamSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading teams:', error);
+        }
+        await this.loadAdvanceMembers();
+        new bootstrap.Modal(document.getElementById('issueAdvanceModal')).show();
+    }
+
+    // Fill the member select with the field staff of the chosen team
+    async loadAdvanceMembers() {
+        const memberSelect = document.getElementById('advanceMember');
+        memberSelect.innerHTML = '';
+        const teamId = document.getElementById('advanceTeam').value;
+        if (!teamId) return;
+        try {
+            const response = await fetch(`/api/teams/${teamId}/members`);
+            const members = await response.json();
+            (Array.isArray(members) ? members : []).forEach(member => {
+                const option = document.createElement('option');
+                option.value = member.id;
+                option.textContent = member.full_name;
+                memberSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading team members:', error);
+        }
+    }
+
+    async issueCashAdvance(advanceData) {
+        try {
+            this.showLoading();
+            const response = await fetch('/api/cash-advances', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(advanceData)
+            });
+            const data = await response.json();
+            this.hideLoading();
+
+            if (data.success) {
+                this.showToast('Cash advance issued!', 'success');
+                bootstrap.Modal.getInstance(document.getElementById('issueAdvanceModal')).hide();
+                this.loadCashAdvances();
+            } else {
+                this.showToast(data.error || 'Failed to issue cash advance', 'error');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Issue cash advance error:', error);
+            this.showToast('Error issuing cash advance', 'error');
+        }
+    }
+
+    // Close out an advance: shows what was advanced, spent and is to be returned or topped up
+    async settleCashAdvance(advanceId) {
+        const advance = (this.cashAdvances || []).find(a => a.id === advanceId);
+        if (!advance) return;
+        if (advance.pending > 0) {
+            this.showToast('Review the expenses against this advance before settling it', 'warning');
+            return;
+        }
+        const balance = Math.round((advance.amount - advance.spent) * 100) / 100;
+        const outcome = balance > 0
+            ? `${advance.user_name} returns <strong>${this.formatMoney(balance, advance.currency)}</strong> to the team balance.`
+            : balance < 0
+                ? `${advance.user_name} is topped up <strong>${this.formatMoney(-balance, advance.currency)}</strong> from the team balance.`
+                : 'Everything advanced was spent; nothing is returned or topped up.';
+        try {
+            const result = await Swal.fire({
+                title: 'Settle Cash Advance?',
+                html: `Advanced: <strong>${this.formatMoney(advance.amount, advance.currency)}</strong><br>
+                    Spent: <strong>${this.formatMoney(advance.spent, advance.currency)}</strong> (${advance.expenses.length} ${advance.expenses.length === 1 ? 'expense' : 'expenses'})<br><br>${outcome}`,
+                icon: 'question',
+                input: 'text',
+                inputPlaceholder: 'Note, e.g. receipt number (optional)',
+                showCancelButton: true,
+                confirmButtonColor: '#198754',
+                cancelButtonColor: '#6c757d',
+                confirmButtonText: 'Settle',
+                cancelButtonText: 'Cancel',
+                background: 'rgba(255, 255, 255, 0.95)',
+                backdrop: 'rgba(0,0,0,0.4)'
+            });
+            if (!result.isConfirmed) return;
+
+            this.showLoading();
+            const response = await fetch(`/api/cash-advances/${advanceId}/settle`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ note: result.value || '' })
+            });
+            const data = await response.json();
+            this.hideLoading();
+
+            if (data.success) {
+                this.showToast('Cash advance settled!', 'success');
+                this.loadCashAdvances();
+            } else {
+                this.showToast(data.error || 'Failed to settle cash advance', 'error');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Settle cash advance error:', error);
+            this.showToast('Error settling cash advance', 'error');
+        }
+    }
+
+    populateCashAdvancesTable(advances) {
+        if ($.fn.DataTable.isDataTable('#cashAdvancesTable')) {
+            $('#cashAdvancesTable').DataTable().destroy();
+        }
+
+        const tbody = document.querySelector('#cashAdvancesTable tbody');
+        tbody.innerHTML = '';
+
+        advances.forEach(advance => {
+            const isOpen = advance.status === 'open';
+            const spentList = advance.expenses
+                .filter(expense => expense.status === 'approved')
+                .map(expense => `${expense.description}: ${this.formatMoney(expense.amount, advance.currency)}`)
+                .join('\n');
+            let closeOut = '-';
+            if (advance.returned_amount > 0) closeOut = `<span class="text-success">Returned ${this.formatMoney(advance.returned_amount, advance.currency)}</span>`;
+            if (advance.top_up_amount > 0) closeOut = `<span class="text-warning">Topped up ${this.formatMoney(advance.top_up_amount, advance.currency)}</span>`;
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td><i class="fas fa-user me-1"></i><strong>${advance.user_name}</strong>${advance.note ? `<br><small class="text-muted">${advance.note}</small>` : ''}</td>
+                <td><span class="badge bg-primary">${advance.team_name}</span></td>
+                <td data-order="${advance.amount}">${this.formatMoney(advance.amount, advance.currency)}<br><small class="text-muted">${this.formatDate(advance.created_at)}</small></td>
+                <td data-order="${advance.spent}"><span title="${spentList}">${this.formatMoney(advance.spent, advance.currency)}</span></td>
+                <td data-order="${advance.pending}">${advance.pending > 0 ? this.formatMoney(advance.pending, advance.currency) : '-'}</td>
+                <td data-order="${advance.in_hand}">${isOpen ? `<span class="badge bg-${advance.in_hand < 0 ? 'danger' : 'info'}">${this.formatMoney(advance.in_hand, advance.currency)}</span>` : '-'}</td>
+                <td>${closeOut}${advance.settlement_note ? `<br><small class="text-muted">${advance.settlement_note}</small>` : ''}</td>
+                <td>${isOpen
+                    ? '<span class="badge bg-warning text-dark">Open</span>'
+                    : `<span class="badge bg-secondary">Settled</span><br><small class="text-muted">${this.formatDate(advance.settled_at)}${advance.settled_by_name ? ` by ${advance.settled_by_name}` : ''}</small>`}</td>
+                <td>
+                    ${isOpen ? `
+                    <button class="btn btn-sm btn-success hover-lift" onclick="app.settleCashAdvance(${advance.id})" title="Close out with a return or top-up">
+                        <i class="fas fa-scale-balanced me-1"></i>Settle
+                    </button>` : ''}
+                </td>
+            `;
+        });
+
+        $('#cashAdvancesTable').DataTable({
+            responsive: true,
+            pageLength: 25,
+            ordering: false,
+            language: {
+                emptyTable: "No cash advances issued yet"
+            }
+        });
+    }
+
+    // The signed-in member's open cash advance on their dashboard; expenses can be paid from it
+    async loadMyCashAdvance() {
+        const container = document.getElementById('myCashAdvance');
+        const group = document.getElementById('expenseFromAdvanceGroup');
+        if (!container) return;
+        try {
+            const response = await fetch('/api/cash-advances?status=open');
+            const advances = await response.json();
+            const advance = Array.isArray(advances) ? advances[0] : null;
+            if (group) group.style.display = advance ? '' : 'none';
+            container.innerHTML = advance ? `
+                <div class="alert alert-info py-2 mb-2">
+                    <i class="fas fa-money-bill-wave me-1"></i>Cash in hand: <strong>${this.formatMoney(advance.in_hand, advance.currency)}</strong>
+                    <br><small>Advanced ${this.formatMoney(advance.amount, advance.currency)}, spent ${this.formatMoney(advance.spent, advance.currency)}${advance.pending > 0 ? `, ${this.formatMoney(advance.pending, advance.currency)} awaiting approval` : ''}</small>
+                </div>
+            ` : '';
+        } catch (error) {
+            console.error('Error loading cash advance:', error);
+        }
+    }
+
+    // An expense paid from the member's cash advance
+    getAdvanceLine(expense) {
+        if (!expense.advance_id) return '';
+        return '<br><small class="text-info"><i class="fas fa-money-bill-wave me-1"></i>Paid from cash advance</small>';
+    }
+
+    // Amount Requests Management
+    async loadAmountRequests() {
+        try {
+            console.log('💸 Loading amount requests...');
+            const response = await fetch('/api/amount-requests');
+            const requests = await response.json();
+            this.populateRequestsTable(requests);
+        } catch (error) {
+            console.error('Error loading requests:', error);
+            this.showToast('Error loading requests', 'error');
+        }
+    }
+
+    async fixNullRequests() {
+        try {
+            this.showLoading();
+            const response = await fetch('/api/fix-null-requests', {
+                method: 'PUT'
+            });
+            
+            const data = await response.json();
+            this.hideLoading();
+            
+            if (data.success) {
+                this.showToast('Fixed null status requests successfully!', 'success');
+                this.loadAmountRequests();
+            } else {
+                this.showToast(data.error || 'Failed to fix requests', 'error');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Fix null requests error:', error);
+            this.showToast('Error fixing requests', 'error');
+        }
+    }
+
+    async fixNullDates() {
+        try {
+            this.showLoading();
+            const response = await fetch('/api/fix-null-dates', {
+                method: 'PUT'
+            });
+            
+            const data = await response.json();
+            this.hideLoading();
+            
+            if (data.success) {
+                this.showToast('Fixed invalid dates successfully!', 'success');
+                // Refresh current section data
+                this.loadSectionData(this.currentSection);
+            } else {
+                this.showToast(data.error || 'Failed to fix dates', 'error');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Fix null dates error:', error);
+            this.showToast('Error fixing dates', 'error');
+        }
+    }
+
+    async requestAmount(requestData) {
+        if (!navigator.onLine) {
+            return this.queueOfflineSubmission('amount_request', requestData, [], 'requestAmountModal', 'requestAmountForm');
+        }
+        try {
+            this.showLoading();
+            console.log('💸 Requesting amount:', requestData.requested_amount);
+            
+            const response = await fetch('/api/amount-requests', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(requestData)
+            }).catch(() => null);
+            if (!response) {
+                this.hideLoading();
+                return this.queueOfflineSubmission('amount_request', requestData, [], 'requestAmountModal', 'requestAmountForm');
+            }
+
+            const data = await response.json();
+            this.hideLoading();
+
+            if (data.success) {
+                this.showToast('Amount request submitted successfully!', 'success');
+                this.loadAmountRequests();
+                bootstrap.Modal.getInstance(document.getElementById('requestAmountModal')).hide();
+                document.getElementById('requestAmountForm').reset();
+            } else {
+                this.showToast(data.error || 'Failed to submit request', 'error');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Request amount error:', error);
+            this.showToast('Error submitting request', 'error');
+        }
+    }
+
+    async approveRequest(requestId) {
+        try {
+            const result = await Swal.fire({
+                title: 'Approve Request?',
+                text: 'This will add the requested amount to the team budget.',
                 icon: 'question',
                 showCancelButton: true,
                 confirmButtonColor: '#198754',
@@ -1094,9 +3265,9 @@ class FieldWorkBookApp {
         document.getElementById('partner1Label').textContent = `${reportData.partner1_name} Total`;
         document.getElementById('partner2Label').textContent = `${reportData.partner2_name} Total`;
         
-        this.animateCounter('partner1Total', '$' + reportData.totals.partner1_total.toFixed(2));
-        this.animateCounter('partner2Total', '$' + reportData.totals.partner2_total.toFixed(2));
-        this.animateCounter('totalDifference', '$' + reportData.totals.total_difference.toFixed(2));
+        this.animateCounter('partner1Total', reportData.totals.partner1_total, reportData.currency);
+        this.animateCounter('partner2Total', reportData.totals.partner2_total, reportData.currency);
+        this.animateCounter('totalDifference', reportData.totals.total_difference, reportData.currency);
         
         // Update table headers
         document.getElementById('partner1ColHeader').textContent = reportData.partner1_name;
@@ -1120,19 +3291,20 @@ class FieldWorkBookApp {
                 <td>${this.formatDate(item.date)}</td>
                 <td>
                     <strong>${item.description}</strong><br>
-                    <small class="text-muted">${item.category}</small>
+                    ${item.transferred_by ? `<small class="text-muted">By ${item.transferred_by}</small><br>` : ''}
+                    ${this.getCategoryLabel(item.category)}
                 </td>
-                <td><span class="badge bg-success">$${item.partner1_amount.toFixed(2)}</span></td>
-                <td><span class="badge bg-info">$${item.partner2_amount.toFixed(2)}</span></td>
-                <td><span class="badge bg-warning">$${item.difference.toFixed(2)}</span></td>
+                <td><span class="badge bg-success">${this.formatMoney(item.partner1_amount, reportData.currency)}</span></td>
+                <td><span class="badge bg-info">${this.formatMoney(item.partner2_amount, reportData.currency)}</span></td>
+                <td><span class="badge bg-warning">${this.formatMoney(item.difference, reportData.currency)}</span></td>
                 <td><span class="badge bg-primary">${item.team_name}</span></td>
             `;
         });
         
         // Update footer totals
-        document.getElementById('partner1FooterTotal').textContent = '$' + reportData.totals.partner1_total.toFixed(2);
-        document.getElementById('partner2FooterTotal').textContent = '$' + reportData.totals.partner2_total.toFixed(2);
-        document.getElementById('differenceFooterTotal').textContent = '$' + (reportData.totals.partner1_total - reportData.totals.partner2_total).toFixed(2);
+        document.getElementById('partner1FooterTotal').textContent = this.formatMoney(reportData.totals.partner1_total, reportData.currency);
+        document.getElementById('partner2FooterTotal').textContent = this.formatMoney(reportData.totals.partner2_total, reportData.currency);
+        document.getElementById('differenceFooterTotal').textContent = this.formatMoney(reportData.totals.partner1_total - reportData.totals.partner2_total, reportData.currency);
         
         $('#partnerReportTable').DataTable({
             responsive: {
@@ -1159,70 +3331,51 @@ class FieldWorkBookApp {
         });
     }
 
-    // Helper method to detect mobile WebView environment
-    isMobileWebView() {
-        const userAgent = navigator.userAgent || navigator.vendor || window.opera;
-        
-        // Check for common WebView indicators
-        const isWebView = (
-            // Android WebView
-            /wv/.test(userAgent) ||
-            // iOS WebView (including WKWebView)
-            (/(iPhone|iPod|iPad).*AppleWebKit(?!.*Safari)/i.test(userAgent)) ||
-            // Check if running in mobile environment without full browser features
-            (window.navigator.standalone === true) ||
-            // Check for common WebView bridges
-            (typeof window.Android !== 'undefined') ||
-            (typeof window.webkit !== 'undefined' && typeof window.webkit.messageHandlers !== 'undefined')
-        );
-        
-        // Also check if blob URLs are supported (they usually aren't in WebView)
-        const supportsBlobURLs = typeof URL.createObjectURL === 'function';
-        
-        console.log('WebView Detection:', { 
-            isWebView, 
-            supportsBlobURLs, 
-            userAgent: userAgent.substring(0, 100)
-        });
-        
-        // If it looks like WebView OR blob URLs aren't supported, use alternative method
-        return isWebView || !supportsBlobURLs;
+    // Whether the app runs installed (home screen / app window) rather than in a browser tab
+    isStandalone() {
+        return window.matchMedia('(display-mode: standalone)').matches || window.navigator.standalone === true;
     }
 
-    // Helper method to download file using FileReader (WebView compatible)
-    downloadFileViaBlobReader(blob, filename) {
-        const reader = new FileReader();
-        
-        reader.onloadend = () => {
-            // Convert blob to base64 data URL
-            const base64data = reader.result;
-            
-            // Create download link with data URL
-            const a = document.createElement('a');
-            a.href = base64data;
-            a.download = filename;
-            a.style.display = 'none';
-            
-            document.body.appendChild(a);
-            
-            // Trigger download
-            a.click();
-            
-            // Cleanup
-            setTimeout(() => {
-                document.body.removeChild(a);
-            }, 100);
-            
-            console.log('✅ File download triggered via FileReader (WebView compatible)');
-        };
-        
-        reader.onerror = (error) => {
-            console.error('FileReader error:', error);
-            this.showToast('Error preparing file for download', 'error');
-        };
-        
-        // Read blob as data URL (base64)
-        reader.readAsDataURL(blob);
+    // Download a same-origin file URL. Installed on a phone there is no browser download bar,
+    // so the file is offered to the share sheet (Save to Files, Drive, mail...) where the
+    // device can share files; everywhere else a plain link click downloads it.
+    async downloadFile(url, filename) {
+        if (this.isStandalone() && navigator.canShare) {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error('Download failed');
+            const blob = await response.blob();
+            const file = new File([blob], filename, { type: blob.type });
+            if (navigator.canShare({ files: [file] })) {
+                // Sharing needs a fresh tap: the one that started the download was spent on the fetch
+                await Swal.fire({
+                    title: 'File Ready',
+                    text: filename,
+                    icon: 'success',
+                    showCancelButton: true,
+                    confirmButtonText: '<i class="fas fa-share-from-square me-1"></i>Save / Share',
+                    cancelButtonText: 'Close',
+                    background: 'rgba(255, 255, 255, 0.95)',
+                    backdrop: 'rgba(0,0,0,0.4)',
+                    preConfirm: () => navigator.share({ files: [file], title: filename }).catch(error => {
+                        if (error.name !== 'AbortError') console.error('Share error:', error);
+                    })
+                });
+                return;
+            }
+            // Fall through to a normal download with a fresh URL; export files are removed once fetched
+            url = URL.createObjectURL(blob);
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        }
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        setTimeout(() => {
+            document.body.removeChild(link);
+        }, 100);
     }
 
     async exportPartnerReportToExcel() {
@@ -1252,23 +3405,11 @@ class FieldWorkBookApp {
                 throw new Error('Export failed');
             }
             
-            // Get JSON response with file URL (WebView compatible)
+            // Get JSON response with the export's download URL
             const result = await response.json();
             
             if (result.success && result.fileUrl) {
-                // Use direct URL download - works in all environments including WebView
-                const a = document.createElement('a');
-                a.href = result.fileUrl;
-                a.download = result.filename || `partner-report-${Date.now()}.xlsx`;
-                a.style.display = 'none';
-                document.body.appendChild(a);
-                a.click();
-                
-                // Cleanup
-                setTimeout(() => {
-                    document.body.removeChild(a);
-                }, 100);
-                
+                await this.downloadFile(result.fileUrl, result.filename || `partner-report-${Date.now()}.xlsx`);
                 console.log('✅ Excel download initiated:', result.filename);
                 this.hideLoading();
                 this.showToast('Exported to Excel successfully!', 'success');
@@ -1305,23 +3446,11 @@ class FieldWorkBookApp {
                 throw new Error('Export failed');
             }
             
-            // Get JSON response with file URL (WebView compatible)
+            // Get JSON response with the export's download URL
             const result = await response.json();
             
             if (result.success && result.fileUrl) {
-                // Use direct URL download - works in all environments including WebView
-                const a = document.createElement('a');
-                a.href = result.fileUrl;
-                a.download = result.filename || `partner-report-${Date.now()}.pdf`;
-                a.style.display = 'none';
-                document.body.appendChild(a);
-                a.click();
-                
-                // Cleanup
-                setTimeout(() => {
-                    document.body.removeChild(a);
-                }, 100);
-                
+                await this.downloadFile(result.fileUrl, result.filename || `partner-report-${Date.now()}.pdf`);
                 console.log('✅ PDF download initiated:', result.filename);
                 this.hideLoading();
                 this.showToast('Exported to PDF successfully!', 'success');
@@ -1441,11 +3570,16 @@ class FieldWorkBookApp {
 
         const tbody = document.querySelector('#teamsTable tbody');
         tbody.innerHTML = '';
+        this.teams = teams;
 
         teams.forEach((team, index) => {
             const row = tbody.insertRow();
             const usagePercentage = team.initial_amount > 0 ? (team.used_amount / team.initial_amount * 100) : 0;
             const statusColor = usagePercentage > 80 ? 'danger' : usagePercentage > 50 ? 'warning' : 'success';
+            const lifecycleBadge = team.status === 'closing'
+                ? '<span class="badge bg-warning text-dark ms-2">Closing</span>'
+                : team.status === 'closed' ? '<span class="badge bg-secondary ms-2">Closed</span>' : '';
+            const isActive = team.status === 'active';
             
             row.innerHTML = `
                 <td>
@@ -1456,7 +3590,7 @@ class FieldWorkBookApp {
                             </div>
                         </div>
                         <div>
-                            <strong class="text-gradient">${team.name}</strong><br>
+                            <strong class="text-gradient">${team.name}</strong>${lifecycleBadge}<br>
                             <small class="text-muted">${team.description || 'No description'}</small>
                         </div>
                     </div>
@@ -1467,9 +3601,9 @@ class FieldWorkBookApp {
                         <span class="fw-bold">${team.location}</span>
                     </div>
                 </td>
-                <td><span class="badge bg-success fs-6">$${parseFloat(team.initial_amount).toFixed(2)}</span></td>
-                <td><span class="badge bg-warning fs-6">$${parseFloat(team.used_amount).toFixed(2)}</span></td>
-                <td><span class="badge bg-info fs-6">$${parseFloat(team.remaining_amount).toFixed(2)}</span></td>
+                <td><span class="badge bg-success fs-6">${this.formatMoney(team.initial_amount, team.currency)}</span></td>
+                <td><span class="badge bg-warning fs-6">${this.formatMoney(team.used_amount, team.currency)}</span></td>
+                <td><span class="badge bg-info fs-6">${this.formatMoney(team.remaining_amount, team.currency)}</span></td>
                 <td>
                     <span class="badge bg-primary fs-6">${team.member_count}</span>
                     <div class="progress mt-1" style="height: 4px;">
@@ -1479,15 +3613,48 @@ class FieldWorkBookApp {
                 <td><small class="text-muted">${this.formatDate(team.created_at)}</small></td>
                 <td>
                     <div class="action-buttons">
+                        ${isActive ? `
                         <button class="btn btn-sm btn-success hover-lift" onclick="app.showAddUserModal(${team.id})" title="Add Member">
                             <i class="fas fa-user-plus"></i>
-                        </button>
+                        </button>` : ''}
                         <button class="btn btn-sm btn-info hover-lift" onclick="app.viewTeamDetails(${team.id})" title="View Details">
                             <i class="fas fa-eye"></i>
                         </button>
+                        <button class="btn btn-sm btn-primary hover-lift" onclick="app.showEditTeamModal(${team.id})" title="Edit Team">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        ${isActive ? `
+                        <button class="btn btn-sm btn-dark hover-lift" onclick="app.showAdjustFundsModal(${team.id})" title="Allocate / Claw Back Funds">
+                            <i class="fas fa-hand-holding-usd"></i>
+                        </button>` : ''}
+                        ${team.status !== 'closed' ? `
+                        <button class="btn btn-sm btn-outline-dark hover-lift" onclick="app.showTransferFundsModal(${team.id})" title="Transfer Funds to Another Team">
+                            <i class="fas fa-exchange-alt"></i>
+                        </button>` : ''}
+                        <button class="btn btn-sm btn-secondary hover-lift" onclick="app.viewTeamLedger(${team.id}, '${team.name}')" title="Ledger">
+                            <i class="fas fa-book"></i>
+                        </button>
+                        <button class="btn btn-sm btn-secondary hover-lift" onclick="app.viewTeamStatement(${team.id})" title="${team.status === 'closed' ? 'Close-out Statement' : 'Statement'}">
+                            <i class="fas fa-file-invoice"></i>
+                        </button>
+                        ${isActive ? `
+                        <button class="btn btn-sm btn-warning hover-lift" onclick="app.showCategoryBudgetsModal(${team.id}, '${team.name}')" title="Category Budgets">
+                            <i class="fas fa-chart-pie"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-danger hover-lift" onclick="app.startClosingTeam(${team.id})" title="Close Team">
+                            <i class="fas fa-door-closed"></i>
+                        </button>
+                        ${parseFloat(team.initial_amount) === 0 ? `
                         <button class="btn btn-sm btn-danger hover-lift" onclick="app.deleteTeam(${team.id})" title="Delete Team">
                             <i class="fas fa-trash"></i>
+                        </button>` : ''}` : ''}
+                        ${team.status === 'closing' ? `
+                        <button class="btn btn-sm btn-outline-success hover-lift" onclick="app.reopenTeam(${team.id})" title="Reopen Team">
+                            <i class="fas fa-undo"></i>
                         </button>
+                        <button class="btn btn-sm btn-danger hover-lift" onclick="app.closeOutTeam(${team.id})" title="Close Out Team">
+                            <i class="fas fa-flag-checkered"></i>
+                        </button>` : ''}
                     </div>
                 </td>
             `;
@@ -1566,15 +3733,15 @@ class FieldWorkBookApp {
                             <div class="budget-info mb-3">
                                 <div class="d-flex justify-content-between mb-2">
                                     <span class="text-secondary">Budget:</span>
-                                    <span class="fw-bold">$${parseFloat(team.initial_amount).toFixed(2)}</span>
+                                    <span class="fw-bold">${this.formatMoney(team.initial_amount, team.currency)}</span>
                                 </div>
                                 <div class="d-flex justify-content-between mb-2">
                                     <span class="text-secondary">Spent:</span>
-                                    <span class="fw-bold text-warning">$${parseFloat(team.used_amount).toFixed(2)}</span>
+                                    <span class="fw-bold text-warning">${this.formatMoney(team.used_amount, team.currency)}</span>
                                 </div>
                                 <div class="d-flex justify-content-between mb-3">
                                     <span class="text-secondary">Remaining:</span>
-                                    <span class="fw-bold text-success">$${parseFloat(team.remaining_amount).toFixed(2)}</span>
+                                    <span class="fw-bold text-success">${this.formatMoney(team.remaining_amount, team.currency)}</span>
                                 </div>
                                 
                                 <div class="progress-container">
@@ -1632,11 +3799,17 @@ class FieldWorkBookApp {
                         <i class="fas fa-user text-secondary me-1"></i>
                         <small>by ${expense.user_name}</small>
                     </div>
+                    ${this.getExpensePlaceLine(expense)}
                 </div>
                 <div class="text-end">
-                    <h5 class="text-success mb-1">$${parseFloat(expense.amount).toFixed(2)}</h5>
-                    <small class="text-muted">${this.formatDate(expense.created_at)}</small>
-                    ${expense.attachment_path ? '<br><i class="fas fa-paperclip text-info"></i>' : ''}
+                    <h5 class="text-success mb-1">${this.formatMoney(expense.amount, expense.currency)}</h5>
+                    ${this.getOriginalAmountLine(expense)}
+                    ${this.getAllowanceLine(expense)}
+                    ${this.getSplitLine(expense)}
+                    ${this.getReimbursementLine(expense)}
+                    ${this.getAdvanceLine(expense)}
+                    <small class="text-muted">${this.formatDate(this.getExpenseDate(expense))}</small>
+                    ${(expense.attachments || []).length ? `<br><i class="fas fa-paperclip text-info"></i> ${expense.attachments.length}` : ''}
                 </div>
             </div>
         `).join('');
@@ -1653,20 +3826,20 @@ class FieldWorkBookApp {
         expenses.forEach(expense => {
             const row = tbody.insertRow();
             row.innerHTML = `
-                <td>${this.formatDate(expense.created_at)}</td>
+                <td data-order="${this.getExpenseDate(expense)}">${this.formatDate(this.getExpenseDate(expense))}</td>
                 <td>
                     <strong>${expense.description}</strong><br>
-                    <small class="text-muted">${expense.category || 'general'}</small>
+                    ${this.getCategoryLabel(expense.category)}
+                    ${this.getExpensePlaceLine(expense)}
                 </td>
-                <td><span class="badge bg-success">$${parseFloat(expense.amount).toFixed(2)}</span></td>
+                <td data-order="${expense.amount}"><span class="badge bg-success">${this.formatMoney(expense.amount, expense.currency)}</span>${this.getOriginalAmountLine(expense)}${this.getAllowanceLine(expense)}${this.getSplitLine(expense)}${this.getReimbursementLine(expense)}${this.getAdvanceLine(expense)}</td>
                 <td>
-                    ${expense.attachment_path ? 
-                        `<button class="btn btn-sm btn-outline-primary" onclick="app.showFilePreview('${expense.attachment_path}', '${expense.attachment_name}')" title="${expense.attachment_name}">
-                            <i class="fas fa-eye me-1"></i>View
-                        </button>` : 
-                        '<span class="text-muted">No attachment</span>'
-                    }
+                    ${this.getStatusBadge(expense.status)}
+                    ${expense.review_note ? `<br><small class="text-muted">${expense.review_note}</small>` : ''}
+                    ${this.getPolicyFlagBadges(expense)}
                 </td>
+                <td>${this.getAttachmentCell(expense)}</td>
+                <td>${this.getExpenseActions(expense)}</td>
             `;
         });
 
@@ -1685,73 +3858,356 @@ class FieldWorkBookApp {
             columnDefs: [
                 {
                     responsivePriority: 1,
-                    targets: [0, 1, 2] // Date, Description, Amount always visible
+                    targets: [0, 1, 2, 3] // Date, Description, Amount, Status always visible
+                },
+                {
+                    responsivePriority: 2,
+                    targets: [5] // Actions
+                },
+                {
+                    responsivePriority: 3,
+                    targets: [4] // Attachment - hidden first on small screens
+                }
+            ]
+        });
+    }
+
+    populateExpensesTable(expenses) {
+        if ($.fn.DataTable.isDataTable('#expensesTable')) {
+            $('#expensesTable').DataTable().destroy();
+        }
+
+        const tbody = document.querySelector('#expensesTable tbody');
+        tbody.innerHTML = '';
+
+        expenses.forEach(expense => {
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td data-order="${this.getExpenseDate(expense)}">${this.formatDate(this.getExpenseDate(expense))}</td>
+                <td><span class="badge bg-primary">${expense.team_name}</span></td>
+                <td><i class="fas fa-user me-1"></i>${expense.user_name}</td>
+                <td>
+                    <strong>${expense.description}</strong><br>
+                    ${this.getCategoryLabel(expense.category)}
+                    ${this.getExpensePlaceLine(expense)}
+                </td>
+                <td data-order="${expense.amount}"><span class="badge bg-success">${this.formatMoney(expense.amount, expense.currency)}</span>${this.getOriginalAmountLine(expense)}${this.getAllowanceLine(expense)}${this.getSplitLine(expense)}${this.getReimbursementLine(expense)}${this.getAdvanceLine(expense)}</td>
+                <td>
+                    ${this.getStatusBadge(expense.status)}
+                    ${expense.processed_by_name ? `<br><small class="text-muted">by ${expense.processed_by_name}</small>` : ''}
+                    ${expense.review_note ? `<br><small class="text-muted">${expense.review_note}</small>` : ''}
+                    ${this.getPolicyFlagBadges(expense)}
+                    ${this.getDuplicateBadge(expense)}
+                </td>
+                <td>${this.getAttachmentCell(expense)}</td>
+                <td>${this.getExpenseReviewActions(expense)}${this.getExpenseActions(expense)}</td>
+            `;
+        });
+
+        $('#expensesTable').DataTable({
+            responsive: {
+                details: {
+                    type: 'column',
+                    target: 'tr'
+                }
+            },
+            pageLength: 10,
+            order: [[0, 'desc']],
+            language: {
+                emptyTable: "No expenses recorded yet"
+            },
+            columnDefs: [
+                {
+                    responsivePriority: 1,
+                    targets: [0, 3, 4, 5] // Date, Description, Amount, Status always visible
                 },
                 {
                     responsivePriority: 2,
-                    targets: [3] // Attachment - hidden first on small screens
+                    targets: [1, 2, 7] // Team, User, Actions - less priority
+                },
+                {
+                    responsivePriority: 3,
+                    targets: [6] // Attachment - hidden first
                 }
             ]
         });
     }
 
-    populateExpensesTable(expenses) {
-        if ($.fn.DataTable.isDataTable('#expensesTable')) {
-            $('#expensesTable').DataTable().destroy();
-        }
+    // Approve / reject / needs-info buttons for expenses awaiting review (admin and partner)
+    getExpenseReviewActions(expense) {
+        const canReview = this.currentUser?.role === 'admin' || this.currentUser?.role === 'partner';
+        if (!canReview || (expense.status !== 'submitted' && expense.status !== 'needs_info')) {
+            return '';
+        }
+        const partnerOnly = expense.requires_partner_approval && this.currentUser.role !== 'partner';
+        return `
+            <button class="btn btn-sm btn-success me-1" onclick="app.reviewExpense(${expense.id}, 'approve')" title="${partnerOnly ? 'Only a partner can approve this expense' : 'Approve'}" ${partnerOnly ? 'disabled' : ''}>
+                <i class="fas fa-check"></i>
+            </button>
+            <button class="btn btn-sm btn-danger me-1" onclick="app.reviewExpense(${expense.id}, 'reject')" title="Reject">
+                <i class="fas fa-times"></i>
+            </button>
+            <button class="btn btn-sm btn-warning me-1" onclick="app.reviewExpense(${expense.id}, 'needs-info')" title="Ask for more information">
+                <i class="fas fa-question"></i>
+            </button>
+        `;
+    }
+
+    async reviewExpense(expenseId, action) {
+        const prompts = {
+            'approve': { title: 'Approve Expense?', text: 'The reserved amount will be deducted from the team budget.', icon: 'question', color: '#198754', confirm: 'Yes, approve it!', done: 'Expense approved successfully!' },
+            'reject': { title: 'Reject Expense?', text: 'The reserved amount will be returned to the team budget.', icon: 'warning', color: '#dc3545', confirm: 'Yes, reject it!', done: 'Expense rejected' },
+            'needs-info': { title: 'Ask for More Information', text: 'The submitter will see this note and can edit the expense.', icon: 'info', color: '#ffc107', confirm: 'Send', done: 'Information requested' }
+        };
+        const prompt = prompts[action];
+
+        try {
+            const result = await Swal.fire({
+                title: prompt.title,
+                text: prompt.text,
+                icon: prompt.icon,
+                input: 'text',
+                inputPlaceholder: action === 'needs-info' ? 'What is missing?' : 'Note (optional)',
+                inputValidator: (value) => (action === 'needs-info' && !value ? 'Please describe what is needed' : undefined),
+                showCancelButton: true,
+                confirmButtonColor: prompt.color,
+                cancelButtonColor: '#6c757d',
+                confirmButtonText: prompt.confirm,
+                cancelButtonText: 'Cancel'
+            });
+
+            if (result.isConfirmed) {
+                this.showLoading();
+                console.log(`📝 Expense review (${action}):`, expenseId);
+
+                const response = await fetch(`/api/expenses/${expenseId}/${action}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ note: result.value || '' })
+                });
+
+                const data = await response.json();
+                this.hideLoading();
+
+                if (data.success) {
+                    this.showToast(prompt.done, action === 'approve' ? 'success' : 'info');
+                    this.loadExpenses();
+                    this.loadDashboardData(); // Refresh dashboard
+                } else {
+                    this.showToast(data.error || 'Failed to review expense', 'error');
+                }
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Review expense error:', error);
+            this.showToast('Error reviewing expense', 'error');
+        }
+    }
+
+    // Edit/delete buttons for expenses the current user may still change (see can_modify in GET /api/expenses)
+    getExpenseActions(expense) {
+        this.expensesById = this.expensesById || new Map();
+        this.expensesById.set(expense.id, expense);
+        if (!expense.can_modify) {
+            return '<span class="text-muted">-</span>';
+        }
+        return `
+            <button class="btn btn-sm btn-outline-secondary me-1" onclick="app.showEditExpenseModal(${expense.id})" title="Edit">
+                <i class="fas fa-pen"></i>
+            </button>
+            <button class="btn btn-sm btn-outline-danger" onclick="app.deleteExpense(${expense.id})" title="Delete">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+    }
+
+    attachmentThumbnailUrl(attachment) {
+        return `/api/download/${attachment.file_path}?thumbnail=1`;
+    }
+
+    // Receipt thumbnail (or View button) opening the attachment gallery, plus a button to add
+    // receipts after submission
+    getAttachmentCell(expense) {
+        const attachments = expense.attachments || [];
+        const isReviewer = this.currentUser.role === 'admin' || this.currentUser.role === 'partner';
+        const canAttach = isReviewer || (expense.user_id == this.currentUser.id && expense.status !== 'rejected');
+        const thumbnailIndex = attachments.findIndex(a => a.thumbnail_path);
+        let view = '<span class="text-muted me-1">No attachment</span>';
+        if (thumbnailIndex > -1) {
+            view = `<button class="btn btn-sm btn-outline-primary p-0 me-1 position-relative" onclick="app.showExpenseAttachments(${expense.id}, ${thumbnailIndex})" title="${attachments.map(a => a.file_name).join(', ')}">
+                    <img src="${this.attachmentThumbnailUrl(attachments[thumbnailIndex])}" class="receipt-thumbnail" alt="Receipt" loading="lazy">
+                    ${attachments.length > 1 ? `<span class="position-absolute top-0 start-100 translate-middle badge rounded-pill bg-secondary">${attachments.length}</span>` : ''}
+                </button>`;
+        } else if (attachments.length) {
+            view = `<button class="btn btn-sm btn-outline-primary me-1" onclick="app.showExpenseAttachments(${expense.id})" title="${attachments.map(a => a.file_name).join(', ')}">
+                    <i class="fas fa-eye me-1"></i>View${attachments.length > 1 ? ` (${attachments.length})` : ''}
+                </button>`;
+        }
+        const add = canAttach
+            ? `<button class="btn btn-sm btn-outline-secondary" onclick="app.addExpenseAttachments(${expense.id})" title="Add attachments">
+                    <i class="fas fa-paperclip"></i>
+                </button>`
+            : '';
+        return `<div class="d-flex align-items-center">${view}${add}</div>`;
+    }
+
+    addExpenseAttachments(expenseId) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'image/*,.pdf';
+        input.multiple = true;
+        input.addEventListener('change', async () => {
+            if (!input.files.length) return;
+            const formData = new FormData();
+            Array.from(input.files).forEach(file => formData.append('attachments', file));
+            try {
+                this.showLoading();
+                const response = await fetch(`/api/expenses/${expenseId}/attachments`, {
+                    method: 'POST',
+                    body: formData
+                });
+                const data = await response.json();
+                this.hideLoading();
+
+                if (data.success) {
+                    this.showToast(`${input.files.length} attachment(s) added`, 'success');
+                    this.loadExpenses();
+                } else {
+                    this.showToast(data.error || 'Failed to add attachments', 'error');
+                }
+            } catch (error) {
+                this.hideLoading();
+                console.error('Add attachments error:', error);
+                this.showToast('Error adding attachments', 'error');
+            }
+        });
+        input.click();
+    }
+
+    showEditExpenseModal(expenseId) {
+        const expense = this.expensesById && this.expensesById.get(expenseId);
+        if (!expense) return;
+
+        document.getElementById('editExpenseId').value = expense.id;
+        document.getElementById('editExpenseDescription').value = expense.description;
+        // The amount is edited in the currency it was paid in
+        document.getElementById('editExpenseAmount').value = parseFloat(expense.original_amount ?? expense.amount).toFixed(2);
+        this.ensureCurrencies().then(() => {
+            this.populateCurrencySelect(document.getElementById('editExpenseCurrency'), expense.original_currency || expense.currency);
+        });
+        // Mileage and per diems are edited by distance or days instead of amount
+        const type = expense.expense_type || 'standard';
+        const isAllowance = type !== 'standard';
+        document.getElementById('editExpenseType').value = type;
+        document.getElementById('editExpenseAmountGroup').style.display = isAllowance ? 'none' : '';
+        document.getElementById('editExpenseAmount').required = !isAllowance;
+        document.getElementById('editExpenseAllowanceGroup').style.display = isAllowance ? '' : 'none';
+        document.getElementById('editExpenseQuantity').required = isAllowance;
+        if (isAllowance) {
+            const quantity = document.getElementById('editExpenseQuantity');
+            quantity.value = parseFloat(type === 'mileage' ? expense.distance_km : expense.days) || '';
+            quantity.step = type === 'mileage' ? '0.01' : '0.5';
+            quantity.min = quantity.step;
+            document.getElementById('editExpenseQuantityLabel').textContent = type === 'mileage' ? 'Distance (km)' : 'Days';
+            document.getElementById('editExpenseAllowanceRateLabel').textContent = type === 'mileage' ? 'Vehicle' : 'Location';
+            const rateSelect = document.getElementById('editExpenseAllowanceRate');
+            rateSelect.dataset.claimed = expense.allowance_rate_id || '';
+            this.ensureAllowanceRates().then(() => {
+                this.populateAllowanceRateSelect(rateSelect, type, expense.allowance_rate_id);
+            });
+        }
+        this.populateCategorySelect(document.getElementById('editExpenseCategory'), expense.category || 'general');
+        document.getElementById('editExpenseNights').value = expense.nights || '';
+        document.getElementById('editExpenseDate').value = this.getExpenseDate(expense);
+        document.getElementById('editExpenseMerchant').value = expense.merchant || '';
+        document.getElementById('editExpenseAttachment').value = '';
+        const attachments = expense.attachments || [];
+        document.getElementById('editExpenseAttachments').innerHTML = attachments.length
+            ? attachments.map(attachment => `
+                <div class="form-check">
+                    <input class="form-check-input edit-expense-remove-attachment" type="checkbox" value="${attachment.id}" id="removeAttachment${attachment.id}">
+                    <label class="form-check-label" for="removeAttachment${attachment.id}">
+                        <i class="fas fa-paperclip me-1"></i>${attachment.file_name} <small class="text-muted">(remove)</small>
+                    </label>
+                </div>
+            `).join('')
+            : '<div class="form-text">No attachments</div>';
+
+        new bootstrap.Modal(document.getElementById('editExpenseModal')).show();
+    }
+
+    async updateExpense(expenseId, formData) {
+        try {
+            this.showLoading();
+            console.log('✏️ Updating expense:', expenseId);
+
+            const response = await fetch(`/api/expenses/${expenseId}`, {
+                method: 'PUT',
+                body: formData
+            });
+
+            const data = await response.json();
+            this.hideLoading();
+
+            if (data.success) {
+                this.showToast('Expense updated successfully!', 'success');
+                this.loadExpenses();
+                this.loadDashboardData(); // Refresh balances
+                bootstrap.Modal.getInstance(document.getElementById('editExpenseModal')).hide();
+            } else {
+                this.showToast(data.error || 'Failed to update expense', 'error');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Update expense error:', error);
+            this.showToast('Error updating expense', 'error');
+        }
+    }
+
+    // A share of a split expense is deleted with the whole split (DELETE /api/expense-splits/:id)
+    async deleteExpense(expenseId) {
+        const expense = this.expensesById && this.expensesById.get(expenseId);
+        const split = expense && expense.split;
+        try {
+            const result = await Swal.fire({
+                title: split ? 'Delete Split Expense?' : 'Delete Expense?',
+                text: split
+                    ? `All ${split.shares.length} shares of this split will be deleted, their amounts returned to their teams and the attachments removed. This action cannot be undone!`
+                    : 'The amount will be returned to the team balance and its attachments removed. This action cannot be undone!',
+                icon: 'warning',
+                showCancelButton: true,
+                confirmButtonColor: '#dc3545',
+                cancelButtonColor: '#6c757d',
+                confirmButtonText: 'Yes, delete it!',
+                cancelButtonText: 'Cancel',
+                background: 'rgba(255, 255, 255, 0.95)',
+                backdrop: 'rgba(0,0,0,0.4)'
+            });
 
-        const tbody = document.querySelector('#expensesTable tbody');
-        tbody.innerHTML = '';
+            if (result.isConfirmed) {
+                this.showLoading();
+                console.log('🗑️ Deleting expense:', expenseId);
 
-        expenses.forEach(expense => {
-            const row = tbody.insertRow();
-            row.innerHTML = `
-                <td>${this.formatDate(expense.created_at)}</td>
-                <td><span class="badge bg-primary">${expense.team_name}</span></td>
-                <td><i class="fas fa-user me-1"></i>${expense.user_name}</td>
-                <td>
-                    <strong>${expense.description}</strong><br>
-                    <small class="text-muted">${expense.category || 'general'}</small>
-                </td>
-                <td><span class="badge bg-success">$${parseFloat(expense.amount).toFixed(2)}</span></td>
-                <td>
-                    ${expense.attachment_path ? 
-                        `<button class="btn btn-sm btn-outline-primary" onclick="app.showFilePreview('${expense.attachment_path}', '${expense.attachment_name}')" title="${expense.attachment_name}">
-                            <i class="fas fa-eye me-1"></i>View
-                        </button>` : 
-                        '<span class="text-muted">No attachment</span>'
-                    }
-                </td>
-            `;
-        });
+                const response = await fetch(split ? `/api/expense-splits/${split.id}` : `/api/expenses/${expenseId}`, {
+                    method: 'DELETE'
+                });
 
-        $('#expensesTable').DataTable({
-            responsive: {
-                details: {
-                    type: 'column',
-                    target: 'tr'
-                }
-            },
-            pageLength: 10,
-            order: [[0, 'desc']],
-            language: {
-                emptyTable: "No expenses recorded yet"
-            },
-            columnDefs: [
-                {
-                    responsivePriority: 1,
-                    targets: [0, 3, 4] // Date, Description, Amount always visible
-                },
-                {
-                    responsivePriority: 2,
-                    targets: [1, 2] // Team, User - less priority
-                },
-                {
-                    responsivePriority: 3,
-                    targets: [5] // Attachment - hidden first
+                const data = await response.json();
+                this.hideLoading();
+
+                if (data.success) {
+                    this.showToast('Expense deleted successfully!', 'success');
+                    this.loadExpenses();
+                    this.loadDashboardData(); // Refresh balances
+                } else {
+                    this.showToast(data.error || 'Failed to delete expense', 'error');
                 }
-            ]
-        });
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Delete expense error:', error);
+            this.showToast('Error deleting expense', 'error');
+        }
     }
 
     populateRequestsTable(requests) {
@@ -1780,7 +4236,7 @@ class FieldWorkBookApp {
                 <td>${this.formatDate(request.created_at)}</td>
                 <td><span class="badge bg-primary">${request.team_name}</span></td>
                 <td><i class="fas fa-user me-1"></i>${request.user_name}</td>
-                <td><span class="badge bg-warning">$${parseFloat(request.requested_amount).toFixed(2)}</span></td>
+                <td><span class="badge bg-warning">${this.formatMoney(request.requested_amount, request.currency)}</span></td>
                 <td><small>${request.reason}</small></td>
                 <td>${statusBadge}</td>
                 <td>${actions}</td>
@@ -1820,18 +4276,62 @@ class FieldWorkBookApp {
         const badges = {
             'pending': '<span class="badge bg-warning"><i class="fas fa-clock me-1"></i>Pending</span>',
             'approved': '<span class="badge bg-success"><i class="fas fa-check me-1"></i>Approved</span>',
-            'rejected': '<span class="badge bg-danger"><i class="fas fa-times me-1"></i>Rejected</span>'
+            'rejected': '<span class="badge bg-danger"><i class="fas fa-times me-1"></i>Rejected</span>',
+            'submitted': '<span class="badge bg-warning"><i class="fas fa-hourglass-half me-1"></i>Submitted</span>',
+            'needs_info': '<span class="badge bg-info"><i class="fas fa-question me-1"></i>Needs Info</span>'
         };
         return badges[status] || '<span class="badge bg-secondary"><i class="fas fa-question me-1"></i>Unknown</span>';
     }
 
     // Utility Methods
+    // Amount with its currency symbol; the organization's base currency when none is given
+    formatMoney(amount, currency) {
+        const value = parseFloat(amount) || 0;
+        const code = currency || this.baseCurrency || 'USD';
+        try {
+            return new Intl.NumberFormat('en-US', { style: 'currency', currency: code }).format(value);
+        } catch (error) {
+            return `${code} ${value.toFixed(2)}`;
+        }
+    }
+
+    // What a mileage or per-diem amount was computed from, at the rate (base currency) claimed
+    getAllowanceLine(expense) {
+        if (expense.expense_type === 'mileage') {
+            return `<br><small class="text-muted"><i class="fas fa-car me-1"></i>${parseFloat(expense.distance_km)} km × ${parseFloat(expense.allowance_rate)} ${this.baseCurrency}</small>`;
+        }
+        if (expense.expense_type === 'per_diem') {
+            return `<br><small class="text-muted"><i class="fas fa-calendar-day me-1"></i>${parseFloat(expense.days)} days × ${parseFloat(expense.allowance_rate)} ${this.baseCurrency}</small>`;
+        }
+        return '';
+    }
+
+    // The split a share belongs to: the total paid, who paid it and (on hover) every share
+    getSplitLine(expense) {
+        if (!expense.split) return '';
+        const shares = expense.split.shares
+            .map(share => `${share.user_name} (${share.team_name}): ${this.formatMoney(share.amount, share.currency)}`)
+            .join('\n');
+        return `<br><small class="text-muted" title="${shares}">
+            <i class="fas fa-people-group me-1"></i>Share of ${this.formatMoney(expense.split.total_amount, expense.split.currency)} paid by ${expense.split.paid_by_name}
+        </small>`;
+    }
+
+    // What was actually paid, for expenses paid in a currency other than the team's
+    getOriginalAmountLine(expense) {
+        if (!expense.original_currency || expense.original_currency === expense.currency) return '';
+        return `<br><small class="text-muted" title="1 ${expense.original_currency} = ${parseFloat(expense.exchange_rate)} ${expense.currency}">
+            <i class="fas fa-right-left me-1"></i>${this.formatMoney(expense.original_amount, expense.original_currency)} paid
+        </small>`;
+    }
+
     formatDate(dateString) {
         if (!dateString || dateString === '1970-01-01T00:00:00.000Z') {
             return 'Today';
         }
         try {
-            const date = new Date(dateString);
+            // Date-only values (expense dates) are calendar days, not UTC midnight
+            const date = /^\d{4}-\d{2}-\d{2}$/.test(dateString) ? new Date(`${dateString}T00:00:00`) : new Date(dateString);
             if (date.getTime() === 0 || isNaN(date.getTime())) {
                 return 'Today';
             }
@@ -1845,6 +4345,228 @@ class FieldWorkBookApp {
         }
     }
 
+    // Installable App (manifest.webmanifest)
+    initInstallPrompt() {
+        const installBtn = document.getElementById('installAppBtn');
+
+        // Chrome, Edge and Android browsers offer their own prompt; it is kept for the menu item
+        window.addEventListener('beforeinstallprompt', (event) => {
+            event.preventDefault();
+            this.installPrompt = event;
+            installBtn.style.display = 'block';
+        });
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            installBtn.style.display = 'none';
+            this.showToast('FieldWorkBook installed - open it from your home screen', 'success');
+        });
+        // iOS has no prompt, so the menu item explains Add to Home Screen instead
+        if (/iphone|ipad|ipod/i.test(navigator.userAgent) && !this.isStandalone()) {
+            installBtn.style.display = 'block';
+        }
+
+        installBtn.addEventListener('click', async (e) => {
+            e.preventDefault();
+            this.closeMobileMenu();
+            if (this.installPrompt) {
+                const prompt = this.installPrompt;
+                // A prompt can only be shown once; the browser sends a new one if it is dismissed
+                this.installPrompt = null;
+                installBtn.style.display = 'none';
+                prompt.prompt();
+                await prompt.userChoice;
+                return;
+            }
+            Swal.fire({
+                title: 'Install FieldWorkBook',
+                html: 'Tap <i class="fas fa-arrow-up-from-bracket"></i> <strong>Share</strong> in Safari, then <strong>Add to Home Screen</strong>.',
+                icon: 'info',
+                background: 'rgba(255, 255, 255, 0.95)',
+                backdrop: 'rgba(0,0,0,0.4)'
+            });
+        });
+    }
+
+    // Offline Drafts (see js/offline-queue.js and sw.js)
+    initOfflineSupport() {
+        window.addEventListener('online', () => {
+            this.updateConnectionStatus();
+            this.syncOfflineQueue();
+        });
+        window.addEventListener('offline', () => this.updateConnectionStatus());
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/sw.js').catch(error => {
+                console.warn('Service worker registration failed:', error);
+            });
+            // The service worker replays the queue itself on a background sync
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'offline-sync') {
+                    this.reportOfflineSync(event.data.result);
+                    this.refreshOfflineQueue();
+                }
+            });
+        }
+    }
+
+    queueOfflineExpense(formData) {
+        const fields = {};
+        const files = [];
+        formData.forEach((value, key) => {
+            if (value instanceof File) {
+                files.push({ blob: value, name: value.name });
+            } else {
+                fields[key] = value;
+            }
+        });
+        return this.queueOfflineSubmission('expense', fields, files, 'addExpenseModal', 'addExpenseForm');
+    }
+
+    async queueOfflineSubmission(kind, fields, files, modalId, formId) {
+        try {
+            // Expenses queued earlier will have come off the balance by the time this draft is sent
+            const drafts = await OfflineQueue.list(this.currentUser.id);
+            const queuedSpend = drafts
+                .filter(draft => draft.kind === 'expense' && draft.status === 'queued' && draft.fields.paid_personally !== 'true' && draft.fields.from_advance !== 'true')
+                .reduce((sum, draft) => sum + (parseFloat(draft.fields.amount) || 0), 0);
+            const expectedRemaining = typeof this.teamRemaining === 'number'
+                ? Math.round((this.teamRemaining - queuedSpend) * 100) / 100
+                : null;
+
+            await OfflineQueue.add({ kind, userId: this.currentUser.id, fields, files, expectedRemaining });
+            OfflineQueue.requestBackgroundSync();
+            this.showToast("You're offline - saved on this device and it will be sent when you're back online", 'info');
+            bootstrap.Modal.getInstance(document.getElementById(modalId)).hide();
+            document.getElementById(formId).reset();
+            this.refreshOfflineQueue();
+        } catch (error) {
+            console.error('Offline queue error:', error);
+            this.showToast('Could not save the draft on this device', 'error');
+        }
+    }
+
+    async refreshOfflineQueue() {
+        if (!this.currentUser || this.currentUser.role !== 'field_staff' || !window.OfflineQueue) return;
+        let drafts = [];
+        try {
+            drafts = await OfflineQueue.list(this.currentUser.id);
+        } catch (error) {
+            console.error('Offline queue error:', error);
+        }
+        this.offlineDraftCount = drafts.length;
+        this.updateConnectionStatus();
+
+        const card = document.getElementById('offlineQueueCard');
+        if (!card) return;
+        card.style.display = drafts.length ? 'flex' : 'none';
+        document.getElementById('offlineQueueList').innerHTML = drafts.map(draft => {
+            const isExpense = draft.kind === 'expense';
+            const amount = parseFloat(isExpense ? draft.fields.amount : draft.fields.requested_amount) || 0;
+            const needsAttention = draft.status === 'conflict';
+            return `
+                <div class="d-flex justify-content-between align-items-start border-bottom py-2">
+                    <div>
+                        <strong>${isExpense ? draft.fields.description : `Amount request: ${draft.fields.reason}`}</strong>
+                        <span class="badge bg-success ms-1">${this.formatMoney(amount, (isExpense && draft.fields.currency) || this.teamCurrency)}</span>
+                        ${isExpense && draft.files.length ? `<small class="text-muted ms-1"><i class="fas fa-paperclip me-1"></i>${draft.files.length}</small>` : ''}
+                        <br><small class="text-muted">Saved ${this.formatDate(draft.created_at)}</small>
+                        ${needsAttention ? `<br><small class="text-danger"><i class="fas fa-exclamation-triangle me-1"></i>${draft.error}</small>` : ''}
+                    </div>
+                    <div class="text-nowrap ms-2">
+                        ${needsAttention
+                            ? `<button class="btn btn-sm btn-outline-primary me-1" onclick="app.resubmitOfflineDraft(${draft.id})">
+                                    <i class="fas fa-paper-plane me-1"></i>${draft.conflict ? 'Submit anyway' : 'Retry'}
+                                </button>`
+                            : '<span class="badge bg-secondary me-1">Waiting to sync</span>'}
+                        <button class="btn btn-sm btn-outline-danger" onclick="app.discardOfflineDraft(${draft.id})" title="Discard">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    updateConnectionStatus() {
+        const badge = document.getElementById('connectionStatus');
+        if (!badge) return;
+        const waiting = this.offlineDraftCount || 0;
+        if (!navigator.onLine) {
+            badge.className = 'badge bg-secondary';
+            badge.innerHTML = `<i class="fas fa-wifi me-1"></i>Offline${waiting ? ` - ${waiting} saved` : ''}`;
+            badge.style.display = 'inline-block';
+        } else if (waiting) {
+            badge.className = 'badge bg-warning text-dark';
+            badge.innerHTML = `<i class="fas fa-cloud-arrow-up me-1"></i>${waiting} waiting to sync`;
+            badge.style.display = 'inline-block';
+        } else {
+            badge.style.display = 'none';
+        }
+    }
+
+    async syncOfflineQueue() {
+        if (!this.currentUser || this.currentUser.role !== 'field_staff' || !window.OfflineQueue) return;
+        if (!navigator.onLine || this.offlineSyncing) {
+            this.refreshOfflineQueue();
+            return;
+        }
+        this.offlineSyncing = true;
+        try {
+            this.reportOfflineSync(await OfflineQueue.sync(this.currentUser.id));
+        } catch (error) {
+            console.error('Offline sync error:', error);
+        } finally {
+            this.offlineSyncing = false;
+        }
+        this.refreshOfflineQueue();
+    }
+
+    reportOfflineSync(result) {
+        if (result.synced) {
+            this.showToast(`${result.synced} saved ${result.synced === 1 ? 'draft was' : 'drafts were'} sent`, 'success');
+            this.loadDashboardData();
+        }
+        if (result.conflicts) {
+            this.showToast(`${result.conflicts} saved ${result.conflicts === 1 ? 'draft needs' : 'drafts need'} your attention before it can be sent`, 'warning');
+        }
+        if (result.unauthorized) {
+            this.showToast('Your session has expired - log in again to send your saved drafts', 'warning');
+        }
+    }
+
+    // Send a draft the server refused again; after a balance change it is sent without the check
+    async resubmitOfflineDraft(draftId) {
+        const draft = (await OfflineQueue.list(this.currentUser.id)).find(d => d.id === draftId);
+        if (!draft) return;
+        await OfflineQueue.update(draftId, { status: 'queued', force: draft.force || Boolean(draft.conflict), error: null, conflict: null });
+        OfflineQueue.requestBackgroundSync();
+        this.syncOfflineQueue();
+    }
+
+    async discardOfflineDraft(draftId) {
+        const result = await Swal.fire({
+            title: 'Discard Draft?',
+            text: 'This draft has not been sent and will be removed from this device.',
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonColor: '#dc3545',
+            cancelButtonColor: '#6c757d',
+            confirmButtonText: 'Yes, discard it',
+            cancelButtonText: 'Cancel',
+            background: 'rgba(255, 255, 255, 0.95)',
+            backdrop: 'rgba(0,0,0,0.4)'
+        });
+        if (!result.isConfirmed) return;
+        try {
+            await OfflineQueue.remove(draftId);
+            this.showToast('Draft discarded', 'success');
+        } catch (error) {
+            console.error('Offline queue error:', error);
+            this.showToast('Error discarding draft', 'error');
+        }
+        this.refreshOfflineQueue();
+    }
+
     // Modal Methods
     showAddUserModal(teamId) {
         document.getElementById('userTeamId').value = teamId;
@@ -1852,8 +4574,41 @@ class FieldWorkBookApp {
     }
 
     // File Preview Methods
-    async showFilePreview(filePath, fileName) {
-        const modal = new bootstrap.Modal(document.getElementById('filePreviewModal'));
+    // Gallery over an expense's attachments: the preview modal with previous/next and a file strip
+    showExpenseAttachments(expenseId, index = 0) {
+        const expense = this.expensesById && this.expensesById.get(expenseId);
+        const attachments = expense ? expense.attachments || [] : [];
+        if (!attachments.length) return;
+
+        const current = Math.min(Math.max(index, 0), attachments.length - 1);
+        this.showFilePreview(attachments[current].file_path, attachments[current].file_name, attachments[current].thumbnail_path);
+        if (attachments.length < 2) return;
+
+        document.getElementById('previewFileName').textContent = `${attachments[current].file_name} (${current + 1} of ${attachments.length})`;
+        document.getElementById('previewGallery').innerHTML = `
+            <div class="d-flex align-items-center gap-2 p-2 border-top">
+                <button class="btn btn-sm btn-outline-secondary" onclick="app.showExpenseAttachments(${expenseId}, ${current - 1})" ${current === 0 ? 'disabled' : ''} title="Previous">
+                    <i class="fas fa-chevron-left"></i>
+                </button>
+                <div class="d-flex gap-2 flex-grow-1 overflow-auto">
+                    ${attachments.map((attachment, i) => `
+                        <button class="btn btn-sm ${i === current ? 'btn-primary' : 'btn-outline-primary'} text-nowrap ${attachment.thumbnail_path ? 'p-1' : ''}" onclick="app.showExpenseAttachments(${expenseId}, ${i})" title="${attachment.file_name}">
+                            ${attachment.thumbnail_path
+                                ? `<img src="${this.attachmentThumbnailUrl(attachment)}" class="receipt-thumbnail-sm" alt="${i + 1}">`
+                                : `<i class="fas ${/\.pdf$/i.test(attachment.file_name) ? 'fa-file-pdf' : 'fa-file-image'} me-1"></i>${i + 1}`}
+                        </button>
+                    `).join('')}
+                </div>
+                <button class="btn btn-sm btn-outline-secondary" onclick="app.showExpenseAttachments(${expenseId}, ${current + 1})" ${current === attachments.length - 1 ? 'disabled' : ''} title="Next">
+                    <i class="fas fa-chevron-right"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    // thumbnailPath (optional) is shown while the full image loads
+    async showFilePreview(filePath, fileName, thumbnailPath) {
+        const modal = bootstrap.Modal.getOrCreateInstance(document.getElementById('filePreviewModal'));
         const previewContent = document.getElementById('previewContent');
         const previewFileName = document.getElementById('previewFileName');
         const downloadBtn = document.getElementById('downloadPreviewBtn');
@@ -1868,18 +4623,15 @@ class FieldWorkBookApp {
         
         // Set file name
         previewFileName.textContent = fileName;
+        document.getElementById('previewGallery').innerHTML = '';
         
         // Set download button - force actual download
         downloadBtn.onclick = () => {
             console.log('Download clicked for:', cleanFilePath);
-            // Create a temporary anchor element to trigger download
-            const link = document.createElement('a');
-            link.href = `${serverUrl}/uploads/${cleanFilePath}`;
-            link.download = fileName; // Set the filename for download
-            link.target = '_blank';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+            this.downloadFile(`${serverUrl}/api/download/${cleanFilePath}`, fileName).catch(error => {
+                console.error('Download error:', error);
+                this.showToast('Error downloading file', 'error');
+            });
         };
         
         // Clear previous content
@@ -1889,9 +4641,9 @@ class FieldWorkBookApp {
         const fileExtension = fileName.toLowerCase().split('.').pop();
         
         if (['jpg', 'jpeg', 'png', 'gif', 'webp'].includes(fileExtension)) {
-            // Image preview - use direct static file serving
+            // Image preview - served inline by the access-checked download route
             const img = document.createElement('img');
-            img.src = `${serverUrl}/uploads/${cleanFilePath}`;
+            img.src = `${serverUrl}/api/download/${cleanFilePath}?inline=1`;
             img.className = 'img-fluid';
             img.style.maxHeight = '70vh';
             img.style.objectFit = 'contain';
@@ -1913,12 +4665,14 @@ class FieldWorkBookApp {
                 this.showFilePreviewError(`Failed to load image: ${cleanFilePath}<br><small class="text-muted">The file may be corrupted or inaccessible.</small>`);
             };
             
-            previewContent.innerHTML = '<div class="text-center"><div class="spinner-border text-primary" role="status"><span class="visually-hidden">Loading...</span></div><p class="mt-2">Loading image...</p></div>';
+            previewContent.innerHTML = thumbnailPath
+                ? `<div class="text-center"><img src="${serverUrl}/api/download/${cleanFilePath}?thumbnail=1" class="img-fluid" style="max-height: 70vh; filter: blur(2px);" alt="${fileName}"><p class="mt-2 text-muted">Loading full image...</p></div>`
+                : '<div class="text-center"><div class="spinner-border text-primary" role="status"><span class="visually-hidden">Loading...</span></div><p class="mt-2">Loading image...</p></div>';
             
         } else if (fileExtension === 'pdf') {
-            // PDF preview - use direct static file serving
+            // PDF preview - served inline by the access-checked download route
             const iframe = document.createElement('iframe');
-            iframe.src = `${serverUrl}/uploads/${cleanFilePath}#toolbar=1&navpanes=1&scrollbar=1`;
+            iframe.src = `${serverUrl}/api/download/${cleanFilePath}?inline=1#toolbar=1&navpanes=1&scrollbar=1`;
             iframe.style.width = '100%';
             iframe.style.height = '70vh';
             iframe.style.border = 'none';
@@ -1966,54 +4720,372 @@ class FieldWorkBookApp {
         `;
     }
 
-    async viewTeamDetails(teamId) {
-        try {
-            const response = await fetch(`/api/teams/${teamId}/members`);
-            const members = await response.json();
-            
-            let membersList = members.length > 0 ? 
-                members.map(member => `
-                    <div class="member-card glass hover-lift">
-                        <div class="d-flex justify-content-between align-items-center">
-                            <div class="d-flex align-items-center">
-                                <div class="avatar-circle bg-success me-3">
-                                    <i class="fas fa-user text-white"></i>
-                                </div>
-                                <div>
-                                    <strong class="text-gradient">${member.full_name}</strong><br>
-                                    <small class="text-muted">@${member.username}</small><br>
-                                    <small class="text-info">${member.email || 'No email'}</small>
-                                </div>
-                            </div>
-                            <div class="d-flex flex-column align-items-end">
-                                <button class="btn btn-sm btn-danger hover-scale mb-2" onclick="app.deleteUser(${member.id}, '${member.full_name}')" title="Remove Member">
-                                    <i class="fas fa-user-minus"></i>
-                                </button>
-                                <small class="text-muted">Joined: ${this.formatDate(member.created_at)}</small>
-                            </div>
+    async viewTeamDetails(teamId) {
+        try {
+            const response = await fetch(`/api/teams/${teamId}/members`);
+            const members = await response.json();
+            
+            let membersList = members.length > 0 ? 
+                members.map(member => `
+                    <div class="member-card glass hover-lift">
+                        <div class="d-flex justify-content-between align-items-center">
+                            <div class="d-flex align-items-center">
+                                <div class="avatar-circle bg-success me-3">
+                                    <i class="fas fa-user text-white"></i>
+                                </div>
+                                <div>
+                                    <strong class="text-gradient">${member.full_name}</strong><br>
+                                    <small class="text-muted">@${member.username}</small><br>
+                                    <small class="text-info">${member.email || 'No email'}</small><br>
+                                    <small class="text-muted" title="Shares of split expenses count for the member they were split to">
+                                        ${this.formatMoney(member.approved_amount, member.currency)} approved,
+                                        ${this.formatMoney(member.pending_amount, member.currency)} pending${member.shared_amount ? ` (${this.formatMoney(member.shared_amount, member.currency)} in shared expenses)` : ''}
+                                    </small>
+                                </div>
+                            </div>
+                            <div class="d-flex flex-column align-items-end">
+                                <button class="btn btn-sm btn-danger hover-scale mb-2" onclick="app.deleteUser(${member.id}, '${member.full_name}')" title="Remove Member">
+                                    <i class="fas fa-user-minus"></i>
+                                </button>
+                                <small class="text-muted">Joined: ${this.formatDate(member.created_at)}</small>
+                            </div>
+                        </div>
+                    </div>
+                `).join('') : 
+                '<div class="text-center py-4"><i class="fas fa-users fa-3x text-muted mb-3"></i><p class="text-muted">No members assigned yet</p></div>';
+
+            Swal.fire({
+                title: '<span class="text-gradient">Team Members</span>',
+                html: `<div style="max-height: 400px; overflow-y: auto;">${membersList}</div>`,
+                width: 700,
+                showCloseButton: true,
+                showConfirmButton: false,
+                background: 'rgba(255, 255, 255, 0.95)',
+                backdrop: 'rgba(0,0,0,0.4)',
+                customClass: {
+                    container: 'animate-fade-in'
+                }
+            });
+        } catch (error) {
+            console.error('Error loading team details:', error);
+            this.showToast('Error loading team details', 'error');
+        }
+    }
+
+    async viewTeamLedger(teamId, teamName) {
+        try {
+            const response = await fetch(`/api/teams/${teamId}/ledger`);
+            const ledger = await response.json();
+            if (!response.ok) {
+                this.showToast(ledger.error || 'Error loading ledger', 'error');
+                return;
+            }
+
+            const typeLabels = { opening: 'Opening', top_up: 'Top-up', reservation: 'Reserved', release: 'Released', expense: 'Expense', reversal: 'Reversal', transfer: 'Transfer', allocation: 'Allocation', claw_back: 'Claw-back', close_out: 'Close-out' };
+            const rows = ledger.entries.slice().reverse().map(entry => `
+                <tr>
+                    <td><small>${this.formatDate(entry.created_at)}</small></td>
+                    <td><span class="badge bg-secondary">${typeLabels[entry.entry_type] || entry.entry_type}</span></td>
+                    <td class="text-start"><small>${entry.memo || ''}</small><br>${entry.counter_team_name ? `<small class="text-muted">${entry.change >= 0 ? 'From' : 'To'} ${entry.counter_team_name}</small><br>` : ''}<small class="text-muted">${entry.created_by_name || ''}</small></td>
+                    <td class="${entry.change >= 0 ? 'text-success' : 'text-danger'} fw-bold">${entry.change >= 0 ? '+' : '-'}${this.formatMoney(Math.abs(entry.change), ledger.currency)}</td>
+                    <td class="fw-bold">${this.formatMoney(entry.running_balance, ledger.currency)}</td>
+                </tr>
+            `).join('');
+
+            const syncBadge = ledger.in_sync
+                ? '<span class="badge bg-success"><i class="fas fa-check me-1"></i>Balances match ledger</span>'
+                : '<span class="badge bg-danger"><i class="fas fa-exclamation-triangle me-1"></i>Balances differ from ledger</span>';
+
+            Swal.fire({
+                title: `<span class="text-gradient">Ledger - ${teamName || 'Team'}</span>`,
+                html: `
+                    <div class="mb-3">${syncBadge}</div>
+                    <div style="max-height: 400px; overflow-y: auto;">
+                        ${ledger.entries.length > 0 ? `
+                        <table class="table table-sm table-hover align-middle">
+                            <thead><tr><th>Date</th><th>Type</th><th>Details</th><th>Amount</th><th>Balance</th></tr></thead>
+                            <tbody>${rows}</tbody>
+                        </table>` : '<p class="text-muted">No ledger entries yet</p>'}
+                    </div>
+                `,
+                width: 800,
+                showCloseButton: true,
+                showConfirmButton: false,
+                background: 'rgba(255, 255, 255, 0.95)',
+                backdrop: 'rgba(0,0,0,0.4)'
+            });
+        } catch (error) {
+            console.error('Error loading team ledger:', error);
+            this.showToast('Error loading team ledger', 'error');
+        }
+    }
+
+    // Team lifecycle: start closing (freezes the team), reopen, or close out once nothing is outstanding
+    async changeTeamStatus(url, body, successMessage) {
+        try {
+            this.showLoading();
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            this.hideLoading();
+
+            if (data.success) {
+                this.showToast(successMessage, 'success');
+                this.loadTeams();
+                this.loadDashboardData();
+                return data;
+            }
+            this.showToast(data.error || 'Failed to update the team', 'error');
+        } catch (error) {
+            this.hideLoading();
+            console.error('Team status error:', error);
+            this.showToast('Error updating the team', 'error');
+        }
+        return null;
+    }
+
+    async startClosingTeam(teamId) {
+        const result = await Swal.fire({
+            title: 'Close Team?',
+            text: 'The team takes no new expenses, amount requests, cash advances or funds. Review what is pending and settle open cash advances, then close it out to return the unspent balance.',
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonColor: '#dc3545',
+            cancelButtonColor: '#6c757d',
+            confirmButtonText: 'Start closing',
+            cancelButtonText: 'Cancel',
+            background: 'rgba(255, 255, 255, 0.95)',
+            backdrop: 'rgba(0,0,0,0.4)'
+        });
+        if (result.isConfirmed) {
+            await this.changeTeamStatus(`/api/teams/${teamId}/close`, {}, 'Team is closing');
+        }
+    }
+
+    async reopenTeam(teamId) {
+        const result = await Swal.fire({
+            title: 'Reopen Team?',
+            text: 'The team can take expenses, requests and funds again.',
+            icon: 'question',
+            showCancelButton: true,
+            confirmButtonColor: '#198754',
+            cancelButtonColor: '#6c757d',
+            confirmButtonText: 'Reopen',
+            cancelButtonText: 'Cancel',
+            background: 'rgba(255, 255, 255, 0.95)',
+            backdrop: 'rgba(0,0,0,0.4)'
+        });
+        if (result.isConfirmed) {
+            await this.changeTeamStatus(`/api/teams/${teamId}/reopen`, {}, 'Team reopened');
+        }
+    }
+
+    async closeOutTeam(teamId) {
+        const team = (this.teams || []).find(t => t.id === teamId);
+        if (!team) return;
+        const result = await Swal.fire({
+            title: 'Close Out Team?',
+            html: `<strong>${this.formatMoney(team.remaining_amount, team.currency)}</strong> unspent is returned to the funding pool and ${team.name} is archived. This cannot be undone.`,
+            input: 'text',
+            inputPlaceholder: 'Note (optional)',
+            inputAttributes: { maxlength: 200 },
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonColor: '#dc3545',
+            cancelButtonColor: '#6c757d',
+            confirmButtonText: 'Close out',
+            cancelButtonText: 'Cancel',
+            background: 'rgba(255, 255, 255, 0.95)',
+            backdrop: 'rgba(0,0,0,0.4)'
+        });
+        if (!result.isConfirmed) return;
+        const data = await this.changeTeamStatus(`/api/teams/${teamId}/close-out`, { note: result.value }, 'Team closed out');
+        if (data) this.showTeamStatement(data.statement);
+    }
+
+    async viewTeamStatement(teamId) {
+        try {
+            const response = await fetch(`/api/teams/${teamId}/statement`);
+            const statement = await response.json();
+            if (!response.ok) {
+                this.showToast(statement.error || 'Error loading statement', 'error');
+                return;
+            }
+            this.showTeamStatement(statement);
+        } catch (error) {
+            console.error('Error loading team statement:', error);
+            this.showToast('Error loading statement', 'error');
+        }
+    }
+
+    // What a team was funded with, spent and returned; its close-out statement once closed
+    showTeamStatement(statement) {
+        const money = (amount) => this.formatMoney(amount, statement.currency);
+        const line = (label, amount, sign = '') => `<tr><td>${label}</td><td class="text-end">${sign}${money(amount)}</td></tr>`;
+        const breakdown = (rows) => rows.length
+            ? rows.map(row => `<tr><td>${row.name}</td><td class="text-end">${money(row.amount)}</td></tr>`).join('')
+            : '<tr><td colspan="2" class="text-muted">Nothing spent</td></tr>';
+        const closed = statement.status === 'closed';
+        const advances = statement.cash_advances;
+
+        Swal.fire({
+            title: `<span class="text-gradient">${closed ? 'Close-out Statement' : 'Statement'}: ${statement.team_name}</span>`,
+            html: `
+                <div class="text-start">
+                    <p class="text-muted mb-2">
+                        ${statement.location} &middot; ${this.formatDate(statement.opened_at)} &ndash; ${closed ? this.formatDate(statement.closed_at) : 'today'}
+                        ${closed ? `<br>Closed out by ${statement.closed_by_name}${statement.close_out_note ? `: ${statement.close_out_note}` : ''}` : ''}
+                    </p>
+                    <table class="table table-sm mb-3">
+                        <tbody>
+                            ${line('Opening balance', statement.opening)}
+                            ${line('Top-ups', statement.top_ups, '+')}
+                            ${line('Direct allocations', statement.allocations, '+')}
+                            ${line('Claw-backs', statement.claw_backs, '-')}
+                            ${line('Transfers from other teams', statement.transfers_in, '+')}
+                            ${line('Transfers to other teams', statement.transfers_out, '-')}
+                            <tr class="fw-bold"><td>Total funded</td><td class="text-end">${money(statement.total_funded)}</td></tr>
+                            ${line('Spent', statement.spent, '-')}
+                            ${closed
+                                ? `<tr class="fw-bold"><td>Returned to the funding pool</td><td class="text-end">${money(statement.returned)}</td></tr>`
+                                : `${line('Pending approval', statement.reserved)}${line('With members as cash advances', statement.advanced)}<tr class="fw-bold"><td>Available</td><td class="text-end">${money(statement.available)}</td></tr>`}
+                        </tbody>
+                    </table>
+                    <div class="row">
+                        <div class="col-md-6">
+                            <h6>Spent by category</h6>
+                            <table class="table table-sm"><tbody>${breakdown(statement.spent_by_category)}</tbody></table>
+                        </div>
+                        <div class="col-md-6">
+                            <h6>Spent by member</h6>
+                            <table class="table table-sm"><tbody>${breakdown(statement.spent_by_member)}</tbody></table>
                         </div>
                     </div>
-                `).join('') : 
-                '<div class="text-center py-4"><i class="fas fa-users fa-3x text-muted mb-3"></i><p class="text-muted">No members assigned yet</p></div>';
+                    <small class="text-muted">
+                        ${statement.expenses.approved} approved, ${statement.expenses.rejected} rejected and ${statement.expenses.under_review} under review expenses.
+                        ${advances.count ? `${advances.count} cash advances: ${money(advances.issued)} issued, ${money(advances.returned)} returned, ${money(advances.topped_up)} topped up.` : ''}
+                    </small>
+                </div>
+            `,
+            width: 800,
+            showCloseButton: true,
+            showConfirmButton: false,
+            background: 'rgba(255, 255, 255, 0.95)',
+            backdrop: 'rgba(0,0,0,0.4)'
+        });
+    }
 
-            Swal.fire({
-                title: '<span class="text-gradient">Team Members</span>',
-                html: `<div style="max-height: 400px; overflow-y: auto;">${membersList}</div>`,
-                width: 700,
-                showCloseButton: true,
-                showConfirmButton: false,
-                background: 'rgba(255, 255, 255, 0.95)',
-                backdrop: 'rgba(0,0,0,0.4)',
-                customClass: {
-                    container: 'animate-fade-in'
-                }
+    // Team category allocations (admin/partner)
+    async showCategoryBudgetsModal(teamId, teamName) {
+        try {
+            await this.ensureCategories();
+            const response = await fetch(`/api/teams/${teamId}/category-budgets`);
+            const summary = await response.json();
+            if (!response.ok) {
+                this.showToast(summary.error || 'Error loading category budgets', 'error');
+                return;
+            }
+
+            document.getElementById('categoryBudgetsTeamId').value = teamId;
+            document.getElementById('categoryBudgetsTeamName').textContent = teamName || 'Team';
+            this.renderCategoryBudgetRows(summary);
+            new bootstrap.Modal(document.getElementById('categoryBudgetsModal')).show();
+        } catch (error) {
+            console.error('Error loading category budgets:', error);
+            this.showToast('Error loading category budgets', 'error');
+        }
+    }
+
+    renderCategoryBudgetRows(summary) {
+        document.getElementById('categoryBudgetsTotal').textContent = this.formatMoney(summary.total_budget, summary.currency);
+        document.getElementById('categoryBudgetsUnallocated').textContent = this.formatMoney(summary.unallocated, summary.currency);
+
+        // Every active category, plus inactive ones that still have an allocation or spending
+        const bySlug = new Map(summary.categories.map(row => [row.category, row]));
+        const slugs = (this.categories || [])
+            .filter(category => category.is_active || bySlug.has(category.slug))
+            .map(category => category.slug);
+        summary.categories.forEach(row => { if (!slugs.includes(row.category)) slugs.push(row.category); });
+
+        document.getElementById('categoryBudgetsRows').innerHTML = slugs.map(slug => {
+            const row = bySlug.get(slug) || { allocated: null, approved: 0, pending: 0, remaining: null };
+            return `
+                <tr>
+                    <td>${this.getCategoryLabel(slug)}</td>
+                    <td><input type="number" class="form-control form-control-sm" data-category="${slug}" min="0" step="0.01" value="${row.allocated !== null ? row.allocated.toFixed(2) : ''}" placeholder="No limit"></td>
+                    <td>${this.formatMoney(row.approved, summary.currency)}</td>
+                    <td>${this.formatMoney(row.pending, summary.currency)}</td>
+                    <td>${row.remaining !== null
+                        ? `<span class="${row.remaining < 0 ? 'text-danger' : 'text-success'} fw-bold">${this.formatMoney(row.remaining, summary.currency)}</span>`
+                        : '<span class="text-muted">-</span>'}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    async saveCategoryBudgets(teamId) {
+        const budgets = [...document.querySelectorAll('#categoryBudgetsRows input[data-category]')]
+            .map(input => ({ category: input.dataset.category, amount: input.value === '' ? null : parseFloat(input.value) }));
+        try {
+            this.showLoading();
+            const response = await fetch(`/api/teams/${teamId}/category-budgets`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ budgets })
             });
+
+            const data = await response.json();
+            this.hideLoading();
+
+            if (data.success) {
+                this.showToast('Category budgets saved!', 'success');
+                bootstrap.Modal.getInstance(document.getElementById('categoryBudgetsModal')).hide();
+            } else {
+                this.showToast(data.error || 'Failed to save category budgets', 'error');
+            }
         } catch (error) {
-            console.error('Error loading team details:', error);
-            this.showToast('Error loading team details', 'error');
+            this.hideLoading();
+            console.error('Save category budgets error:', error);
+            this.showToast('Error saving category budgets', 'error');
         }
     }
 
+    // Field staff dashboard: one bar per allocated category, approved spending solid and pending striped
+    renderCategoryBudgetBreakdown(summary) {
+        const container = document.getElementById('categoryBudgetBreakdown');
+        if (!container) return;
+
+        const allocated = (summary.categories || []).filter(row => row.allocated !== null);
+        if (allocated.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = '<small class="text-muted d-block mb-2">Budget by Category</small>' + allocated.map(row => {
+            const approvedPct = row.allocated > 0 ? Math.min((row.approved / row.allocated) * 100, 100) : (row.approved > 0 ? 100 : 0);
+            const pendingPct = row.allocated > 0 ? Math.min((row.pending / row.allocated) * 100, 100 - approvedPct) : 0;
+            return `
+                <div class="mb-2">
+                    <div class="d-flex justify-content-between">
+                        <small><i class="fas ${row.icon} me-1" style="color: ${row.color}"></i>${row.name}</small>
+                        <small class="${row.remaining < 0 ? 'text-danger' : 'text-muted'}">${this.formatMoney(row.approved + row.pending, summary.currency)} / ${this.formatMoney(row.allocated, summary.currency)}</small>
+                    </div>
+                    <div class="progress" style="height: 6px;">
+                        <div class="progress-bar" style="width: ${approvedPct}%; background-color: ${row.color};"></div>
+                        <div class="progress-bar bg-warning progress-bar-striped" style="width: ${pendingPct}%;" title="Pending approval"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
     // Event Binding
     bindEvents() {
         console.log('🔗 Binding events...');
@@ -2063,6 +5135,54 @@ class FieldWorkBookApp {
             });
         }
 
+        const policiesLink = document.getElementById('policiesLink');
+        if (policiesLink) {
+            policiesLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showSection('policies');
+            });
+        }
+
+        const categoriesLink = document.getElementById('categoriesLink');
+        if (categoriesLink) {
+            categoriesLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showSection('categories');
+            });
+        }
+
+        const currenciesLink = document.getElementById('currenciesLink');
+        if (currenciesLink) {
+            currenciesLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showSection('currencies');
+            });
+        }
+
+        const vendorsLink = document.getElementById('vendorsLink');
+        if (vendorsLink) {
+            vendorsLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showSection('vendors');
+            });
+        }
+
+        const allowanceRatesLink = document.getElementById('allowanceRatesLink');
+        if (allowanceRatesLink) {
+            allowanceRatesLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showSection('allowanceRates');
+            });
+        }
+
+        const recurringLink = document.getElementById('recurringLink');
+        if (recurringLink) {
+            recurringLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showSection('recurring');
+            });
+        }
+
         const partnersLink = document.getElementById('partnersLink');
         if (partnersLink) {
             partnersLink.addEventListener('click', (e) => {
@@ -2084,6 +5204,22 @@ class FieldWorkBookApp {
             });
         }
 
+        const reimbursementsLink = document.getElementById('reimbursementsLink');
+        if (reimbursementsLink) {
+            reimbursementsLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showSection('reimbursements');
+            });
+        }
+
+        const cashAdvancesLink = document.getElementById('cashAdvancesLink');
+        if (cashAdvancesLink) {
+            cashAdvancesLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showSection('cashAdvances');
+            });
+        }
+
         const partnerReportLink = document.getElementById('partnerReportLink');
         if (partnerReportLink) {
             partnerReportLink.addEventListener('click', (e) => {
@@ -2121,6 +5257,7 @@ class FieldWorkBookApp {
                 name: name,
                 location: location,
                 initial_amount: parseFloat(initialAmount),
+                currency: document.getElementById('createTeamCurrency').value,
                 description: description
             };
             
@@ -2128,6 +5265,56 @@ class FieldWorkBookApp {
             this.createTeam(formData);
         });
 
+        document.getElementById('showArchivedTeams').addEventListener('change', () => this.loadTeams());
+
+        // Edit team form
+        document.getElementById('editTeamForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const initialAmount = document.getElementById('editTeamInitialAmount').value;
+            if (!initialAmount || isNaN(initialAmount) || parseFloat(initialAmount) < 0) {
+                this.showToast('Valid initial amount is required', 'error');
+                return;
+            }
+            this.updateTeam(document.getElementById('editTeamId').value, {
+                name: document.getElementById('editTeamName').value.trim(),
+                location: document.getElementById('editTeamLocation').value.trim(),
+                description: document.getElementById('editTeamDescription').value.trim(),
+                initial_amount: parseFloat(initialAmount),
+                reason: document.getElementById('editTeamReason').value.trim()
+            });
+        });
+
+        // Allocate / claw back funds form
+        document.getElementById('adjustFundsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const reason = document.getElementById('adjustFundsReason').value.trim();
+            if (!reason) {
+                this.showToast('A reason is required', 'error');
+                return;
+            }
+            this.adjustTeamFunds(document.getElementById('adjustFundsTeamId').value, {
+                kind: document.getElementById('adjustFundsKind').value,
+                amount: parseFloat(document.getElementById('adjustFundsAmount').value),
+                reason
+            });
+        });
+
+        // Transfer funds form
+        document.getElementById('transferFundsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const reason = document.getElementById('transferFundsReason').value.trim();
+            if (!reason) {
+                this.showToast('A reason is required', 'error');
+                return;
+            }
+            this.transferTeamFunds({
+                from_team_id: parseInt(document.getElementById('transferFundsFromTeamId').value),
+                to_team_id: parseInt(document.getElementById('transferFundsToTeam').value),
+                amount: parseFloat(document.getElementById('transferFundsAmount').value),
+                reason
+            });
+        });
+
         // Add user form
         document.getElementById('addUserForm').addEventListener('submit', (e) => {
             e.preventDefault();
@@ -2146,17 +5333,83 @@ class FieldWorkBookApp {
             e.preventDefault();
             const formData = new FormData();
             formData.append('description', document.getElementById('expenseDescription').value);
-            formData.append('amount', parseFloat(document.getElementById('expenseAmount').value));
+            const expenseType = document.getElementById('expenseType').value;
+            formData.append('expense_type', expenseType);
+            if (expenseType === 'standard') {
+                formData.append('amount', parseFloat(document.getElementById('expenseAmount').value));
+                formData.append('currency', document.getElementById('expenseCurrency').value);
+                if (document.getElementById('expenseSplit').checked) {
+                    formData.append('split_method', document.getElementById('expenseSplitMethod').value);
+                    formData.append('splits', JSON.stringify(this.getExpenseShares()));
+                }
+            } else {
+                const [quantityField, quantityId, rateId] = expenseType === 'mileage'
+                    ? ['distance_km', 'expenseDistance', 'expenseVehicle']
+                    : ['days', 'expenseDays', 'expensePerDiemLocation'];
+                formData.append(quantityField, document.getElementById(quantityId).value);
+                formData.append('allowance_rate_id', document.getElementById(rateId).value);
+                // The server computes the amount; the estimate is only shown on offline drafts
+                formData.append('amount', this.getAllowanceEstimate(document.getElementById(quantityId).value, document.getElementById(rateId).value) || '');
+                formData.append('currency', this.baseCurrency);
+            }
             formData.append('category', document.getElementById('expenseCategory').value);
-            
-            const attachment = document.getElementById('expenseAttachment').files[0];
-            if (attachment) {
-                formData.append('attachment', attachment);
+            formData.append('nights', document.getElementById('expenseNights').value);
+            formData.append('expense_date', document.getElementById('expenseDate').value);
+            formData.append('merchant', document.getElementById('expenseMerchant').value);
+            if (document.getElementById('expensePaidPersonally').checked) {
+                formData.append('paid_personally', 'true');
+            }
+            if (document.getElementById('expenseFromAdvance').checked) {
+                formData.append('from_advance', 'true');
+            }
+            if (document.getElementById('expenseLatitude').value) {
+                formData.append('latitude', document.getElementById('expenseLatitude').value);
+                formData.append('longitude', document.getElementById('expenseLongitude').value);
             }
             
+            Array.from(document.getElementById('expenseAttachment').files).forEach(file => {
+                formData.append('attachments', file);
+            });
+            
             this.addExpense(formData);
         });
 
+        document.getElementById('editExpenseForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const formData = new FormData();
+            formData.append('description', document.getElementById('editExpenseDescription').value);
+            const expenseType = document.getElementById('editExpenseType').value;
+            if (expenseType === 'standard') {
+                formData.append('amount', parseFloat(document.getElementById('editExpenseAmount').value));
+                formData.append('currency', document.getElementById('editExpenseCurrency').value);
+            } else {
+                formData.append(expenseType === 'mileage' ? 'distance_km' : 'days', document.getElementById('editExpenseQuantity').value);
+                // Sending the rate re-prices the claim at today's rate, so only when it was changed
+                const rateSelect = document.getElementById('editExpenseAllowanceRate');
+                if (rateSelect.value && rateSelect.value !== rateSelect.dataset.claimed) {
+                    formData.append('allowance_rate_id', rateSelect.value);
+                }
+            }
+            formData.append('category', document.getElementById('editExpenseCategory').value);
+            formData.append('nights', document.getElementById('editExpenseNights').value);
+            formData.append('expense_date', document.getElementById('editExpenseDate').value);
+            formData.append('merchant', document.getElementById('editExpenseMerchant').value);
+
+            Array.from(document.getElementById('editExpenseAttachment').files).forEach(file => {
+                formData.append('attachments', file);
+            });
+            const removeIds = Array.from(document.querySelectorAll('.edit-expense-remove-attachment:checked')).map(input => input.value);
+            if (removeIds.length) {
+                formData.append('remove_attachment_ids', removeIds.join(','));
+            }
+
+            this.updateExpense(document.getElementById('editExpenseId').value, formData);
+        });
+
+        document.getElementById('syncOfflineBtn').addEventListener('click', () => {
+            this.syncOfflineQueue();
+        });
+
         // Request amount form
         document.getElementById('requestAmountForm').addEventListener('submit', (e) => {
             e.preventDefault();
@@ -2197,6 +5450,209 @@ class FieldWorkBookApp {
             });
         }
 
+        // Expense category button and form
+        const createCategoryBtn = document.getElementById('createCategoryBtn');
+        if (createCategoryBtn) {
+            createCategoryBtn.addEventListener('click', () => this.showCategoryModal());
+        }
+
+        const categoryForm = document.getElementById('categoryForm');
+        if (categoryForm) {
+            categoryForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveCategory(document.getElementById('categoryId').value, {
+                    name: document.getElementById('categoryName').value.trim(),
+                    icon: document.getElementById('categoryIcon').value.trim(),
+                    color: document.getElementById('categoryColor').value,
+                    sort_order: parseInt(document.getElementById('categorySortOrder').value, 10) || 0,
+                    is_active: document.getElementById('categoryActive').checked
+                });
+            });
+        }
+
+        // Exchange rate form and CSV import
+        const exchangeRateForm = document.getElementById('exchangeRateForm');
+        if (exchangeRateForm) {
+            exchangeRateForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveExchangeRate({
+                    currency: document.getElementById('exchangeRateCurrency').value.trim().toUpperCase(),
+                    rate: document.getElementById('exchangeRateValue').value,
+                    effective_date: document.getElementById('exchangeRateDate').value
+                });
+            });
+            document.getElementById('importExchangeRatesBtn').addEventListener('click', () => {
+                const file = document.getElementById('exchangeRatesFile').files[0];
+                if (!file) {
+                    this.showToast('Choose a CSV file to import', 'error');
+                    return;
+                }
+                this.importExchangeRates(file);
+            });
+        }
+
+        // Mileage and per diem rate button and form
+        const createAllowanceRateBtn = document.getElementById('createAllowanceRateBtn');
+        if (createAllowanceRateBtn) {
+            createAllowanceRateBtn.addEventListener('click', () => this.showAllowanceRateModal());
+        }
+
+        const allowanceRateForm = document.getElementById('allowanceRateForm');
+        if (allowanceRateForm) {
+            allowanceRateForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const rateId = document.getElementById('allowanceRateId').value;
+                this.saveAllowanceRate(rateId, {
+                    ...(rateId ? {} : { kind: document.getElementById('allowanceRateKind').value }),
+                    name: document.getElementById('allowanceRateName').value.trim(),
+                    rate: parseFloat(document.getElementById('allowanceRateValue').value),
+                    is_active: document.getElementById('allowanceRateActive').checked
+                });
+            });
+        }
+
+        // Recurring schedule button and form
+        const createRecurringBtn = document.getElementById('createRecurringBtn');
+        if (createRecurringBtn) {
+            createRecurringBtn.addEventListener('click', () => this.showRecurringModal());
+        }
+
+        const recurringKind = document.getElementById('recurringKind');
+        if (recurringKind) {
+            recurringKind.addEventListener('change', () => this.updateRecurringKindFields());
+        }
+
+        const recurringTeam = document.getElementById('recurringTeam');
+        if (recurringTeam) {
+            recurringTeam.addEventListener('change', () => this.loadRecurringMembers());
+        }
+
+        const recurringForm = document.getElementById('recurringForm');
+        if (recurringForm) {
+            recurringForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const scheduleId = document.getElementById('recurringId').value;
+                const kind = document.getElementById('recurringKind').value;
+                this.saveRecurringSchedule(scheduleId, {
+                    ...(scheduleId ? {} : {
+                        kind,
+                        team_id: document.getElementById('recurringTeam').value,
+                        frequency: document.getElementById('recurringFrequency').value,
+                        start_date: document.getElementById('recurringStartDate').value
+                    }),
+                    ...(kind === 'expense' ? {
+                        category: document.getElementById('recurringCategory').value,
+                        user_id: document.getElementById('recurringMember').value || null
+                    } : {}),
+                    description: document.getElementById('recurringDescription').value.trim(),
+                    amount: parseFloat(document.getElementById('recurringAmount').value),
+                    end_date: document.getElementById('recurringEndDate').value || null,
+                    is_paused: document.getElementById('recurringPaused').checked
+                });
+            });
+        }
+
+        // Cash advance button and form
+        const issueAdvanceBtn = document.getElementById('issueAdvanceBtn');
+        if (issueAdvanceBtn) {
+            issueAdvanceBtn.addEventListener('click', () => this.showIssueAdvanceModal());
+        }
+
+        const advanceTeam = document.getElementById('advanceTeam');
+        if (advanceTeam) {
+            advanceTeam.addEventListener('change', () => this.loadAdvanceMembers());
+        }
+
+        const issueAdvanceForm = document.getElementById('issueAdvanceForm');
+        if (issueAdvanceForm) {
+            issueAdvanceForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.issueCashAdvance({
+                    user_id: document.getElementById('advanceMember').value,
+                    amount: parseFloat(document.getElementById('advanceAmount').value),
+                    note: document.getElementById('advanceNote').value.trim()
+                });
+            });
+        }
+
+        // An expense is either paid personally or from a cash advance, not both
+        const expensePaidPersonally = document.getElementById('expensePaidPersonally');
+        const expenseFromAdvance = document.getElementById('expenseFromAdvance');
+        if (expensePaidPersonally && expenseFromAdvance) {
+            expensePaidPersonally.addEventListener('change', () => {
+                if (expensePaidPersonally.checked) expenseFromAdvance.checked = false;
+            });
+            expenseFromAdvance.addEventListener('change', () => {
+                if (expenseFromAdvance.checked) expensePaidPersonally.checked = false;
+            });
+        }
+
+        // Vendor button, form and filters
+        const createVendorBtn = document.getElementById('createVendorBtn');
+        if (createVendorBtn) {
+            createVendorBtn.addEventListener('click', () => this.showVendorModal());
+        }
+
+        const vendorForm = document.getElementById('vendorForm');
+        if (vendorForm) {
+            vendorForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveVendor(document.getElementById('vendorId').value, {
+                    name: document.getElementById('vendorName').value.trim(),
+                    notes: document.getElementById('vendorNotes').value.trim(),
+                    is_active: document.getElementById('vendorActive').checked
+                });
+            });
+        }
+
+        const applyVendorFiltersBtn = document.getElementById('applyVendorFiltersBtn');
+        if (applyVendorFiltersBtn) {
+            applyVendorFiltersBtn.addEventListener('click', () => this.loadVendorsSection());
+            document.getElementById('resetVendorFiltersBtn').addEventListener('click', () => {
+                ['vendorFilterFrom', 'vendorFilterTo', 'vendorFilterTeam'].forEach(id => {
+                    document.getElementById(id).value = '';
+                });
+                this.loadVendorsSection();
+            });
+        }
+
+        ['expenseMerchant', 'editExpenseMerchant'].forEach(inputId => {
+            const merchantInput = document.getElementById(inputId);
+            if (merchantInput) {
+                merchantInput.addEventListener('input', () => this.suggestVendors(merchantInput.value));
+                merchantInput.addEventListener('focus', () => this.suggestVendors(merchantInput.value));
+            }
+        });
+
+        const categoryBudgetsForm = document.getElementById('categoryBudgetsForm');
+        if (categoryBudgetsForm) {
+            categoryBudgetsForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveCategoryBudgets(document.getElementById('categoryBudgetsTeamId').value);
+            });
+        }
+
+        // Expense policy button and form
+        const createPolicyRuleBtn = document.getElementById('createPolicyRuleBtn');
+        if (createPolicyRuleBtn) {
+            createPolicyRuleBtn.addEventListener('click', () => this.showPolicyRuleModal());
+        }
+
+        const policyRuleForm = document.getElementById('policyRuleForm');
+        if (policyRuleForm) {
+            policyRuleForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.savePolicyRule(document.getElementById('policyRuleId').value, {
+                    name: document.getElementById('policyRuleName').value.trim(),
+                    rule_type: document.getElementById('policyRuleType').value,
+                    category: document.getElementById('policyRuleCategory').value || null,
+                    threshold: parseFloat(document.getElementById('policyRuleThreshold').value),
+                    action: document.getElementById('policyRuleAction').value,
+                    is_active: document.getElementById('policyRuleActive').checked
+                });
+            });
+        }
+
         // Modal triggers
         document.querySelectorAll('.create-team-btn').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -2204,6 +5660,60 @@ class FieldWorkBookApp {
             });
         });
 
+        // A team's currency is picked from the ones with an exchange rate
+        document.getElementById('createTeamModal').addEventListener('show.bs.modal', () => {
+            this.ensureCurrencies().then(() => {
+                this.populateCurrencySelect(document.getElementById('createTeamCurrency'), this.baseCurrency);
+            });
+        });
+
+        // New expenses default to today, and the location is captured afresh for each one
+        document.getElementById('addExpenseModal').addEventListener('show.bs.modal', () => {
+            const dateInput = document.getElementById('expenseDate');
+            dateInput.max = this.todayDate();
+            if (!dateInput.value) dateInput.value = this.todayDate();
+            if (!document.getElementById('expenseUseLocation').checked) {
+                document.getElementById('expenseLocationStatus').textContent = '';
+            }
+            this.ensureCurrencies().then(() => {
+                this.populateCurrencySelect(document.getElementById('expenseCurrency'), this.teamCurrency);
+            });
+            // The shares of a split that was submitted (the form was reset) are not kept
+            if (!document.getElementById('expenseSplit').checked) {
+                document.getElementById('expenseSplitShares').innerHTML = '';
+            }
+            this.updateExpenseTypeFields();
+        });
+        document.getElementById('expenseUseLocation').addEventListener('change', () => {
+            this.captureExpenseLocation();
+        });
+        document.getElementById('expenseType').addEventListener('change', () => {
+            this.updateExpenseTypeFields();
+        });
+        ['expenseDistance', 'expenseVehicle', 'expenseDays', 'expensePerDiemLocation'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateAllowanceTotal());
+        });
+        document.getElementById('expenseSplit').addEventListener('change', () => {
+            this.updateExpenseSplitFields();
+        });
+        document.getElementById('addExpenseShareBtn').addEventListener('click', () => {
+            this.addExpenseShareRow('');
+        });
+        ['expenseSplitMethod', 'expenseAmount', 'expenseCurrency'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateExpenseSplitSummary());
+        });
+
+        // Expense filters
+        document.getElementById('applyExpenseFiltersBtn').addEventListener('click', () => {
+            this.loadExpenses();
+        });
+        document.getElementById('resetExpenseFiltersBtn').addEventListener('click', () => {
+            ['expenseFilterFrom', 'expenseFilterTo', 'expenseFilterMerchant'].forEach(id => {
+                document.getElementById(id).value = '';
+            });
+            this.loadExpenses();
+        });
+
         document.getElementById('addExpenseBtn').addEventListener('click', () => {
             new bootstrap.Modal(document.getElementById('addExpenseModal')).show();
         });
@@ -2240,15 +5750,17 @@ class FieldWorkBookApp {
 
         // File input preview with animation
         document.getElementById('expenseAttachment').addEventListener('change', (e) => {
-            const file = e.target.files[0];
+            const files = Array.from(e.target.files);
             const preview = document.getElementById('filePreview');
             
-            if (file) {
+            if (files.length) {
                 const previewElement = document.createElement('div');
                 previewElement.className = 'alert alert-info mt-2 animate__animated animate__fadeInUp';
                 previewElement.innerHTML = `
-                        <i class="fas fa-file me-2"></i>
-                        <strong>${file.name}</strong> (${(file.size / 1024 / 1024).toFixed(2)} MB)
+                    ${files.map(file => `
+                        <div><i class="fas fa-file me-2"></i>
+                        <strong>${file.name}</strong> (${(file.size / 1024 / 1024).toFixed(2)} MB)</div>
+                    `).join('')}
                     <div class="progress mt-2" style="height: 4px;">
                         <div class="progress-bar" style="width: 100%;"></div>
                     </div>
@@ -2374,27 +5886,28 @@ class FieldWorkBookApp {
         });
     }
 
-    animateCounter(elementId, finalValue) {
+    // With a currency, finalValue is an amount that counts up and is shown as money
+    animateCounter(elementId, finalValue, currency) {
         const element = document.getElementById(elementId);
         if (!element) return;
         
         // Add glowing effect during animation
         element.style.textShadow = '0 0 20px rgba(0, 212, 255, 0.8)';
         
-        if (typeof finalValue === 'string' && finalValue.startsWith('$')) {
-            const numValue = parseFloat(finalValue.replace('$', ''));
+        if (currency) {
+            const numValue = parseFloat(finalValue) || 0;
             let current = 0;
             const increment = numValue / 60;
             const timer = setInterval(() => {
                 current += increment;
-                if (current >= numValue) {
-                    element.textContent = finalValue;
+                if (Math.abs(current) >= Math.abs(numValue)) {
+                    element.textContent = this.formatMoney(numValue, currency);
                     clearInterval(timer);
                     // Remove glow and add pulse
                     element.style.textShadow = '';
                     element.classList.add('animate__animated', 'animate__pulse');
                 } else {
-                    element.textContent = '$' + current.toFixed(2);
+                    element.textContent = this.formatMoney(current, currency);
                 }
             }, 16);
         } else {
@@ -0,0 +1,178 @@
+// FieldWorkBook - offline submission queue
+//
+// Expenses (with their attachments) and amount requests that field staff submit without a
+// connection are kept in IndexedDB and sent once it returns. Loaded by the page (app.js)
+// and by the service worker (sw.js), which replays the queue on a background sync.
+//
+// Each draft is { id, kind, user_id, client_ref, fields, files, expected_remaining, force,
+// status, error, conflict, created_at }:
+//   kind                'expense' or 'amount_request'
+//   client_ref          sent with the submission so a retried sync is not recorded twice
+//   expected_remaining  team balance when drafted; the server answers 409 BALANCE_CHANGED
+//                       if it has moved against the draft since (see balanceConflict in server.js)
+//   force               set when the user chose to submit anyway; expected_remaining is not sent
+//   status              'queued' until sent, 'conflict' when the server refused it
+
+(function (scope) {
+    const DB_NAME = 'fieldworkbook-offline';
+    const STORE_NAME = 'submissions';
+    const SYNC_TAG = 'fieldworkbook-sync';
+
+    const ENDPOINTS = {
+        expense: '/api/expenses',
+        amount_request: '/api/amount-requests'
+    };
+
+    let databasePromise = null;
+
+    const openDatabase = () => {
+        if (!databasePromise) {
+            databasePromise = new Promise((resolve, reject) => {
+                const request = scope.indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    databasePromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return databasePromise;
+    };
+
+    // Run one request against the store and resolve with its result
+    const withStore = async (mode, action) => {
+        const database = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(STORE_NAME, mode);
+            const request = action(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    };
+
+    const newClientRef = () => (scope.crypto && scope.crypto.randomUUID
+        ? scope.crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`);
+
+    // Queue a draft; files are [{ blob, name }]. Resolves with the stored draft.
+    const add = async ({ kind, userId, fields, files = [], expectedRemaining = null }) => {
+        const draft = {
+            kind,
+            user_id: userId,
+            client_ref: newClientRef(),
+            fields,
+            files,
+            expected_remaining: expectedRemaining,
+            force: false,
+            status: 'queued',
+            error: null,
+            conflict: null,
+            created_at: new Date().toISOString()
+        };
+        draft.id = await withStore('readwrite', store => store.add(draft));
+        return draft;
+    };
+
+    // A user's drafts, oldest first
+    const list = async (userId) => {
+        const drafts = await withStore('readonly', store => store.getAll());
+        return drafts
+            .filter(draft => draft.user_id === userId)
+            .sort((a, b) => a.id - b.id);
+    };
+
+    const update = async (id, patch) => {
+        const draft = await withStore('readonly', store => store.get(id));
+        if (!draft) return null;
+        const updated = { ...draft, ...patch };
+        await withStore('readwrite', store => store.put(updated));
+        return updated;
+    };
+
+    const remove = (id) => withStore('readwrite', store => store.delete(id));
+
+    const buildRequest = (draft) => {
+        const extra = { client_ref: draft.client_ref };
+        if (!draft.force && draft.expected_remaining !== null && draft.expected_remaining !== undefined) {
+            extra.expected_remaining = draft.expected_remaining;
+        }
+        if (draft.kind === 'expense') {
+            const body = new FormData();
+            Object.entries({ ...draft.fields, ...extra }).forEach(([key, value]) => {
+                if (value !== null && value !== undefined) body.append(key, value);
+            });
+            draft.files.forEach(file => body.append('attachments', file.blob, file.name));
+            return { method: 'POST', body, credentials: 'same-origin' };
+        }
+        return {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...draft.fields, ...extra }),
+            credentials: 'same-origin'
+        };
+    };
+
+    // Send a user's queued drafts in the order they were made. Stops at the first network or
+    // server failure (the rest stay queued) and when the session has expired.
+    // Resolves with { synced, conflicts, remaining, unauthorized }.
+    const sync = async (userId) => {
+        const result = { synced: 0, conflicts: 0, remaining: 0, unauthorized: false };
+        const drafts = (await list(userId)).filter(draft => draft.status === 'queued');
+        for (let i = 0; i < drafts.length; i++) {
+            const draft = drafts[i];
+            let response;
+            let data;
+            try {
+                response = await fetch(ENDPOINTS[draft.kind], buildRequest(draft));
+                data = await response.json().catch(() => ({}));
+            } catch (error) {
+                result.remaining = drafts.length - i;
+                return result;
+            }
+
+            if (response.ok && data.success) {
+                await remove(draft.id);
+                result.synced += 1;
+            } else if (response.status === 401) {
+                result.unauthorized = true;
+                result.remaining = drafts.length - i;
+                return result;
+            } else if (response.status >= 400 && response.status < 500) {
+                await update(draft.id, {
+                    status: 'conflict',
+                    error: data.error || `Request failed (${response.status})`,
+                    conflict: data.code === 'BALANCE_CHANGED' ? data : null
+                });
+                result.conflicts += 1;
+            } else {
+                result.remaining = drafts.length - i;
+                return result;
+            }
+        }
+        return result;
+    };
+
+    // Ask the service worker to sync when the connection returns (browsers with Background Sync)
+    const requestBackgroundSync = async () => {
+        if (!('serviceWorker' in navigator)) return;
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.sync) await registration.sync.register(SYNC_TAG);
+        } catch (error) {
+            console.warn('Background sync unavailable:', error);
+        }
+    };
+
+    scope.OfflineQueue = {
+        SYNC_TAG,
+        add,
+        list,
+        update,
+        remove,
+        sync,
+        requestBackgroundSync
+    };
+})(self);
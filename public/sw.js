@@ -0,0 +1,133 @@
+// FieldWorkBook service worker
+//
+// Makes the app installable and usable without a connection: the app shell (our own files
+// plus the pinned CDN libraries index.html loads) is cached on install. Our files are served
+// network-first with the cached copy as fallback, the versioned CDN files cache-first, and
+// GET /api responses network-first so the dashboard shows the last data seen. Queued
+// submissions (js/offline-queue.js) are replayed here on a background sync.
+
+importScripts('/js/offline-queue.js');
+
+// Bump the version when the list below changes so old shells are dropped on activate
+const SHELL_CACHE = 'fieldworkbook-shell-v2';
+const API_CACHE = 'fieldworkbook-api';
+
+const APP_SHELL = [
+    '/',
+    '/css/style.css',
+    '/js/app.js',
+    '/js/offline-queue.js',
+    '/manifest.webmanifest',
+    '/icons/icon.svg',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
+    '/icons/apple-touch-icon.png'
+];
+
+// Keep in step with the <link>/<script> tags in index.html
+const CDN_ASSETS = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/animate.css/4.1.1/animate.min.css',
+    'https://cdn.datatables.net/1.13.6/css/dataTables.bootstrap5.min.css',
+    'https://cdn.datatables.net/responsive/2.5.0/css/responsive.bootstrap5.min.css',
+    'https://code.jquery.com/jquery-3.7.1.min.js',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js',
+    'https://cdn.datatables.net/1.13.6/js/jquery.dataTables.min.js',
+    'https://cdn.datatables.net/1.13.6/js/dataTables.bootstrap5.min.js',
+    'https://cdn.datatables.net/responsive/2.5.0/js/dataTables.responsive.min.js',
+    'https://cdn.datatables.net/responsive/2.5.0/js/responsive.bootstrap5.min.js',
+    'https://cdn.jsdelivr.net/npm/sweetalert2@11'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(async (cache) => {
+                await cache.addAll(APP_SHELL);
+                // A CDN that cannot be reached must not stop the install; those files are
+                // cached on first use instead
+                await Promise.all(CDN_ASSETS.map(url => cache.add(url).catch(error => {
+                    console.warn('Could not cache', url, error);
+                })));
+            })
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('fieldworkbook-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Fetch from the network and refresh the cached copy; fall back to the cache when offline
+const networkFirst = async (request, cacheName, fallbackUrl) => {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request) || (fallbackUrl && await caches.match(fallbackUrl));
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+// Serve from the cache, fetching (and caching) only what is missing
+const cacheFirst = async (request, cacheName) => {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(cacheName);
+        cache.put(request, response.clone());
+    }
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) {
+        // Attachments are not kept offline
+        if (url.pathname.startsWith('/api/download')) return;
+        event.respondWith(networkFirst(request, API_CACHE));
+        return;
+    }
+
+    // CDN URLs are pinned to a version, so a cached copy never goes stale
+    if (url.origin !== self.location.origin) {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+        return;
+    }
+
+    // App pages fall back to the cached shell
+    event.respondWith(networkFirst(request, SHELL_CACHE, request.mode === 'navigate' ? '/' : null));
+});
+
+// Replay the offline queue for whoever is signed in, then tell open pages what happened
+const syncQueue = async () => {
+    const auth = await fetch('/api/auth/check', { credentials: 'same-origin' }).then(response => response.json());
+    if (!auth.authenticated) return;
+    const result = await self.OfflineQueue.sync(auth.user.id);
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'offline-sync', result }));
+    // Anything still queued (server or network failure) is retried on the next sync
+    if (result.remaining) throw new Error('Offline queue not fully synced');
+};
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === self.OfflineQueue.SYNC_TAG) {
+        event.waitUntil(syncQueue());
+    }
+});
@@ -0,0 +1,63 @@
+// Copy attachment files from one storage driver to another, e.g. before switching
+// STORAGE_DRIVER from local to s3:
+//   npm run migrate-attachments -- --from local --to s3 [--delete-source]
+// Every file (and image thumbnail) referenced by expense_attachments is read from the source
+// and written to the target under the same key; files missing from the source are reported
+// and skipped.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { createStore } = require('../db');
+const { STORAGE_DRIVERS, createFileStorage } = require('../storage');
+
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 ? process.argv[index + 1] : undefined;
+};
+
+(async () => {
+  const from = option('from') || 'local';
+  const to = option('to') || process.env.STORAGE_DRIVER;
+  const deleteSource = process.argv.includes('--delete-source');
+  if (!STORAGE_DRIVERS.includes(from) || !STORAGE_DRIVERS.includes(to) || from === to) {
+    console.error('Usage: node scripts/migrate-attachments.js --from <driver> --to <driver> [--delete-source]');
+    console.error(`Drivers: ${STORAGE_DRIVERS.join(', ')} (source and target must differ; --to defaults to STORAGE_DRIVER)`);
+    process.exit(1);
+  }
+
+  const db = createStore();
+  try {
+    await db.init();
+    const source = createFileStorage(process.env, from);
+    const target = createFileStorage(process.env, to);
+    const { data: attachments, error } = await db.expenseAttachments.list({}, { columns: ['file_path', 'mime_type', 'thumbnail_path'], orderBy: 'id' });
+    if (error) throw error;
+
+    const files = [];
+    attachments.forEach(attachment => {
+      files.push({ key: attachment.file_path, contentType: attachment.mime_type });
+      if (attachment.thumbnail_path) files.push({ key: attachment.thumbnail_path, contentType: 'image/jpeg' });
+    });
+
+    let copied = 0;
+    let missing = 0;
+    for (const file of files) {
+      const body = await source.read(file.key);
+      if (!body) {
+        console.warn(`Missing from ${source.description}: ${file.key}`);
+        missing++;
+        continue;
+      }
+      await target.save(file.key, body, file.contentType);
+      if (deleteSource) await source.remove(file.key);
+      copied++;
+    }
+
+    console.log(`Copied ${copied} of ${files.length} file(s) for ${attachments.length} attachment(s) from ${source.description} to ${target.description}.`);
+    if (missing) console.log(`${missing} file(s) were missing from the source.`);
+    await db.close();
+    process.exit(0);
+  } catch (e) {
+    console.error('Attachment migration error:', e);
+    process.exit(2);
+  }
+})();
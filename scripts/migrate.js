@@ -0,0 +1,21 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { createStore } = require('../db');
+
+(async () => {
+  const client = (process.env.DB_CLIENT || 'supabase').toLowerCase();
+  if (client === 'supabase') {
+    console.log('DB_CLIENT is supabase: run the files in db/migrations/postgres in the Supabase SQL Editor instead.');
+    process.exit(0);
+  }
+  const db = createStore();
+  try {
+    await db.init();
+    console.log(`Migrations up to date (${db.description}).`);
+    await db.close();
+    process.exit(0);
+  } catch (e) {
+    console.error('Migration error:', e);
+    process.exit(2);
+  }
+})();
@@ -1,43 +1,38 @@
-﻿const { createClient } = require('@supabase/supabase-js');
-const bcrypt = require('bcrypt');
+﻿const bcrypt = require('bcrypt');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { createStore } = require('../db');
 
 (async () => {
   try {
-    const url = process.env.SUPABASE_URL;
-    const key = process.env.SUPABASE_SERVICE_ROLE;
-    if (!url || !key) {
+    const client = (process.env.DB_CLIENT || 'supabase').toLowerCase();
+    if (client === 'supabase' && (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE)) {
       console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE in .env');
       process.exit(1);
     }
-    const supabase = createClient(url, key, { auth: { persistSession: false } });
+    const db = createStore();
+    await db.init();
 
     const username = 'admin';
     const plain = 'admin123';
     const hash = bcrypt.hashSync(plain, 10);
 
-    const { data: existing, error: findErr } = await supabase
-      .from('users')
-      .select('id, username')
-      .eq('username', username)
-      .limit(1);
+    const { data: existing, error: findErr } = await db.users.findOne({ username }, { columns: ['id', 'username'] });
     if (findErr) throw findErr;
 
-    if (existing && existing.length) {
-      const { error: updErr } = await supabase
-        .from('users')
-        .update({ password: hash, role: 'admin', full_name: 'System Administrator', email: 'admin@fieldworkbook.com' })
-        .eq('id', existing[0].id);
+    if (existing) {
+      const { error: updErr } = await db.users.update(
+        { id: existing.id },
+        { password: hash, role: 'admin', full_name: 'System Administrator', email: 'admin@fieldworkbook.com' }
+      );
       if (updErr) throw updErr;
       console.log('Updated existing admin user. Username: admin, Password: admin123');
     } else {
-      const { error: insErr } = await supabase
-        .from('users')
-        .insert([{ username, password: hash, role: 'admin', full_name: 'System Administrator', email: 'admin@fieldworkbook.com', team_id: null }]);
+      const { error: insErr } = await db.users.create({ username, password: hash, role: 'admin', full_name: 'System Administrator', email: 'admin@fieldworkbook.com', team_id: null });
       if (insErr) throw insErr;
       console.log('Inserted admin user. Username: admin, Password: admin123');
     }
+    await db.close();
     process.exit(0);
   } catch (e) {
     console.error('Seed error:', e);
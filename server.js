@@ -5,10 +5,20 @@ const bcrypt = require('bcrypt');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const { createClient } = require('@supabase/supabase-js');
+const crypto = require('crypto');
 const ExcelJS = require('exceljs');
 const PDFDocument = require('pdfkit');
 require('dotenv').config();
+const { createStore, isStoreError, isUniqueViolation } = require('./db');
+const { createFileStorage } = require('./storage');
+const images = require('./storage/images');
+const ledger = require('./db/ledger');
+const policy = require('./db/policy');
+const duplicates = require('./db/duplicates');
+const currency = require('./db/currency');
+const allowances = require('./db/allowances');
+const splits = require('./db/splits');
+const recurring = require('./db/recurring');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -27,25 +37,16 @@ app.use(session({
     cookie: { secure: false, maxAge: 24 * 60 * 60 * 1000 } // 24 hours
 }));
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir);
-}
+// Attachment storage (local disk, Supabase Storage or S3 - selected with STORAGE_DRIVER, see storage/index.js)
+const fileStorage = createFileStorage();
 
-// Multer configuration for file uploads
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, 'uploads/');
-    },
-    filename: function (req, file, cb) {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-    }
-});
+// Uploads may be large phone photos; images are shrunk before they are stored (storage/images.js)
+const MAX_UPLOAD_MB = parseFloat(process.env.MAX_UPLOAD_MB || '20');
+const RECEIPT_MAX_DIMENSION = parseInt(process.env.RECEIPT_MAX_DIMENSION || '2000', 10);
 
+// Multer keeps uploads in memory; storeUploads() below hands them to the attachment storage
 const upload = multer({ 
-    storage: storage,
+    storage: multer.memoryStorage(),
     fileFilter: function (req, file, cb) {
         // Accept images only
         if (!file.originalname.match(/\.(jpg|JPG|jpeg|JPEG|png|PNG|gif|GIF|pdf|PDF)$/)) {
@@ -55,20 +56,506 @@ const upload = multer({
         cb(null, true);
     },
     limits: {
-        fileSize: 5 * 1024 * 1024 // 5MB limit
+        fileSize: MAX_UPLOAD_MB * 1024 * 1024
+    }
+});
+
+// Remove a stored attachment and its thumbnail once its expense no longer references them
+const deleteAttachmentFiles = (attachment) => {
+    [attachment.file_path, attachment.thumbnail_path].filter(Boolean).forEach(key => {
+        fileStorage.remove(key).catch((err) => {
+            console.error('Error deleting attachment:', err);
+        });
+    });
+};
+
+// Remove an uploaded file when the request it came with is rejected
+const discardUpload = (file) => {
+    if (file && file.filename) deleteAttachmentFiles({ file_path: file.filename, thumbnail_path: file.thumbnailPath });
+};
+
+// Write the request's uploads to the attachment storage, giving each file the key that
+// routes record in expense_attachments.file_path (file.filename, as with disk storage).
+// Images are compressed first and get a thumbnail (file.thumbnailPath).
+const storeUploads = async (req, res, next) => {
+    const files = req.files || [];
+    const stored = [];
+    try {
+        for (const file of files) {
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            const baseKey = file.fieldname + '-' + uniqueSuffix;
+            // Hashes of the file as uploaded, for duplicate receipt detection (db/duplicates.js)
+            file.contentHash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+            try {
+                file.perceptualHash = await images.perceptualHash(file.buffer, file.mimetype);
+            } catch (hashErr) {
+                file.perceptualHash = null;
+            }
+            let processed = null;
+            try {
+                processed = await images.processReceiptImage(file.buffer, file.mimetype, { maxDimension: RECEIPT_MAX_DIMENSION });
+            } catch (imageErr) {
+                console.warn(`Could not process image ${file.originalname}, storing it as uploaded:`, imageErr.message);
+            }
+            let extension = path.extname(file.originalname);
+            if (processed) {
+                if (processed.mimeType !== file.mimetype) {
+                    extension = '.jpg';
+                    file.originalname = path.basename(file.originalname, path.extname(file.originalname)) + extension;
+                }
+                file.buffer = processed.body;
+                file.mimetype = processed.mimeType;
+                file.size = processed.body.length;
+            }
+
+            const key = baseKey + extension;
+            await fileStorage.save(key, file.buffer, file.mimetype);
+            file.filename = key;
+            stored.push(file);
+            if (processed && processed.thumbnail) {
+                const thumbnailKey = `thumb-${baseKey}.jpg`;
+                await fileStorage.save(thumbnailKey, processed.thumbnail, 'image/jpeg');
+                file.thumbnailPath = thumbnailKey;
+            }
+        }
+        next();
+    } catch (error) {
+        stored.forEach(discardUpload);
+        next(error);
     }
+};
+
+// Receipts live in expense_attachments, several per expense (multipart field `attachments`)
+const MAX_ATTACHMENTS_PER_EXPENSE = 10;
+const uploadAttachments = [upload.array('attachments', MAX_ATTACHMENTS_PER_EXPENSE), storeUploads];
+const discardUploads = (files) => (files || []).forEach(discardUpload);
+
+// expense_attachments row for a file uploaded with the request
+const attachmentRow = (file, uploadedBy) => ({
+    file_path: file.filename,
+    file_name: file.originalname,
+    mime_type: file.mimetype,
+    size_bytes: file.size,
+    thumbnail_path: file.thumbnailPath || null,
+    content_hash: file.contentHash || null,
+    perceptual_hash: file.perceptualHash || null,
+    uploaded_by: uploadedBy,
+    created_at: new Date().toISOString()
 });
 
-// Supabase client
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE;
-if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE) {
-    console.warn('Supabase env vars not set. Please configure SUPABASE_URL and SUPABASE_SERVICE_ROLE in .env');
-}
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE, {
-    auth: { persistSession: false }
+// Field staff may edit/delete their own expenses until approved, for a limited time (or while
+// a reviewer has asked them for more information); admins and partners anytime. The shares of
+// a split expense belong to the member who paid it.
+const EXPENSE_EDIT_WINDOW_HOURS = parseFloat(process.env.EXPENSE_EDIT_WINDOW_HOURS || '24');
+// Why the session may not edit or delete (action) the expense, or null when it may
+const expenseModifyRefusal = (session, expense, action) => {
+    if (session.userRole === 'admin' || session.userRole === 'partner') return null;
+    if (session.userRole !== 'field_staff' || (expense.paid_by || expense.user_id) != session.userId) {
+        return `You can only ${action} your own expenses`;
+    }
+    if (expense.status === 'approved') return 'This expense has already been approved and can no longer be changed';
+    if (expense.status === 'needs_info') return null;
+    const ageMs = Date.now() - new Date(expense.created_at).getTime();
+    if (ageMs > EXPENSE_EDIT_WINDOW_HOURS * 60 * 60 * 1000) {
+        return `You can only ${action} your own expenses within ${EXPENSE_EDIT_WINDOW_HOURS} hours of adding them`;
+    }
+    return null;
+};
+const canModifyExpense = (session, expense) => !expenseModifyRefusal(session, expense, 'edit');
+
+// Data store (Supabase, PostgreSQL or SQLite - selected with DB_CLIENT, see db/index.js)
+const db = createStore();
+
+// Expense categories are rows in expense_categories; expenses store the category slug
+const CATEGORY_ICON_PATTERN = /^fa-[a-z0-9-]+$/;
+const CATEGORY_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const slugify = (value) => String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+const formatCategory = (category) => ({ ...category, is_active: Boolean(category.is_active) });
+
+// Validates a category payload, returning the row to store or an { error } message
+const categoryFields = (body, { partial = false } = {}) => {
+    const row = {};
+    if (body.name !== undefined || !partial) {
+        const name = String(body.name || '').trim();
+        if (!name) return { error: 'Category name is required' };
+        row.name = name;
+    }
+    if (body.icon !== undefined && body.icon !== '') {
+        if (!CATEGORY_ICON_PATTERN.test(body.icon)) return { error: 'Icon must be a Font Awesome class such as fa-utensils' };
+        row.icon = body.icon;
+    }
+    if (body.color !== undefined && body.color !== '') {
+        if (!CATEGORY_COLOR_PATTERN.test(body.color)) return { error: 'Color must be a hex value such as #0d6efd' };
+        row.color = body.color.toLowerCase();
+    }
+    if (body.sort_order !== undefined && body.sort_order !== '') {
+        const sortOrder = parseInt(body.sort_order, 10);
+        if (!Number.isInteger(sortOrder)) return { error: 'Sort order must be a whole number' };
+        row.sort_order = sortOrder;
+    }
+    if (body.is_active !== undefined) {
+        row.is_active = body.is_active === true || body.is_active === 'true';
+    }
+    return { row };
+};
+
+// True when slug names an active category expenses can be filed under
+const isActiveCategory = async (slug) => {
+    const { data, error } = await db.expenseCategories.findOne({ slug, is_active: true }, { columns: ['id'] });
+    if (error) throw error;
+    return Boolean(data);
+};
+
+// Record receipts on an expense that look like receipts already attached to other expenses
+// (see db/duplicates.js). Detection never blocks an upload, so failures are only logged.
+const DUPLICATE_MAX_DISTANCE = parseInt(process.env.DUPLICATE_MAX_DISTANCE || String(duplicates.DEFAULT_MAX_DISTANCE), 10);
+const flagDuplicateReceipts = async (expenseId) => {
+    const hashColumns = ['id', 'expense_id', 'content_hash', 'perceptual_hash'];
+    try {
+        const [own, others] = await Promise.all([
+            db.expenseAttachments.list({ expense_id: expenseId }, { columns: hashColumns }),
+            db.expenseAttachments.list({ expense_id: { neq: expenseId } }, { columns: hashColumns })
+        ]);
+        if (own.error || others.error) throw own.error || others.error;
+        const matches = duplicates.findReceiptMatches(own.data, others.data, { maxDistance: DUPLICATE_MAX_DISTANCE });
+        for (const match of matches) {
+            const { error } = await db.receiptDuplicates.create({ ...match, created_at: new Date().toISOString() });
+            if (error && !isUniqueViolation(error)) throw error;
+        }
+        if (matches.length) console.log(`Suspected duplicate receipts on expense ${expenseId}:`, matches.length);
+    } catch (error) {
+        console.error('Error checking for duplicate receipts:', error);
+    }
+};
+
+// Store rows for newly uploaded files, then drop removed attachments (rows and files).
+// Returns the first database error, discarding the uploads not stored yet.
+const saveAttachmentChanges = async (expenseId, files, removed, uploadedBy) => {
+    for (let i = 0; i < files.length; i++) {
+        const { error } = await db.expenseAttachments.create({ ...attachmentRow(files[i], uploadedBy), expense_id: expenseId });
+        if (error) {
+            discardUploads(files.slice(i));
+            return error;
+        }
+    }
+    if (removed.length) {
+        const { error } = await db.expenseAttachments.remove({ id: removed.map(a => a.id) });
+        if (error) return error;
+        removed.forEach(deleteAttachmentFiles);
+    }
+    if (files.length) await flagDuplicateReceipts(expenseId);
+    return null;
+};
+
+// Check an expense ({ amount, category, nights, has_receipt }, amount in the base currency)
+// against the active policy rules; resolves to policy.evaluatePolicies()'s result
+const checkExpensePolicies = async (expense) => {
+    const [rules, categories] = await Promise.all([
+        db.expensePolicyRules.list({ is_active: true }),
+        db.expenseCategories.list({}, { columns: ['slug', 'name'] })
+    ]);
+    if (rules.error || categories.error) throw rules.error || categories.error;
+    return policy.evaluatePolicies(rules.data, expense, new Map(categories.data.map(c => [c.slug, c.name])));
+};
+
+// Columns recording a policy outcome on the expense row
+const policyColumns = (outcome) => ({
+    policy_flags: outcome.flags.length ? JSON.stringify(outcome.flags) : null,
+    requires_partner_approval: outcome.requiresPartnerApproval
 });
 
+// Nights must be a positive whole number when given; returns null when left blank
+const parseNights = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const nights = Number(value);
+    return Number.isInteger(nights) && nights > 0 ? nights : NaN;
+};
+
+// When and where the money was spent: expense_date (YYYY-MM-DD, today when left out of a new
+// expense), merchant, and latitude/longitude captured by the browser. Returns the columns to
+// store or an { error } message; with partial, only the fields present are returned.
+const EXPENSE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MERCHANT_MAX_LENGTH = 120;
+const isBlank = (value) => value === undefined || value === null || value === '';
+const expenseDetailFields = (body, { partial = false } = {}) => {
+    const row = {};
+    if (!isBlank(body.expense_date) || !partial) {
+        const value = isBlank(body.expense_date) ? new Date().toISOString().slice(0, 10) : String(body.expense_date);
+        const date = new Date(`${value}T00:00:00Z`);
+        if (!EXPENSE_DATE_PATTERN.test(value) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+            return { error: 'Expense date must be a valid date (YYYY-MM-DD)' };
+        }
+        // A day of slack for staff in time zones ahead of the server
+        if (date.getTime() > Date.now() + 24 * 60 * 60 * 1000) {
+            return { error: 'Expense date cannot be in the future' };
+        }
+        row.expense_date = value;
+    }
+    if (body.merchant !== undefined) {
+        const merchant = String(body.merchant || '').trim();
+        if (merchant.length > MERCHANT_MAX_LENGTH) {
+            return { error: `Merchant name must be at most ${MERCHANT_MAX_LENGTH} characters` };
+        }
+        row.merchant = merchant || null;
+    }
+    if (body.latitude !== undefined || body.longitude !== undefined) {
+        if (isBlank(body.latitude) && isBlank(body.longitude)) {
+            row.latitude = null;
+            row.longitude = null;
+        } else {
+            const latitude = Number(body.latitude);
+            const longitude = Number(body.longitude);
+            if (isBlank(body.latitude) || isBlank(body.longitude) || !Number.isFinite(latitude) || !Number.isFinite(longitude)
+                || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+                return { error: 'Location needs a latitude between -90 and 90 and a longitude between -180 and 180' };
+            }
+            row.latitude = Math.round(latitude * 1e6) / 1e6;
+            row.longitude = Math.round(longitude * 1e6) / 1e6;
+        }
+    }
+    return { row };
+};
+
+// Vendors are the registry behind expenses.merchant. Names are matched on normalized_name
+// (lower-cased, single spaced), so "Hotel Sunrise" and "hotel  sunrise" are one vendor.
+const VENDOR_NOTES_MAX_LENGTH = 500;
+const normalizeVendorName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+const formatVendor = (vendor) => ({ ...vendor, is_active: Boolean(vendor.is_active) });
+
+// Validates a vendor payload, returning the row to store or an { error } message
+const vendorFields = (body, { partial = false } = {}) => {
+    const row = {};
+    if (body.name !== undefined || !partial) {
+        const name = String(body.name || '').trim().replace(/\s+/g, ' ');
+        if (!name) return { error: 'Vendor name is required' };
+        if (name.length > MERCHANT_MAX_LENGTH) return { error: `Vendor name must be at most ${MERCHANT_MAX_LENGTH} characters` };
+        row.name = name;
+        row.normalized_name = normalizeVendorName(name);
+    }
+    if (body.notes !== undefined) {
+        const notes = String(body.notes || '').trim();
+        if (notes.length > VENDOR_NOTES_MAX_LENGTH) return { error: `Notes must be at most ${VENDOR_NOTES_MAX_LENGTH} characters` };
+        row.notes = notes || null;
+    }
+    if (body.is_active !== undefined) {
+        row.is_active = body.is_active === true || body.is_active === 'true';
+    }
+    return { row };
+};
+
+// The vendor columns for an expense's merchant: the registered vendor with that name, which is
+// added to the registry the first time it is used. The merchant takes the registered spelling.
+const vendorColumns = async (merchant, createdBy) => {
+    if (!merchant) return { merchant: null, vendor_id: null };
+    const normalized = normalizeVendorName(merchant);
+    let { data: vendor, error } = await db.vendors.findOne({ normalized_name: normalized });
+    if (error) throw error;
+    if (!vendor) {
+        ({ data: vendor, error } = await db.vendors.create({
+            name: merchant.replace(/\s+/g, ' '),
+            normalized_name: normalized,
+            is_active: true,
+            created_by: createdBy,
+            created_at: new Date().toISOString()
+        }));
+        // Registered by a concurrent submission
+        if (error && isUniqueViolation(error)) {
+            ({ data: vendor, error } = await db.vendors.findOne({ normalized_name: normalized }));
+        }
+        if (error) throw error;
+    }
+    return { merchant: vendor.name, vendor_id: vendor.id };
+};
+
+// Currencies (see db/currency.js). BASE_CURRENCY is the organization's currency: totals across
+// teams are reported in it and policy thresholds are set in it.
+const BASE_CURRENCY = currency.normalizeCurrency(process.env.BASE_CURRENCY) || 'USD';
+const teamCurrency = (team) => (team && team.currency) || BASE_CURRENCY;
+const formatTeam = (team) => ({ ...team, currency: teamCurrency(team) });
+const todayDate = () => new Date().toISOString().slice(0, 10);
+
+// Exchange rates of the given currencies (all when left out)
+const loadExchangeRates = async (codes) => {
+    const filters = codes ? { currency: codes.filter(code => code !== BASE_CURRENCY) } : {};
+    const { data, error } = await db.exchangeRates.list(filters, { columns: ['id', 'currency', 'rate', 'effective_date'] });
+    if (error) throw error;
+    return data;
+};
+
+// Amount with its currency for exports; the PDF's built-in fonts lack most currency symbols,
+// so it shows the ISO code instead
+const formatMoney = (amount, code, currencyDisplay = 'symbol') => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: code,
+    currencyDisplay
+}).format(amount);
+
+// An amount in a team's currency expressed in the base currency, at the rate of date
+const toBaseAmount = (rates, amount, team, date) => parseFloat(amount || 0) * (currency.rateOn(rates, teamCurrency(team), date, BASE_CURRENCY) || 0);
+
+// The amount columns of an expense paid `amount` in currencyCode (the team's currency when
+// blank): original_currency/original_amount as paid, and amount converted into the team's
+// currency with the rate in effect on date. teamRate converts the team's currency into the base
+// currency for the policy check. Resolves to { columns, teamRate } or an { error } message.
+const expenseAmounts = async (teamId, amount, currencyCode, date) => {
+    const { data: team, error } = await db.teams.findById(teamId, { columns: ['id', 'currency'] });
+    if (error) throw error;
+    const teamCode = teamCurrency(team);
+    const paidCode = currency.normalizeCurrency(currencyCode) || teamCode;
+    if (!currency.CURRENCY_PATTERN.test(paidCode)) {
+        return { error: 'Currency must be a 3-letter ISO code such as EUR' };
+    }
+    const rates = await loadExchangeRates([paidCode, teamCode]);
+    const rate = currency.conversionRate(rates, paidCode, teamCode, date, BASE_CURRENCY);
+    const teamRate = currency.rateOn(rates, teamCode, date, BASE_CURRENCY);
+    if (!rate || !teamRate) {
+        return { error: `No exchange rate has been entered for ${rate ? teamCode : paidCode}` };
+    }
+    const converted = currency.roundMoney(parseFloat(amount) * rate);
+    if (!(converted > 0)) {
+        return { error: 'Amount is too small to convert' };
+    }
+    return {
+        columns: {
+            amount: converted,
+            original_currency: paidCode,
+            original_amount: currency.roundMoney(parseFloat(amount)),
+            exchange_rate: rate
+        },
+        teamRate
+    };
+};
+
+// The claim of a mileage or per-diem expense, in the base currency: its distance_km or days
+// (from the body, else from the expense being edited) times the rate of allowance_rate_id. A
+// per diem without one takes the rate for the team's location; an edit that keeps the rate
+// keeps the rate it was claimed at. Resolves to { amount, description, columns } or an
+// { error } message.
+const allowanceClaim = async (type, body, teamId, current = null) => {
+    const { column } = allowances.QUANTITIES[type];
+    const quantity = allowances.parseQuantity(type, body[column] !== undefined ? body[column] : current && current[column]);
+    if (Number.isNaN(quantity)) {
+        return { error: type === 'mileage'
+            ? 'Distance must be a number of kilometres greater than zero'
+            : 'Days must be a number of days greater than zero, in half days' };
+    }
+    let rate = null;
+    if (!isBlank(body.allowance_rate_id)) {
+        const { data, error } = await db.allowanceRates.findOne({ id: body.allowance_rate_id, kind: type, is_active: true });
+        if (error) throw error;
+        if (!data) return { error: type === 'mileage' ? 'Choose an active vehicle type' : 'Choose an active per-diem location' };
+        rate = data;
+    } else if (current) {
+        const { data, error } = await db.allowanceRates.findById(current.allowance_rate_id);
+        if (error) throw error;
+        rate = { id: current.allowance_rate_id, name: data ? data.name : '', rate: current.allowance_rate };
+    } else if (type === 'per_diem') {
+        const { data: team, error } = await db.teams.findById(teamId, { columns: ['location'] });
+        if (error) throw error;
+        const { data, error: rateErr } = await db.allowanceRates.findOne({
+            kind: 'per_diem',
+            normalized_name: allowances.normalizeRateName(team && team.location),
+            is_active: true
+        });
+        if (rateErr) throw rateErr;
+        if (!data) return { error: `No per-diem rate is set for ${(team && team.location) || 'your location'}; choose a location` };
+        rate = data;
+    } else {
+        return { error: 'Choose a vehicle type' };
+    }
+    return {
+        amount: allowances.allowanceAmount(quantity, rate.rate),
+        description: allowances.allowanceDescription(type, quantity, rate.name),
+        columns: { [column]: quantity, allowance_rate_id: rate.id, allowance_rate: parseFloat(rate.rate) }
+    };
+};
+
+// The shares of a split expense, sent as a JSON list of { user_id, team_id, value }. A member's
+// share is charged to the member's team; a share naming only a team is charged to that team
+// and attributed to the payer. The payer's own share, when there is one, comes first: it
+// carries the attachments and absorbs the rounding. Resolves to { shares } or an { error }.
+const splitShares = async (raw, payerId, payerTeamId) => {
+    let entries;
+    try {
+        entries = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+        entries = null;
+    }
+    if (!Array.isArray(entries) || entries.some(entry => !entry || typeof entry !== 'object')) {
+        return { error: 'Splits must be a list of shares' };
+    }
+    const memberIds = [...new Set(entries.filter(entry => !isBlank(entry.user_id)).map(entry => Number(entry.user_id)))];
+    const teamIds = [...new Set(entries.filter(entry => isBlank(entry.user_id) && !isBlank(entry.team_id)).map(entry => Number(entry.team_id)))];
+    const [members, teams] = await Promise.all([
+        db.users.list({ id: memberIds.filter(Number.isInteger), role: 'field_staff' }, { columns: ['id', 'team_id'] }),
+        db.teams.list({ id: teamIds.filter(Number.isInteger) }, { columns: ['id'] })
+    ]);
+    if (members.error || teams.error) throw members.error || teams.error;
+    const membersMap = new Map(members.data.map(member => [Number(member.id), member]));
+    const knownTeams = new Set(teams.data.map(team => Number(team.id)));
+
+    const shares = [];
+    for (const entry of entries) {
+        let share;
+        if (!isBlank(entry.user_id)) {
+            const member = membersMap.get(Number(entry.user_id));
+            if (!member || !member.team_id) return { error: 'Shares can only go to field staff assigned to a team' };
+            share = { user_id: member.id, team_id: member.team_id, value: entry.value };
+        } else if (!isBlank(entry.team_id)) {
+            if (!knownTeams.has(Number(entry.team_id))) return { error: 'Team not found' };
+            share = { user_id: payerId, team_id: Number(entry.team_id), value: entry.value };
+        } else {
+            return { error: 'Each share needs a member or a team' };
+        }
+        if (shares.some(other => other.user_id == share.user_id && other.team_id == share.team_id)) {
+            return { error: 'Each member or team can only have one share' };
+        }
+        shares.push(share);
+    }
+    const own = shares.findIndex(share => share.user_id == payerId && share.team_id == payerTeamId);
+    if (own > 0) shares.unshift(...shares.splice(own, 1));
+    return { shares };
+};
+
+// Expenses and amount requests drafted offline (public/js/offline-queue.js) are sent with
+// the draft's client_ref; a sync retried after a lost response finds the row it created
+const findSyncedSubmission = async (repository, userId, clientRef) => {
+    if (!clientRef) return null;
+    const { data, error } = await repository.findOne({ user_id: userId, client_ref: clientRef }, { columns: ['id'] });
+    if (error) throw error;
+    return data;
+};
+
+// The same for a split expense, whose client_ref is kept on the split; resolves to the id of
+// its first share and the split_id
+const findSyncedSplit = async (userId, clientRef) => {
+    const split = await findSyncedSubmission(db.expenseSplits, userId, clientRef);
+    if (!split) return null;
+    const { data: shares, error } = await db.expenses.list({ split_id: split.id }, { columns: ['id'], orderBy: 'id', limit: 1 });
+    if (error) throw error;
+    return { id: shares.length ? shares[0].id : null, split_id: split.id };
+};
+
+// Drafts also carry the team balance the user saw (expected_remaining). When it has since
+// moved against the draft - down for an expense, up for an amount request - the sync is
+// refused with this conflict so the user can confirm or discard the draft.
+const balanceConflict = async (teamId, expectedRemaining, direction) => {
+    const expected = parseFloat(expectedRemaining);
+    if (Number.isNaN(expected)) return null;
+    const { data: team, error } = await db.teams.findById(teamId, { columns: ['remaining_amount'] });
+    if (error) throw error;
+    if (!team) return null;
+    const current = parseFloat(team.remaining_amount) || 0;
+    const change = current - expected;
+    if (direction === 'down' ? change > -0.005 : change < 0.005) return null;
+    return {
+        error: `The team balance changed from ${expected.toFixed(2)} to ${current.toFixed(2)} since this was drafted`,
+        code: 'BALANCE_CHANGED',
+        expected_remaining: expected,
+        remaining_amount: current
+    };
+};
+
 // Authentication middleware
 const requireAuth = (req, res, next) => {
     if (!req.session.userId) {
@@ -97,16 +584,11 @@ app.post('/api/login', async (req, res) => {
     const { username, password } = req.body;
     console.log('Login attempt for:', username);
 
-    const { data: users, error } = await supabase
-        .from('users')
-        .select('*')
-        .eq('username', username)
-        .limit(1);
+    const { data: user, error } = await db.users.findOne({ username });
     if (error) {
         console.error('Database error:', error);
             return res.status(500).json({ error: 'Database error' });
         }
-    const user = users && users.length > 0 ? users[0] : null;
         if (!user || !bcrypt.compareSync(password, user.password)) {
             console.log('Invalid credentials for:', username);
             return res.status(401).json({ error: 'Invalid credentials' });
@@ -128,7 +610,8 @@ app.post('/api/login', async (req, res) => {
                 full_name: user.full_name,
                 email: user.email,
                 team_id: user.team_id
-            }
+            },
+            base_currency: BASE_CURRENCY
     });
 });
 
@@ -151,7 +634,8 @@ app.get('/api/auth/check', (req, res) => {
                 role: req.session.userRole,
                 full_name: req.session.userName,
                 team_id: req.session.teamId
-            }
+            },
+            base_currency: BASE_CURRENCY
         });
     } else {
         res.json({ authenticated: false });
@@ -159,11 +643,17 @@ app.get('/api/auth/check', (req, res) => {
 });
 
 // Team routes
+const TEAM_STATUSES = ['active', 'closing', 'closed'];
+// Closed teams are archived: listed only when asked for, but kept for reports
+const OPEN_TEAM_STATUSES = ['active', 'closing'];
+
+// ?status= takes a comma-separated list of TEAM_STATUSES (default: the open ones)
 app.get('/api/teams', requireAdminOrPartner, async (req, res) => {
-    const { data: teams, error } = await supabase
-        .from('teams')
-        .select('*')
-        .order('created_at', { ascending: false });
+    const statuses = isBlank(req.query.status) ? OPEN_TEAM_STATUSES : String(req.query.status).split(',').map(status => status.trim());
+    if (statuses.some(status => !TEAM_STATUSES.includes(status))) {
+        return res.status(400).json({ error: `Status must be one of: ${TEAM_STATUSES.join(', ')}` });
+    }
+    const { data: teams, error } = await db.teams.list({ status: statuses }, { orderBy: 'created_at', ascending: false });
     if (error) {
         console.error('Database error:', error);
         return res.status(500).json({ error: 'Database error' });
@@ -172,11 +662,10 @@ app.get('/api/teams', requireAdminOrPartner, async (req, res) => {
     const teamIds = (teams || []).map(t => t.id);
     let memberCounts = {};
     if (teamIds.length > 0) {
-        const { data: members, error: membersErr } = await supabase
-            .from('users')
-            .select('id, team_id')
-            .in('team_id', teamIds)
-            .eq('role', 'field_staff');
+        const { data: members, error: membersErr } = await db.users.list(
+            { team_id: teamIds, role: 'field_staff' },
+            { columns: ['id', 'team_id'] }
+        );
         if (membersErr) {
             console.error('Database error:', membersErr);
             return res.status(500).json({ error: 'Database error' });
@@ -185,7 +674,7 @@ app.get('/api/teams', requireAdminOrPartner, async (req, res) => {
             memberCounts[m.team_id] = (memberCounts[m.team_id] || 0) + 1;
     });
     }
-    const withCounts = (teams || []).map(t => ({ ...t, member_count: memberCounts[t.id] || 0 }));
+    const withCounts = (teams || []).map(t => ({ ...formatTeam(t), member_count: memberCounts[t.id] || 0 }));
     res.json(withCounts);
 });
 
@@ -201,23 +690,38 @@ app.post('/api/teams', requireAdminOrPartner, async (req, res) => {
         return res.status(400).json({ error: 'Missing required fields: name, location, and initial_amount are required' });
     }
     
-    const remaining_amount = parseFloat(initial_amount);
     const initial_amt = parseFloat(initial_amount);
 
-    const { data, error } = await supabase
-        .from('teams')
-        .insert([{ 
-            name, 
-            location, 
-            initial_amount: initial_amt, 
-            remaining_amount, 
-            description: description || '', 
-            created_by: createdBy,
-            created_at: new Date().toISOString() 
-        }])
-        .select('id')
-        .single();
+    // Balances are kept in the team's currency, which needs an exchange rate to be reported
+    const teamCode = currency.normalizeCurrency(req.body.currency) || BASE_CURRENCY;
+    if (!currency.CURRENCY_PATTERN.test(teamCode)) {
+        return res.status(400).json({ error: 'Currency must be a 3-letter ISO code such as EUR' });
+    }
+    if (teamCode !== BASE_CURRENCY) {
+        const { count, error: rateErr } = await db.exchangeRates.count({ currency: teamCode });
+        if (rateErr) {
+            console.error('Database error:', rateErr);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!count) {
+            return res.status(400).json({ error: `Enter an exchange rate for ${teamCode} before creating a team that uses it` });
+        }
+    }
+
+    // The opening balance is posted to the ledger, which sets the team's amounts
+    const { data, error } = await db.teams.createWithOpening({
+        name, 
+        location, 
+        initial_amount: initial_amt, 
+        description: description || '', 
+        currency: teamCode,
+        created_by: createdBy,
+        created_at: new Date().toISOString() 
+    }, createdBy);
     if (error) {
+        if (isStoreError(error, 'INVALID_AMOUNT')) {
+            return res.status(400).json({ error: 'Initial amount cannot be negative' });
+        }
         console.error('Database error creating team:', error);
         return res.status(500).json({ error: 'Failed to create team: ' + error.message });
     }
@@ -233,11 +737,7 @@ app.get('/api/teams/:id', requireAuth, async (req, res) => {
         return res.status(403).json({ error: 'Access denied to this team' });
     }
     
-    const { data: team, error } = await supabase
-        .from('teams')
-        .select('*')
-        .eq('id', teamId)
-        .single();
+    const { data: team, error } = await db.teams.findById(teamId);
     if (error) {
         console.error('Database error:', error);
             return res.status(500).json({ error: 'Database error' });
@@ -245,256 +745,2447 @@ app.get('/api/teams/:id', requireAuth, async (req, res) => {
         if (!team) {
             return res.status(404).json({ error: 'Team not found' });
         }
-        res.json(team);
+        res.json(formatTeam(team));
 });
 
-app.get('/api/teams/:id/members', requireAdminOrPartner, async (req, res) => {
-    const teamId = req.params.id;
-    const { data: members, error } = await supabase
-        .from('users')
-        .select('id, username, full_name, email, created_at')
-        .eq('team_id', teamId)
-        .eq('role', 'field_staff');
-    if (error) {
+// Direct budget adjustments: an allocation from the funding pool or a claw-back to it, each
+// with a mandatory reason and attributed to the admin or partner who made it
+const BUDGET_REASON_MAX_LENGTH = 200;
+const BUDGET_ADJUSTMENT_KINDS = ['allocation', 'claw_back'];
+
+const budgetReason = (body, action = 'adjust the budget') => {
+    const reason = String(body.reason || '').trim();
+    if (!reason) return { error: `A reason is required to ${action}` };
+    if (reason.length > BUDGET_REASON_MAX_LENGTH) return { error: `Reason must be at most ${BUDGET_REASON_MAX_LENGTH} characters` };
+    return { reason };
+};
+
+// Sends the response for a budget adjustment the store refused
+const budgetAdjustmentFailed = (res, error) => {
+    if (isStoreError(error, 'NOT_FOUND')) {
+        res.status(404).json({ error: 'Team not found' });
+    } else if (isStoreError(error, 'INSUFFICIENT_FUNDS')) {
+        res.status(400).json({ error: 'Cannot claw back more than the team has available' });
+    } else if (isStoreError(error, 'TEAM_CLOSED')) {
+        res.status(400).json({ error: error.message });
+    } else {
         console.error('Database error:', error);
-            return res.status(500).json({ error: 'Database error' });
-        }
-    res.json(members || []);
-});
+        res.status(500).json({ error: 'Database error' });
+    }
+};
 
-// Delete team route
-app.delete('/api/teams/:id', requireAdminOrPartner, async (req, res) => {
-    const teamId = req.params.id;
-    
-    console.log('Deleting team with ID:', teamId);
-    
-    // First, check if team has any expenses
-    const { count: expenseCount, error: expenseCountErr } = await supabase
-        .from('expenses')
-        .select('id', { count: 'exact', head: true })
-        .eq('team_id', teamId);
-    if (expenseCountErr) {
-        console.error('Database error:', expenseCountErr);
-            return res.status(500).json({ error: 'Database error' });
+// Edit a team's details. A new initial_amount is applied as an allocation or claw-back of the
+// difference, so it needs a reason like any other adjustment; the currency is fixed. The details
+// and the adjustment are saved together or not at all.
+app.put('/api/teams/:id', requireAdminOrPartner, async (req, res) => {
+    const { data: team, error: findErr } = await db.teams.findById(req.params.id);
+    if (findErr) {
+        console.error('Database error:', findErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!team) {
+        return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const patch = {};
+    if (req.body.name !== undefined) {
+        patch.name = String(req.body.name).trim();
+        if (!patch.name) return res.status(400).json({ error: 'Team name is required' });
+    }
+    if (req.body.location !== undefined) {
+        patch.location = String(req.body.location).trim();
+        if (!patch.location) return res.status(400).json({ error: 'Location is required' });
+    }
+    if (req.body.description !== undefined) {
+        patch.description = String(req.body.description || '').trim();
+    }
+    if (req.body.currency !== undefined && (currency.normalizeCurrency(req.body.currency) || BASE_CURRENCY) !== teamCurrency(team)) {
+        return res.status(400).json({ error: 'The currency of a team cannot be changed' });
+    }
+
+    let change = 0;
+    let reason = null;
+    if (req.body.initial_amount !== undefined) {
+        const target = Number(req.body.initial_amount);
+        if (req.body.initial_amount === '' || req.body.initial_amount === null || !Number.isFinite(target)) {
+            return res.status(400).json({ error: 'Initial amount must be a number' });
         }
-    if ((expenseCount || 0) > 0) {
-            return res.status(400).json({ error: 'Cannot delete team with existing expenses. Please remove all expenses first.' });
+        if (target < 0) {
+            return res.status(400).json({ error: 'Initial amount cannot be negative' });
         }
-        
-    // Delete team members
-    const { error: delUsersErr } = await supabase
-        .from('users')
-        .delete()
-        .eq('team_id', teamId);
-    if (delUsersErr) {
-        console.error('Database error deleting team members:', delUsersErr);
-                return res.status(500).json({ error: 'Database error' });
-            }
-            
-            // Delete amount requests
-    const { error: delReqErr } = await supabase
-        .from('amount_requests')
-        .delete()
-        .eq('team_id', teamId);
-    if (delReqErr) {
-        console.error('Database error deleting requests:', delReqErr);
-                    return res.status(500).json({ error: 'Database error' });
-                }
-                
-    // Delete the team
-    const { error: delTeamErr } = await supabase
-        .from('teams')
-        .delete()
-        .eq('id', teamId);
-    if (delTeamErr) {
-        console.error('Database error deleting team:', delTeamErr);
-                        return res.status(500).json({ error: 'Database error' });
-                    }
-                    console.log('Team deleted successfully:', teamId);
-                    res.json({ success: true });
+        change = currency.roundMoney(target - parseFloat(team.initial_amount || 0));
+        if (change !== 0) {
+            const checked = budgetReason(req.body);
+            if (checked.error) return res.status(400).json({ error: checked.error });
+            reason = checked.reason;
+        }
+    }
+
+    const adjustment = change === 0 ? null : {
+        kind: change > 0 ? 'allocation' : 'claw_back',
+        amount: Math.abs(change),
+        reason,
+        created_by: req.session.userId,
+        created_at: new Date().toISOString()
+    };
+    const { data: updated, error } = await db.teams.updateWithAdjustment(team.id, patch, adjustment);
+    if (error) return budgetAdjustmentFailed(res, error);
+    console.log('Team updated:', team.id, change ? `budget ${change > 0 ? '+' : ''}${change}` : '');
+    res.json({ success: true, team: formatTeam(updated) });
 });
 
-// User routes
-app.post('/api/users', requireAdminOrPartner, async (req, res) => {
-    const { username, password, full_name, email, team_id } = req.body;
-    const hashedPassword = bcrypt.hashSync(password, 10);
-    const { data, error } = await supabase
-        .from('users')
-        .insert([{ username, password: hashedPassword, role: 'field_staff', full_name, email: email || '', team_id, created_at: new Date().toISOString() }])
-        .select('id')
-        .single();
+// A team's direct allocations and claw-backs, newest first
+app.get('/api/teams/:id/adjustments', requireAdminOrPartner, async (req, res) => {
+    const { data: adjustments, error } = await db.budgetAdjustments.list({ team_id: req.params.id }, { orderBy: 'created_at', ascending: false });
     if (error) {
         console.error('Database error:', error);
-        if (error.message && error.message.toLowerCase().includes('duplicate')) {
-                return res.status(400).json({ error: 'Username already exists' });
-            }
-            return res.status(500).json({ error: 'Database error' });
-        }
-    console.log('User created with ID:', data.id);
-    res.json({ success: true, id: data.id });
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const { data: users } = await db.users.list({ id: [...new Set(adjustments.map(a => a.created_by).filter(Boolean))] }, { columns: ['id', 'full_name'] });
+    const usersMap = new Map((users || []).map(u => [u.id, u.full_name]));
+    res.json(adjustments.map(a => ({
+        ...a,
+        amount: parseFloat(a.amount),
+        created_by_name: a.created_by ? (usersMap.get(a.created_by) || 'Unknown') : null
+    })));
 });
 
-// Delete user route
-app.delete('/api/users/:id', requireAdminOrPartner, async (req, res) => {
-    const userId = req.params.id;
-    
-    console.log('Deleting user with ID:', userId);
-    
-    // Check if user has any expenses
-    const { count: userExpenseCount, error: expCntErr } = await supabase
-        .from('expenses')
-        .select('id', { count: 'exact', head: true })
-        .eq('user_id', userId);
-    if (expCntErr) {
-        console.error('Database error:', expCntErr);
-            return res.status(500).json({ error: 'Database error' });
+// Allocate funds to a team or claw them back; body { kind: 'allocation' | 'claw_back', amount, reason }
+app.post('/api/teams/:id/adjustments', requireAdminOrPartner, async (req, res) => {
+    if (!BUDGET_ADJUSTMENT_KINDS.includes(req.body.kind)) {
+        return res.status(400).json({ error: `Kind must be one of: ${BUDGET_ADJUSTMENT_KINDS.join(', ')}` });
+    }
+    const amount = Number(req.body.amount);
+    if (req.body.amount === '' || req.body.amount === null || !Number.isFinite(amount) || amount <= 0) {
+        return res.status(400).json({ error: 'Amount must be greater than zero' });
+    }
+    const checked = budgetReason(req.body);
+    if (checked.error) {
+        return res.status(400).json({ error: checked.error });
+    }
+
+    const { data: adjustment, error } = await db.budgetAdjustments.record({
+        team_id: req.params.id,
+        kind: req.body.kind,
+        amount: currency.roundMoney(amount),
+        reason: checked.reason,
+        created_by: req.session.userId,
+        created_at: new Date().toISOString()
+    });
+    if (error) return budgetAdjustmentFailed(res, error);
+    console.log('Team budget adjusted:', adjustment.team_id, adjustment.kind, adjustment.amount);
+    res.json({ success: true, adjustment: { ...adjustment, amount: parseFloat(adjustment.amount) } });
+});
+
+// Fund transfers: part of one team's available balance moved straight to another team with
+// the same currency, with a mandatory reason and attributed to the admin or partner who made it
+app.get('/api/team-transfers', requireAdminOrPartner, async (req, res) => {
+    const teamId = req.query.team_id;
+    const results = await Promise.all(teamId
+        ? [db.teamTransfers.list({ from_team_id: teamId }), db.teamTransfers.list({ to_team_id: teamId })]
+        : [db.teamTransfers.list()]);
+    const failed = results.find(result => result.error);
+    if (failed) {
+        console.error('Database error:', failed.error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const transfers = [...new Map(results.flatMap(result => result.data).map(t => [t.id, t])).values()]
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at) || b.id - a.id);
+
+    const [{ data: teams }, { data: users }] = await Promise.all([
+        db.teams.list({ id: [...new Set(transfers.flatMap(t => [t.from_team_id, t.to_team_id]))] }, { columns: ['id', 'name', 'currency'] }),
+        db.users.list({ id: [...new Set(transfers.map(t => t.created_by).filter(Boolean))] }, { columns: ['id', 'full_name'] })
+    ]);
+    const teamsMap = new Map((teams || []).map(t => [t.id, t]));
+    const usersMap = new Map((users || []).map(u => [u.id, u.full_name]));
+    res.json(transfers.map(t => ({
+        ...t,
+        amount: parseFloat(t.amount),
+        currency: teamsMap.has(t.from_team_id) ? teamCurrency(teamsMap.get(t.from_team_id)) : BASE_CURRENCY,
+        from_team_name: teamsMap.has(t.from_team_id) ? teamsMap.get(t.from_team_id).name : 'Unknown',
+        to_team_name: teamsMap.has(t.to_team_id) ? teamsMap.get(t.to_team_id).name : 'Unknown',
+        created_by_name: t.created_by ? (usersMap.get(t.created_by) || 'Unknown') : null
+    })));
+});
+
+// Transfer funds between two teams; body { from_team_id, to_team_id, amount, reason }
+app.post('/api/team-transfers', requireAdminOrPartner, async (req, res) => {
+    const fromId = Number(req.body.from_team_id);
+    const toId = Number(req.body.to_team_id);
+    if (!Number.isInteger(fromId) || !Number.isInteger(toId) || fromId <= 0 || toId <= 0) {
+        return res.status(400).json({ error: 'Both teams are required' });
+    }
+    if (fromId === toId) {
+        return res.status(400).json({ error: 'Funds can only be transferred to a different team' });
+    }
+    const amount = Number(req.body.amount);
+    if (req.body.amount === '' || req.body.amount === null || !Number.isFinite(amount) || amount <= 0) {
+        return res.status(400).json({ error: 'Amount must be greater than zero' });
+    }
+    const checked = budgetReason(req.body, 'transfer funds');
+    if (checked.error) {
+        return res.status(400).json({ error: checked.error });
+    }
+
+    const { data: teams, error: teamsErr } = await db.teams.list({ id: [fromId, toId] }, { columns: ['id', 'name', 'currency'] });
+    if (teamsErr) {
+        console.error('Database error:', teamsErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (teams.length !== 2) {
+        return res.status(404).json({ error: 'Team not found' });
+    }
+    if (teamCurrency(teams[0]) !== teamCurrency(teams[1])) {
+        return res.status(400).json({ error: 'Funds can only be transferred between teams with the same currency' });
+    }
+
+    const { data: transfer, error } = await db.teamTransfers.record({
+        from_team_id: fromId,
+        to_team_id: toId,
+        amount: currency.roundMoney(amount),
+        reason: checked.reason,
+        created_by: req.session.userId,
+        created_at: new Date().toISOString()
+    });
+    if (error) {
+        if (isStoreError(error, 'NOT_FOUND')) {
+            return res.status(404).json({ error: 'Team not found' });
         }
-    if ((userExpenseCount || 0) > 0) {
-            return res.status(400).json({ error: 'Cannot delete user with existing expenses. Please remove all expenses first.' });
+        if (isStoreError(error, 'INSUFFICIENT_FUNDS')) {
+            return res.status(400).json({ error: 'Insufficient balance in the team transferring the funds' });
         }
-        
-    // Delete amount requests
-    const { error: delReqsErr } = await supabase
-        .from('amount_requests')
-        .delete()
-        .eq('user_id', userId);
-    if (delReqsErr) {
-        console.error('Database error deleting requests:', delReqsErr);
-                return res.status(500).json({ error: 'Database error' });
-            }
-    // Delete the user (only field_staff)
-    const { data: userData, error: getUserErr } = await supabase
-        .from('users')
-        .select('role')
-        .eq('id', userId)
-        .single();
-    if (getUserErr) {
-        console.error('Database error:', getUserErr);
-                    return res.status(500).json({ error: 'Database error' });
-                }
-    if (!userData || userData.role !== 'field_staff') {
-                    return res.status(404).json({ error: 'User not found or cannot delete admin users' });
-                }
-    const { error: delUserErr } = await supabase
-        .from('users')
-        .delete()
-        .eq('id', userId);
-    if (delUserErr) {
-        console.error('Database error deleting user:', delUserErr);
+        if (isStoreError(error, 'TEAM_CLOSED')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Database error:', error);
         return res.status(500).json({ error: 'Database error' });
     }
-                console.log('User deleted successfully:', userId);
-                res.json({ success: true });
+    console.log('Funds transferred:', transfer.from_team_id, '->', transfer.to_team_id, transfer.amount);
+    res.json({ success: true, transfer: { ...transfer, amount: parseFloat(transfer.amount) } });
 });
 
-// Expense routes
-app.get('/api/expenses', requireAuth, async (req, res) => {
-    let query = supabase.from('expenses').select('*').order('created_at', { ascending: false });
-    if (req.session.userRole === 'field_staff') {
-        query = query.eq('team_id', req.session.teamId);
+// Team lifecycle: active -> closing -> closed. A closing team takes no new expenses,
+// requests, cash advances or funds while what is outstanding is cleared; closing it out
+// returns the unspent balance to the funding pool and archives it (see db/ledger.js).
+const CLOSE_OUT_NOTE_MAX_LENGTH = 200;
+
+// Move a team from one status to another, guarded on the status it is expected to be in.
+// Sends the error response and returns null when it fails.
+const changeTeamStatus = async (req, res, from, patch, refusal) => {
+    const { data: team, error: findErr } = await db.teams.findById(req.params.id, { columns: ['id', 'status'] });
+    if (findErr) {
+        console.error('Database error:', findErr);
+        res.status(500).json({ error: 'Database error' });
+        return null;
+    }
+    if (!team) {
+        res.status(404).json({ error: 'Team not found' });
+        return null;
+    }
+    if (team.status !== from) {
+        res.status(400).json({ error: refusal });
+        return null;
+    }
+    const { data: updated, error } = await db.teams.update({ id: team.id, status: from }, patch);
+    if (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Database error' });
+        return null;
+    }
+    if (!updated.length) {
+        res.status(409).json({ error: 'The team changed at the same time, please try again' });
+        return null;
+    }
+    return updated[0];
+};
+
+// What a team was funded with and spent, from its ledger, expenses and cash advances: a
+// running statement while it is open, its close-out statement once closed
+const teamStatement = async (team) => {
+    const [entriesResult, expensesResult, advancesResult] = await Promise.all([
+        ledger.listTeamEntries(db.ledgerEntries, team.id),
+        db.expenses.list({ team_id: team.id }, { columns: ['user_id', 'category', 'amount', 'status'] }),
+        db.cashAdvances.list({ team_id: team.id })
+    ]);
+    const failed = [entriesResult, expensesResult, advancesResult].find(result => result.error);
+    if (failed) throw failed.error;
+
+    // Net money each kind of entry brought into the team from the funding pool
+    const funding = {};
+    entriesResult.data.forEach(entry => {
+        if (entry.debit_account !== ledger.FUNDING_ACCOUNT && entry.credit_account !== ledger.FUNDING_ACCOUNT) return;
+        const amount = parseFloat(entry.amount);
+        funding[entry.entry_type] = (funding[entry.entry_type] || 0) + (entry.credit_account === ledger.FUNDING_ACCOUNT ? amount : -amount);
+    });
+    const funded = (type) => currency.roundMoney(funding[type] || 0);
+
+    // Money moved in from or out to other teams
+    const available = ledger.teamAccount(team.id);
+    const transfers = entriesResult.data.filter(entry => entry.entry_type === 'transfer');
+    const transferred = (direction) => currency.roundMoney(transfers
+        .filter(entry => (direction === 'in' ? entry.debit_account : entry.credit_account) === available)
+        .reduce((sum, entry) => sum + parseFloat(entry.amount), 0));
+
+    const approved = expensesResult.data.filter(e => e.status === 'approved');
+    const totals = (key) => {
+        const sums = new Map();
+        approved.forEach(e => sums.set(e[key], (sums.get(e[key]) || 0) + parseFloat(e.amount)));
+        return [...sums.entries()].map(([id, amount]) => ({ id, amount: currency.roundMoney(amount) })).sort((a, b) => b.amount - a.amount);
+    };
+    const byCategory = totals('category');
+    const byMember = totals('user_id');
+    const [{ data: categories, error: catErr }, { data: users, error: usersErr }] = await Promise.all([
+        db.expenseCategories.list({ slug: byCategory.map(row => row.id) }, { columns: ['slug', 'name'] }),
+        db.users.list({ id: [...byMember.map(row => row.id), team.closed_by].filter(Boolean) }, { columns: ['id', 'full_name'] })
+    ]);
+    if (catErr || usersErr) throw catErr || usersErr;
+    const categoryNames = new Map(categories.map(c => [c.slug, c.name]));
+    const userNames = new Map(users.map(u => [u.id, u.full_name]));
+
+    const advances = advancesResult.data;
+    const advanceSum = (key) => currency.roundMoney(advances.reduce((sum, a) => sum + parseFloat(a[key] || 0), 0));
+    const countStatus = (statuses) => expensesResult.data.filter(e => statuses.includes(e.status)).length;
+    const statement = {
+        team_id: team.id,
+        team_name: team.name,
+        location: team.location,
+        currency: teamCurrency(team),
+        status: team.status,
+        opened_at: team.created_at,
+        closing_started_at: team.closing_started_at || null,
+        closed_at: team.closed_at || null,
+        closed_by_name: team.closed_by ? (userNames.get(team.closed_by) || 'Unknown') : null,
+        close_out_note: team.close_out_note || null,
+        opening: funded('opening'),
+        top_ups: funded('top_up'),
+        allocations: funded('allocation'),
+        claw_backs: -funded('claw_back'),
+        transfers_in: transferred('in'),
+        transfers_out: transferred('out'),
+        spent: currency.roundMoney(parseFloat(team.used_amount || 0)),
+        returned: -funded('close_out'),
+        available: currency.roundMoney(parseFloat(team.remaining_amount || 0)),
+        reserved: currency.roundMoney(parseFloat(team.reserved_amount || 0)),
+        advanced: currency.roundMoney(parseFloat(team.advanced_amount || 0)),
+        expenses: {
+            approved: approved.length,
+            rejected: countStatus(['rejected']),
+            under_review: countStatus(['submitted', 'needs_info'])
+        },
+        spent_by_category: byCategory.map(row => ({ category: row.id, name: categoryNames.get(row.id) || row.id, amount: row.amount })),
+        spent_by_member: byMember.map(row => ({ user_id: row.id, name: userNames.get(row.id) || 'Unknown', amount: row.amount })),
+        cash_advances: {
+            count: advances.length,
+            open: advances.filter(a => a.status === 'open').length,
+            issued: advanceSum('amount'),
+            spent: advanceSum('spent_amount'),
+            returned: advanceSum('returned_amount'),
+            topped_up: advanceSum('top_up_amount')
+        }
+    };
+    statement.total_funded = currency.roundMoney(statement.opening + statement.top_ups + statement.allocations - statement.claw_backs
+        + statement.transfers_in - statement.transfers_out);
+    return statement;
+};
+
+// Start closing a team: it is frozen until closed out or reopened
+app.post('/api/teams/:id/close', requireAdminOrPartner, async (req, res) => {
+    const team = await changeTeamStatus(req, res, 'active', {
+        status: 'closing',
+        closing_started_at: new Date().toISOString(),
+        closing_started_by: req.session.userId
+    }, 'Only an active team can be closed');
+    if (!team) return;
+    console.log('Team closing:', team.id);
+    res.json({ success: true, team: formatTeam(team) });
+});
+
+// Reopen a team that is closing, lifting the freeze
+app.post('/api/teams/:id/reopen', requireAdminOrPartner, async (req, res) => {
+    const team = await changeTeamStatus(req, res, 'closing', {
+        status: 'active',
+        closing_started_at: null,
+        closing_started_by: null
+    }, 'Only a team that is closing can be reopened');
+    if (!team) return;
+    console.log('Team reopened:', team.id);
+    res.json({ success: true, team: formatTeam(team) });
+});
+
+// Close out a closing team once nothing is outstanding: its available balance goes back to the
+// funding pool, it is archived as closed and its close-out statement is returned; body { note }
+app.post('/api/teams/:id/close-out', requireAdminOrPartner, async (req, res) => {
+    const note = String(req.body.note || '').trim();
+    if (note.length > CLOSE_OUT_NOTE_MAX_LENGTH) {
+        return res.status(400).json({ error: `Note must be at most ${CLOSE_OUT_NOTE_MAX_LENGTH} characters` });
+    }
+    const { data: team, error } = await db.teams.closeOut(req.params.id, req.session.userId, note || null);
+    if (error) {
+        if (isStoreError(error, 'NOT_FOUND')) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        if (isStoreError(error, 'INVALID_STATE')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Team closed out:', team.id, 'returned', team.returned_amount);
+
+    // The team's schedules could only fail from now on; the close-out stands if this fails
+    const { error: pauseErr } = await db.recurringSchedules.update({ team_id: team.id, is_paused: false }, { is_paused: true });
+    if (pauseErr) console.error('Database error pausing recurring schedules:', pauseErr);
+
+    try {
+        res.json({ success: true, team: formatTeam(team), statement: await teamStatement(team) });
+    } catch (statementErr) {
+        console.error('Database error:', statementErr);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+app.get('/api/teams/:id/statement', requireAdminOrPartner, async (req, res) => {
+    try {
+        const { data: team, error } = await db.teams.findById(req.params.id);
+        if (error) throw error;
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        res.json(await teamStatement(team));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Team ledger: every posting to the team's available balance with a running balance,
+// plus the balances implied by the ledger and whether the team row agrees with them
+app.get('/api/teams/:id/ledger', requireAuth, async (req, res) => {
+    const teamId = req.params.id;
+
+    if (req.session.userRole === 'field_staff' && req.session.teamId != teamId) {
+        return res.status(403).json({ error: 'Access denied to this team' });
+    }
+
+    const { data: team, error: teamErr } = await db.teams.findById(teamId);
+    if (teamErr) {
+        console.error('Database error:', teamErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!team) {
+        return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const { data: entries, error } = await ledger.listTeamEntries(db.ledgerEntries, team.id);
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    const userIds = [...new Set(entries.map(e => e.created_by).filter(Boolean))];
+    const { data: users } = await db.users.list({ id: userIds }, { columns: ['id', 'full_name'] });
+    const usersMap = new Map((users || []).map(u => [u.id, u.full_name]));
+
+    // Other teams on the far side of transfers
+    const counterTeam = (entry) => {
+        const account = ledger.parseTeamAccount(entry.counter_account);
+        return account && account.teamId !== team.id ? account.teamId : null;
+    };
+    const postings = ledger.withRunningBalance(ledger.teamAccount(team.id), entries);
+    const { data: counterTeams } = await db.teams.list({ id: [...new Set(postings.map(counterTeam).filter(Boolean))] }, { columns: ['id', 'name'] });
+    const teamsMap = new Map((counterTeams || []).map(t => [t.id, t.name]));
+
+    const balances = ledger.teamBalancesFromEntries(team.id, entries);
+    const mismatches = ledger.balanceMismatches(team, balances);
+    res.json({
+        team_id: team.id,
+        currency: teamCurrency(team),
+        account: ledger.teamAccount(team.id),
+        entries: postings.map(e => ({
+            ...e,
+            counter_team_name: counterTeam(e) ? (teamsMap.get(counterTeam(e)) || 'Unknown') : null,
+            created_by_name: e.created_by ? (usersMap.get(e.created_by) || 'Unknown') : null
+        })),
+        balances,
+        in_sync: mismatches.length === 0,
+        mismatches
+    });
+});
+
+// Category allocations of a team and how much of each is held by its expenses
+// (approved = spent, pending = submitted or needs_info and still reserved)
+const categoryBudgetSummary = async (team) => {
+    const [budgets, expenses, categories] = await Promise.all([
+        db.teamCategoryBudgets.list({ team_id: team.id }),
+        db.expenses.list(
+            { team_id: team.id, status: Object.keys(ledger.EXPENSE_STATUS_BUCKETS) },
+            { columns: ['category', 'amount', 'status'] }
+        ),
+        db.expenseCategories.list()
+    ]);
+    const error = budgets.error || expenses.error || categories.error;
+    if (error) return { data: null, error };
+
+    const rows = new Map();
+    const rowFor = (slug) => {
+        if (!rows.has(slug)) rows.set(slug, { category: slug, allocated: null, approved: 0, pending: 0 });
+        return rows.get(slug);
+    };
+    budgets.data.forEach(budget => { rowFor(budget.category).allocated = parseFloat(budget.amount); });
+    expenses.data.forEach(expense => {
+        const row = rowFor(expense.category || 'general');
+        row[expense.status === 'approved' ? 'approved' : 'pending'] += parseFloat(expense.amount);
+    });
+
+    const categoriesBySlug = new Map(categories.data.map(c => [c.slug, c]));
+    const round = (value) => Math.round(value * 100) / 100;
+    const data = [...rows.values()].map(row => {
+        const category = categoriesBySlug.get(row.category) || {};
+        return {
+            ...row,
+            name: category.name || row.category,
+            icon: category.icon || 'fa-tag',
+            color: category.color || '#6c757d',
+            sort_order: category.sort_order || 0,
+            approved: round(row.approved),
+            pending: round(row.pending),
+            remaining: row.allocated === null ? null : round(row.allocated - row.approved - row.pending)
+        };
+    }).sort((a, b) => a.sort_order - b.sort_order || a.name.localeCompare(b.name));
+
+    const allocatedTotal = round(data.reduce((sum, row) => sum + (row.allocated || 0), 0));
+    return {
+        data: {
+            team_id: team.id,
+            currency: teamCurrency(team),
+            total_budget: parseFloat(team.initial_amount || 0),
+            allocated_total: allocatedTotal,
+            unallocated: round(parseFloat(team.initial_amount || 0) - allocatedTotal),
+            categories: data
+        },
+        error: null
+    };
+};
+
+app.get('/api/teams/:id/category-budgets', requireAuth, async (req, res) => {
+    if (req.session.userRole === 'field_staff' && req.session.teamId != req.params.id) {
+        return res.status(403).json({ error: 'Access denied to this team' });
+    }
+
+    const { data: team, error: teamErr } = await db.teams.findById(req.params.id);
+    if (teamErr) {
+        console.error('Database error:', teamErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!team) {
+        return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const { data, error } = await categoryBudgetSummary(team);
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    res.json(data);
+});
+
+// Replace a team's category allocations; body { budgets: [{ category, amount }] }.
+// Categories left out (or sent with an empty amount) have no allocation.
+app.put('/api/teams/:id/category-budgets', requireAdminOrPartner, async (req, res) => {
+    const budgets = Array.isArray(req.body.budgets) ? req.body.budgets : null;
+    if (!budgets) {
+        return res.status(400).json({ error: 'budgets must be a list of { category, amount }' });
+    }
+
+    const { data: team, error: teamErr } = await db.teams.findById(req.params.id);
+    if (teamErr) {
+        console.error('Database error:', teamErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!team) {
+        return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const { data: categories, error: catErr } = await db.expenseCategories.list({}, { columns: ['slug'] });
+    if (catErr) {
+        console.error('Database error:', catErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const knownSlugs = new Set(categories.map(c => c.slug));
+
+    const wanted = new Map();
+    for (const budget of budgets) {
+        if (!budget || !knownSlugs.has(budget.category)) {
+            return res.status(400).json({ error: `Unknown expense category: ${budget && budget.category}` });
+        }
+        if (budget.amount === null || budget.amount === undefined || budget.amount === '') continue;
+        const amount = parseFloat(budget.amount);
+        if (!(amount >= 0)) {
+            return res.status(400).json({ error: 'Allocations must be zero or more' });
+        }
+        wanted.set(budget.category, Math.round(amount * 100) / 100);
+    }
+    const allocatedTotal = [...wanted.values()].reduce((sum, amount) => sum + amount, 0);
+    if (allocatedTotal - parseFloat(team.initial_amount || 0) >= 0.005) {
+        return res.status(400).json({ error: `Category allocations (${allocatedTotal.toFixed(2)}) exceed the team budget (${parseFloat(team.initial_amount || 0).toFixed(2)})` });
+    }
+
+    // Saves every allocation, or none of them
+    const { error: saveErr } = await db.teamCategoryBudgets.replaceForTeam(
+        team.id,
+        [...wanted.entries()].map(([category, amount]) => ({ category, amount })),
+        req.session.userId
+    );
+    if (saveErr) {
+        if (isStoreError(saveErr, 'NOT_FOUND')) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        if (isStoreError(saveErr, 'TEAM_CLOSED')) {
+            return res.status(409).json({ error: saveErr.message, code: 'TEAM_CLOSED' });
+        }
+        console.error('Database error:', saveErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    const { data, error } = await categoryBudgetSummary(team);
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Category budgets updated for team:', team.id);
+    res.json({ success: true, ...data });
+});
+
+app.get('/api/teams/:id/members', requireAdminOrPartner, async (req, res) => {
+    const teamId = req.params.id;
+    const { data: members, error } = await db.users.list(
+        { team_id: teamId, role: 'field_staff' },
+        { columns: ['id', 'username', 'full_name', 'email', 'created_at'] }
+    );
+    // Each member's spending from the team, in its currency: shares of split expenses count
+    // for the member they were attributed to, not for whoever paid
+    const [{ data: expenses, error: expensesErr }, { data: team, error: teamErr }] = await Promise.all([
+        db.expenses.list({ team_id: teamId, status: ['submitted', 'needs_info', 'approved'] }, { columns: ['user_id', 'amount', 'status', 'split_id'] }),
+        db.teams.findById(teamId, { columns: ['id', 'currency'] })
+    ]);
+    if (error || expensesErr || teamErr) {
+        console.error('Database error:', error || expensesErr || teamErr);
+            return res.status(500).json({ error: 'Database error' });
+        }
+    const spending = (memberId, include) => currency.roundMoney(expenses
+        .filter(e => e.user_id == memberId && include(e))
+        .reduce((sum, e) => sum + parseFloat(e.amount), 0));
+    res.json((members || []).map(member => ({
+        ...member,
+        currency: teamCurrency(team),
+        approved_amount: spending(member.id, e => e.status === 'approved'),
+        pending_amount: spending(member.id, e => e.status !== 'approved'),
+        shared_amount: spending(member.id, e => Boolean(e.split_id))
+    })));
+});
+
+// Delete team route
+app.delete('/api/teams/:id', requireAdminOrPartner, async (req, res) => {
+    const teamId = req.params.id;
+    
+    console.log('Deleting team with ID:', teamId);
+    
+    // First, check if team has any expenses
+    const { count: expenseCount, error: expenseCountErr } = await db.expenses.count({ team_id: teamId });
+    if (expenseCountErr) {
+        console.error('Database error:', expenseCountErr);
+            return res.status(500).json({ error: 'Database error' });
+        }
+    if ((expenseCount || 0) > 0) {
+            return res.status(400).json({ error: 'Cannot delete team with existing expenses. Close the team instead to archive it.' });
+        }
+
+    // Cash advances stay on record, settled or not
+    const { count: advanceCount, error: advanceCountErr } = await db.cashAdvances.count({ team_id: teamId });
+    if (advanceCountErr) {
+        console.error('Database error:', advanceCountErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (advanceCount > 0) {
+        return res.status(400).json({ error: 'Cannot delete team with cash advances on record.' });
+    }
+
+    // Money that went through the team stays on record too: its ledger entries (opening
+    // balance, allocations, transfers) would point at a team that no longer exists, and its
+    // balance would never go back to the funding pool
+    const { data: team, error: teamErr } = await db.teams.findById(teamId);
+    if (teamErr) {
+        console.error('Database error:', teamErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!team) {
+        return res.status(404).json({ error: 'Team not found' });
+    }
+    const { data: entries, error: entriesErr } = await ledger.listTeamEntries(db.ledgerEntries, team.id);
+    if (entriesErr) {
+        console.error('Database error:', entriesErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const holdsFunds = ['initial_amount', ...Object.values(ledger.TEAM_BUCKETS)].some(column => Math.abs(parseFloat(team[column] || 0)) >= 0.005);
+    if (entries.length > 0 || holdsFunds) {
+        return res.status(400).json({ error: 'Cannot delete a team that has been funded. Close the team instead to archive it.' });
+    }
+
+    // Delete team members
+    const { error: delUsersErr } = await db.users.remove({ team_id: teamId });
+    if (delUsersErr) {
+        console.error('Database error deleting team members:', delUsersErr);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            // Delete amount requests
+    const { error: delReqErr } = await db.amountRequests.remove({ team_id: teamId });
+    if (delReqErr) {
+        console.error('Database error deleting requests:', delReqErr);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                
+    // Delete the team
+    const { error: delTeamErr } = await db.teams.remove({ id: teamId });
+    if (delTeamErr) {
+        console.error('Database error deleting team:', delTeamErr);
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+                    console.log('Team deleted successfully:', teamId);
+                    res.json({ success: true });
+});
+
+// User routes
+app.post('/api/users', requireAdminOrPartner, async (req, res) => {
+    const { username, password, full_name, email, team_id } = req.body;
+    const hashedPassword = bcrypt.hashSync(password, 10);
+    const { data, error } = await db.users.create({ username, password: hashedPassword, role: 'field_staff', full_name, email: email || '', team_id, created_at: new Date().toISOString() });
+    if (error) {
+        console.error('Database error:', error);
+        if (isUniqueViolation(error)) {
+                return res.status(400).json({ error: 'Username already exists' });
+            }
+            return res.status(500).json({ error: 'Database error' });
+        }
+    console.log('User created with ID:', data.id);
+    res.json({ success: true, id: data.id });
+});
+
+// Delete user route
+app.delete('/api/users/:id', requireAdminOrPartner, async (req, res) => {
+    const userId = req.params.id;
+    
+    console.log('Deleting user with ID:', userId);
+    
+    // Check if user has any expenses
+    const { count: userExpenseCount, error: expCntErr } = await db.expenses.count({ user_id: userId });
+    if (expCntErr) {
+        console.error('Database error:', expCntErr);
+            return res.status(500).json({ error: 'Database error' });
+        }
+    if ((userExpenseCount || 0) > 0) {
+            return res.status(400).json({ error: 'Cannot delete user with existing expenses. Please remove all expenses first.' });
+        }
+
+    const { count: userAdvanceCount, error: advCntErr } = await db.cashAdvances.count({ user_id: userId });
+    if (advCntErr) {
+        console.error('Database error:', advCntErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (userAdvanceCount > 0) {
+        return res.status(400).json({ error: 'Cannot delete user with cash advances on record.' });
+    }
+        
+    // Delete amount requests
+    const { error: delReqsErr } = await db.amountRequests.remove({ user_id: userId });
+    if (delReqsErr) {
+        console.error('Database error deleting requests:', delReqsErr);
+                return res.status(500).json({ error: 'Database error' });
+            }
+    // Delete the user (only field_staff)
+    const { data: userData, error: getUserErr } = await db.users.findById(userId, { columns: ['role'] });
+    if (getUserErr) {
+        console.error('Database error:', getUserErr);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+    if (!userData || userData.role !== 'field_staff') {
+                    return res.status(404).json({ error: 'User not found or cannot delete admin users' });
+                }
+    const { error: delUserErr } = await db.users.remove({ id: userId });
+    if (delUserErr) {
+        console.error('Database error deleting user:', delUserErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+                console.log('User deleted successfully:', userId);
+                res.json({ success: true });
+});
+
+// Expense category routes
+app.get('/api/categories', requireAuth, async (req, res) => {
+    // Field staff only ever pick from the active categories
+    const filters = req.session.userRole === 'field_staff' || req.query.active === 'true' ? { is_active: true } : {};
+    const { data, error } = await db.expenseCategories.list(filters);
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    res.json(data.sort((a, b) => a.sort_order - b.sort_order || a.name.localeCompare(b.name)).map(formatCategory));
+});
+
+app.post('/api/categories', requireAdminOrPartner, async (req, res) => {
+    const { row, error: invalid } = categoryFields(req.body);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    const slug = slugify(req.body.slug || row.name);
+    if (!slug) {
+        return res.status(400).json({ error: 'Category name must contain letters or numbers' });
+    }
+
+    const { data, error } = await db.expenseCategories.create({
+        icon: 'fa-tag',
+        color: '#6c757d',
+        sort_order: 0,
+        is_active: true,
+        ...row,
+        slug,
+        created_by: req.session.userId,
+        created_at: new Date().toISOString()
+    });
+    if (error) {
+        if (isUniqueViolation(error)) {
+            return res.status(400).json({ error: 'A category with this name already exists' });
+        }
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Expense category created:', data.slug);
+    res.json({ success: true, category: formatCategory(data) });
+});
+
+// The slug is fixed once created because existing expenses refer to it
+app.put('/api/categories/:id', requireAdminOrPartner, async (req, res) => {
+    const { row, error: invalid } = categoryFields(req.body, { partial: true });
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    if (!Object.keys(row).length) {
+        return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const { data, error } = await db.expenseCategories.update({ id: req.params.id }, row);
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!data.length) {
+        return res.status(404).json({ error: 'Category not found' });
+    }
+    res.json({ success: true, category: formatCategory(data[0]) });
+});
+
+app.delete('/api/categories/:id', requireAdminOrPartner, async (req, res) => {
+    const { data: category, error: getErr } = await db.expenseCategories.findById(req.params.id);
+    if (getErr) {
+        console.error('Database error:', getErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!category) {
+        return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const { count, error: cntErr } = await db.expenses.count({ category: category.slug });
+    if (cntErr) {
+        console.error('Database error:', cntErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (count > 0) {
+        return res.status(400).json({ error: 'Category is used by existing expenses. Deactivate it instead.' });
+    }
+
+    // Policy rules and recurring expenses naming the category would be left pointing at nothing
+    const [{ data: rules, error: rulesErr }, { data: schedules, error: schedulesErr }] = await Promise.all([
+        db.expensePolicyRules.list({ category: category.slug }, { columns: ['id', 'name'] }),
+        db.recurringSchedules.list({ category: category.slug }, { columns: ['id', 'description'] })
+    ]);
+    if (rulesErr || schedulesErr) {
+        console.error('Database error:', rulesErr || schedulesErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (rules.length || schedules.length) {
+        const usedBy = [
+            rules.length ? `policy rules (${rules.map(r => r.name).join(', ')})` : null,
+            schedules.length ? `recurring expenses (${schedules.map(r => r.description).join(', ')})` : null
+        ].filter(Boolean);
+        return res.status(400).json({
+            error: `Category is used by ${usedBy.join(' and ')}. Change or delete them first, or deactivate the category instead.`,
+            policy_rules: rules,
+            recurring_schedules: schedules
+        });
+    }
+
+    // Allocations for a category nothing was spent on go with it
+    const { error: budgetErr } = await db.teamCategoryBudgets.remove({ category: category.slug });
+    if (budgetErr) {
+        console.error('Database error:', budgetErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    const { error } = await db.expenseCategories.remove({ id: category.id });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Expense category deleted:', category.slug);
+    res.json({ success: true });
+});
+
+// Vendor routes. Expenses register their merchant as a vendor (see vendorColumns); admins and
+// partners tidy up the registry and review spend per vendor.
+const VENDOR_SUGGESTION_LIMIT = 10;
+
+// Active vendors whose name contains q, names starting with it first (merchant autosuggest)
+app.get('/api/vendors', requireAuth, async (req, res) => {
+    const query = normalizeVendorName(req.query.q);
+    const { data, error } = await db.vendors.list({ is_active: true }, { columns: ['id', 'name', 'notes', 'is_active'], orderBy: 'name' });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const rank = (vendor) => (vendor.name.toLowerCase().startsWith(query) ? 0 : 1);
+    const vendors = data
+        .filter(vendor => !query || vendor.name.toLowerCase().includes(query))
+        .sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+    res.json((query ? vendors.slice(0, VENDOR_SUGGESTION_LIMIT) : vendors).map(formatVendor));
+});
+
+// Spend per vendor across teams, optionally limited to a date range (on expense_date) and a
+// team. Approved expenses count as spend; submitted and needs_info ones as pending. Amounts are
+// in the base currency, converted at the rate of each expense's date.
+app.get('/api/vendors/spend', requireAdminOrPartner, async (req, res) => {
+    const { from_date: fromDate, to_date: toDate } = req.query;
+    if ([fromDate, toDate].some(date => date && !EXPENSE_DATE_PATTERN.test(date))) {
+        return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+    }
+    const { data: vendors, error: vendorErr } = await db.vendors.list({}, { orderBy: 'name' });
+    if (vendorErr) {
+        console.error('Database error:', vendorErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const filters = { vendor_id: vendors.map(v => v.id), status: ['approved', 'submitted', 'needs_info'] };
+    if (req.query.team_id) filters.team_id = req.query.team_id;
+    if (fromDate || toDate) filters.expense_date = { gte: fromDate || undefined, lte: toDate || undefined };
+    let rates;
+    try {
+        rates = await loadExchangeRates();
+    } catch (rateErr) {
+        console.error('Database error:', rateErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const [{ data: expenses, error }, { data: teams, error: teamErr }] = await Promise.all([
+        db.expenses.list(filters, { columns: ['vendor_id', 'team_id', 'amount', 'status', 'expense_date'] }),
+        db.teams.list({}, { columns: ['id', 'name', 'currency'] })
+    ]);
+    if (error || teamErr) {
+        console.error('Database error:', error || teamErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    const teamsById = new Map(teams.map(t => [t.id, t]));
+    const totals = new Map(vendors.map(v => [v.id, {
+        ...formatVendor(v),
+        expense_count: 0,
+        approved_amount: 0,
+        pending_amount: 0,
+        last_expense_date: null,
+        teams: new Map()
+    }]));
+    expenses.forEach(e => {
+        const vendor = totals.get(e.vendor_id);
+        const amount = toBaseAmount(rates, e.amount, teamsById.get(e.team_id), e.expense_date || todayDate());
+        const column = e.status === 'approved' ? 'approved_amount' : 'pending_amount';
+        if (!vendor.teams.has(e.team_id)) {
+            const team = teamsById.get(e.team_id);
+            vendor.teams.set(e.team_id, { team_id: e.team_id, team_name: team ? team.name : 'Unknown', expense_count: 0, approved_amount: 0, pending_amount: 0 });
+        }
+        const team = vendor.teams.get(e.team_id);
+        vendor.expense_count += 1;
+        team.expense_count += 1;
+        vendor[column] += amount;
+        team[column] += amount;
+        if (e.expense_date && (!vendor.last_expense_date || e.expense_date > vendor.last_expense_date)) {
+            vendor.last_expense_date = e.expense_date;
+        }
+    });
+
+    // Vendors without spend in the range are left out unless asked for
+    const includeUnused = req.query.include_unused === 'true';
+    const rounded = (row) => ({ ...row, approved_amount: currency.roundMoney(row.approved_amount), pending_amount: currency.roundMoney(row.pending_amount) });
+    res.json([...totals.values()]
+        .filter(vendor => includeUnused || vendor.expense_count > 0)
+        .map(vendor => ({
+            ...rounded(vendor),
+            teams: [...vendor.teams.values()].map(rounded).sort((a, b) => b.approved_amount - a.approved_amount)
+        }))
+        .sort((a, b) => b.approved_amount - a.approved_amount || b.pending_amount - a.pending_amount || a.name.localeCompare(b.name)));
+});
+
+app.post('/api/vendors', requireAdminOrPartner, async (req, res) => {
+    const { row, error: invalid } = vendorFields(req.body);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    const { data, error } = await db.vendors.create({
+        is_active: true,
+        ...row,
+        created_by: req.session.userId,
+        created_at: new Date().toISOString()
+    });
+    if (error) {
+        if (isUniqueViolation(error)) {
+            return res.status(400).json({ error: 'A vendor with this name already exists' });
+        }
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Vendor created:', data.name);
+    res.json({ success: true, vendor: formatVendor(data) });
+});
+
+// Renaming a vendor also renames the merchant on its expenses
+app.put('/api/vendors/:id', requireAdminOrPartner, async (req, res) => {
+    const { row, error: invalid } = vendorFields(req.body, { partial: true });
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    if (!Object.keys(row).length) {
+        return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const { data, error } = await db.vendors.update({ id: req.params.id }, row);
+    if (error) {
+        if (isUniqueViolation(error)) {
+            return res.status(400).json({ error: 'A vendor with this name already exists' });
+        }
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!data.length) {
+        return res.status(404).json({ error: 'Vendor not found' });
+    }
+    if (row.name) {
+        const { error: renameErr } = await db.expenses.update({ vendor_id: data[0].id }, { merchant: row.name });
+        if (renameErr) {
+            console.error('Database error:', renameErr);
+            return res.status(500).json({ error: 'Database error' });
+        }
+    }
+    res.json({ success: true, vendor: formatVendor(data[0]) });
+});
+
+// Exchange rates (see db/currency.js). Everyone can read them to pick the currency an expense
+// was paid in; admins and partners maintain them by hand or by importing a CSV file.
+const formatExchangeRate = (rate) => ({ ...rate, rate: parseFloat(rate.rate) });
+
+// Add a rate, or replace the one already set for that currency and day
+const saveExchangeRate = async (row, createdBy) => {
+    const { data: existing, error } = await db.exchangeRates.findOne({ currency: row.currency, effective_date: row.effective_date });
+    if (error) return { error };
+    if (existing) {
+        const { data, error: updateErr } = await db.exchangeRates.update({ id: existing.id }, { rate: row.rate });
+        return { data: data && data[0], error: updateErr, replaced: true };
+    }
+    return db.exchangeRates.create({ ...row, created_by: createdBy, created_at: new Date().toISOString() });
+};
+
+app.get('/api/exchange-rates', requireAuth, async (req, res) => {
+    const { data, error } = await db.exchangeRates.list({}, { orderBy: 'effective_date', ascending: false });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const rates = data.map(formatExchangeRate).sort((a, b) => a.currency.localeCompare(b.currency));
+    res.json({
+        base_currency: BASE_CURRENCY,
+        currencies: [BASE_CURRENCY, ...new Set(rates.map(r => r.currency))],
+        rates
+    });
+});
+
+app.post('/api/exchange-rates', requireAdminOrPartner, async (req, res) => {
+    const { row, error: invalid } = currency.rateFields(req.body, BASE_CURRENCY, todayDate());
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    const { data, error } = await saveExchangeRate(row, req.session.userId);
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Exchange rate saved:', row.currency, row.effective_date, row.rate);
+    res.json({ success: true, rate: formatExchangeRate(data) });
+});
+
+// body { csv }: one "currency,rate[,effective_date]" line per rate (see currency.parseRatesCsv).
+// Nothing is saved unless every line is valid.
+app.post('/api/exchange-rates/import', requireAdminOrPartner, async (req, res) => {
+    const { rows, error: invalid } = currency.parseRatesCsv(req.body.csv, BASE_CURRENCY, todayDate());
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    let replaced = 0;
+    for (const row of rows) {
+        const result = await saveExchangeRate(row, req.session.userId);
+        if (result.error) {
+            console.error('Database error:', result.error);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (result.replaced) replaced += 1;
+    }
+    console.log('Exchange rates imported:', rows.length);
+    res.json({ success: true, imported: rows.length - replaced, replaced });
+});
+
+// A team's currency keeps at least one rate so its amounts can be reported
+app.delete('/api/exchange-rates/:id', requireAdminOrPartner, async (req, res) => {
+    const { data: rate, error: getErr } = await db.exchangeRates.findById(req.params.id);
+    if (getErr) {
+        console.error('Database error:', getErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!rate) {
+        return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+    const [{ count: rateCount, error: countErr }, { count: teamCount, error: teamErr }] = await Promise.all([
+        db.exchangeRates.count({ currency: rate.currency }),
+        db.teams.count({ currency: rate.currency })
+    ]);
+    if (countErr || teamErr) {
+        console.error('Database error:', countErr || teamErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (rateCount === 1 && teamCount > 0) {
+        return res.status(400).json({ error: `${rate.currency} is used by ${teamCount} team(s) and needs at least one rate` });
+    }
+
+    const { error } = await db.exchangeRates.remove({ id: rate.id });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    res.json({ success: true });
+});
+
+// Allowance rate routes: the rate per km of each vehicle type and the daily rate of each
+// location that mileage and per-diem expenses are computed with (see db/allowances.js)
+const formatAllowanceRate = (rate) => ({ ...rate, rate: parseFloat(rate.rate), is_active: Boolean(rate.is_active) });
+
+app.get('/api/allowance-rates', requireAuth, async (req, res) => {
+    // Field staff only ever pick from the active rates
+    const filters = req.session.userRole === 'field_staff' || req.query.active === 'true' ? { is_active: true } : {};
+    if (req.query.kind) {
+        filters.kind = String(req.query.kind);
+    }
+    const { data, error } = await db.allowanceRates.list(filters);
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    res.json(data.sort((a, b) => a.kind.localeCompare(b.kind) || a.name.localeCompare(b.name)).map(formatAllowanceRate));
+});
+
+app.post('/api/allowance-rates', requireAdminOrPartner, async (req, res) => {
+    const { row, error: invalid } = allowances.rateFields(req.body);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    const { data, error } = await db.allowanceRates.create({
+        is_active: true,
+        ...row,
+        created_by: req.session.userId,
+        created_at: new Date().toISOString()
+    });
+    if (error) {
+        if (isUniqueViolation(error)) {
+            return res.status(400).json({ error: 'A rate with this name already exists' });
+        }
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Allowance rate created:', data.kind, data.name);
+    res.json({ success: true, rate: formatAllowanceRate(data) });
+});
+
+// A new rate applies to claims made from then on; expenses keep the rate they were claimed at
+app.put('/api/allowance-rates/:id', requireAdminOrPartner, async (req, res) => {
+    const { row, error: invalid } = allowances.rateFields(req.body, { partial: true });
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    if (!Object.keys(row).length) {
+        return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const { data, error } = await db.allowanceRates.update({ id: req.params.id }, row);
+    if (error) {
+        if (isUniqueViolation(error)) {
+            return res.status(400).json({ error: 'A rate with this name already exists' });
+        }
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!data.length) {
+        return res.status(404).json({ error: 'Rate not found' });
+    }
+    res.json({ success: true, rate: formatAllowanceRate(data[0]) });
+});
+
+app.delete('/api/allowance-rates/:id', requireAdminOrPartner, async (req, res) => {
+    const { data: rate, error: getErr } = await db.allowanceRates.findById(req.params.id);
+    if (getErr) {
+        console.error('Database error:', getErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!rate) {
+        return res.status(404).json({ error: 'Rate not found' });
+    }
+
+    const { count, error: cntErr } = await db.expenses.count({ allowance_rate_id: rate.id });
+    if (cntErr) {
+        console.error('Database error:', cntErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (count > 0) {
+        return res.status(400).json({ error: 'Rate is used by existing expenses. Deactivate it instead.' });
+    }
+
+    const { error } = await db.allowanceRates.remove({ id: rate.id });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Allowance rate deleted:', rate.kind, rate.name);
+    res.json({ success: true });
+});
+
+// Recurring expenses and scheduled allocations (see db/recurring.js). Due occurrences are
+// run by an in-process scheduler every RECURRING_CHECK_MINUTES and whenever a schedule changes.
+const RECURRING_CHECK_MINUTES = parseFloat(process.env.RECURRING_CHECK_MINUTES || '60');
+
+const formatSchedule = (schedule) => ({ ...schedule, amount: parseFloat(schedule.amount), is_paused: Boolean(schedule.is_paused) });
+
+// Run one occurrence of a schedule: an expense dated the occurrence that awaits review like any
+// other, or a top-up from the funding pool. Resolves to the columns to log on its run; an
+// occurrence the policies or the team balance refuse is logged as failed with the reason.
+const runOccurrence = async (schedule, date) => {
+    if (schedule.kind === 'top_up') {
+        const { data, error } = await db.ledgerEntries.post([{
+            entry_type: 'top_up',
+            debit_account: ledger.teamAccount(schedule.team_id),
+            credit_account: ledger.FUNDING_ACCOUNT,
+            amount: parseFloat(schedule.amount),
+            reference_type: 'recurring_schedule',
+            reference_id: schedule.id,
+            memo: schedule.description,
+            created_by: schedule.created_by
+        }]);
+        if (isStoreError(error, 'TEAM_CLOSED')) return { status: 'failed', error: error.message };
+        if (error) throw error;
+        return { ledger_entry_id: data[0].id, amount: parseFloat(schedule.amount) };
+    }
+
+    // Schedules from before a member was required name none
+    if (!schedule.user_id) return { status: 'failed', error: 'The schedule names no member to attribute the expense to' };
+    const category = schedule.category || 'general';
+    const money = await expenseAmounts(schedule.team_id, schedule.amount, null, date);
+    if (money.error) return { status: 'failed', error: money.error };
+    const outcome = await checkExpensePolicies({ amount: money.columns.amount * money.teamRate, category, nights: null, has_receipt: false, expense_type: 'standard' });
+    if (outcome.blocked.length) return { status: 'failed', error: outcome.blocked.join('. ') };
+    const { data, error } = await db.expenses.createWithUsage(
+        { team_id: schedule.team_id, user_id: schedule.user_id, description: schedule.description, expense_type: 'standard', ...money.columns, category, expense_date: date, ...policyColumns(outcome), status: 'submitted', created_at: new Date().toISOString() }
+    );
+    if (error) {
+        if (isStoreError(error, 'INSUFFICIENT_FUNDS')) return { status: 'failed', error: 'Insufficient team balance' };
+        if (isStoreError(error, 'CATEGORY_LIMIT') || isStoreError(error, 'TEAM_CLOSED')) return { status: 'failed', error: error.message };
+        throw error;
+    }
+    return { expense_id: data.id, amount: parseFloat(data.amount) };
+};
+
+// Run every occurrence that has come due. Each one is claimed by logging it first, so an
+// occurrence another server process (or an earlier, interrupted pass) claimed is left alone.
+const runDueSchedules = async (today) => {
+    const { data: schedules, error } = await db.recurringSchedules.list({ is_paused: false, next_run_on: { lte: today } }, { orderBy: 'id' });
+    if (error) throw error;
+    for (const schedule of schedules) {
+        for (const date of recurring.dueOccurrences(schedule, today)) {
+            const { data: run, error: claimErr } = await db.recurringRuns.create({
+                schedule_id: schedule.id,
+                occurrence_date: date,
+                status: 'generated',
+                created_at: new Date().toISOString()
+            });
+            if (claimErr && !isUniqueViolation(claimErr)) throw claimErr;
+            if (run) {
+                let result;
+                try {
+                    result = await runOccurrence(schedule, date);
+                } catch (runErr) {
+                    console.error('Database error:', runErr);
+                    result = { status: 'failed', error: 'Database error' };
+                }
+                const { error: logErr } = await db.recurringRuns.update({ id: run.id }, result);
+                if (logErr) throw logErr;
+                console.log(`Recurring ${schedule.kind} #${schedule.id} for ${date}: ${result.status || 'generated'}`);
+            }
+            const { error: nextErr } = await db.recurringSchedules.update({ id: schedule.id }, { next_run_on: recurring.followingRun(schedule, date) });
+            if (nextErr) throw nextErr;
+        }
+    }
+};
+
+// Passes never overlap. A pass asked for while one runs follows it, since the running pass
+// has already loaded its schedules and would miss one created or changed since; everything
+// asked for in the meantime shares that follow-up pass.
+let recurringPass = null;
+let recurringFollowUp = null;
+const runRecurringSchedules = () => {
+    if (recurringPass) {
+        if (!recurringFollowUp) {
+            recurringFollowUp = recurringPass.then(() => {
+                recurringFollowUp = null;
+                return runRecurringSchedules();
+            });
+        }
+        return recurringFollowUp;
+    }
+    recurringPass = runDueSchedules(new Date().toISOString().slice(0, 10))
+        .catch(error => console.error('Error running recurring schedules:', error))
+        .finally(() => {
+            recurringPass = null;
+        });
+    return recurringPass;
+};
+
+// The team of a schedule, and for an expense its category and the member it is attributed to
+// (a field staff member of that team, required). Resolves to the columns to store or an
+// { error } message.
+const scheduleTargetFields = async (kind, body, current = null) => {
+    const row = {};
+    const teamId = current ? current.team_id : body.team_id;
+    const { data: team, error } = await db.teams.findById(teamId, { columns: ['id'] });
+    if (error) throw error;
+    if (!team) return { error: 'Team not found' };
+    if (!current) row.team_id = team.id;
+    if (kind !== 'expense') return { row };
+
+    if (body.category !== undefined || !current) {
+        const category = body.category || 'general';
+        if (category !== (current && current.category) && !(await isActiveCategory(category))) {
+            return { error: 'Invalid or inactive expense category' };
+        }
+        row.category = category;
+    }
+    if (body.user_id !== undefined || !current) {
+        if (isBlank(body.user_id)) return { error: 'Choose the member of the team the expense is attributed to' };
+        const { data: member, error: memberErr } = await db.users.findOne({ id: body.user_id, team_id: team.id, role: 'field_staff' }, { columns: ['id'] });
+        if (memberErr) throw memberErr;
+        if (!member) return { error: 'The expense can only be attributed to a member of the team' };
+        row.user_id = member.id;
+    }
+    return { row };
+};
+
+app.get('/api/recurring-schedules', requireAdminOrPartner, async (req, res) => {
+    const filters = req.query.team_id ? { team_id: req.query.team_id } : {};
+    const { data: schedules, error } = await db.recurringSchedules.list(filters, { orderBy: 'created_at', ascending: false });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const [{ data: teams }, { data: users }, { data: runs }] = await Promise.all([
+        db.teams.list({ id: [...new Set(schedules.map(s => s.team_id))] }, { columns: ['id', 'name', 'currency'] }),
+        db.users.list({ id: [...new Set(schedules.map(s => s.user_id).filter(Boolean))] }, { columns: ['id', 'full_name'] }),
+        db.recurringRuns.list({ schedule_id: schedules.map(s => s.id) }, { columns: ['schedule_id', 'occurrence_date', 'status'], orderBy: 'occurrence_date' })
+    ]);
+    const teamsMap = new Map((teams || []).map(t => [t.id, t]));
+    const usersMap = new Map((users || []).map(u => [u.id, u.full_name]));
+    const lastRuns = new Map((runs || []).map(run => [run.schedule_id, run]));
+    res.json(schedules.map(schedule => ({
+        ...formatSchedule(schedule),
+        team_name: teamsMap.has(schedule.team_id) ? teamsMap.get(schedule.team_id).name : 'Unknown',
+        currency: teamCurrency(teamsMap.get(schedule.team_id)),
+        user_name: schedule.kind === 'expense' ? (usersMap.get(schedule.user_id) || 'Unknown') : null,
+        last_run: lastRuns.get(schedule.id) || null
+    })));
+});
+
+app.post('/api/recurring-schedules', requireAdminOrPartner, async (req, res) => {
+    const { row, error: invalid } = recurring.scheduleFields(req.body);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    let target;
+    try {
+        target = await scheduleTargetFields(row.kind, req.body);
+    } catch (targetErr) {
+        console.error('Database error:', targetErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (target.error) {
+        return res.status(400).json({ error: target.error });
+    }
+
+    const { data, error } = await db.recurringSchedules.create({
+        ...row,
+        ...target.row,
+        next_run_on: row.start_date,
+        is_paused: Boolean(row.is_paused),
+        created_by: req.session.userId,
+        created_at: new Date().toISOString()
+    });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Recurring schedule created:', data.kind, data.description);
+    // A schedule starting today (or earlier) runs straight away
+    await runRecurringSchedules();
+    const { data: schedule } = await db.recurringSchedules.findById(data.id);
+    res.json({ success: true, schedule: formatSchedule(schedule || data) });
+});
+
+// The kind, team, frequency and start date are fixed. Resuming a paused schedule carries on
+// from today: occurrences missed while paused are not run.
+app.put('/api/recurring-schedules/:id', requireAdminOrPartner, async (req, res) => {
+    const { row, error: invalid } = recurring.scheduleFields(req.body, { partial: true });
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    const { data: schedule, error: getErr } = await db.recurringSchedules.findById(req.params.id);
+    if (getErr) {
+        console.error('Database error:', getErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    if (row.end_date && row.end_date < String(schedule.start_date)) {
+        return res.status(400).json({ error: 'End date cannot be before the start date' });
+    }
+    let target;
+    try {
+        target = await scheduleTargetFields(schedule.kind, req.body, schedule);
+        if (target.error) {
+            return res.status(400).json({ error: target.error });
+        }
+        Object.assign(row, target.row);
+
+        const today = new Date().toISOString().slice(0, 10);
+        const updated = { ...schedule, ...row };
+        let next = schedule.next_run_on;
+        if (row.end_date !== undefined && !next) {
+            // An ended schedule whose end date moves later carries on after its last occurrence
+            const { data: [last], error: runErr } = await db.recurringRuns.list({ schedule_id: schedule.id }, { orderBy: 'occurrence_date', ascending: false, limit: 1 });
+            if (runErr) throw runErr;
+            next = last ? recurring.nextOccurrence(updated, String(last.occurrence_date)) : String(schedule.start_date);
+        }
+        if (schedule.is_paused && row.is_paused === false) {
+            while (next && next < today) next = recurring.followingRun(updated, next);
+        }
+        if (next && updated.end_date && next > String(updated.end_date)) next = null;
+        row.next_run_on = next;
+    } catch (targetErr) {
+        console.error('Database error:', targetErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    const { data, error } = await db.recurringSchedules.update({ id: schedule.id }, row);
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    await runRecurringSchedules();
+    const { data: current } = await db.recurringSchedules.findById(schedule.id);
+    res.json({ success: true, schedule: formatSchedule(current || data[0]) });
+});
+
+// Entries already generated stay; the schedule's log goes with it
+app.delete('/api/recurring-schedules/:id', requireAdminOrPartner, async (req, res) => {
+    const { data: schedule, error: getErr } = await db.recurringSchedules.findById(req.params.id);
+    if (getErr) {
+        console.error('Database error:', getErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    const { error } = await db.recurringSchedules.remove({ id: schedule.id });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Recurring schedule deleted:', schedule.kind, schedule.description);
+    res.json({ success: true });
+});
+
+// Skip the next occurrence: it is logged as skipped and the schedule moves on to the one after
+app.post('/api/recurring-schedules/:id/skip', requireAdminOrPartner, async (req, res) => {
+    const { data: schedule, error: getErr } = await db.recurringSchedules.findById(req.params.id);
+    if (getErr) {
+        console.error('Database error:', getErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    if (!schedule.next_run_on) {
+        return res.status(400).json({ error: 'This schedule has ended' });
+    }
+    const skipped = String(schedule.next_run_on);
+    const { error: runErr } = await db.recurringRuns.create({
+        schedule_id: schedule.id,
+        occurrence_date: skipped,
+        status: 'skipped',
+        created_by: req.session.userId,
+        created_at: new Date().toISOString()
+    });
+    if (runErr) {
+        if (isUniqueViolation(runErr)) {
+            return res.status(400).json({ error: 'This occurrence has already run' });
+        }
+        console.error('Database error:', runErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const nextRunOn = recurring.followingRun(schedule, skipped);
+    const { error } = await db.recurringSchedules.update({ id: schedule.id }, { next_run_on: nextRunOn });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    res.json({ success: true, skipped, next_run_on: nextRunOn });
+});
+
+// The log of a schedule's occurrences, newest first
+app.get('/api/recurring-schedules/:id/runs', requireAdminOrPartner, async (req, res) => {
+    const { data: runs, error } = await db.recurringRuns.list({ schedule_id: req.params.id }, { orderBy: 'occurrence_date', ascending: false });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const { data: users } = await db.users.list({ id: [...new Set(runs.map(r => r.created_by).filter(Boolean))] }, { columns: ['id', 'full_name'] });
+    const usersMap = new Map((users || []).map(u => [u.id, u.full_name]));
+    res.json(runs.map(run => ({
+        ...run,
+        amount: run.amount === null ? null : parseFloat(run.amount),
+        created_by_name: run.created_by ? (usersMap.get(run.created_by) || 'Unknown') : null
+    })));
+});
+
+// Expense policy rules (see db/policy.js)
+const formatPolicyRule = (rule) => ({ ...rule, threshold: parseFloat(rule.threshold), is_active: Boolean(rule.is_active) });
+
+// Validates a rule payload, returning the row to store or an { error } message
+const policyRuleFields = async (body, { partial = false } = {}) => {
+    const row = {};
+    if (body.name !== undefined || !partial) {
+        const name = String(body.name || '').trim();
+        if (!name) return { error: 'Rule name is required' };
+        row.name = name;
+    }
+    if (body.rule_type !== undefined || !partial) {
+        if (!policy.RULE_TYPES.includes(body.rule_type)) return { error: `Rule type must be one of: ${policy.RULE_TYPES.join(', ')}` };
+        row.rule_type = body.rule_type;
+    }
+    if (body.threshold !== undefined || !partial) {
+        const threshold = parseFloat(body.threshold);
+        if (!(threshold >= 0)) return { error: 'Threshold must be zero or more' };
+        row.threshold = threshold;
+    }
+    if (body.action !== undefined) {
+        if (!policy.RULE_ACTIONS.includes(body.action)) return { error: 'Action must be block or flag' };
+        row.action = body.action;
+    }
+    if (body.category !== undefined) {
+        row.category = body.category || null;
+        if (row.category) {
+            const { data, error } = await db.expenseCategories.findOne({ slug: row.category }, { columns: ['id'] });
+            if (error) throw error;
+            if (!data) return { error: 'Unknown expense category' };
+        }
+    }
+    if (body.is_active !== undefined) {
+        row.is_active = body.is_active === true || body.is_active === 'true';
+    }
+    return { row };
+};
+
+app.get('/api/policy-rules', requireAdminOrPartner, async (req, res) => {
+    const { data, error } = await db.expensePolicyRules.list({}, { orderBy: 'created_at' });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    res.json(data.map(formatPolicyRule));
+});
+
+app.post('/api/policy-rules', requireAdminOrPartner, async (req, res) => {
+    let fields;
+    try {
+        fields = await policyRuleFields(req.body);
+    } catch (catErr) {
+        console.error('Database error:', catErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (fields.error) {
+        return res.status(400).json({ error: fields.error });
+    }
+
+    const { data, error } = await db.expensePolicyRules.create({
+        action: 'flag',
+        is_active: true,
+        category: null,
+        ...fields.row,
+        created_by: req.session.userId,
+        created_at: new Date().toISOString()
+    });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Policy rule created:', data.id);
+    res.json({ success: true, rule: formatPolicyRule(data) });
+});
+
+app.put('/api/policy-rules/:id', requireAdminOrPartner, async (req, res) => {
+    let fields;
+    try {
+        fields = await policyRuleFields(req.body, { partial: true });
+    } catch (catErr) {
+        console.error('Database error:', catErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (fields.error) {
+        return res.status(400).json({ error: fields.error });
+    }
+    if (!Object.keys(fields.row).length) {
+        return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const { data, error } = await db.expensePolicyRules.update({ id: req.params.id }, fields.row);
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!data.length) {
+        return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json({ success: true, rule: formatPolicyRule(data[0]) });
+});
+
+// Flags already stored on expenses keep their message after the rule is deleted
+app.delete('/api/policy-rules/:id', requireAdminOrPartner, async (req, res) => {
+    const { data: rule, error: getErr } = await db.expensePolicyRules.findById(req.params.id, { columns: ['id'] });
+    if (getErr) {
+        console.error('Database error:', getErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!rule) {
+        return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const { error } = await db.expensePolicyRules.remove({ id: rule.id });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Policy rule deleted:', rule.id);
+    res.json({ success: true });
+});
+
+// Open duplicate suspicions (receipt_duplicates) for the given expenses, keyed by expense id,
+// each with the matching original receipt and expense for the reviewer
+const openDuplicateMatches = async (expenseIds) => {
+    const { data: rows, error } = await db.receiptDuplicates.list({ expense_id: expenseIds, dismissed_at: null }, { orderBy: 'id' });
+    if (error) throw error;
+    const attachmentIds = [...new Set(rows.flatMap(row => [row.attachment_id, row.original_attachment_id]))];
+    const [attachments, originals] = await Promise.all([
+        db.expenseAttachments.list({ id: attachmentIds }, { columns: ['id', 'file_path', 'file_name', 'thumbnail_path'] }),
+        db.expenses.list({ id: [...new Set(rows.map(row => row.original_expense_id))] }, { columns: ['id', 'description', 'amount', 'status', 'user_id', 'team_id', 'created_at'] })
+    ]);
+    if (attachments.error || originals.error) throw attachments.error || originals.error;
+    const [users, teams] = await Promise.all([
+        db.users.list({ id: [...new Set(originals.data.map(e => e.user_id))] }, { columns: ['id', 'full_name'] }),
+        db.teams.list({ id: [...new Set(originals.data.map(e => e.team_id))] }, { columns: ['id', 'name'] })
+    ]);
+    if (users.error || teams.error) throw users.error || teams.error;
+
+    const attachmentsMap = new Map(attachments.data.map(a => [a.id, a]));
+    const originalsMap = new Map(originals.data.map(e => [e.id, e]));
+    const usersMap = new Map(users.data.map(u => [u.id, u.full_name]));
+    const teamsMap = new Map(teams.data.map(t => [t.id, t.name]));
+    const byExpense = new Map();
+    rows.forEach(row => {
+        const original = originalsMap.get(row.original_expense_id);
+        if (!byExpense.has(row.expense_id)) byExpense.set(row.expense_id, []);
+        byExpense.get(row.expense_id).push({
+            id: row.id,
+            match_type: row.match_type,
+            distance: row.distance,
+            attachment: attachmentsMap.get(row.attachment_id) || null,
+            original_attachment: attachmentsMap.get(row.original_attachment_id) || null,
+            original_expense: original ? {
+                ...original,
+                user_name: usersMap.get(original.user_id) || 'Unknown',
+                team_name: teamsMap.get(original.team_id) || 'Unknown'
+            } : null
+        });
+    });
+    return byExpense;
+};
+
+// Who an expense can be split with: field staff assigned to a team, and the teams
+app.get('/api/split-participants', requireAuth, async (req, res) => {
+    const [{ data: members, error }, { data: teams, error: teamsErr }] = await Promise.all([
+        db.users.list({ role: 'field_staff' }, { columns: ['id', 'full_name', 'team_id'], orderBy: 'full_name' }),
+        db.teams.list({}, { columns: ['id', 'name', 'currency'], orderBy: 'name' })
+    ]);
+    if (error || teamsErr) {
+        console.error('Database error:', error || teamsErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const teamsMap = new Map(teams.map(t => [t.id, t.name]));
+    res.json({
+        members: members.filter(m => m.team_id).map(m => ({ ...m, team_name: teamsMap.get(m.team_id) || 'Unknown' })),
+        teams: teams.map(t => ({ id: t.id, name: t.name, currency: teamCurrency(t) }))
+    });
+});
+
+// Expense routes
+app.get('/api/expenses', requireAuth, async (req, res) => {
+    const filters = req.session.userRole === 'field_staff' ? { team_id: req.session.teamId } : {};
+    if (req.query.status) {
+        filters.status = String(req.query.status).split(',');
+    }
+    if (req.query.team_id && req.session.userRole !== 'field_staff') {
+        filters.team_id = req.query.team_id;
+    }
+    if (req.query.category) {
+        filters.category = String(req.query.category).split(',');
+    }
+    // Date range on the day the expense was made (YYYY-MM-DD, inclusive)
+    const { from_date: fromDate, to_date: toDate } = req.query;
+    if ([fromDate, toDate].some(date => date && !EXPENSE_DATE_PATTERN.test(date))) {
+        return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+    }
+    if (fromDate || toDate) {
+        filters.expense_date = { gte: fromDate || undefined, lte: toDate || undefined };
+    }
+    const { data: listed, error } = await db.expenses.list(filters, { orderBy: 'created_at', ascending: false });
+    // Field staff also see the shares they paid for other teams
+    const paid = req.session.userRole === 'field_staff'
+        ? await db.expenses.list({ ...filters, team_id: undefined, paid_by: req.session.userId }, { orderBy: 'created_at', ascending: false })
+        : { data: [], error: null };
+    if (error || paid.error) {
+        console.error('Database error:', error || paid.error);
+            return res.status(500).json({ error: 'Database error' });
+        }
+    const listedIds = new Set(listed.map(e => e.id));
+    listed.push(...paid.data.filter(e => !listedIds.has(e.id)));
+    // Merchant matches any part of the name, ignoring case; newest expense date first
+    const merchantQuery = String(req.query.merchant || '').trim().toLowerCase();
+    const expenses = listed
+        .filter(e => !merchantQuery || (e.merchant || '').toLowerCase().includes(merchantQuery))
+        .sort((a, b) => String(b.expense_date || '').localeCompare(String(a.expense_date || '')));
+    // The splits of split expenses, with all of their shares
+    const splitIds = [...new Set(expenses.map(e => e.split_id).filter(Boolean))];
+    const [{ data: splitRows }, { data: shareRows }] = await Promise.all([
+        db.expenseSplits.list({ id: splitIds }),
+        db.expenses.list({ split_id: splitIds }, { columns: ['id', 'split_id', 'user_id', 'team_id', 'amount', 'split_value', 'status'], orderBy: 'id' })
+    ]);
+    const shares = shareRows || [];
+    // Enrich with user_name, team_name and processed_by_name
+    const userIds = [...new Set(expenses.concat(shares).map(e => e.user_id).concat(expenses.map(e => e.processed_by).filter(Boolean)))];
+    const teamIds = [...new Set(expenses.concat(shares).map(e => e.team_id))];
+    const [{ data: users }, { data: teams }, { data: attachments }] = await Promise.all([
+        db.users.list({ id: userIds }, { columns: ['id', 'full_name'] }),
+        db.teams.list({ id: teamIds }, { columns: ['id', 'name', 'currency'] }),
+        db.expenseAttachments.list({ expense_id: expenses.map(e => e.id).concat(shares.map(e => e.id)) }, { orderBy: 'id' })
+    ]);
+    const usersMap = new Map((users || []).map(u => [u.id, u.full_name]));
+    const teamsMap = new Map((teams || []).map(t => [t.id, t.name]));
+    const currenciesMap = new Map((teams || []).map(t => [t.id, teamCurrency(t)]));
+    const attachmentsMap = new Map();
+    (attachments || []).forEach(a => {
+        if (!attachmentsMap.has(a.expense_id)) attachmentsMap.set(a.expense_id, []);
+        attachmentsMap.get(a.expense_id).push(a);
+    });
+    // Every share shows the receipts, which are kept with the first share
+    const splitAttachmentsMap = new Map(splitIds.map(id => [id, shares
+        .filter(share => share.split_id === id)
+        .flatMap(share => attachmentsMap.get(share.id) || [])]));
+    const splitsMap = new Map((splitRows || []).map(split => {
+        const members = shares.filter(share => share.split_id === split.id);
+        return [split.id, {
+            id: split.id,
+            method: split.method,
+            total_amount: parseFloat(split.total_amount),
+            currency: split.currency,
+            paid_by_name: usersMap.get(split.user_id) || 'Unknown',
+            shares: members.map(share => ({
+                id: share.id,
+                user_name: usersMap.get(share.user_id) || 'Unknown',
+                team_name: teamsMap.get(share.team_id) || 'Unknown',
+                amount: parseFloat(share.amount),
+                currency: currenciesMap.get(share.team_id) || BASE_CURRENCY,
+                split_value: share.split_value === null ? null : parseFloat(share.split_value),
+                status: share.status
+            }))
+        }];
+    }));
+    // Suspected duplicate receipts are only shown to reviewers
+    const isReviewer = req.session.userRole === 'admin' || req.session.userRole === 'partner';
+    let duplicateMatches = new Map();
+    if (isReviewer) {
+        try {
+            duplicateMatches = await openDuplicateMatches((expenses || []).map(e => e.id));
+        } catch (dupErr) {
+            console.error('Database error:', dupErr);
+            return res.status(500).json({ error: 'Database error' });
+        }
+    }
+    const enriched = (expenses || []).map(e => ({
+        ...e,
+        attachments: (e.split_id ? splitAttachmentsMap.get(e.split_id) : attachmentsMap.get(e.id)) || [],
+        split: (e.split_id && splitsMap.get(e.split_id)) || null,
+        ...(isReviewer ? { duplicate_matches: duplicateMatches.get(e.id) || [] } : {}),
+        user_name: usersMap.get(e.user_id) || 'Unknown',
+        team_name: teamsMap.get(e.team_id) || 'Unknown',
+        currency: currenciesMap.get(e.team_id) || BASE_CURRENCY,
+        processed_by_name: e.processed_by ? (usersMap.get(e.processed_by) || 'Unknown') : null,
+        policy_flags: policy.parsePolicyFlags(e.policy_flags),
+        requires_partner_approval: Boolean(e.requires_partner_approval),
+        paid_personally: Boolean(e.paid_personally),
+        can_modify: canModifyExpense(req.session, e)
+    }));
+    res.json(enriched);
+});
+
+// POST /api/expenses for a split expense (see db/splits.js and splitShares), once the fields
+// every expense shares are validated into row: divides the amount, converts each share into
+// its team's currency and checks it against the policies, then records the split and all of
+// its shares in one atomic operation. Database errors are thrown to the route.
+const recordSplitExpense = async (req, res, { row, files, clientRef }) => {
+    const userId = req.session.userId;
+    const method = req.body.split_method || 'equal';
+    if (!splits.SPLIT_METHODS.includes(method)) {
+        discardUploads(files);
+        return res.status(400).json({ error: `Split method must be one of: ${splits.SPLIT_METHODS.join(', ')}` });
+    }
+    const parsed = await splitShares(req.body.splits, userId, req.session.teamId);
+    const divided = parsed.error ? parsed : splits.divideAmount(parseFloat(req.body.amount), method, parsed.shares.map(share => share.value));
+    if (divided.error) {
+        discardUploads(files);
+        return res.status(400).json({ error: divided.error });
+    }
+
+    // Shares charged to other teams are converted from what the payer paid, not from those
+    // teams' currencies
+    const { data: payerTeam, error: teamErr } = await db.teams.findById(req.session.teamId, { columns: ['id', 'currency'] });
+    if (teamErr) throw teamErr;
+    const paidCode = currency.normalizeCurrency(req.body.currency) || teamCurrency(payerTeam);
+    const shares = [];
+    for (const [index, share] of parsed.shares.entries()) {
+        const money = await expenseAmounts(share.team_id, divided.amounts[index], paidCode, row.expense_date);
+        if (money.error) {
+            discardUploads(files);
+            return res.status(400).json({ error: money.error });
+        }
+        const outcome = await checkExpensePolicies({ amount: money.columns.amount * money.teamRate, category: row.category, nights: row.nights, has_receipt: files.length > 0, expense_type: row.expense_type });
+        shares.push({ ...share, money, outcome });
+    }
+    const blocked = [...new Set(shares.flatMap(share => share.outcome.blocked))];
+    if (blocked.length) {
+        discardUploads(files);
+        return res.status(400).json({ error: blocked.join('. '), violations: blocked });
+    }
+
+    const createdAt = new Date().toISOString();
+    const { data: recorded, error: insertErr } = await db.expenses.createSplit(
+        { method, total_amount: currency.roundMoney(parseFloat(req.body.amount)), currency: paidCode, user_id: userId, client_ref: clientRef, created_at: createdAt },
+        shares.map(share => ({ ...row, team_id: share.team_id, user_id: share.user_id, paid_by: userId, split_value: method === 'equal' ? null : currency.roundMoney(Number(share.value)), ...share.money.columns, ...policyColumns(share.outcome), status: 'submitted', created_at: createdAt })),
+        files.map(file => attachmentRow(file, userId))
+    );
+    if (insertErr) {
+        discardUploads(files);
+        if (isStoreError(insertErr, 'INSUFFICIENT_FUNDS') || isStoreError(insertErr, 'NOT_FOUND')) {
+            return res.status(400).json({ error: 'Insufficient balance in a team sharing this expense' });
+        }
+        if (isStoreError(insertErr, 'CATEGORY_LIMIT') || isStoreError(insertErr, 'INVALID_STATE') || isStoreError(insertErr, 'TEAM_CLOSED')) {
+            return res.status(400).json({ error: insertErr.message });
+        }
+        if (clientRef && isUniqueViolation(insertErr)) {
+            // The same draft was synced concurrently
+            const synced = await findSyncedSplit(userId, clientRef);
+            if (synced) return res.json({ success: true, ...synced, already_synced: true });
+        }
+        console.error('Database error:', insertErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    const [lead] = recorded.expenses;
+    if (files.length) await flagDuplicateReceipts(lead.id);
+    console.log('Split expense added with ID:', recorded.split.id);
+    const flags = shares.flatMap(share => share.outcome.flags);
+    res.json({
+        success: true,
+        id: lead.id,
+        split_id: recorded.split.id,
+        amount: parseFloat(lead.amount),
+        shares: recorded.expenses.map(e => ({ id: e.id, user_id: e.user_id, team_id: e.team_id, amount: parseFloat(e.amount) })),
+        attachments: files.length,
+        policy_flags: flags.filter((flag, index) => flags.findIndex(other => other.message === flag.message) === index),
+        requires_partner_approval: shares.some(share => share.outcome.requiresPartnerApproval)
+    });
+};
+
+app.post('/api/expenses', requireAuth, uploadAttachments, async (req, res) => {
+    const { description, amount, category } = req.body;
+    const expenseType = req.body.expense_type || 'standard';
+    const nights = parseNights(req.body.nights);
+    const userId = req.session.userId;
+    const teamId = req.session.teamId;
+    const files = req.files || [];
+
+    if (req.session.userRole !== 'field_staff') {
+        discardUploads(files);
+        return res.status(403).json({ error: 'Only field staff can add expenses' });
+    }
+
+    if (!teamId) {
+        discardUploads(files);
+        return res.status(400).json({ error: 'You are not assigned to any team' });
+    }
+
+    if (!allowances.EXPENSE_TYPES.includes(expenseType)) {
+        discardUploads(files);
+        return res.status(400).json({ error: `Expense type must be one of: ${allowances.EXPENSE_TYPES.join(', ')}` });
+    }
+
+    const splitRequested = !isBlank(req.body.splits);
+    if (splitRequested && expenseType !== 'standard') {
+        discardUploads(files);
+        return res.status(400).json({ error: 'Mileage and per-diem claims cannot be split' });
+    }
+
+    // Mileage and per diems are computed from their rate; any amount sent is ignored
+    if (!allowances.isAllowanceType(expenseType) && !(parseFloat(amount) > 0)) {
+        discardUploads(files);
+        return res.status(400).json({ error: 'Amount must be greater than zero' });
+    }
+
+    if (Number.isNaN(nights)) {
+        discardUploads(files);
+        return res.status(400).json({ error: 'Nights must be a whole number greater than zero' });
+    }
+
+    const details = expenseDetailFields(req.body);
+    if (details.error) {
+        discardUploads(files);
+        return res.status(400).json({ error: details.error });
+    }
+
+    const categorySlug = category || 'general';
+    const clientRef = req.body.client_ref || null;
+    // Paid out of the member's own pocket: owed back to them instead of taken from the team balance
+    const paidPersonally = req.body.paid_personally === true || req.body.paid_personally === 'true';
+    // Paid from the member's cash advance: taken from the advance instead of the team balance
+    const fromAdvance = req.body.from_advance === true || req.body.from_advance === 'true';
+    if (fromAdvance && paidPersonally) {
+        discardUploads(files);
+        return res.status(400).json({ error: 'An expense paid personally cannot also be paid from a cash advance' });
+    }
+    if (fromAdvance && splitRequested) {
+        discardUploads(files);
+        return res.status(400).json({ error: 'Split expenses cannot be paid from a cash advance' });
+    }
+    let advance = null;
+    let claim = null;
+    let money;
+    let outcome;
+    try {
+        const synced = splitRequested
+            ? await findSyncedSplit(userId, clientRef)
+            : await findSyncedSubmission(db.expenses, userId, clientRef);
+        if (synced) {
+            discardUploads(files);
+            return res.json({ success: true, ...synced, already_synced: true });
+        }
+        if (fromAdvance) {
+            const { data: openAdvance, error: advanceErr } = await db.cashAdvances.findOne({ user_id: userId, team_id: teamId, status: 'open' }, { columns: ['id'] });
+            if (advanceErr) throw advanceErr;
+            advance = openAdvance;
+            if (!advance) {
+                discardUploads(files);
+                return res.status(400).json({ error: 'You have no open cash advance' });
+            }
+        }
+        const conflict = !paidPersonally && !fromAdvance && await balanceConflict(teamId, req.body.expected_remaining, 'down');
+        if (conflict) {
+            discardUploads(files);
+            return res.status(409).json(conflict);
+        }
+        if (!(await isActiveCategory(categorySlug))) {
+            discardUploads(files);
+            return res.status(400).json({ error: 'Invalid or inactive expense category' });
+        }
+        Object.assign(details.row, await vendorColumns(details.row.merchant, userId));
+        if (splitRequested) {
+            return await recordSplitExpense(req, res, {
+                row: { description, expense_type: expenseType, category: categorySlug, nights, paid_personally: paidPersonally, ...details.row },
+                files,
+                clientRef
+            });
+        }
+        if (allowances.isAllowanceType(expenseType)) {
+            claim = await allowanceClaim(expenseType, req.body, teamId);
+            if (claim.error) {
+                discardUploads(files);
+                return res.status(400).json({ error: claim.error });
+            }
+        }
+        money = claim
+            ? await expenseAmounts(teamId, claim.amount, BASE_CURRENCY, details.row.expense_date)
+            : await expenseAmounts(teamId, amount, req.body.currency, details.row.expense_date);
+        if (money.error) {
+            discardUploads(files);
+            return res.status(400).json({ error: money.error });
+        }
+        outcome = await checkExpensePolicies({ amount: money.columns.amount * money.teamRate, category: categorySlug, nights, has_receipt: files.length > 0, expense_type: expenseType });
+    } catch (catErr) {
+        discardUploads(files);
+        console.error('Database error:', catErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (outcome.blocked.length) {
+        discardUploads(files);
+        return res.status(400).json({ error: outcome.blocked.join('. '), violations: outcome.blocked });
+    }
+
+    // A mileage or per-diem claim left without a description is described by its distance or days
+    const expenseDescription = claim && !String(description || '').trim() ? claim.description : description;
+
+    // Insert the expense with its attachments and reserve its amount from the team balance in
+    // one atomic operation; the reservation becomes spending when an admin or partner approves it.
+    // An expense paid personally reserves nothing and is owed to its payer once approved; one
+    // paid from a cash advance is reserved from the advance.
+    const { data: newExpense, error: insertErr } = await db.expenses.createWithUsage(
+        { team_id: teamId, user_id: userId, description: expenseDescription, expense_type: expenseType, ...(claim ? claim.columns : {}), ...money.columns, category: categorySlug, nights, paid_personally: paidPersonally, advance_id: advance ? advance.id : null, ...details.row, ...policyColumns(outcome), status: 'submitted', client_ref: clientRef, created_at: new Date().toISOString() },
+        files.map(file => attachmentRow(file, userId))
+    );
+    if (insertErr) {
+        discardUploads(files);
+        if (isStoreError(insertErr, 'INSUFFICIENT_FUNDS') || isStoreError(insertErr, 'NOT_FOUND')) {
+            return res.status(400).json({ error: advance ? 'The cash advance and the team\'s available balance cannot cover this expense' : 'Insufficient team balance' });
+        }
+        if (isStoreError(insertErr, 'CATEGORY_LIMIT') || isStoreError(insertErr, 'INVALID_STATE') || isStoreError(insertErr, 'TEAM_CLOSED')) {
+            return res.status(400).json({ error: insertErr.message });
+        }
+        if (clientRef && isUniqueViolation(insertErr)) {
+            // The same draft was synced concurrently
+            const { data: synced } = await db.expenses.findOne({ user_id: userId, client_ref: clientRef }, { columns: ['id'] });
+            if (synced) return res.json({ success: true, id: synced.id, already_synced: true });
+        }
+        console.error('Database error:', insertErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (files.length) await flagDuplicateReceipts(newExpense.id);
+    console.log('Expense added with ID:', newExpense.id);
+    res.json({ success: true, id: newExpense.id, amount: money.columns.amount, attachments: files.length, policy_flags: outcome.flags, requires_partner_approval: outcome.requiresPartnerApproval });
+});
+
+// New files in `attachments` are added to the expense; remove_attachment_ids (comma separated)
+// lists existing attachments to drop
+app.put('/api/expenses/:id', requireAuth, uploadAttachments, async (req, res) => {
+    const expenseId = req.params.id;
+    const { description, amount, category } = req.body;
+    const nights = req.body.nights !== undefined ? parseNights(req.body.nights) : undefined;
+    const files = req.files || [];
+    const removeIds = String(req.body.remove_attachment_ids || '').split(',').map(id => parseInt(id, 10)).filter(Number.isInteger);
+
+    const { data: expense, error: getErr } = await db.expenses.findById(expenseId);
+    if (getErr) {
+        discardUploads(files);
+        console.error('Database error:', getErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!expense) {
+        discardUploads(files);
+        return res.status(404).json({ error: 'Expense not found' });
+    }
+    const refusal = expenseModifyRefusal(req.session, expense, 'edit');
+    if (refusal) {
+        discardUploads(files);
+        return res.status(403).json({ error: refusal });
+    }
+    const expenseType = expense.expense_type || 'standard';
+    const isAllowance = allowances.isAllowanceType(expenseType);
+    if (req.body.expense_type !== undefined && req.body.expense_type !== expenseType) {
+        discardUploads(files);
+        return res.status(400).json({ error: 'The type of an expense cannot be changed' });
+    }
+    if (req.body.paid_personally !== undefined && (req.body.paid_personally === true || req.body.paid_personally === 'true') !== Boolean(expense.paid_personally)) {
+        discardUploads(files);
+        return res.status(400).json({ error: 'Whether an expense was paid personally cannot be changed' });
+    }
+    if (!isAllowance && amount !== undefined && !(parseFloat(amount) > 0)) {
+        discardUploads(files);
+        return res.status(400).json({ error: 'Amount must be greater than zero' });
+    }
+    if (description !== undefined && !String(description).trim()) {
+        discardUploads(files);
+        return res.status(400).json({ error: 'Description is required' });
+    }
+    if (Number.isNaN(nights)) {
+        discardUploads(files);
+        return res.status(400).json({ error: 'Nights must be a whole number greater than zero' });
+    }
+    const details = expenseDetailFields(req.body, { partial: true });
+    if (details.error) {
+        discardUploads(files);
+        return res.status(400).json({ error: details.error });
+    }
+    try {
+        // An expense can keep a category that has since been deactivated, but not move to one
+        if (category !== undefined && category !== expense.category && !(await isActiveCategory(category))) {
+            discardUploads(files);
+            return res.status(400).json({ error: 'Invalid or inactive expense category' });
+        }
+        if (details.row.merchant !== undefined) {
+            Object.assign(details.row, await vendorColumns(details.row.merchant, req.session.userId));
+        }
+    } catch (catErr) {
+        discardUploads(files);
+        console.error('Database error:', catErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    const { data: attachments, error: attErr } = await db.expenseAttachments.list({ expense_id: expense.id });
+    if (attErr) {
+        discardUploads(files);
+        console.error('Database error:', attErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const removed = attachments.filter(a => removeIds.includes(a.id));
+    const attachmentCount = attachments.length - removed.length + files.length;
+    if (attachmentCount > MAX_ATTACHMENTS_PER_EXPENSE) {
+        discardUploads(files);
+        return res.status(400).json({ error: `An expense can have at most ${MAX_ATTACHMENTS_PER_EXPENSE} attachments` });
+    }
+
+    // amount is entered in the currency paid; a new amount, currency or date converts it again.
+    // Mileage and per diems are recomputed (in the base currency) from a new distance, number
+    // of days or rate instead, and ignore amount and currency.
+    const claimEdited = isAllowance && [allowances.QUANTITIES[expenseType].column, 'allowance_rate_id'].some(field => req.body[field] !== undefined);
+    let claim = null;
+    let money;
+    try {
+        if (isAllowance) {
+            claim = await allowanceClaim(expenseType, req.body, expense.team_id, expense);
+        }
+        if (!claim || !claim.error) {
+            money = await expenseAmounts(
+                expense.team_id,
+                claim ? claim.amount : (amount !== undefined ? amount : (expense.original_amount ?? expense.amount)),
+                claim ? BASE_CURRENCY : (req.body.currency !== undefined ? req.body.currency : expense.original_currency),
+                details.row.expense_date || expense.expense_date
+            );
+        }
+    } catch (rateErr) {
+        discardUploads(files);
+        console.error('Database error:', rateErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const invalidAmount = claim && claim.error ? claim.error : money.error;
+    if (invalidAmount) {
+        discardUploads(files);
+        return res.status(400).json({ error: invalidAmount });
+    }
+    const reconvert = (isAllowance ? claimEdited : amount !== undefined || req.body.currency !== undefined)
+        || details.row.expense_date !== undefined;
+    // The shares of a split add up to its total; a share's amount only changes by splitting again
+    if (expense.split_id && reconvert && Math.abs(money.columns.amount - parseFloat(expense.amount)) >= 0.005) {
+        discardUploads(files);
+        return res.status(400).json({ error: 'The amount of a share of a split expense cannot be changed. Delete the split and enter it again' });
+    }
+
+    const patch = {
+        description,
+        ...(claimEdited ? claim.columns : {}),
+        ...(reconvert ? money.columns : {}),
+        category,
+        nights,
+        ...details.row
+    };
+    // Field staff answering a reviewer's question resubmit the expense
+    if (expense.status === 'needs_info' && req.session.userRole === 'field_staff') {
+        patch.status = 'submitted';
+    }
+    if (Object.values(patch).every(value => value === undefined) && !files.length && !removed.length) {
+        return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    // Re-check the policies against the expense as it will be after the edit
+    const edited = { ...expense };
+    Object.entries(patch).forEach(([column, value]) => { if (value !== undefined) edited[column] = value; });
+    let outcome;
+    try {
+        outcome = await checkExpensePolicies({ ...edited, amount: parseFloat(edited.amount) * money.teamRate, has_receipt: attachmentCount > 0 });
+    } catch (policyErr) {
+        discardUploads(files);
+        console.error('Database error:', policyErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (outcome.blocked.length) {
+        discardUploads(files);
+        return res.status(400).json({ error: outcome.blocked.join('. '), violations: outcome.blocked });
+    }
+    Object.assign(patch, policyColumns(outcome));
+
+    // Updates the expense and posts any change in amount to the team ledger atomically
+    const { data: updated, error } = await db.expenses.updateWithUsage(expenseId, patch, req.session.userId);
+    if (error) {
+        discardUploads(files);
+        if (isStoreError(error, 'INSUFFICIENT_FUNDS')) {
+            return res.status(400).json({ error: expense.advance_id ? 'The cash advance and the team\'s available balance cannot cover this expense' : 'Insufficient team balance' });
+        }
+        if (isStoreError(error, 'NOT_FOUND')) {
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+        if (isStoreError(error, 'INVALID_STATE') || isStoreError(error, 'CATEGORY_LIMIT') || isStoreError(error, 'TEAM_CLOSED')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    const saveErr = await saveAttachmentChanges(expense.id, files, removed, req.session.userId);
+    if (saveErr) {
+        console.error('Database error:', saveErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Expense updated:', expenseId);
+    res.json({ success: true, expense: updated });
+});
+
+// Receipts can be added after submission, outside the edit window: by admins and partners,
+// and by the submitter until the expense is rejected
+app.post('/api/expenses/:id/attachments', requireAuth, uploadAttachments, async (req, res) => {
+    const files = req.files || [];
+    if (!files.length) {
+        return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const { data: expense, error: getErr } = await db.expenses.findById(req.params.id);
+    if (getErr) {
+        discardUploads(files);
+        console.error('Database error:', getErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!expense) {
+        discardUploads(files);
+        return res.status(404).json({ error: 'Expense not found' });
+    }
+    const isReviewer = req.session.userRole === 'admin' || req.session.userRole === 'partner';
+    const isSubmitter = req.session.userRole === 'field_staff' && expense.user_id == req.session.userId;
+    if (!isReviewer && !(isSubmitter && expense.status !== 'rejected')) {
+        discardUploads(files);
+        return res.status(403).json({ error: 'You can only add attachments to your own expenses' });
+    }
+
+    const { count, error: countErr } = await db.expenseAttachments.count({ expense_id: expense.id });
+    if (countErr) {
+        discardUploads(files);
+        console.error('Database error:', countErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (count + files.length > MAX_ATTACHMENTS_PER_EXPENSE) {
+        discardUploads(files);
+        return res.status(400).json({ error: `An expense can have at most ${MAX_ATTACHMENTS_PER_EXPENSE} attachments` });
+    }
+
+    const saveErr = await saveAttachmentChanges(expense.id, files, [], req.session.userId);
+    if (saveErr) {
+        console.error('Database error:', saveErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    // A receipt may clear a receipt_required flag on an expense still under review
+    if (expense.status === 'submitted' || expense.status === 'needs_info') {
+        try {
+            const outcome = await checkExpensePolicies({ ...expense, has_receipt: true });
+            const { error: flagErr } = await db.expenses.update({ id: expense.id }, policyColumns(outcome));
+            if (flagErr) throw flagErr;
+        } catch (policyErr) {
+            console.error('Error refreshing policy flags:', policyErr);
+        }
+    }
+
+    const { data: attachments, error } = await db.expenseAttachments.list({ expense_id: expense.id }, { orderBy: 'id' });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Attachments added to expense:', expense.id);
+    res.json({ success: true, attachments });
+});
+
+app.delete('/api/expenses/:id', requireAuth, async (req, res) => {
+    const expenseId = req.params.id;
+
+    const { data: expense, error: getErr } = await db.expenses.findById(expenseId);
+    if (getErr) {
+        console.error('Database error:', getErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!expense) {
+        return res.status(404).json({ error: 'Expense not found' });
+    }
+    const refusal = expenseModifyRefusal(req.session, expense, 'delete');
+    if (refusal) {
+        return res.status(403).json({ error: refusal });
+    }
+    // The shares of a split add up to its total; they are deleted together with the split
+    if (expense.split_id) {
+        return res.status(400).json({ error: 'A share of a split expense cannot be deleted on its own. Delete the whole split instead' });
+    }
+    const { data: attachments, error: attErr } = await db.expenseAttachments.list({ expense_id: expense.id }, { columns: ['file_path', 'thumbnail_path'] });
+    if (attErr) {
+        console.error('Database error:', attErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    // Deletes the expense (its attachment rows cascade) and returns its amount to the team
+    // balance atomically
+    const { error } = await db.expenses.removeWithReversal(expenseId, req.session.userId);
+    if (error) {
+        if (isStoreError(error, 'NOT_FOUND')) {
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+        if (isStoreError(error, 'INVALID_STATE') || isStoreError(error, 'TEAM_CLOSED')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    attachments.forEach(deleteAttachmentFiles);
+    console.log('Expense deleted:', expenseId);
+    res.json({ success: true });
+});
+
+// Delete a split expense with all of its shares, returning each share's amount to its team;
+// the session must be allowed to delete every share
+app.delete('/api/expense-splits/:id', requireAuth, async (req, res) => {
+    const splitId = req.params.id;
+
+    const [{ data: split, error: splitErr }, { data: shares, error: sharesErr }] = await Promise.all([
+        db.expenseSplits.findById(splitId, { columns: ['id'] }),
+        db.expenses.list({ split_id: splitId })
+    ]);
+    if (splitErr || sharesErr) {
+        console.error('Database error:', splitErr || sharesErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!split) {
+        return res.status(404).json({ error: 'Split expense not found' });
+    }
+    const refusal = shares.map(share => expenseModifyRefusal(req.session, share, 'delete')).find(Boolean);
+    if (refusal) {
+        return res.status(403).json({ error: refusal });
+    }
+    const { data: attachments, error: attErr } = await db.expenseAttachments.list({ expense_id: shares.map(share => share.id) }, { columns: ['file_path', 'thumbnail_path'] });
+    if (attErr) {
+        console.error('Database error:', attErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    const { error } = await db.expenses.removeSplit(splitId, req.session.userId);
+    if (error) {
+        if (isStoreError(error, 'NOT_FOUND')) {
+            return res.status(404).json({ error: 'Split expense not found' });
+        }
+        if (isStoreError(error, 'INVALID_STATE') || isStoreError(error, 'TEAM_CLOSED')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
     }
-    const { data: expenses, error } = await query;
+
+    attachments.forEach(deleteAttachmentFiles);
+    console.log('Split expense deleted:', splitId);
+    res.json({ success: true, deleted: shares.length });
+});
+
+// Clear a suspected duplicate once a reviewer has checked it is a different receipt
+app.put('/api/receipt-duplicates/:id/dismiss', requireAdminOrPartner, async (req, res) => {
+    const { data, error } = await db.receiptDuplicates.update(
+        { id: req.params.id, dismissed_at: null },
+        { dismissed_by: req.session.userId, dismissed_at: new Date().toISOString() }
+    );
     if (error) {
         console.error('Database error:', error);
-            return res.status(500).json({ error: 'Database error' });
-        }
-    // Enrich with user_name and team_name
-    const userIds = [...new Set((expenses || []).map(e => e.user_id))];
-    const teamIds = [...new Set((expenses || []).map(e => e.team_id))];
-    const [{ data: users }, { data: teams }] = await Promise.all([
-        userIds.length ? supabase.from('users').select('id, full_name').in('id', userIds) : Promise.resolve({ data: [] }),
-        teamIds.length ? supabase.from('teams').select('id, name').in('id', teamIds) : Promise.resolve({ data: [] })
-    ]);
-    const usersMap = new Map((users || []).map(u => [u.id, u.full_name]));
-    const teamsMap = new Map((teams || []).map(t => [t.id, t.name]));
-    const enriched = (expenses || []).map(e => ({
-        ...e,
-        user_name: usersMap.get(e.user_id) || 'Unknown',
-        team_name: teamsMap.get(e.team_id) || 'Unknown'
-    }));
-    res.json(enriched);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!data.length) {
+        return res.status(404).json({ error: 'Duplicate flag not found or already dismissed' });
+    }
+    console.log('Duplicate receipt flag dismissed:', req.params.id);
+    res.json({ success: true });
 });
 
-app.post('/api/expenses', requireAuth, upload.single('attachment'), async (req, res) => {
-    const { description, amount, category } = req.body;
-    const userId = req.session.userId;
-    const teamId = req.session.teamId;
-    const attachmentPath = req.file ? req.file.filename : null;
-    const attachmentName = req.file ? req.file.originalname : null;
-
-    if (req.session.userRole !== 'field_staff') {
-        return res.status(403).json({ error: 'Only field staff can add expenses' });
-    }
+// Expense review (admin or partner): approve, reject or ask the submitter for more information
+const reviewExpense = (status) => async (req, res) => {
+    const expenseId = req.params.id;
+    const adminId = req.session.userId;
+    const note = req.body && req.body.note ? String(req.body.note).trim() : null;
 
-    if (!teamId) {
-        return res.status(400).json({ error: 'You are not assigned to any team' });
+    if (status === 'needs_info' && !note) {
+        return res.status(400).json({ error: 'Please describe what information is needed' });
     }
 
-    // Check if team has sufficient balance
-    const { data: team, error: teamErr } = await supabase
-        .from('teams')
-        .select('remaining_amount')
-        .eq('id', teamId)
-        .single();
-    if (teamErr) {
-        console.error('Database error:', teamErr);
+    if (status === 'approved' && req.session.userRole !== 'partner') {
+        const { data: expense, error: getErr } = await db.expenses.findById(expenseId, { columns: ['requires_partner_approval'] });
+        if (getErr) {
+            console.error('Database error:', getErr);
             return res.status(500).json({ error: 'Database error' });
         }
-        if (!team || parseFloat(team.remaining_amount) < parseFloat(amount)) {
-            return res.status(400).json({ error: 'Insufficient team balance' });
+        if (expense && expense.requires_partner_approval) {
+            return res.status(403).json({ error: 'This expense can only be approved by a partner' });
         }
+    }
 
-        // Add expense
-    const { data: newExpense, error: insertErr } = await supabase
-        .from('expenses')
-        .insert([{ team_id: teamId, user_id: userId, description, amount, category: category || 'general', attachment_path: attachmentPath, attachment_name: attachmentName, created_at: new Date().toISOString() }])
-        .select('id')
-        .single();
-    if (insertErr) {
-        console.error('Database error:', insertErr);
-                return res.status(500).json({ error: 'Database error' });
-            }
-
-            // Update team amounts
-    const { error: updateErr } = await supabase.rpc('increment_team_usage', {
-        p_team_id: teamId,
-        p_amount: parseFloat(amount)
-    });
-    // Fallback if RPC not present
-    if (updateErr) {
-        // If RPC isn't defined, do manual two-step update
-        const { data: teamNow, error: getTeamErr } = await supabase
-            .from('teams')
-            .select('used_amount, remaining_amount')
-            .eq('id', teamId)
-            .single();
-        if (getTeamErr) {
-            console.error('Database error:', getTeamErr);
-            return res.status(500).json({ error: 'Database error' });
-        }
-        const used_amount_next = parseFloat(teamNow.used_amount || 0) + parseFloat(amount);
-        const remaining_amount_next = parseFloat(teamNow.remaining_amount || 0) - parseFloat(amount);
-        const { error: finalUpdErr } = await supabase
-            .from('teams')
-            .update({ used_amount: used_amount_next, remaining_amount: remaining_amount_next })
-            .eq('id', teamId);
-        if (finalUpdErr) {
-            console.error('Database error:', finalUpdErr);
-            return res.status(500).json({ error: 'Database error' });
+    const { error } = await db.expenses.review(expenseId, status, adminId, note);
+    if (error) {
+        if (isStoreError(error, 'INVALID_STATE')) {
+            return res.status(400).json({ error: 'Invalid expense or expense already processed' });
         }
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
     }
+    console.log(`Expense ${status}:`, expenseId);
+    res.json({ success: true });
+};
 
-    console.log('Expense added with ID:', newExpense.id);
-    res.json({ success: true, id: newExpense.id });
-});
+app.put('/api/expenses/:id/approve', requireAdminOrPartner, reviewExpense('approved'));
+app.put('/api/expenses/:id/reject', requireAdminOrPartner, reviewExpense('rejected'));
+app.put('/api/expenses/:id/needs-info', requireAdminOrPartner, reviewExpense('needs_info'));
 
 // Amount request routes
 app.get('/api/amount-requests', requireAuth, async (req, res) => {
-    let query = supabase.from('amount_requests').select('*').order('created_at', { ascending: false });
-    if (req.session.userRole === 'field_staff') {
-        query = query.eq('team_id', req.session.teamId);
-    }
-    const { data: requests, error } = await query;
+    const filters = req.session.userRole === 'field_staff' ? { team_id: req.session.teamId } : {};
+    const { data: requests, error } = await db.amountRequests.list(filters, { orderBy: 'created_at', ascending: false });
     if (error) {
         console.error('Database error:', error);
             return res.status(500).json({ error: 'Database error' });
@@ -503,15 +3194,17 @@ app.get('/api/amount-requests', requireAuth, async (req, res) => {
     const userIds = [...new Set((requests || []).map(r => r.user_id).concat((requests || []).map(r => r.processed_by).filter(Boolean)))];
     const teamIds = [...new Set((requests || []).map(r => r.team_id))];
     const [{ data: users }, { data: teams }] = await Promise.all([
-        userIds.length ? supabase.from('users').select('id, full_name').in('id', userIds) : Promise.resolve({ data: [] }),
-        teamIds.length ? supabase.from('teams').select('id, name').in('id', teamIds) : Promise.resolve({ data: [] })
+        db.users.list({ id: userIds }, { columns: ['id', 'full_name'] }),
+        db.teams.list({ id: teamIds }, { columns: ['id', 'name', 'currency'] })
     ]);
     const usersMap = new Map((users || []).map(u => [u.id, u.full_name]));
     const teamsMap = new Map((teams || []).map(t => [t.id, t.name]));
+    const currenciesMap = new Map((teams || []).map(t => [t.id, teamCurrency(t)]));
     const enriched = (requests || []).map(r => ({
         ...r,
         user_name: usersMap.get(r.user_id) || 'Unknown',
         team_name: teamsMap.get(r.team_id) || 'Unknown',
+        currency: currenciesMap.get(r.team_id) || BASE_CURRENCY,
         processed_by_name: r.processed_by ? (usersMap.get(r.processed_by) || 'Unknown') : null
     }));
     res.json(enriched);
@@ -530,12 +3223,38 @@ app.post('/api/amount-requests', requireAuth, async (req, res) => {
         return res.status(400).json({ error: 'You are not assigned to any team' });
     }
 
-    const { data, error } = await supabase
-        .from('amount_requests')
-        .insert([{ team_id: teamId, user_id: userId, requested_amount, reason, status: 'pending', created_at: new Date().toISOString() }])
-        .select('id')
-        .single();
+    const amount = Number(requested_amount);
+    if (requested_amount === undefined || requested_amount === '' || requested_amount === null || !Number.isFinite(amount) || amount <= 0) {
+        return res.status(400).json({ error: 'Requested amount must be greater than zero' });
+    }
+
+    const clientRef = req.body.client_ref || null;
+    try {
+        const synced = await findSyncedSubmission(db.amountRequests, userId, clientRef);
+        if (synced) {
+            return res.json({ success: true, id: synced.id, already_synced: true });
+        }
+        // A team that is closing or closed takes no new requests
+        const { data: team, error: teamErr } = await db.teams.findById(teamId, { columns: ['name', 'status'] });
+        if (teamErr) throw teamErr;
+        if (team && team.status !== 'active') {
+            return res.status(400).json({ error: `${team.name} is ${team.status} and takes no new requests` });
+        }
+        const conflict = await balanceConflict(teamId, req.body.expected_remaining, 'up');
+        if (conflict) {
+            return res.status(409).json(conflict);
+        }
+    } catch (lookupErr) {
+        console.error('Database error:', lookupErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    const { data, error } = await db.amountRequests.create({ team_id: teamId, user_id: userId, requested_amount: currency.roundMoney(amount), reason, status: 'pending', client_ref: clientRef, created_at: new Date().toISOString() });
     if (error) {
+        if (clientRef && isUniqueViolation(error)) {
+            const { data: synced } = await db.amountRequests.findOne({ user_id: userId, client_ref: clientRef }, { columns: ['id'] });
+            if (synced) return res.json({ success: true, id: synced.id, already_synced: true });
+        }
         console.error('Database error:', error);
             return res.status(500).json({ error: 'Database error' });
         }
@@ -546,75 +3265,355 @@ app.post('/api/amount-requests', requireAuth, async (req, res) => {
 app.put('/api/amount-requests/:id/approve', requireAdminOrPartner, async (req, res) => {
     const requestId = req.params.id;
     const adminId = req.session.userId;
-	const { data: request, error: getReqErr } = await supabase
-		.from('amount_requests')
-		.select('*')
-		.eq('id', requestId)
-		.single();
-	if (getReqErr) {
-		console.error('Database error:', getReqErr);
-            return res.status(500).json({ error: 'Database error' });
-        }
-        if (!request || (request.status !== 'pending' && request.status !== null)) {
+
+    // Marks the request approved and credits the team in one atomic operation
+    const { error } = await db.amountRequests.approve(requestId, adminId);
+    if (error) {
+        if (isStoreError(error, 'INVALID_STATE')) {
             return res.status(400).json({ error: 'Invalid request or request already processed' });
         }
-
-	const { error: updReqErr } = await supabase
-		.from('amount_requests')
-		.update({ status: 'approved', processed_at: new Date().toISOString(), processed_by: adminId })
-		.eq('id', requestId);
-	if (updReqErr) {
-		console.error('Database error:', updReqErr);
-                return res.status(500).json({ error: 'Database error' });
-            }
-
-            // Update team amounts
-	const { data: teamNow, error: teamNowErr } = await supabase
-		.from('teams')
-		.select('initial_amount, remaining_amount')
-		.eq('id', request.team_id)
-		.single();
-	if (teamNowErr) {
-		console.error('Database error:', teamNowErr);
-		return res.status(500).json({ error: 'Database error' });
-	}
-	const initial_amount_next = parseFloat(teamNow.initial_amount || 0) + parseFloat(request.requested_amount);
-	const remaining_amount_next = parseFloat(teamNow.remaining_amount || 0) + parseFloat(request.requested_amount);
-	const { error: updTeamErr } = await supabase
-		.from('teams')
-		.update({ initial_amount: initial_amount_next, remaining_amount: remaining_amount_next })
-		.eq('id', request.team_id);
-	if (updTeamErr) {
-		console.error('Database error:', updTeamErr);
-                    return res.status(500).json({ error: 'Database error' });
-                }
-                console.log('Amount request approved:', requestId);
-                res.json({ success: true });
+        if (isStoreError(error, 'TEAM_CLOSED')) {
+            return res.status(400).json({ error: error.message });
+        }
+        // Requests stored before amounts were validated
+        if (isStoreError(error, 'INVALID_AMOUNT')) {
+            return res.status(400).json({ error: 'The requested amount is not valid; reject the request instead' });
+        }
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Amount request approved:', requestId);
+    res.json({ success: true });
 });
 
 app.put('/api/amount-requests/:id/reject', requireAdminOrPartner, async (req, res) => {
     const requestId = req.params.id;
     const adminId = req.session.userId;
 
-	const { error } = await supabase
-		.from('amount_requests')
-		.update({ status: 'rejected', processed_at: new Date().toISOString(), processed_by: adminId })
-		.eq('id', requestId);
-	if (error) {
-		console.error('Database error:', error);
-            return res.status(500).json({ error: 'Database error' });
+    const { error } = await db.amountRequests.reject(requestId, adminId);
+    if (error) {
+        if (isStoreError(error, 'INVALID_STATE')) {
+            return res.status(400).json({ error: 'Invalid request or request already processed' });
         }
-        console.log('Amount request rejected:', requestId);
-        res.json({ success: true });
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Amount request rejected:', requestId);
+    res.json({ success: true });
+});
+
+// Reimbursements of expenses paid personally (see db/ledger.js). What is outstanding: the
+// expenses each member paid out of pocket that have not been reimbursed yet, and per member
+// and currency the amount owed (approved) and still under review. Field staff see their own.
+const REIMBURSEMENT_NOTE_MAX_LENGTH = 200;
+
+app.get('/api/reimbursements/outstanding', requireAuth, async (req, res) => {
+    const filters = { paid_personally: true, reimbursement_id: null, status: ['submitted', 'needs_info', 'approved'] };
+    const isStaff = req.session.userRole === 'field_staff';
+    const lists = await Promise.all(isStaff
+        ? [
+            db.expenses.list({ ...filters, user_id: req.session.userId, paid_by: null }, { orderBy: 'expense_date' }),
+            db.expenses.list({ ...filters, paid_by: req.session.userId }, { orderBy: 'expense_date' })
+        ]
+        : [db.expenses.list(filters, { orderBy: 'expense_date' })]);
+    const listErr = lists.map(list => list.error).find(Boolean);
+    if (listErr) {
+        console.error('Database error:', listErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const expenses = lists.flatMap(list => list.data);
+    const payerOf = (e) => e.paid_by || e.user_id;
+    const [{ data: users }, { data: teams }] = await Promise.all([
+        db.users.list({ id: [...new Set(expenses.map(payerOf))] }, { columns: ['id', 'full_name', 'team_id'] }),
+        db.teams.list({ id: [...new Set(expenses.map(e => e.team_id))] }, { columns: ['id', 'name', 'currency'] })
+    ]);
+    const usersMap = new Map((users || []).map(u => [u.id, u]));
+    const teamsMap = new Map((teams || []).map(t => [t.id, t]));
+
+    const balances = new Map();
+    const listed = expenses.map(e => {
+        const payer = usersMap.get(payerOf(e));
+        const currency = teamCurrency(teamsMap.get(e.team_id));
+        const key = `${payerOf(e)}:${currency}`;
+        if (!balances.has(key)) {
+            balances.set(key, { user_id: payerOf(e), user_name: payer ? payer.full_name : 'Unknown', currency, owed: 0, pending: 0, expense_count: 0 });
+        }
+        const balance = balances.get(key);
+        balance[e.status === 'approved' ? 'owed' : 'pending'] += parseFloat(e.amount);
+        balance.expense_count += 1;
+        return {
+            id: e.id,
+            description: e.description,
+            amount: parseFloat(e.amount),
+            currency,
+            status: e.status,
+            expense_date: e.expense_date,
+            category: e.category,
+            team_name: teamsMap.has(e.team_id) ? teamsMap.get(e.team_id).name : 'Unknown',
+            user_id: payerOf(e),
+            user_name: payer ? payer.full_name : 'Unknown'
+        };
+    });
+    const round = (value) => Math.round(value * 100) / 100;
+    res.json({
+        balances: [...balances.values()]
+            .map(balance => ({ ...balance, owed: round(balance.owed), pending: round(balance.pending) }))
+            .sort((a, b) => b.owed - a.owed || a.user_name.localeCompare(b.user_name)),
+        expenses: listed
+    });
+});
+
+// Reimbursements settled, newest first
+app.get('/api/reimbursements', requireAuth, async (req, res) => {
+    const filters = req.session.userRole === 'field_staff' ? { user_id: req.session.userId } : {};
+    if (req.query.user_id && req.session.userRole !== 'field_staff') {
+        filters.user_id = req.query.user_id;
+    }
+    const { data: reimbursements, error } = await db.reimbursements.list(filters, { orderBy: 'created_at', ascending: false });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const [{ data: users }, { data: expenses }] = await Promise.all([
+        db.users.list({ id: [...new Set(reimbursements.flatMap(r => [r.user_id, r.settled_by]).filter(Boolean))] }, { columns: ['id', 'full_name'] }),
+        db.expenses.list({ reimbursement_id: reimbursements.map(r => r.id) }, { columns: ['id', 'reimbursement_id', 'description', 'amount', 'expense_date'], orderBy: 'expense_date' })
+    ]);
+    const usersMap = new Map((users || []).map(u => [u.id, u.full_name]));
+    res.json(reimbursements.map(r => ({
+        ...r,
+        amount: parseFloat(r.amount),
+        user_name: usersMap.get(r.user_id) || 'Unknown',
+        settled_by_name: r.settled_by ? (usersMap.get(r.settled_by) || 'Unknown') : null,
+        expenses: (expenses || []).filter(e => e.reimbursement_id === r.id).map(e => ({ ...e, amount: parseFloat(e.amount) }))
+    })));
+});
+
+// Settle approved expenses paid personally by one member, in one currency: the member is paid
+// their total from the funding pool. note records how, e.g. a bank transfer reference.
+app.post('/api/reimbursements', requireAdminOrPartner, async (req, res) => {
+    const expenseIds = [...new Set((Array.isArray(req.body.expense_ids) ? req.body.expense_ids : [])
+        .map(id => parseInt(id, 10))
+        .filter(Number.isInteger))];
+    if (!expenseIds.length) {
+        return res.status(400).json({ error: 'Choose the expenses to reimburse' });
+    }
+    const note = String(req.body.note || '').trim();
+    if (note.length > REIMBURSEMENT_NOTE_MAX_LENGTH) {
+        return res.status(400).json({ error: `Note must be at most ${REIMBURSEMENT_NOTE_MAX_LENGTH} characters` });
+    }
+
+    const { data: expenses, error: listErr } = await db.expenses.list({ id: expenseIds }, { columns: ['id', 'team_id', 'user_id', 'paid_by'] });
+    if (listErr) {
+        console.error('Database error:', listErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (expenses.length !== expenseIds.length) {
+        return res.status(404).json({ error: 'Expense not found' });
+    }
+    const payers = [...new Set(expenses.map(e => Number(e.paid_by || e.user_id)))];
+    if (payers.length > 1) {
+        return res.status(400).json({ error: 'The expenses must all have been paid by the member reimbursed' });
+    }
+    const { data: teams, error: teamErr } = await db.teams.list({ id: [...new Set(expenses.map(e => e.team_id))] }, { columns: ['id', 'currency'] });
+    if (teamErr) {
+        console.error('Database error:', teamErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    const currencies = [...new Set(teams.map(teamCurrency))];
+    if (currencies.length > 1) {
+        return res.status(400).json({ error: 'Expenses in different currencies are reimbursed separately' });
+    }
+
+    // Records the reimbursement, marks the expenses settled and posts the payment atomically
+    const { data: reimbursement, error } = await db.reimbursements.settle({
+        user_id: payers[0],
+        currency: currencies[0],
+        note: note || null,
+        settled_by: req.session.userId,
+        created_at: new Date().toISOString()
+    }, expenseIds);
+    if (error) {
+        if (isStoreError(error, 'INVALID_STATE')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Reimbursement settled:', reimbursement.id, reimbursement.amount, reimbursement.currency);
+    res.json({ success: true, reimbursement: { ...reimbursement, amount: parseFloat(reimbursement.amount) } });
+});
+
+// Cash advances to members (see db/ledger.js). Cash handed to a member is issued from their
+// team's available balance; expenses they pay from it are reserved and spent from the
+// advance, and settling it returns what they did not spend or tops up what they spent beyond
+// it. Field staff see their own advances.
+const ADVANCE_NOTE_MAX_LENGTH = 200;
+
+// An advance with its member, team and, while open, what has been spent and is under review
+// against it; in_hand is the cash the member should still hold
+const describeAdvances = async (advances) => {
+    const ids = advances.map(a => a.id);
+    const [{ data: users, error: userErr }, { data: teams, error: teamErr }, { data: expenses, error: expenseErr }] = await Promise.all([
+        db.users.list({ id: [...new Set(advances.flatMap(a => [a.user_id, a.issued_by, a.settled_by]).filter(Boolean))] }, { columns: ['id', 'full_name'] }),
+        db.teams.list({ id: [...new Set(advances.map(a => a.team_id))] }, { columns: ['id', 'name', 'currency'] }),
+        db.expenses.list({ advance_id: ids, status: ['submitted', 'needs_info', 'approved'] }, { columns: ['id', 'advance_id', 'description', 'amount', 'status', 'expense_date', 'category'], orderBy: 'expense_date' })
+    ]);
+    const error = userErr || teamErr || expenseErr;
+    if (error) throw error;
+    const usersMap = new Map(users.map(u => [u.id, u.full_name]));
+    const teamsMap = new Map(teams.map(t => [t.id, t]));
+    const round = (value) => Math.round(value * 100) / 100;
+    return advances.map(a => {
+        const against = expenses.filter(e => e.advance_id === a.id).map(e => ({ ...e, amount: parseFloat(e.amount) }));
+        const total = (statuses) => round(against.filter(e => statuses.includes(e.status)).reduce((sum, e) => sum + e.amount, 0));
+        const amount = parseFloat(a.amount);
+        const spent = a.status === 'settled' ? parseFloat(a.spent_amount) : total(['approved']);
+        const pending = a.status === 'settled' ? 0 : total(['submitted', 'needs_info']);
+        return {
+            ...a,
+            amount,
+            spent,
+            pending,
+            in_hand: a.status === 'settled' ? 0 : round(amount - spent - pending),
+            returned_amount: a.returned_amount === null ? null : parseFloat(a.returned_amount),
+            top_up_amount: a.top_up_amount === null ? null : parseFloat(a.top_up_amount),
+            currency: teamCurrency(teamsMap.get(a.team_id)),
+            team_name: teamsMap.has(a.team_id) ? teamsMap.get(a.team_id).name : 'Unknown',
+            user_name: usersMap.get(a.user_id) || 'Unknown',
+            issued_by_name: a.issued_by ? (usersMap.get(a.issued_by) || 'Unknown') : null,
+            settled_by_name: a.settled_by ? (usersMap.get(a.settled_by) || 'Unknown') : null,
+            expenses: against
+        };
+    });
+};
+
+// Advances, open ones first and then newest first; ?status=open|settled and ?team_id narrow it
+app.get('/api/cash-advances', requireAuth, async (req, res) => {
+    const filters = {};
+    if (req.session.userRole === 'field_staff') {
+        filters.user_id = req.session.userId;
+    } else if (req.query.team_id) {
+        filters.team_id = req.query.team_id;
+    }
+    if (req.query.status === 'open' || req.query.status === 'settled') {
+        filters.status = req.query.status;
+    }
+    const { data: advances, error } = await db.cashAdvances.list(filters, { orderBy: 'created_at', ascending: false });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    try {
+        const described = await describeAdvances(advances);
+        res.json(described.sort((a, b) => (a.status === 'open' ? 0 : 1) - (b.status === 'open' ? 0 : 1)));
+    } catch (describeErr) {
+        console.error('Database error:', describeErr);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+app.get('/api/cash-advances/:id', requireAuth, async (req, res) => {
+    const { data: advance, error } = await db.cashAdvances.findById(req.params.id);
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!advance || (req.session.userRole === 'field_staff' && Number(advance.user_id) !== Number(req.session.userId))) {
+        return res.status(404).json({ error: 'Cash advance not found' });
+    }
+    try {
+        const [described] = await describeAdvances([advance]);
+        res.json(described);
+    } catch (describeErr) {
+        console.error('Database error:', describeErr);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Advance cash to a member from their team's available balance; a member with an open
+// advance has the amount added to it
+app.post('/api/cash-advances', requireAdminOrPartner, async (req, res) => {
+    const amount = Number(req.body.amount);
+    if (req.body.amount === '' || req.body.amount === null || !Number.isFinite(amount) || amount <= 0) {
+        return res.status(400).json({ error: 'Amount must be greater than zero' });
+    }
+    const note = String(req.body.note || '').trim();
+    if (note.length > ADVANCE_NOTE_MAX_LENGTH) {
+        return res.status(400).json({ error: `Note must be at most ${ADVANCE_NOTE_MAX_LENGTH} characters` });
+    }
+    const { data: member, error: userErr } = await db.users.findById(req.body.user_id, { columns: ['id', 'role', 'team_id'] });
+    if (userErr) {
+        console.error('Database error:', userErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!member || member.role !== 'field_staff') {
+        return res.status(404).json({ error: 'Member not found' });
+    }
+    if (!member.team_id) {
+        return res.status(400).json({ error: 'The member is not assigned to any team' });
+    }
+
+    // Opens or adds to the advance and moves the cash out of the available balance atomically
+    const { data: advance, error } = await db.cashAdvances.issue({
+        team_id: member.team_id,
+        user_id: member.id,
+        amount: Math.round(amount * 100) / 100,
+        note: note || null,
+        issued_by: req.session.userId,
+        created_at: new Date().toISOString()
+    });
+    if (error) {
+        if (isStoreError(error, 'INSUFFICIENT_FUNDS')) {
+            return res.status(400).json({ error: 'Insufficient team balance' });
+        }
+        if (isStoreError(error, 'INVALID_STATE') || isStoreError(error, 'TEAM_CLOSED')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (isUniqueViolation(error)) {
+            return res.status(409).json({ error: 'The member\'s advance changed at the same time, please try again' });
+        }
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Cash advance issued:', advance.id, amount);
+    res.json({ success: true, advance: { ...advance, amount: parseFloat(advance.amount) } });
+});
+
+// Close out an advance: the member returns the cash they did not spend, or is topped up for
+// what they spent beyond it. note records how, e.g. a receipt number.
+app.post('/api/cash-advances/:id/settle', requireAdminOrPartner, async (req, res) => {
+    const note = String(req.body.note || '').trim();
+    if (note.length > ADVANCE_NOTE_MAX_LENGTH) {
+        return res.status(400).json({ error: `Note must be at most ${ADVANCE_NOTE_MAX_LENGTH} characters` });
+    }
+    const { data: advance, error } = await db.cashAdvances.settle(req.params.id, req.session.userId, note || null);
+    if (error) {
+        if (isStoreError(error, 'NOT_FOUND')) {
+            return res.status(404).json({ error: 'Cash advance not found' });
+        }
+        if (isStoreError(error, 'INSUFFICIENT_FUNDS')) {
+            return res.status(400).json({ error: 'Insufficient team balance to top up the member' });
+        }
+        if (isStoreError(error, 'INVALID_STATE')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    console.log('Cash advance settled:', advance.id);
+    try {
+        const [described] = await describeAdvances([advance]);
+        res.json({ success: true, advance: described });
+    } catch (describeErr) {
+        console.error('Database error:', describeErr);
+        res.status(500).json({ error: 'Database error' });
+    }
 });
 
 // Fix existing null status requests (admin or partner)
 app.put('/api/fix-null-requests', requireAdminOrPartner, async (req, res) => {
     try {
-        const { error } = await supabase
-            .from('amount_requests')
-            .update({ status: 'pending' })
-            .is('status', null);
+        const { error } = await db.amountRequests.update({ status: null }, { status: 'pending' });
         
         if (error) {
             console.error('Database error fixing null status:', error);
@@ -633,30 +3632,20 @@ app.put('/api/fix-null-requests', requireAdminOrPartner, async (req, res) => {
 app.put('/api/fix-null-dates', requireAdminOrPartner, async (req, res) => {
     try {
         const currentTime = new Date().toISOString();
+        const epoch = '1970-01-01T00:00:00.000Z';
         
-        // Fix expenses with null or invalid dates
-        const { error: expensesError } = await supabase
-            .from('expenses')
-            .update({ created_at: currentTime })
-            .or('created_at.is.null,created_at.eq.1970-01-01T00:00:00.000Z');
-        
-        // Fix teams with null or invalid dates
-        const { error: teamsError } = await supabase
-            .from('teams')
-            .update({ created_at: currentTime })
-            .or('created_at.is.null,created_at.eq.1970-01-01T00:00:00.000Z');
-        
-        // Fix amount requests with null or invalid dates
-        const { error: requestsError } = await supabase
-            .from('amount_requests')
-            .update({ created_at: currentTime })
-            .or('created_at.is.null,created_at.eq.1970-01-01T00:00:00.000Z');
-        
-        // Fix users with null or invalid dates
-        const { error: usersError } = await supabase
-            .from('users')
-            .update({ created_at: currentTime })
-            .or('created_at.is.null,created_at.eq.1970-01-01T00:00:00.000Z');
+        // Reset created_at on rows where it is null or the Unix epoch
+        const fixDates = async (repository) => {
+            const { error: nullErr } = await repository.update({ created_at: null }, { created_at: currentTime });
+            if (nullErr) return nullErr;
+            const { error: epochErr } = await repository.update({ created_at: epoch }, { created_at: currentTime });
+            return epochErr;
+        };
+        
+        const expensesError = await fixDates(db.expenses);
+        const teamsError = await fixDates(db.teams);
+        const requestsError = await fixDates(db.amountRequests);
+        const usersError = await fixDates(db.users);
         
         if (expensesError || teamsError || requestsError || usersError) {
             console.error('Database error fixing dates:', { expensesError, teamsError, requestsError, usersError });
@@ -672,51 +3661,123 @@ app.put('/api/fix-null-dates', requireAdminOrPartner, async (req, res) => {
 });
 
 // Dashboard statistics
+// Check every team's balance columns against its ledger (admin or partner)
+app.get('/api/ledger/verify', requireAdminOrPartner, async (req, res) => {
+    const { data: teams, error } = await db.teams.list({}, { orderBy: 'id' });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    const outOfSync = [];
+    for (const team of teams) {
+        const { data: entries, error: entriesErr } = await ledger.listTeamEntries(db.ledgerEntries, team.id);
+        if (entriesErr) {
+            console.error('Database error:', entriesErr);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        const mismatches = ledger.balanceMismatches(team, ledger.teamBalancesFromEntries(team.id, entries));
+        if (mismatches.length > 0) {
+            outOfSync.push({ team_id: team.id, team_name: team.name, mismatches });
+        }
+    }
+    res.json({ teams_checked: teams.length, in_sync: outOfSync.length === 0, out_of_sync: outOfSync });
+});
+
 app.get('/api/dashboard/stats', requireAdminOrPartner, async (req, res) => {
     const stats = {};
-    const [{ count: teamCount, error: teamCountErr }, { data: totals, error: totalsErr }, { count: pendingCount, error: pendingErr }] = await Promise.all([
-        supabase.from('teams').select('id', { count: 'exact', head: true }),
-        supabase.from('teams').select('initial_amount, used_amount, remaining_amount'),
-        supabase.from('amount_requests').select('id', { count: 'exact', head: true }).eq('status', 'pending')
+    const [{ count: teamCount, error: teamCountErr }, { data: totals, error: totalsErr }, { count: pendingCount, error: pendingErr }, { count: pendingExpenseCount, error: pendingExpenseErr }] = await Promise.all([
+        db.teams.count({ status: OPEN_TEAM_STATUSES }),
+        db.teams.list({}, { columns: ['initial_amount', 'used_amount', 'remaining_amount', 'reserved_amount', 'advanced_amount', 'currency'] }),
+        db.amountRequests.count({ status: 'pending' }),
+        db.expenses.count({ status: 'submitted' })
     ]);
-    if (teamCountErr || totalsErr || pendingErr) {
-        console.error('Database error:', teamCountErr || totalsErr || pendingErr);
+    if (teamCountErr || totalsErr || pendingErr || pendingExpenseErr) {
+        console.error('Database error:', teamCountErr || totalsErr || pendingErr || pendingExpenseErr);
             return res.status(500).json({ error: 'Database error' });
         }
-    const sum = (arr, key) => (arr || []).reduce((acc, row) => acc + parseFloat(row[key] || 0), 0);
+    let rates;
+    try {
+        rates = await loadExchangeRates();
+    } catch (rateErr) {
+        console.error('Database error:', rateErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    // Team amounts are converted into the base currency at today's rates
+    const today = todayDate();
+    const sum = (arr, key) => currency.roundMoney((arr || []).reduce((acc, row) => acc + toBaseAmount(rates, row[key], row, today), 0));
+    stats.currency = BASE_CURRENCY;
     stats.totalTeams = teamCount || 0;
     stats.totalBudget = sum(totals, 'initial_amount');
     stats.totalUsed = sum(totals, 'used_amount');
     stats.totalRemaining = sum(totals, 'remaining_amount');
+    stats.totalReserved = sum(totals, 'reserved_amount');
+    stats.totalAdvanced = sum(totals, 'advanced_amount');
     stats.pendingRequests = pendingCount || 0;
+    stats.pendingExpenses = pendingExpenseCount || 0;
                 res.json(stats);
 });
 
-// File download route
+// File download route; ?inline=1 serves the file for the preview modal instead of as a download,
+// ?thumbnail=1 serves an image's thumbnail
 app.get('/api/download/:filename', requireAuth, async (req, res) => {
-    const filename = req.params.filename;
-    const filePath = path.join(__dirname, 'uploads', filename);
+    const filename = path.basename(req.params.filename);
     // Security check: verify file exists and user has access
-    const { data: expense, error } = await supabase
-        .from('expenses')
-        .select('*')
-        .eq('attachment_path', filename)
-        .single();
+    const { data: attachment, error } = await db.expenseAttachments.findOne({ file_path: filename });
     if (error) {
         console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!attachment) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+    const { data: expense, error: expErr } = await db.expenses.findById(attachment.expense_id, { columns: ['team_id', 'split_id', 'paid_by'] });
+    if (expErr) {
+        console.error('Database error:', expErr);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!expense) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+    if (req.session.userRole === 'field_staff' && expense.team_id !== req.session.teamId && expense.paid_by != req.session.userId) {
+        // The receipts of a split expense are kept with its first share; every team sharing it can see them
+        const { count, error: shareErr } = expense.split_id
+            ? await db.expenses.count({ split_id: expense.split_id, team_id: req.session.teamId })
+            : { count: 0, error: null };
+        if (shareErr) {
+            console.error('Database error:', shareErr);
             return res.status(500).json({ error: 'Database error' });
         }
-        if (!expense) {
-            return res.status(404).json({ error: 'File not found' });
-        }
-        if (req.session.userRole === 'field_staff' && expense.team_id !== req.session.teamId) {
+        if (!count) {
             return res.status(403).json({ error: 'Access denied' });
         }
-        if (fs.existsSync(filePath)) {
-            res.download(filePath, expense.attachment_name || filename);
-        } else {
-            res.status(404).json({ error: 'File not found on server' });
-        }
+    }
+    const thumbnail = req.query.thumbnail === '1';
+    if (thumbnail && !attachment.thumbnail_path) {
+        return res.status(404).json({ error: 'No thumbnail for this file' });
+    }
+    let body;
+    try {
+        body = await fileStorage.read(thumbnail ? attachment.thumbnail_path : filename);
+    } catch (storageErr) {
+        console.error('Storage error:', storageErr);
+        return res.status(500).json({ error: 'Failed to read file' });
+    }
+    if (!body) {
+        return res.status(404).json({ error: 'File not found on server' });
+    }
+    if (thumbnail) {
+        res.set('Cache-Control', 'private, max-age=86400');
+        return res.type('image/jpeg').send(body);
+    }
+    const downloadName = attachment.file_name || filename;
+    if (req.query.inline === '1') {
+        res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(downloadName)}`);
+    } else {
+        res.attachment(downloadName);
+    }
+    res.type(attachment.mime_type || path.extname(filename));
+    res.send(body);
 });
 
 // Partner Report routes
@@ -724,11 +3785,10 @@ app.get('/api/download/:filename', requireAuth, async (req, res) => {
 // Get list of partner role users for comparison
 app.get('/api/partners', requireAuth, async (req, res) => {
     try {
-        const { data: partners, error } = await supabase
-            .from('users')
-            .select('id, username, full_name, email, team_id, created_at')
-            .eq('role', 'partner')
-            .order('full_name', { ascending: true });
+        const { data: partners, error } = await db.users.list(
+            { role: 'partner' },
+            { columns: ['id', 'username', 'full_name', 'email', 'team_id', 'created_at'], orderBy: 'full_name' }
+        );
         
         if (error) {
             console.error('Database error:', error);
@@ -739,10 +3799,7 @@ app.get('/api/partners', requireAuth, async (req, res) => {
         if (partners && partners.length > 0) {
             const teamIds = [...new Set(partners.map(p => p.team_id).filter(Boolean))];
             if (teamIds.length > 0) {
-                const { data: teams } = await supabase
-                    .from('teams')
-                    .select('id, name')
-                    .in('id', teamIds);
+                const { data: teams } = await db.teams.list({ id: teamIds }, { columns: ['id', 'name'] });
                 
                 const teamsMap = new Map((teams || []).map(t => [t.id, t.name]));
                 const enriched = partners.map(p => ({
@@ -770,23 +3827,19 @@ app.post('/api/partners', requireAdmin, async (req, res) => {
     }
     
     const hashedPassword = bcrypt.hashSync(password, 10);
-    const { data, error} = await supabase
-        .from('users')
-        .insert([{ 
-            username, 
-            password: hashedPassword, 
-            role: 'partner', // Partner role
-            full_name, 
-            email: email || '', 
-            team_id: team_id || null, 
-            created_at: new Date().toISOString() 
-        }])
-        .select('id')
-        .single();
+    const { data, error} = await db.users.create({
+        username, 
+        password: hashedPassword, 
+        role: 'partner', // Partner role
+        full_name, 
+        email: email || '', 
+        team_id: team_id || null, 
+        created_at: new Date().toISOString() 
+    });
     
     if (error) {
         console.error('Database error:', error);
-        if (error.message && error.message.toLowerCase().includes('duplicate')) {
+        if (isUniqueViolation(error)) {
             return res.status(400).json({ error: 'Username already exists' });
         }
         return res.status(500).json({ error: 'Database error' });
@@ -803,10 +3856,7 @@ app.delete('/api/partners/:id', requireAdmin, async (req, res) => {
     console.log('Deleting partner with ID:', partnerId);
     
     // Check if partner has any expenses
-    const { count: expenseCount, error: expCntErr } = await supabase
-        .from('expenses')
-        .select('id', { count: 'exact', head: true })
-        .eq('user_id', partnerId);
+    const { count: expenseCount, error: expCntErr } = await db.expenses.count({ user_id: partnerId });
     
     if (expCntErr) {
         console.error('Database error:', expCntErr);
@@ -818,10 +3868,7 @@ app.delete('/api/partners/:id', requireAdmin, async (req, res) => {
     }
     
     // Delete amount requests
-    const { error: delReqsErr } = await supabase
-        .from('amount_requests')
-        .delete()
-        .eq('user_id', partnerId);
+    const { error: delReqsErr } = await db.amountRequests.remove({ user_id: partnerId });
     
     if (delReqsErr) {
         console.error('Database error deleting requests:', delReqsErr);
@@ -829,11 +3876,7 @@ app.delete('/api/partners/:id', requireAdmin, async (req, res) => {
     }
     
     // Delete the partner (only partner role)
-    const { data: partnerData, error: getPartnerErr } = await supabase
-        .from('users')
-        .select('role')
-        .eq('id', partnerId)
-        .single();
+    const { data: partnerData, error: getPartnerErr } = await db.users.findById(partnerId, { columns: ['role'] });
     
     if (getPartnerErr) {
         console.error('Database error:', getPartnerErr);
@@ -844,10 +3887,7 @@ app.delete('/api/partners/:id', requireAdmin, async (req, res) => {
         return res.status(404).json({ error: 'Partner not found or cannot delete non-partner users' });
     }
     
-    const { error: delPartnerErr } = await supabase
-        .from('users')
-        .delete()
-        .eq('id', partnerId);
+    const { error: delPartnerErr } = await db.users.remove({ id: partnerId });
     
     if (delPartnerErr) {
         console.error('Database error deleting partner:', delPartnerErr);
@@ -872,30 +3912,29 @@ app.get('/api/partner-report', requireAuth, async (req, res) => {
         console.log('📊 Generating partner report for:', { partner1_id, partner2_id, from_date, to_date });
         
         // Get partner names
-        const { data: partner1 } = await supabase.from('users').select('full_name').eq('id', partner1_id).single();
-        const { data: partner2 } = await supabase.from('users').select('full_name').eq('id', partner2_id).single();
+        const { data: partner1 } = await db.users.findById(partner1_id, { columns: ['full_name'] });
+        const { data: partner2 } = await db.users.findById(partner2_id, { columns: ['full_name'] });
         
         // 1. Fetch teams created by both partners (initial amounts assigned)
-        let teamsQuery = supabase
-            .from('teams')
-            .select('id, name, location, initial_amount, created_by, created_at')
-            .in('created_by', [partner1_id, partner2_id]);
+        const teamFilters = { created_by: [partner1_id, partner2_id] };
         
         if (from_date && to_date) {
             // Add time to dates to include full day range
             const fromDateTime = from_date + 'T00:00:00';
             const toDateTime = to_date + 'T23:59:59';
-            teamsQuery = teamsQuery
-                .gte('created_at', fromDateTime)
-                .lte('created_at', toDateTime);
+            teamFilters.created_at = { gte: fromDateTime, lte: toDateTime };
             console.log('Date filter for teams:', { fromDateTime, toDateTime });
         }
         
         if (team_id) {
-            teamsQuery = teamsQuery.eq('id', team_id);
+            teamFilters.id = team_id;
         }
         
-        const { data: teams, error: teamsError } = await teamsQuery.order('created_at', { ascending: false });
+        const { data: teams, error: teamsError } = await db.teams.list(teamFilters, {
+            columns: ['id', 'name', 'location', 'initial_amount', 'currency', 'created_by', 'created_at'],
+            orderBy: 'created_at',
+            ascending: false
+        });
         
         if (teamsError) {
             console.error('Database error fetching teams:', teamsError);
@@ -905,42 +3944,98 @@ app.get('/api/partner-report', requireAuth, async (req, res) => {
         console.log('Teams fetched:', teams?.length || 0, teams);
         
         // 2. Fetch amount requests approved by both partners
-        let requestsQuery = supabase
-            .from('amount_requests')
-            .select('*, teams!amount_requests_team_id_fkey(id, name), users!amount_requests_user_id_fkey(full_name)')
-            .in('processed_by', [partner1_id, partner2_id])
-            .eq('status', 'approved');
+        const requestFilters = { processed_by: [partner1_id, partner2_id], status: 'approved' };
         
         if (from_date && to_date) {
             // Add time to dates to include full day range
             const fromDateTime = from_date + 'T00:00:00';
             const toDateTime = to_date + 'T23:59:59';
-            requestsQuery = requestsQuery
-                .gte('processed_at', fromDateTime)
-                .lte('processed_at', toDateTime);
+            requestFilters.processed_at = { gte: fromDateTime, lte: toDateTime };
             console.log('Date filter for requests:', { fromDateTime, toDateTime });
         }
         
         if (team_id) {
-            requestsQuery = requestsQuery.eq('team_id', team_id);
+            requestFilters.team_id = team_id;
         }
         
-        const { data: requests, error: requestsError } = await requestsQuery.order('processed_at', { ascending: false });
+        const { data: requests, error: requestsError } = await db.amountRequests.list(requestFilters, { orderBy: 'processed_at', ascending: false });
         
         if (requestsError) {
             console.error('Database error fetching requests:', requestsError);
             return res.status(500).json({ error: 'Database error fetching requests' });
         }
         
+        // Look up team names and requester names for the approved requests
+        const [{ data: requestTeams }, { data: requesters }] = await Promise.all([
+            db.teams.list({ id: [...new Set(requests.map(r => r.team_id))] }, { columns: ['id', 'name', 'currency'] }),
+            db.users.list({ id: [...new Set(requests.map(r => r.user_id))] }, { columns: ['id', 'full_name'] })
+        ]);
+        const requestTeamsMap = new Map((requestTeams || []).map(t => [t.id, t]));
+        const requestersMap = new Map((requesters || []).map(u => [u.id, u.full_name]));
+
+        // 3. Fetch funds allocated or clawed back directly by both partners
+        const adjustmentFilters = { created_by: [partner1_id, partner2_id] };
+        if (from_date && to_date) {
+            adjustmentFilters.created_at = { gte: from_date + 'T00:00:00', lte: to_date + 'T23:59:59' };
+        }
+        if (team_id) {
+            adjustmentFilters.team_id = team_id;
+        }
+        const { data: adjustments, error: adjustmentsError } = await db.budgetAdjustments.list(adjustmentFilters, { orderBy: 'created_at', ascending: false });
+        if (adjustmentsError) {
+            console.error('Database error fetching budget adjustments:', adjustmentsError);
+            return res.status(500).json({ error: 'Database error fetching budget adjustments' });
+        }
+        const { data: adjustmentTeams } = await db.teams.list({ id: [...new Set(adjustments.map(a => a.team_id))] }, { columns: ['id', 'name', 'currency'] });
+        const adjustmentTeamsMap = new Map((adjustmentTeams || []).map(t => [t.id, t]));
+
+        // 4. Fetch transfers between teams made by both partners
+        const transferFilters = { created_by: [partner1_id, partner2_id] };
+        if (from_date && to_date) {
+            transferFilters.created_at = { gte: from_date + 'T00:00:00', lte: to_date + 'T23:59:59' };
+        }
+        const transferResults = await Promise.all(team_id
+            ? [db.teamTransfers.list({ ...transferFilters, from_team_id: team_id }), db.teamTransfers.list({ ...transferFilters, to_team_id: team_id })]
+            : [db.teamTransfers.list(transferFilters)]);
+        const transfersFailed = transferResults.find(result => result.error);
+        if (transfersFailed) {
+            console.error('Database error fetching team transfers:', transfersFailed.error);
+            return res.status(500).json({ error: 'Database error fetching team transfers' });
+        }
+        const transfers = [...new Map(transferResults.flatMap(result => result.data).map(t => [t.id, t])).values()];
+        const [{ data: transferTeams }, { data: transferrers }] = await Promise.all([
+            db.teams.list({ id: [...new Set(transfers.flatMap(t => [t.from_team_id, t.to_team_id]))] }, { columns: ['id', 'name', 'currency'] }),
+            db.users.list({ id: [...new Set(transfers.map(t => t.created_by))] }, { columns: ['id', 'full_name'] })
+        ]);
+        const transferTeamsMap = new Map((transferTeams || []).map(t => [t.id, t]));
+        const transferrersMap = new Map((transferrers || []).map(u => [u.id, u.full_name]));
+
+        // A team's initial_amount follows its ledger, so later top-ups and allocations would be
+        // counted twice; a team is reported with its opening balance
+        const { data: openings, error: openingsError } = await db.ledgerEntries.list(
+            { entry_type: 'opening', reference_type: 'team', reference_id: (teams || []).map(t => t.id) },
+            { columns: ['reference_id', 'amount'] }
+        );
+        if (openingsError) {
+            console.error('Database error fetching opening balances:', openingsError);
+            return res.status(500).json({ error: 'Database error fetching teams' });
+        }
+        const openingsMap = new Map(openings.map(entry => [Number(entry.reference_id), parseFloat(entry.amount)]));
+        
         console.log('Requests fetched:', requests?.length || 0, requests);
         
+        // Amounts are reported in the base currency, at the rate of the day they were assigned
+        const rates = await loadExchangeRates();
+        const dayOf = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
         // Transform data into report format
         const reportData = [];
         
         // Process teams - Initial amounts assigned to teams
         (teams || []).forEach(team => {
-            const partner1Amount = team.created_by == partner1_id ? parseFloat(team.initial_amount) : 0;
-            const partner2Amount = team.created_by == partner2_id ? parseFloat(team.initial_amount) : 0;
+            const amount = currency.roundMoney(toBaseAmount(rates, openingsMap.get(Number(team.id)) || 0, team, dayOf(team.created_at)));
+            const partner1Amount = team.created_by == partner1_id ? amount : 0;
+            const partner2Amount = team.created_by == partner2_id ? amount : 0;
             
             reportData.push({
                 date: team.created_at,
@@ -956,8 +4051,10 @@ app.get('/api/partner-report', requireAuth, async (req, res) => {
         
         // Process approved amount requests
         (requests || []).forEach(request => {
-            const partner1Amount = request.processed_by == partner1_id ? parseFloat(request.requested_amount) : 0;
-            const partner2Amount = request.processed_by == partner2_id ? parseFloat(request.requested_amount) : 0;
+            const requestTeam = requestTeamsMap.get(request.team_id);
+            const amount = currency.roundMoney(toBaseAmount(rates, request.requested_amount, requestTeam, dayOf(request.processed_at || request.created_at)));
+            const partner1Amount = request.processed_by == partner1_id ? amount : 0;
+            const partner2Amount = request.processed_by == partner2_id ? amount : 0;
             
             reportData.push({
                 date: request.processed_at || request.created_at,
@@ -966,12 +4063,51 @@ app.get('/api/partner-report', requireAuth, async (req, res) => {
                 partner2_amount: partner2Amount,
                 difference: Math.abs(partner1Amount - partner2Amount),
                 type: 'request_approval',
-                team_name: request.teams?.name || 'Unknown',
+                team_name: requestTeam ? requestTeam.name : 'Unknown',
                 category: 'Additional Amount Approval',
-                requested_by: request.users?.full_name || 'Unknown'
+                requested_by: requestersMap.get(request.user_id) || 'Unknown'
             });
         });
         
+        // Process direct allocations; claw-backs count against the partner who made them
+        (adjustments || []).forEach(adjustment => {
+            const adjustmentTeam = adjustmentTeamsMap.get(adjustment.team_id);
+            const sign = adjustment.kind === 'claw_back' ? -1 : 1;
+            const amount = sign * currency.roundMoney(toBaseAmount(rates, adjustment.amount, adjustmentTeam, dayOf(adjustment.created_at)));
+            const partner1Amount = adjustment.created_by == partner1_id ? amount : 0;
+            const partner2Amount = adjustment.created_by == partner2_id ? amount : 0;
+
+            reportData.push({
+                date: adjustment.created_at,
+                description: `${adjustment.kind === 'claw_back' ? 'Funds Clawed Back' : 'Funds Allocated'}: ${adjustment.reason}`,
+                partner1_amount: partner1Amount,
+                partner2_amount: partner2Amount,
+                difference: Math.abs(partner1Amount - partner2Amount),
+                type: 'budget_adjustment',
+                team_name: adjustmentTeam ? adjustmentTeam.name : 'Unknown',
+                category: adjustment.kind === 'claw_back' ? 'Funds Claw-back' : 'Direct Allocation'
+            });
+        });
+
+        // Process transfers; they move funds already assigned, so neither partner's total changes
+        transfers.forEach(transfer => {
+            const fromTeam = transferTeamsMap.get(transfer.from_team_id);
+            const toTeam = transferTeamsMap.get(transfer.to_team_id);
+
+            reportData.push({
+                date: transfer.created_at,
+                description: `Funds Transferred (${formatMoney(parseFloat(transfer.amount), teamCurrency(fromTeam))}): ${transfer.reason}`,
+                partner1_amount: 0,
+                partner2_amount: 0,
+                difference: 0,
+                type: 'team_transfer',
+                team_name: `${fromTeam ? fromTeam.name : 'Unknown'} → ${toTeam ? toTeam.name : 'Unknown'}`,
+                category: 'Fund Transfer',
+                transfer_amount: currency.roundMoney(toBaseAmount(rates, transfer.amount, fromTeam, dayOf(transfer.created_at))),
+                transferred_by: transferrersMap.get(transfer.created_by) || 'Unknown'
+            });
+        });
+
         // Sort by date descending
         reportData.sort((a, b) => new Date(b.date) - new Date(a.date));
         
@@ -988,6 +4124,8 @@ app.get('/api/partner-report', requireAuth, async (req, res) => {
         console.log('✅ Partner report generated successfully:', {
             teams_count: teams?.length || 0,
             requests_count: requests?.length || 0,
+            adjustments_count: adjustments?.length || 0,
+            transfers_count: transfers.length,
             total_transactions: reportData.length,
             totals
         });
@@ -995,6 +4133,7 @@ app.get('/api/partner-report', requireAuth, async (req, res) => {
         res.json({
             partner1_name: partner1?.full_name || 'Partner 1',
             partner2_name: partner2?.full_name || 'Partner 2',
+            currency: BASE_CURRENCY,
             data: reportData,
             totals: totals,
             filters: { from_date, to_date, team_id }
@@ -1010,6 +4149,7 @@ app.get('/api/partner-report', requireAuth, async (req, res) => {
 app.post('/api/partner-report/export/excel', requireAuth, async (req, res) => {
     try {
         const { partner1_name, partner2_name, data, totals, filters } = req.body;
+        const reportCurrency = currency.CURRENCY_PATTERN.test(req.body.currency) ? req.body.currency : BASE_CURRENCY;
         
         console.log('📊 Excel Export Request:', {
             partner1_name,
@@ -1050,9 +4190,9 @@ app.post('/api/partner-report/export/excel', requireAuth, async (req, res) => {
         const summaryRow = worksheet.addRow([
             'Summary:',
             '',
-            `${partner1_name}: $${totals.partner1_total.toFixed(2)}`,
-            `${partner2_name}: $${totals.partner2_total.toFixed(2)}`,
-            `Difference: $${totals.total_difference.toFixed(2)}`,
+            `${partner1_name}: ${formatMoney(totals.partner1_total, reportCurrency)}`,
+            `${partner2_name}: ${formatMoney(totals.partner2_total, reportCurrency)}`,
+            `Difference: ${formatMoney(totals.total_difference, reportCurrency)}`,
             '',
             ''
         ]);
@@ -1083,9 +4223,9 @@ app.post('/api/partner-report/export/excel', requireAuth, async (req, res) => {
             worksheet.addRow([
                 new Date(item.date).toLocaleDateString(),
                 item.description,
-                '$' + item.partner1_amount.toFixed(2),
-                '$' + item.partner2_amount.toFixed(2),
-                '$' + item.difference.toFixed(2),
+                formatMoney(item.partner1_amount, reportCurrency),
+                formatMoney(item.partner2_amount, reportCurrency),
+                formatMoney(item.difference, reportCurrency),
                 item.team_name,
                 item.category || '-'
             ]);
@@ -1095,9 +4235,9 @@ app.post('/api/partner-report/export/excel', requireAuth, async (req, res) => {
         const totalsRow = worksheet.addRow([
             '',
             'TOTALS',
-            '$' + totals.partner1_total.toFixed(2),
-            '$' + totals.partner2_total.toFixed(2),
-            '$' + totals.total_difference.toFixed(2),
+            formatMoney(totals.partner1_total, reportCurrency),
+            formatMoney(totals.partner2_total, reportCurrency),
+            formatMoney(totals.total_difference, reportCurrency),
             '',
             ''
         ]);
@@ -1159,6 +4299,7 @@ app.post('/api/partner-report/export/excel', requireAuth, async (req, res) => {
 app.post('/api/partner-report/export/pdf', requireAuth, async (req, res) => {
     try {
         const { partner1_name, partner2_name, data, totals, filters } = req.body;
+        const reportCurrency = currency.CURRENCY_PATTERN.test(req.body.currency) ? req.body.currency : BASE_CURRENCY;
         
         console.log('📄 PDF Export Request:', {
             partner1_name,
@@ -1226,17 +4367,17 @@ app.post('/api/partner-report/export/pdf', requireAuth, async (req, res) => {
         // Partner 1 Total
         doc.rect(50, summaryY, boxWidth, boxHeight).fillAndStroke('#d4edda', '#28a745');
         doc.fillColor('#000').fontSize(10).font('Helvetica-Bold').text(partner1_name, 60, summaryY + 10, { width: boxWidth - 20 });
-        doc.fontSize(16).text(`$${totals.partner1_total.toFixed(2)}`, 60, summaryY + 30);
+        doc.fontSize(16).text(formatMoney(totals.partner1_total, reportCurrency, 'code'), 60, summaryY + 30);
         
         // Partner 2 Total
         doc.rect(50 + boxWidth + spacing, summaryY, boxWidth, boxHeight).fillAndStroke('#cce5ff', '#007bff');
         doc.fillColor('#000').fontSize(10).font('Helvetica-Bold').text(partner2_name, 60 + boxWidth + spacing, summaryY + 10, { width: boxWidth - 20 });
-        doc.fontSize(16).text(`$${totals.partner2_total.toFixed(2)}`, 60 + boxWidth + spacing, summaryY + 30);
+        doc.fontSize(16).text(formatMoney(totals.partner2_total, reportCurrency, 'code'), 60 + boxWidth + spacing, summaryY + 30);
         
         // Total Difference
         doc.rect(50 + (boxWidth + spacing) * 2, summaryY, boxWidth, boxHeight).fillAndStroke('#fff3cd', '#ffc107');
         doc.fillColor('#000').fontSize(10).font('Helvetica-Bold').text('Total Difference', 60 + (boxWidth + spacing) * 2, summaryY + 10, { width: boxWidth - 20 });
-        doc.fontSize(16).text(`$${totals.total_difference.toFixed(2)}`, 60 + (boxWidth + spacing) * 2, summaryY + 30);
+        doc.fontSize(16).text(formatMoney(totals.total_difference, reportCurrency, 'code'), 60 + (boxWidth + spacing) * 2, summaryY + 30);
         
         doc.y = summaryY + boxHeight + 30;
         
@@ -1269,9 +4410,9 @@ app.post('/api/partner-report/export/pdf', requireAuth, async (req, res) => {
             
             doc.text(new Date(item.date).toLocaleDateString(), col1X, currentY, { width: 65 });
             doc.text(item.description.substring(0, 30), col2X, currentY, { width: 190 });
-            doc.text(`$${item.partner1_amount.toFixed(2)}`, col3X, currentY);
-            doc.text(`$${item.partner2_amount.toFixed(2)}`, col4X, currentY);
-            doc.text(`$${item.difference.toFixed(2)}`, col5X, currentY);
+            doc.text(formatMoney(item.partner1_amount, reportCurrency, 'code'), col3X, currentY);
+            doc.text(formatMoney(item.partner2_amount, reportCurrency, 'code'), col4X, currentY);
+            doc.text(formatMoney(item.difference, reportCurrency, 'code'), col5X, currentY);
             
             currentY += 20;
         });
@@ -1391,9 +4532,6 @@ const cleanupTempFiles = () => {
 cleanupTempFiles();
 setInterval(cleanupTempFiles, 3600000); // Every hour
 
-// Serve static files
-app.use('/uploads', express.static('uploads'));
-
 // Serve main HTML file
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -1403,16 +4541,31 @@ app.get('*', (req, res) => {
 app.use((error, req, res, next) => {
     if (error instanceof multer.MulterError) {
         if (error.code === 'LIMIT_FILE_SIZE') {
-            return res.status(400).json({ error: 'File too large. Maximum size is 5MB.' });
+            return res.status(400).json({ error: `File too large. Maximum size is ${MAX_UPLOAD_MB}MB.` });
+        }
+        if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({ error: `Too many files. Up to ${MAX_ATTACHMENTS_PER_EXPENSE} attachments are allowed per expense.` });
         }
     }
     console.error('Server error:', error);
     res.status(500).json({ error: 'Internal server error' });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 FieldWorkBook server running on http://localhost:${PORT}`);
-    console.log(`🔗 Supabase: ${SUPABASE_URL ? 'configured' : 'NOT CONFIGURED'}`);
-    console.log(`📂 Uploads: ${uploadsDir}`);
-});
\ No newline at end of file
+// Start server once the data store is ready (SQL backends apply pending migrations here)
+db.init()
+    .then(() => {
+        app.listen(PORT, () => {
+            console.log(`🚀 FieldWorkBook server running on http://localhost:${PORT}`);
+            console.log(`🔗 Database: ${db.description}`);
+            console.log(`📂 Attachments: ${fileStorage.description}`);
+            if (!images.isAvailable()) {
+                console.warn('⚠️  "sharp" is not installed: receipt images are stored uncompressed and without thumbnails');
+            }
+        });
+        runRecurringSchedules();
+        setInterval(runRecurringSchedules, RECURRING_CHECK_MINUTES * 60 * 1000);
+    })
+    .catch((error) => {
+        console.error('Failed to initialise database:', error);
+        process.exit(1);
+    });
\ No newline at end of file
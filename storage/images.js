@@ -0,0 +1,82 @@
+// Receipt image processing for uploads.
+//
+// Phone photos are accepted up to the upload limit and shrunk before they are stored:
+// rotated upright from their EXIF orientation, scaled to fit within maxDimension and
+// re-encoded as JPEG. A small JPEG thumbnail is made at the same time for the expense
+// tables and the preview gallery. This needs the optional "sharp" package; without it
+// images are stored as uploaded and get no thumbnail. PDFs and GIFs (which may be
+// animated) are always kept as they are.
+
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    sharp = null;
+}
+
+const PROCESSED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const THUMBNAIL_SIZE = 320;
+
+const isAvailable = () => Boolean(sharp);
+
+const toJpeg = (image, size, quality) => image.clone()
+    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality, mozjpeg: true })
+    .toBuffer();
+
+// Resolves to { body, mimeType, thumbnail } for an image upload, or null when the file should
+// be stored unchanged (not a processable type, or sharp is not installed). The original is
+// kept when it is already within maxDimension and no larger than the re-encoded copy.
+// Rejects when the file cannot be decoded as an image.
+const processReceiptImage = async (buffer, mimeType, { maxDimension = 2000, quality = 80 } = {}) => {
+    if (!sharp || !PROCESSED_TYPES.includes(mimeType)) return null;
+    const image = sharp(buffer).rotate();
+    const { width, height, orientation } = await image.metadata();
+    const [compressed, thumbnail] = await Promise.all([
+        toJpeg(image, maxDimension, quality),
+        toJpeg(image, THUMBNAIL_SIZE, 70)
+    ]);
+    const keepOriginal = Math.max(width, height) <= maxDimension && (!orientation || orientation === 1)
+        && buffer.length <= compressed.length;
+    return keepOriginal
+        ? { body: buffer, mimeType, thumbnail }
+        : { body: compressed, mimeType: 'image/jpeg', thumbnail };
+};
+
+// Difference hash used to spot re-photographed receipts. The image is cropped to its
+// content (receipts are mostly blank paper), contrast-stretched and shrunk to 9x8 grey
+// pixels; each bit says whether a pixel is brighter than its right-hand neighbour. Photos of
+// the same bill land a few bits apart, different bills typically 20 or more.
+// Resolves to a 16-character hex string, or null for non-images or without sharp.
+const HASH_SIZE = 8;
+const perceptualHash = async (buffer, mimeType) => {
+    if (!sharp || !PROCESSED_TYPES.concat('image/gif').includes(mimeType)) return null;
+    const pixels = await sharp(buffer)
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .greyscale()
+        .normalise()
+        .trim({ threshold: 40 })
+        .resize(HASH_SIZE + 1, HASH_SIZE, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+    let hash = '';
+    for (let row = 0; row < HASH_SIZE; row++) {
+        for (let col = 0; col < HASH_SIZE; col += 4) {
+            let nibble = 0;
+            for (let bit = 0; bit < 4; bit++) {
+                const index = row * (HASH_SIZE + 1) + col + bit;
+                nibble = (nibble << 1) | (pixels[index] > pixels[index + 1] ? 1 : 0);
+            }
+            hash += nibble.toString(16);
+        }
+    }
+    return hash;
+};
+
+module.exports = {
+    isAvailable,
+    processReceiptImage,
+    perceptualHash
+};
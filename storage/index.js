@@ -0,0 +1,67 @@
+// FieldWorkBook attachment storage
+//
+// Receipt files are kept by a storage driver instead of being written straight to
+// the local uploads/ directory, so the app can run on ephemeral or multi-instance
+// hosting. expense_attachments.file_path holds the file's key in whichever driver
+// is configured. Every driver exposes the same promise-based methods:
+//
+//   save(key, body, contentType)   store a Buffer under key (overwrites)
+//   read(key)                      -> Buffer, or null when there is no such file
+//   remove(key)                    delete the file (a missing file is not an error)
+//
+// Failures reject with the driver's error. The driver is picked with STORAGE_DRIVER:
+//   local (default)  UPLOADS_DIR (defaults to ./uploads)
+//   supabase         SUPABASE_URL + SUPABASE_SERVICE_ROLE, SUPABASE_STORAGE_BUCKET
+//   s3               S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_REGION,
+//                    S3_ENDPOINT (for MinIO and other S3-compatible services)
+//
+// scripts/migrate-attachments.js copies existing files from one driver to another.
+
+const path = require('path');
+
+const STORAGE_DRIVERS = ['local', 'supabase', 's3'];
+
+// Keys are flat file names generated at upload time; anything else is reduced to its base name
+const normalizeKey = (key) => path.basename(String(key || ''));
+
+const createFileStorage = (env = process.env, driver = env.STORAGE_DRIVER || 'local') => {
+    const name = String(driver).toLowerCase();
+
+    if (name === 'local') {
+        const { createLocalStorage } = require('./local-storage');
+        return createLocalStorage({
+            directory: env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads')
+        });
+    }
+
+    if (name === 'supabase') {
+        const { createSupabaseStorage } = require('./supabase-storage');
+        return createSupabaseStorage({
+            url: env.SUPABASE_URL,
+            serviceRole: env.SUPABASE_SERVICE_ROLE,
+            bucket: env.SUPABASE_STORAGE_BUCKET || 'receipts'
+        });
+    }
+
+    if (name === 's3') {
+        const { createS3Storage } = require('./s3-storage');
+        return createS3Storage({
+            endpoint: env.S3_ENDPOINT,
+            region: env.S3_REGION || 'us-east-1',
+            bucket: env.S3_BUCKET,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE !== undefined
+                ? env.S3_FORCE_PATH_STYLE === 'true'
+                : Boolean(env.S3_ENDPOINT)
+        });
+    }
+
+    throw new Error(`Unsupported STORAGE_DRIVER "${name}". Use ${STORAGE_DRIVERS.join(', ')}.`);
+};
+
+module.exports = {
+    STORAGE_DRIVERS,
+    createFileStorage,
+    normalizeKey
+};
@@ -0,0 +1,39 @@
+// Local-disk driver for attachment storage (see storage/index.js for the driver contract)
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeKey } = require('./index');
+
+const createLocalStorage = ({ directory }) => {
+    fs.mkdirSync(directory, { recursive: true });
+    const filePath = (key) => path.join(directory, normalizeKey(key));
+
+    return {
+        driver: 'local',
+        description: `Local disk (${directory})`,
+        directory,
+
+        async save(key, body) {
+            await fs.promises.writeFile(filePath(key), body);
+        },
+
+        async read(key) {
+            try {
+                return await fs.promises.readFile(filePath(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async remove(key) {
+            try {
+                await fs.promises.unlink(filePath(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    };
+};
+
+module.exports = { createLocalStorage };
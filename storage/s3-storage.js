@@ -0,0 +1,102 @@
+// S3-compatible driver for attachment storage (see storage/index.js for the driver contract).
+// Talks to the S3 REST API directly with Signature Version 4, so the same driver works
+// with AWS S3 and with S3-compatible services such as MinIO (set S3_ENDPOINT; an endpoint
+// implies path-style addressing unless S3_FORCE_PATH_STYLE=false).
+
+const crypto = require('crypto');
+const { normalizeKey } = require('./index');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// S3 canonical URIs percent-encode everything but unreserved characters and the slashes
+const encodePath = (value) => value.split('/')
+    .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+
+// Headers (lower-case names) for a request signed with Signature Version 4. The object URL
+// must already be encoded with encodePath and carry no query string.
+const signRequest = ({ method, url, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, date = new Date() }) => {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const signed = { ...headers, host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    const names = Object.keys(signed).sort();
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        '',
+        names.map(name => `${name}:${String(signed[name]).trim()}\n`).join(''),
+        names.join(';'),
+        payloadHash
+    ].join('\n');
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = [region, 's3', 'aws4_request'].reduce((key, part) => hmac(key, part), hmac(`AWS4${secretAccessKey}`, dateStamp));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    return {
+        ...signed,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+    };
+};
+
+const createS3Storage = ({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle }) => {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+        console.warn('S3 storage not configured. Please set S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY in .env');
+    }
+    const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    const objectUrl = (key) => {
+        const objectPath = encodePath(normalizeKey(key));
+        return forcePathStyle
+            ? new URL(`${base.origin}${base.pathname.replace(/\/$/, '')}/${encodePath(bucket || '')}/${objectPath}`)
+            : new URL(`${base.protocol}//${bucket}.${base.host}/${objectPath}`);
+    };
+
+    const request = (method, key, { body, contentType } = {}) => {
+        const url = objectUrl(key);
+        const headers = signRequest({
+            method,
+            url,
+            headers: contentType ? { 'content-type': contentType } : {},
+            payloadHash: sha256(body || ''),
+            region,
+            accessKeyId,
+            secretAccessKey
+        });
+        delete headers.host; // fetch sets it from the URL
+        return fetch(url, { method, headers, body });
+    };
+
+    // S3 reports errors as XML: <Error><Code>NoSuchBucket</Code><Message>...</Message></Error>
+    const failure = async (method, key, response) => {
+        const text = await response.text().catch(() => '');
+        const code = (/<Code>([^<]*)<\/Code>/.exec(text) || [])[1];
+        const error = new Error(`S3 ${method} ${key} failed (${response.status}${code ? ` ${code}` : ''})`);
+        error.status = response.status;
+        error.code = code;
+        return error;
+    };
+
+    return {
+        driver: 's3',
+        description: `S3 (${forcePathStyle ? `${base.host}/${bucket}` : `${bucket}.${base.host}`})`,
+
+        async save(key, body, contentType) {
+            const response = await request('PUT', key, { body, contentType: contentType || 'application/octet-stream' });
+            if (!response.ok) throw await failure('PUT', key, response);
+        },
+
+        async read(key) {
+            const response = await request('GET', key);
+            if (response.status === 404) return null;
+            if (!response.ok) throw await failure('GET', key, response);
+            return Buffer.from(await response.arrayBuffer());
+        },
+
+        async remove(key) {
+            const response = await request('DELETE', key);
+            if (!response.ok && response.status !== 404) throw await failure('DELETE', key, response);
+        }
+    };
+};
+
+module.exports = { createS3Storage, signRequest };
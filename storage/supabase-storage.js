@@ -0,0 +1,60 @@
+// Supabase Storage driver for attachment storage (see storage/index.js for the driver contract).
+// The bucket must exist and should be private; files are only served through /api/download.
+
+const { createClient } = require('@supabase/supabase-js');
+const { normalizeKey } = require('./index');
+
+// Supabase Storage answers a missing object with 404, or 400 carrying statusCode "404"
+const isNotFound = async (error) => {
+    const response = error && error.originalError;
+    const status = (response && response.status) || (error && error.status);
+    if (status === 404 || String(error && error.statusCode) === '404') return true;
+    if (status === 400 && response && typeof response.json === 'function') {
+        try {
+            const body = await response.json();
+            return String(body.statusCode) === '404';
+        } catch (parseError) {
+            return false;
+        }
+    }
+    return false;
+};
+
+const createSupabaseStorage = ({ url, serviceRole, bucket }) => {
+    if (!url || !serviceRole) {
+        console.warn('Supabase env vars not set. Please configure SUPABASE_URL and SUPABASE_SERVICE_ROLE in .env');
+    }
+    const supabase = createClient(url, serviceRole, {
+        auth: { persistSession: false }
+    });
+    const files = () => supabase.storage.from(bucket);
+
+    return {
+        driver: 'supabase',
+        description: `Supabase Storage (bucket ${bucket})`,
+
+        async save(key, body, contentType) {
+            const { error } = await files().upload(normalizeKey(key), body, {
+                contentType: contentType || 'application/octet-stream',
+                upsert: true
+            });
+            if (error) throw error;
+        },
+
+        async read(key) {
+            const { data, error } = await files().download(normalizeKey(key));
+            if (error) {
+                if (await isNotFound(error)) return null;
+                throw error;
+            }
+            return Buffer.from(await data.arrayBuffer());
+        },
+
+        async remove(key) {
+            const { error } = await files().remove([normalizeKey(key)]);
+            if (error) throw error;
+        }
+    };
+};
+
+module.exports = { createSupabaseStorage };